@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Generate the labelled scenario corpus used by the offline evaluation harness
+ *
+ * Scenarios are seeded variations of the normalUsers (label 0) and
+ * suspiciousUsers (label 1) profiles from test/data/test-data.js, written as
+ * JSONL to test/data/evaluation/labelled-scenarios.jsonl.
+ *
+ * Usage: node scripts/generate-evaluation-corpus.js [--per-profile=10] [--seed=2024] [--out=path]
+ */
+const path = require('path');
+const fs = require('fs');
+const { createRandom } = require('../test/utils/isolation-forest');
+const { curvedStroke, linearStroke, typeText } = require('../test/data/fixtures/action-streams');
+
+// Mirrors the normalUsers / suspiciousUsers profiles in test/data/test-data.js
+const PROFILES = [
+    { username: 'normal_user1', label: 0, averageStake: 50, bettingFrequency: 'moderate', location: { latitude: 40.7128, longitude: -74.0060, country: 'US' } },
+    { username: 'normal_user2', label: 0, averageStake: 25, bettingFrequency: 'low', location: { latitude: 43.6532, longitude: -79.3832, country: 'CA' } },
+    { username: 'suspicious_user1', label: 1, averageStake: 2000, bettingFrequency: 'very_high', location: { latitude: 51.5074, longitude: -0.1278, country: 'GB' }, vpnUsage: true },
+    { username: 'suspicious_user2', label: 1, averageStake: 5000, bettingFrequency: 'very_high', location: { latitude: 52.5200, longitude: 13.4050, country: 'DE' }, vpnUsage: true }
+];
+
+// Seconds between bets for each betting frequency
+const BET_INTERVALS = {
+    low: [600, 1800],
+    moderate: [180, 600],
+    very_high: [5, 30]
+};
+
+const HOP_LOCATIONS = [
+    { latitude: 40.4168, longitude: -3.7038, country: 'ES' },
+    { latitude: 35.6762, longitude: 139.6503, country: 'JP' },
+    { latitude: -33.8688, longitude: 151.2093, country: 'AU' }
+];
+
+const CORPUS_START = Date.parse('2024-03-04T00:00:00.000Z');
+
+function parseArgs(argv) {
+    const args = { perProfile: 10, seed: 2024, out: path.join(__dirname, '../test/data/evaluation/labelled-scenarios.jsonl') };
+    argv.forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'per-profile') args.perProfile = parseInt(value, 10);
+        if (key === 'seed') args.seed = parseInt(value, 10);
+        if (key === 'out') args.out = path.resolve(value);
+    });
+    return args;
+}
+
+function between(random, min, max) {
+    return min + random() * (max - min);
+}
+
+/**
+ * Login, typing and pointer activity shared by every scenario
+ */
+function sessionOpening(random, start, profile, scripted) {
+    const device = scripted ? `emulator-${Math.floor(random() * 4)}` : `${profile.username}-phone`;
+    const ip = profile.vpnUsage ? `185.220.101.${Math.floor(random() * 250)}` : `81.2.69.${Math.floor(random() * 250)}`;
+    const actions = [
+        { type: 'login', timestamp: start, ipAddress: ip, deviceId: device, location: profile.location, success: true, vpn: Boolean(profile.vpnUsage) }
+    ];
+
+    if (scripted) {
+        actions.push(...typeText(start + 1000, 'Password123', () => 40, () => 30));
+        actions.push(...linearStroke(start + 2000, 0, 0, 600, 300));
+    } else {
+        actions.push(...typeText(start + 2000, 'Password123',
+            () => Math.round(between(random, 70, 150)), () => Math.round(between(random, 90, 260))));
+        actions.push(...curvedStroke(start + 9000, 100, 400, 620, 180));
+    }
+
+    return actions;
+}
+
+function bets(random, start, count, stakeOf, intervalRange) {
+    const actions = [];
+    let time = start;
+    for (let i = 0; i < count; i++) {
+        time += Math.round(between(random, intervalRange[0], intervalRange[1]) * 1000);
+        actions.push({
+            type: 'bet_placed',
+            timestamp: time,
+            amount: stakeOf(i),
+            odds: Math.round(between(random, 1.3, 4.5) * 100) / 100,
+            eventId: `evt-${Math.floor(random() * 10000)}`,
+            market: 'match_winner',
+            selection: ['home', 'draw', 'away'][Math.floor(random() * 3)],
+            outcome: random() < 0.45 ? 'won' : 'lost'
+        });
+    }
+    return actions;
+}
+
+/**
+ * Scenario builders per label; each returns { scenario, actions }
+ */
+const LEGITIMATE_SCENARIOS = [
+    (random, start, profile) => ({
+        scenario: 'casual_session',
+        actions: [
+            ...sessionOpening(random, start, profile, false),
+            { type: 'deposit', timestamp: start + 60000, amount: Math.round(between(random, 20, 120) * 100) / 100, method: 'debit_card' },
+            ...bets(random, start + 120000, 2 + Math.floor(random() * 4),
+                () => Math.round(profile.averageStake * between(random, 0.4, 1.6)), BET_INTERVALS[profile.bettingFrequency])
+        ]
+    }),
+    // Hard negative: a single big punt from an otherwise normal customer
+    (random, start, profile) => ({
+        scenario: 'occasional_big_stake',
+        actions: [
+            ...sessionOpening(random, start, profile, false),
+            ...bets(random, start + 60000, 4,
+                i => (i === 2 ? profile.averageStake * 12 : Math.round(profile.averageStake * between(random, 0.5, 1.5))),
+                BET_INTERVALS[profile.bettingFrequency])
+        ]
+    })
+];
+
+const FRAUDULENT_SCENARIOS = [
+    (random, start, profile) => ({
+        scenario: 'scripted_rapid_betting',
+        actions: [
+            ...sessionOpening(random, start, profile, true),
+            { type: 'deposit', timestamp: start + 3000, amount: profile.averageStake * 5, method: 'crypto' },
+            ...bets(random, start + 4000, 8 + Math.floor(random() * 8), () => profile.averageStake, BET_INTERVALS.very_high)
+        ]
+    }),
+    (random, start, profile) => {
+        const actions = [
+            ...sessionOpening(random, start, profile, false),
+            { type: 'deposit', timestamp: start + 30000, amount: 1000, method: 'prepaid_card' },
+            ...bets(random, start + 60000, 5, () => Math.round(profile.averageStake * between(random, 0.8, 1.2)), [20, 90])
+        ];
+        HOP_LOCATIONS.forEach((location, i) => {
+            actions.push({ type: 'location_change', timestamp: start + 120000 + i * 60000, location });
+        });
+        actions.push({ type: 'withdrawal', timestamp: start + 400000, amount: 950, method: 'crypto' });
+        return { scenario: 'location_hopping_cash_out', actions };
+    },
+    // Hard positive: small round stakes at night, only the network gives it away
+    (random, start, profile) => {
+        const night = start - (start % 86400000) + 3 * 3600000;
+        return {
+            scenario: 'low_and_slow',
+            actions: [
+                ...sessionOpening(random, night, profile, false),
+                ...bets(random, night + 60000, 4, () => 100, [120, 300])
+            ]
+        };
+    }
+];
+
+function generateCorpus({ perProfile, seed }) {
+    const random = createRandom(seed);
+    const corpus = [];
+
+    PROFILES.forEach(profile => {
+        const builders = profile.label === 1 ? FRAUDULENT_SCENARIOS : LEGITIMATE_SCENARIOS;
+        for (let i = 0; i < perProfile; i++) {
+            const start = CORPUS_START + corpus.length * 86400000 + Math.floor(between(random, 9, 22)) * 3600000;
+            const { scenario, actions } = builders[i % builders.length](random, start, profile);
+            corpus.push({
+                id: `${profile.username}-${String(i + 1).padStart(3, '0')}`,
+                label: profile.label,
+                profile: profile.username,
+                scenario,
+                actions: actions.sort((a, b) => a.timestamp - b.timestamp)
+            });
+        }
+    });
+
+    return corpus;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const corpus = generateCorpus(args);
+
+    fs.mkdirSync(path.dirname(args.out), { recursive: true });
+    fs.writeFileSync(args.out, corpus.map(scenario => JSON.stringify(scenario)).join('\n') + '\n');
+    console.log(`📝 Wrote ${corpus.length} labelled scenarios to ${args.out}`);
+}
+
+module.exports = { generateCorpus };
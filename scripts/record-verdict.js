@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Record an analyst verdict against a past MLFraudDetector analysis
+ *
+ * Usage: node scripts/record-verdict.js <analysisId> <confirmed_fraud|false_positive|unknown>
+ *            [--analyst=name] [--notes=text] [--model-path=test/models]
+ */
+const path = require('path');
+const FeedbackStore = require('../test/utils/feedback-store');
+
+function parseArgs(argv) {
+    const args = { positional: [], modelPath: path.join(__dirname, '../test/models') };
+    argv.forEach(arg => {
+        if (!arg.startsWith('--')) {
+            args.positional.push(arg);
+            return;
+        }
+        const [key, ...rest] = arg.slice(2).split('=');
+        const value = rest.join('=');
+        if (key === 'analyst') args.analyst = value;
+        if (key === 'notes') args.notes = value;
+        if (key === 'model-path') args.modelPath = path.resolve(value);
+    });
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const [analysisId, verdict] = args.positional;
+
+if (!analysisId || !verdict) {
+    console.error('Usage: node scripts/record-verdict.js <analysisId> <verdict> [--analyst=name] [--notes=text]');
+    process.exit(1);
+}
+
+try {
+    const store = new FeedbackStore(path.join(args.modelPath, 'feedback'));
+    const entry = store.recordVerdict(analysisId, verdict, { analyst: args.analyst, notes: args.notes });
+    console.log(`⚖️ Recorded ${entry.verdict} for analysis ${entry.analysisId}`);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
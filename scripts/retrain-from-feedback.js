@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Retrain the fraud detector from analyst-labelled analyses and register the
+ * result as a challenger (promote it once its shadow scores look right)
+ *
+ * Scoring settings follow TEST_ENV (see test/data/environments/).
+ *
+ * Usage: node scripts/retrain-from-feedback.js [--min-samples=20] [--calibrate] [--model-path=test/models]
+ */
+const path = require('path');
+const MLFraudDetector = require('../test/utils/ml-fraud-detector');
+// config.util is an ES module shared with the WebdriverIO specs
+require('@babel/register');
+const ConfigUtil = require('../test/utils/config.util.js').default;
+
+function parseArgs(argv) {
+    const args = { minSamples: 20, calibrate: false, modelPath: path.join(__dirname, '../test/models') };
+    argv.forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'min-samples') args.minSamples = parseInt(value, 10);
+        if (key === 'calibrate') args.calibrate = true;
+        if (key === 'model-path') args.modelPath = path.resolve(value);
+    });
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const detector = new MLFraudDetector({ ...ConfigUtil.getScoringSettings(), modelPath: args.modelPath });
+    await detector.modelsReady;
+
+    const result = await detector.retrainFromFeedback({
+        minSamples: args.minSamples,
+        calibrate: args.calibrate
+    });
+
+    console.log(`🔄 Registered challenger ${result.modelId}`);
+    console.log(JSON.stringify(result.metrics, null, 2));
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
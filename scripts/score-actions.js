@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Batch-score user-action logs with MLFraudDetector
+ *
+ * Reads JSONL or CSV action logs, groups the actions by user, analyzes each
+ * user's stream and writes one scored analysis per line, then prints a
+ * summary table. Scoring settings follow TEST_ENV (see test/data/environments/).
+ * Pass --record to also log every analysis to the feedback store for retraining.
+ *
+ * Usage: node scripts/score-actions.js <file.jsonl|file.csv> [...more files]
+ *            [--output=test-results/scoring/scores.jsonl] [--user-field=userId]
+ *            [--model-path=test/models] [--record]
+ */
+const path = require('path');
+const fs = require('fs');
+const MLFraudDetector = require('../test/utils/ml-fraud-detector');
+// config.util is an ES module shared with the WebdriverIO specs
+require('@babel/register');
+const ConfigUtil = require('../test/utils/config.util.js').default;
+const readActionLog = require('../test/utils/action-log');
+const { groupByUser } = require('../test/utils/action-log');
+
+const RISK_LEVELS = ['critical', 'high', 'medium', 'low', 'very_low', 'unknown'];
+
+function parseArgs(argv) {
+    const args = {
+        inputs: [],
+        userField: 'userId',
+        record: false,
+        modelPath: path.join(__dirname, '../test/models'),
+        output: path.join(__dirname, '../test-results/scoring', `scores-${Date.now()}.jsonl`)
+    };
+    argv.forEach(arg => {
+        if (!arg.startsWith('--')) {
+            args.inputs.push(path.resolve(arg));
+            return;
+        }
+        const [key, ...rest] = arg.slice(2).split('=');
+        const value = rest.join('=');
+        if (key === 'output') args.output = path.resolve(value);
+        if (key === 'user-field') args.userField = value;
+        if (key === 'model-path') args.modelPath = path.resolve(value);
+        if (key === 'record') args.record = true;
+    });
+    return args;
+}
+
+function summaryRow(userId, actions, analysis) {
+    const topReason = analysis.explanation?.contributions?.find(contribution => contribution.contribution > 0);
+    return {
+        userId,
+        actions: actions.length,
+        riskLevel: analysis.riskLevel,
+        score: analysis.confidenceScore === null ? null : Number(analysis.confidenceScore.toFixed(3)),
+        topReason: topReason ? topReason.reasonCode : '-'
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.inputs.length === 0) {
+        throw new Error('Usage: node scripts/score-actions.js <file.jsonl|file.csv> [...] [--output=path] [--user-field=userId] [--record]');
+    }
+
+    const records = args.inputs.flatMap(input => readActionLog(input, { userField: args.userField }));
+    const groups = groupByUser(records, args.userField);
+    console.log(`📥 ${records.length} records from ${args.inputs.length} file(s), ${groups.size} user(s)`);
+
+    const detector = new MLFraudDetector({
+        ...ConfigUtil.getScoringSettings(),
+        modelPath: args.modelPath,
+        recordAnalyses: args.record
+    });
+    await detector.modelsReady;
+
+    fs.mkdirSync(path.dirname(args.output), { recursive: true });
+    const output = fs.openSync(args.output, 'w');
+    const rows = [];
+
+    try {
+        for (const [userId, actions] of groups) {
+            const analysis = await detector.analyzeUserBehavior(actions, userId);
+            fs.writeSync(output, JSON.stringify({ ...analysis, userId, actionCount: actions.length }) + '\n');
+            rows.push(summaryRow(userId, actions, analysis));
+        }
+    } finally {
+        fs.closeSync(output);
+        await detector.close();
+    }
+
+    rows.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+    console.table(rows);
+
+    const counts = RISK_LEVELS
+        .map(level => [level, rows.filter(row => row.riskLevel === level).length])
+        .filter(([, count]) => count > 0)
+        .map(([level, count]) => `${level}: ${count}`);
+    console.log(`📊 ${counts.join(', ')}`);
+    console.log(`💾 Scores written to ${args.output}`);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Refresh the proxy/VPN detection datasets from a directory of downloaded files
+ *
+ * Usage: node scripts/update-ip-datasets.js <sourceDir> [--dataset-path=test/data/ip-intelligence]
+ *
+ * The directory may hold any of hosting-ranges.txt, vpn-ranges.txt,
+ * tor-exit-nodes.txt, asn-prefixes.tsv and asn-categories.tsv. Each file is
+ * validated before any is replaced; files it does not hold are kept.
+ */
+const path = require('path');
+const { updateDatasets } = require('../test/utils/proxy-vpn-detector');
+
+function parseArgs(argv) {
+    const args = { positional: [], datasetPath: path.join(__dirname, '../test/data/ip-intelligence') };
+    argv.forEach(arg => {
+        if (!arg.startsWith('--')) {
+            args.positional.push(arg);
+            return;
+        }
+        const [key, ...rest] = arg.slice(2).split('=');
+        if (key === 'dataset-path') args.datasetPath = path.resolve(rest.join('='));
+    });
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const [sourceDir] = args.positional;
+
+if (!sourceDir) {
+    console.error('Usage: node scripts/update-ip-datasets.js <sourceDir> [--dataset-path=test/data/ip-intelligence]');
+    process.exit(1);
+}
+
+try {
+    const manifest = updateDatasets(path.resolve(sourceDir), args.datasetPath);
+    Object.entries(manifest.files)
+        .filter(([, file]) => file.updatedAt === manifest.updatedAt)
+        .forEach(([name, file]) => console.log(`🌐 ${name}: ${file.entries} entries`));
+    console.log(`✅ IP datasets in ${args.datasetPath} updated at ${manifest.updatedAt}`);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -67,6 +67,13 @@ export const envSettings = {
         ipChange: 2000              // Time between IP changes in ms
     },
     
+    // Overrides of MLFraudDetector's scoring defaults. Risk bands sit 0.05-0.1
+    // below the defaults so development runs surface borderline sessions as
+    // alerts to look at, at the cost of more false positives
+    scoring: {
+        riskThresholds: { low: 0.2, medium: 0.5, high: 0.7, critical: 0.85 }
+    },
+    
     // Test data generation settings
     dataGeneration: {
         userCount: 5,               // Number of users to generate
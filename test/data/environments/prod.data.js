@@ -67,6 +67,12 @@ export const envSettings = {
         ipChange: 5000              // Time between IP changes in ms
     },
     
+    // Overrides of MLFraudDetector's scoring defaults. Risk bands sit 0.05
+    // above the defaults to keep false positives low on real traffic
+    scoring: {
+        riskThresholds: { low: 0.35, medium: 0.65, high: 0.85, critical: 0.95 }
+    },
+    
     // Test data generation settings
     dataGeneration: {
         userCount: 20,              // Number of users to generate
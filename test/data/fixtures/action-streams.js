@@ -0,0 +1,205 @@
+/**
+ * Fixture user-action streams for feature extraction tests
+ *
+ * Each builder returns a deterministic stream that follows the action schema
+ * documented in test/utils/feature-extractor.js.
+ */
+
+const SESSION_START = Date.parse('2024-03-02T14:00:00.000Z');
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278, country: 'GB' };
+const MADRID = { latitude: 40.4168, longitude: -3.7038, country: 'ES' };
+const NEW_YORK = { latitude: 40.7128, longitude: -74.0060, country: 'US' };
+
+/**
+ * Curved, uneven pointer stroke from (x0, y0) to (x1, y1)
+ */
+function curvedStroke(start, x0, y0, x1, y1, points = 12) {
+    const actions = [];
+    let time = start;
+    for (let i = 0; i <= points; i++) {
+        const t = i / points;
+        actions.push({
+            type: 'mouse_move',
+            timestamp: time,
+            x: Math.round(x0 + (x1 - x0) * t),
+            y: Math.round(y0 + (y1 - y0) * t + Math.sin(t * Math.PI) * 60)
+        });
+        time += 12 + (i % 4) * 9;
+    }
+    return actions;
+}
+
+/**
+ * Perfectly straight, evenly sampled pointer stroke
+ */
+function linearStroke(start, x0, y0, x1, y1, points = 12) {
+    const actions = [];
+    for (let i = 0; i <= points; i++) {
+        const t = i / points;
+        actions.push({
+            type: 'mouse_move',
+            timestamp: start + i * 10,
+            x: x0 + (x1 - x0) * t,
+            y: y0 + (y1 - y0) * t
+        });
+    }
+    return actions;
+}
+
+/**
+ * Key down/up pairs for a string; dwell/flight come from the given functions
+ */
+function typeText(start, text, dwellOf, flightOf) {
+    const actions = [];
+    let time = start;
+    text.split('').forEach((key, i) => {
+        actions.push({ type: 'key_down', timestamp: time, key });
+        time += dwellOf(i);
+        actions.push({ type: 'key_up', timestamp: time, key });
+        time += flightOf(i);
+    });
+    return actions;
+}
+
+/**
+ * A relaxed evening session from an established customer
+ */
+function humanBettingSession() {
+    const t = SESSION_START;
+    return [
+        { type: 'login', timestamp: t, ipAddress: '81.2.69.160', deviceId: 'pixel-7-a1', location: LONDON, success: true },
+        ...typeText(t + 2000, 'Password123', i => 80 + (i * 37) % 60, i => 120 + (i * 53) % 140),
+        ...curvedStroke(t + 9000, 100, 400, 620, 180),
+        { type: 'click', timestamp: t + 9500, x: 620, y: 180, pressure: 0.42, duration: 95 },
+        { type: 'scroll', timestamp: t + 15000, deltaY: 120 },
+        { type: 'scroll', timestamp: t + 15400, deltaY: 90 },
+        { type: 'scroll', timestamp: t + 16100, deltaY: -40 },
+        { type: 'deposit', timestamp: t + 60000, amount: 45, method: 'debit_card' },
+        { type: 'bet_placed', timestamp: t + 240000, amount: 20, odds: 2.1, eventId: 'rm-fcb', market: 'match_winner', selection: 'home', outcome: 'lost' },
+        ...curvedStroke(t + 300000, 620, 180, 300, 520),
+        { type: 'click', timestamp: t + 300600, x: 300, y: 520, pressure: 0.51, duration: 120 },
+        { type: 'bet_placed', timestamp: t + 620000, amount: 15, odds: 3.4, eventId: 'liv-mun', market: 'match_winner', selection: 'draw', outcome: 'won' },
+        { type: 'bet_placed', timestamp: t + 1100000, amount: 25, odds: 1.9, eventId: 'lal-gsw', market: 'moneyline', selection: 'away', outcome: 'lost' },
+        { type: 'logout', timestamp: t + 1500000 }
+    ];
+}
+
+/**
+ * Scripted account draining a bonus through rapid, uniform bets
+ */
+function botBettingSession() {
+    const t = SESSION_START;
+    const actions = [
+        { type: 'login', timestamp: t, ipAddress: '185.220.101.4', deviceId: 'emulator-1', location: LONDON, success: false, vpn: true },
+        { type: 'login', timestamp: t + 500, ipAddress: '185.220.101.9', deviceId: 'emulator-2', location: LONDON, success: true, vpn: true },
+        ...typeText(t + 1000, 'Password123', () => 40, () => 30),
+        ...linearStroke(t + 2000, 0, 0, 600, 300),
+        { type: 'click', timestamp: t + 2200, x: 600, y: 300, pressure: 0.5, duration: 50 },
+        ...linearStroke(t + 2400, 600, 300, 100, 100),
+        { type: 'click', timestamp: t + 2600, x: 100, y: 100, pressure: 0.5, duration: 50 },
+        { type: 'location_change', timestamp: t + 60000, location: NEW_YORK },
+        { type: 'location_change', timestamp: t + 90000, location: MADRID },
+        { type: 'deposit', timestamp: t + 3000, amount: 1000, method: 'crypto' },
+        { type: 'deposit', timestamp: t + 4000, amount: 2000, method: 'prepaid_card' },
+        { type: 'withdrawal', timestamp: t + 200000, amount: 2900, method: 'crypto' }
+    ];
+
+    for (let i = 0; i < 10; i++) {
+        actions.push({
+            type: 'bet_placed',
+            timestamp: t + 5000 + i * 3000,
+            amount: 500,
+            odds: 1.5,
+            eventId: `evt-${i}`,
+            market: 'match_winner',
+            selection: 'home',
+            outcome: i % 3 === 0 ? 'lost' : 'won'
+        });
+    }
+
+    return actions;
+}
+
+/**
+ * Bets that are uniform apart from a couple of huge outliers
+ */
+function outlierStakeSession() {
+    const stakes = [20, 22, 19, 21, 20, 18, 5000, 20, 23, 4800];
+    return stakes.map((amount, i) => ({
+        type: 'bet_placed',
+        timestamp: SESSION_START + i * 600000,
+        amount,
+        odds: 2.0,
+        eventId: `evt-${i}`,
+        market: 'match_winner'
+    }));
+}
+
+/**
+ * Two-way arbitrage: both sides of each moneyline at combined odds under
+ * 100%, stakes sized by a calculator and taken before the odds shortened
+ */
+function arbitrageBettingSession() {
+    const t = SESSION_START;
+    const prices = [[2.25, 1.90], [2.40, 1.80], [3.10, 1.55], [2.05, 2.08]];
+    const actions = [
+        { type: 'login', timestamp: t, ipAddress: '81.2.69.142', deviceId: 'macbook-arb', location: LONDON, success: true },
+        { type: 'deposit', timestamp: t + 20000, amount: 600, method: 'bank_transfer' }
+    ];
+
+    prices.forEach(([homeOdds, awayOdds], i) => {
+        const bookPercentage = 1 / homeOdds + 1 / awayOdds;
+        const totalStake = 100 + i * 20;
+
+        [['home', homeOdds], ['away', awayOdds]].forEach(([selection, odds], k) => {
+            actions.push({
+                type: 'bet_placed',
+                timestamp: t + 60000 + i * 180000 + k * 4000,
+                amount: Math.round(totalStake * (1 / odds) / bookPercentage * 100) / 100,
+                odds,
+                closingOdds: Number((odds * 0.94).toFixed(2)),
+                eventId: `arb-${i}`,
+                market: 'moneyline',
+                selection,
+                outcome: (i % 2 === 0) === (selection === 'home') ? 'won' : 'lost'
+            });
+        });
+    });
+
+    return actions;
+}
+
+/**
+ * Matched betting inside one book: a qualifying bet on a boosted price,
+ * hedged by a correlated double-chance selection, and nothing else
+ */
+function matchedBettingSession() {
+    const t = SESSION_START;
+    const actions = [
+        { type: 'login', timestamp: t, ipAddress: '81.2.69.150', deviceId: 'iphone-mb', location: MADRID, success: true },
+        { type: 'deposit', timestamp: t + 15000, amount: 50, method: 'debit_card' }
+    ];
+
+    ['rma-sev', 'bar-val', 'atm-bet'].forEach((eventId, i) => {
+        const start = t + 60000 + i * 900000;
+        actions.push(
+            { type: 'bet_placed', timestamp: start, amount: 10, odds: 3.0, promotion: 'price_boost', eventId, market: 'match_winner', selection: 'home', correlationGroup: eventId, outcome: 'lost' },
+            { type: 'bet_placed', timestamp: start + 45000, amount: 20, odds: 1.5, promotion: 'price_boost', eventId, market: 'double_chance', selection: 'draw_or_away', correlationGroup: eventId, outcome: 'won' }
+        );
+    });
+
+    return actions;
+}
+
+module.exports = {
+    SESSION_START,
+    humanBettingSession,
+    botBettingSession,
+    outlierStakeSession,
+    arbitrageBettingSession,
+    matchedBettingSession,
+    curvedStroke,
+    linearStroke,
+    typeText
+};
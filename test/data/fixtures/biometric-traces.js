@@ -0,0 +1,444 @@
+/**
+ * Fixture input traces for behavioral biometrics tests
+ *
+ * Events use the shape BehavioralBiometricsAnalyzer stores for a session
+ * ({ type, timestamp, x, y, button }), so they can be fed straight to the
+ * individual analyzers. Human traces follow the motor patterns seen in
+ * recorded sessions; scripted traces mimic automation drivers. All builders
+ * are deterministic.
+ */
+
+const TRACE_START = Date.parse('2024-03-02T14:00:00.000Z');
+
+// Odds buttons a punter clicks through while building a bet slip
+const BET_SLIP_TARGETS = [
+    { x: 420, y: 210 },
+    { x: 180, y: 380 },
+    { x: 610, y: 330 }
+];
+
+/**
+ * Minimum-jerk reach from one point to another, bowed off the straight line
+ * and with a little hand tremor, sampled roughly every 9ms
+ */
+function humanReach(events, start, from, to, duration, bow, tremorPhase = 0) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    const normal = { x: -dy / length, y: dx / length };
+    const samples = Math.max(4, Math.round(duration / 9));
+
+    for (let i = 1; i <= samples; i++) {
+        const t = i / samples;
+        const progress = 10 * Math.pow(t, 3) - 15 * Math.pow(t, 4) + 6 * Math.pow(t, 5);
+        const offset = Math.sin(Math.PI * t) * bow + Math.sin(i * 2.3 + tremorPhase) * 0.4;
+        events.push({
+            type: 'mousemove',
+            timestamp: start + Math.round(duration * t) + (i < samples ? (i % 3) - 1 : 0),
+            x: Math.round(from.x + dx * progress + normal.x * offset),
+            y: Math.round(from.y + dy * progress + normal.y * offset)
+        });
+    }
+    return start + duration;
+}
+
+/**
+ * A person clicking through the bet slip: curved ballistic reaches that
+ * overshoot, a corrective movement back onto the button, uneven pauses and
+ * button dwell. Later repetitions vary the reaches the way one person's
+ * movements vary from visit to visit; repetition 0 is the reference trace
+ */
+function humanMouseTrace(start = TRACE_START, repetition = 0) {
+    const events = [];
+    const hesitations = [60, 150, 240];
+    const settles = [180, 260, 140];
+    const dwells = [96, 124, 88];
+    let position = { x: 40, y: 60 };
+    let time = start;
+
+    events.push({ type: 'mousemove', timestamp: time, ...position });
+
+    BET_SLIP_TARGETS.forEach((target, k) => {
+        const wobble = label => (repetition === 0 ? 0 : habitOf(`${label}:${k}`, repetition));
+        const overshoot = {
+            x: target.x + (target.x - position.x) * (0.06 + wobble('overshoot') * 0.03),
+            y: target.y + (target.y - position.y) * (0.06 + wobble('overshoot') * 0.03)
+        };
+
+        time = humanReach(events, time, position, overshoot, 420 + k * 60 + Math.round(wobble('reach') * 50), 26 + k * 8 + wobble('bow') * 14, repetition);
+        time += hesitations[k];
+        time = humanReach(events, time, overshoot, target, 160 + k * 20, 2, repetition);
+        time += settles[k];
+
+        events.push({ type: 'mousedown', timestamp: time, x: target.x, y: target.y, button: 0 });
+        time += dwells[k];
+        events.push({ type: 'mouseup', timestamp: time, x: target.x, y: target.y, button: 0 });
+        time += 350 + k * 120;
+        position = target;
+    });
+
+    return events;
+}
+
+/**
+ * An automation driver clicking the same buttons: straight lines at
+ * constant speed, fixed sampling, fixed pauses and instant clicks
+ */
+function scriptedMouseTrace(start = TRACE_START) {
+    const events = [];
+    let position = { x: 40, y: 60 };
+    let time = start;
+
+    events.push({ type: 'mousemove', timestamp: time, ...position });
+
+    BET_SLIP_TARGETS.forEach(target => {
+        const steps = 20;
+        for (let i = 1; i <= steps; i++) {
+            time += 10;
+            events.push({
+                type: 'mousemove',
+                timestamp: time,
+                x: position.x + (target.x - position.x) * i / steps,
+                y: position.y + (target.y - position.y) * i / steps
+            });
+        }
+
+        time += 50;
+        events.push({ type: 'mousedown', timestamp: time, x: target.x, y: target.y, button: 0 });
+        time += 10;
+        events.push({ type: 'mouseup', timestamp: time, x: target.x, y: target.y, button: 0 });
+        time += 500;
+        position = target;
+    });
+
+    return events;
+}
+
+const LOGIN_PASSWORD = 'Gooner1886!';
+
+/**
+ * Typists for the login form. Both type at a similar overall pace; what
+ * tells them apart is their per-key hold and per-digraph latency habits
+ */
+const TYPISTS = {
+    accountHolder: { hold: 92, holdSpread: 25, latency: 150, latencySpread: 70, seed: 3 },
+    impostor: { hold: 88, holdSpread: 25, latency: 165, latencySpread: 70, seed: 11 }
+};
+
+/**
+ * Stable habit of a typist for one key or key pair, in [-1, 1]
+ */
+function habitOf(label, seed) {
+    let hash = seed * 31;
+    for (const char of label) {
+        hash = (hash * 33 + char.charCodeAt(0)) % 100003;
+    }
+    return Math.sin(hash);
+}
+
+/**
+ * One entry of a password: key down/up events with the typist's habits
+ * plus a few ms of repetition-to-repetition wobble
+ */
+function typePassword(start, typist, repetition = 0, text = LOGIN_PASSWORD) {
+    const events = [];
+    let time = start;
+
+    text.split('').forEach((key, i) => {
+        const wobble = Math.sin((i + 1) * (repetition + 1) * 1.9) * 6;
+        const hold = typist.hold + habitOf(key, typist.seed) * typist.holdSpread + wobble;
+        events.push({ type: 'keydown', timestamp: Math.round(time), key });
+        events.push({ type: 'keyup', timestamp: Math.round(time + hold), key });
+
+        if (i < text.length - 1) {
+            const latency = typist.latency + habitOf(key + text[i + 1], typist.seed) * typist.latencySpread + wobble;
+            // A doubled key has to come up before it can go down again
+            time += text[i + 1] === key ? Math.max(latency, hold + 40) : latency;
+        }
+    });
+
+    return events.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Several password entries, a few seconds apart
+ */
+function loginTypingSession(start, typist, entries = 3, firstRepetition = 0) {
+    const events = [];
+    for (let i = 0; i < entries; i++) {
+        events.push(...typePassword(start + i * 5000, typist, firstRepetition + i));
+    }
+    return events;
+}
+
+/**
+ * Hands on the mobile app: contact size and force, and tap, hold and swipe
+ * habits. The automation driver reports constant force and contact size
+ */
+const HANDS = {
+    accountHolder: { force: 0.42, radius: 11, tapHold: 95, longPress: 650, swipeDuration: 260, gap: 800, seed: 5 },
+    impostor: { force: 0.64, radius: 8, tapHold: 140, longPress: 820, swipeDuration: 170, gap: 650, seed: 13 }
+};
+
+function touchPoint(identifier, x, y, contact) {
+    return {
+        identifier,
+        clientX: Math.round(x),
+        clientY: Math.round(y),
+        radiusX: contact.radius,
+        radiusY: contact.radius * 0.85,
+        rotationAngle: 0,
+        force: contact.force
+    };
+}
+
+/**
+ * Touch events for one finger following positionAt(t) for t in [0, 1],
+ * with contact (force, radius) from contactAt(t), sampled every ~16ms
+ */
+function fingerGesture(start, duration, positionAt, contactAt) {
+    const point = t => {
+        const position = positionAt(t);
+        return touchPoint(0, position.x, position.y, contactAt(t));
+    };
+
+    const events = [{ type: 'touchstart', timestamp: start, touches: [point(0)], changedTouches: [point(0)] }];
+    const samples = Math.max(1, Math.round(duration / 16));
+    for (let i = 1; i < samples; i++) {
+        const t = i / samples;
+        events.push({ type: 'touchmove', timestamp: start + Math.round(duration * t), touches: [point(t)], changedTouches: [point(t)] });
+    }
+    events.push({ type: 'touchend', timestamp: start + duration, touches: [], changedTouches: [point(1)] });
+    return events;
+}
+
+/**
+ * Two fingers spreading from fromSpread to toSpread px around a centre; the
+ * second finger lands landingGap ms after the first and lifts first
+ */
+function pinchGesture(start, duration, center, fromSpread, toSpread, contactAt, landingGap = 0) {
+    const fingers = t => {
+        const half = (fromSpread + (toSpread - fromSpread) * t) / 2;
+        const contact = contactAt(t);
+        return [
+            touchPoint(0, center.x - half * 0.8, center.y + half * 0.6, contact),
+            touchPoint(1, center.x + half * 0.8, center.y - half * 0.6, contact)
+        ];
+    };
+
+    const events = [{ type: 'touchstart', timestamp: start, touches: [fingers(0)[0]], changedTouches: [fingers(0)[0]] }];
+    if (landingGap > 0) {
+        events.push({ type: 'touchstart', timestamp: start + landingGap, touches: fingers(0), changedTouches: [fingers(0)[1]] });
+    } else {
+        events[0] = { type: 'touchstart', timestamp: start, touches: fingers(0), changedTouches: fingers(0) };
+    }
+
+    const samples = Math.max(1, Math.round((duration - landingGap) / 16));
+    for (let i = 1; i < samples; i++) {
+        const t = i / samples;
+        events.push({ type: 'touchmove', timestamp: start + landingGap + Math.round((duration - landingGap) * t), touches: fingers(t), changedTouches: fingers(t) });
+    }
+
+    const [first, second] = fingers(1);
+    events.push({ type: 'touchend', timestamp: start + duration, touches: [first], changedTouches: [second] });
+    events.push({ type: 'touchend', timestamp: start + duration + 20, touches: [], changedTouches: [first] });
+    return events;
+}
+
+/**
+ * A slice of a minimum-jerk reach: the finger is already moving when it lands
+ * and still moving when it lifts off, with the speed peak in between
+ */
+function flickProgress(t) {
+    const minimumJerk = u => 10 * Math.pow(u, 3) - 15 * Math.pow(u, 4) + 6 * Math.pow(u, 5);
+    return (minimumJerk(0.15 + 0.7 * t) - minimumJerk(0.15)) / (minimumJerk(0.85) - minimumJerk(0.15));
+}
+
+/**
+ * Browsing the odds list on the phone: scroll swipes, taps on odds and
+ * stake buttons, a long press for market options, a pinch on the stats
+ * chart and a swipe to dismiss the bet slip
+ */
+function humanTouchSession(start, hand, repetition = 0) {
+    const events = [];
+    let time = start;
+    let step = 0;
+
+    const habit = label => habitOf(`${label}:${step}:${repetition}`, hand.seed);
+    const contact = t => ({
+        force: hand.force * (0.8 + 0.2 * Math.sin(Math.PI * t)) + habit('force') * 0.03,
+        radius: hand.radius + Math.sin(Math.PI * t) * 1.2
+    });
+    const next = gestureEvents => {
+        events.push(...gestureEvents);
+        time = gestureEvents[gestureEvents.length - 1].timestamp + hand.gap + Math.round(habit('gap') * 250);
+        step++;
+    };
+    // No two swipes land, lift or curve in quite the same place
+    const swipe = (from, to, duration, bow) => {
+        const reach = 1 + habit('reach') * 0.08;
+        const curve = bow + habit('bow') * 8;
+        return fingerGesture(time, duration, t => ({
+            x: from.x + (to.x - from.x) * reach * flickProgress(t) + Math.sin(Math.PI * t) * curve,
+            y: from.y + (to.y - from.y) * reach * flickProgress(t)
+        }), contact);
+    };
+    const press = (at, duration) => fingerGesture(time, duration, t => ({
+        x: at.x + t * 2,
+        y: at.y + Math.sin(Math.PI * t) * 1.5
+    }), contact);
+
+    next(swipe({ x: 200, y: 620 }, { x: 215, y: 260 }, hand.swipeDuration + Math.round(habit('swipe') * 30), 12));
+    next(swipe({ x: 190, y: 600 }, { x: 200, y: 330 }, hand.swipeDuration - 20 + Math.round(habit('swipe') * 30), 9));
+    next(press({ x: 300, y: 410 }, hand.tapHold + Math.round(habit('tap') * 15)));
+    next(swipe({ x: 210, y: 640 }, { x: 230, y: 200 }, hand.swipeDuration + 30 + Math.round(habit('swipe') * 30), 15));
+    next(press({ x: 120, y: 380 }, hand.tapHold + Math.round(habit('tap') * 15)));
+    next(press({ x: 260, y: 700 }, hand.longPress + Math.round(habit('hold') * 60)));
+    next(pinchGesture(time, 420 + Math.round(habit('pinch') * 40), { x: 200, y: 300 }, 60, 180 + Math.round(habit('spread') * 40), contact, 35 + Math.round(habit('landing') * 15)));
+    next(press({ x: 150, y: 520 }, hand.tapHold + Math.round(habit('tap') * 15)));
+    next(press({ x: 250, y: 520 }, hand.tapHold + Math.round(habit('tap') * 15)));
+    next(swipe({ x: 330, y: 450 }, { x: 60, y: 440 }, hand.swipeDuration + Math.round(habit('swipe') * 30), 5));
+
+    return events;
+}
+
+/**
+ * The same flow driven through an automation driver: linear constant-speed
+ * swipes, fixed-length taps, both pinch fingers together, fixed pauses
+ */
+function scriptedTouchSession(start = TRACE_START) {
+    const events = [];
+    let time = start;
+    const contact = () => ({ force: 1, radius: 1 });
+    const next = gestureEvents => {
+        events.push(...gestureEvents);
+        time = gestureEvents[gestureEvents.length - 1].timestamp + 1000;
+    };
+    const swipe = (from, to) => fingerGesture(time, 200, t => ({
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t
+    }), contact);
+    const press = (at, duration) => fingerGesture(time, duration, () => at, contact);
+
+    next(swipe({ x: 200, y: 620 }, { x: 200, y: 260 }));
+    next(swipe({ x: 200, y: 620 }, { x: 200, y: 260 }));
+    next(press({ x: 300, y: 410 }, 50));
+    next(swipe({ x: 200, y: 620 }, { x: 200, y: 260 }));
+    next(press({ x: 120, y: 380 }, 50));
+    next(press({ x: 260, y: 700 }, 1000));
+    next(pinchGesture(time, 400, { x: 200, y: 300 }, 60, 180, contact));
+    next(press({ x: 150, y: 520 }, 50));
+    next(press({ x: 250, y: 520 }, 50));
+    next(swipe({ x: 330, y: 450 }, { x: 60, y: 450 }));
+
+    return events;
+}
+
+/**
+ * Readers of the odds list: how hard they fling the wheel or trackpad, how
+ * fast the page coasts to a stop, and how long they read before the next
+ * fling or before clicking a selection
+ */
+const READERS = {
+    accountHolder: { peakVelocity: 1800, decayRate: 7, pause: 2200, dwell: 900, seed: 7 },
+    impostor: { peakVelocity: 3200, decayRate: 4, pause: 1100, dwell: 420, seed: 17 }
+};
+
+/**
+ * Inertial wheel fling: speed builds over three frames, then coasts down as
+ * v(t) = peak·e^(−decayRate·t) until under 60px/s. Positive direction is down
+ */
+function wheelFling(start, direction, peakVelocity, decayRate) {
+    const frame = 16;
+    const events = [];
+    let time = start;
+    const push = velocity => {
+        events.push({ type: 'wheel', timestamp: time, deltaY: direction * Math.max(1, Math.round(velocity * frame / 1000)), deltaMode: 0 });
+        time += frame;
+    };
+
+    [0.35, 0.7, 1].forEach(share => push(peakVelocity * share));
+    for (let velocity = peakVelocity * Math.exp(-decayRate * frame / 1000); velocity > 60; velocity *= Math.exp(-decayRate * frame / 1000)) {
+        push(velocity);
+    }
+    return events;
+}
+
+// Flings and clicks while browsing markets: read, scroll back up once, pick a selection
+const SCROLL_PLAN = ['down', 'down', 'click', 'down', 'up', 'click', 'down', 'down', 'down', 'click'];
+
+/**
+ * Browsing the odds list with a wheel or trackpad. Clicks come a reading
+ * dwell after the page settles
+ */
+function humanScrollSession(start, reader, repetition = 0) {
+    const events = [];
+    let time = start;
+
+    SCROLL_PLAN.forEach((step, i) => {
+        const habit = label => habitOf(`${label}:${i}:${repetition}`, reader.seed);
+
+        if (step === 'click') {
+            const clickTime = time + reader.dwell + Math.round(habit('dwell') * 150);
+            events.push({ type: 'click', timestamp: clickTime });
+            time = clickTime + Math.round(reader.pause / 2);
+            return;
+        }
+
+        const fling = wheelFling(
+            time,
+            step === 'down' ? 1 : -1,
+            reader.peakVelocity * (step === 'down' ? 1 : 0.6) * (1 + habit('speed') * 0.15),
+            reader.decayRate * (1 + habit('decay') * 0.1)
+        );
+        events.push(...fling);
+        time = fling[fling.length - 1].timestamp;
+        if (SCROLL_PLAN[i + 1] !== 'click') time += reader.pause + Math.round(habit('pause') * 400);
+    });
+
+    return events;
+}
+
+/**
+ * The same flow driven through an automation driver: scrollBy in equal
+ * steps at a constant speed, fixed pauses, and clicks 50ms after scrolling
+ */
+function scriptedScrollSession(start = TRACE_START) {
+    const events = [];
+    let time = start;
+
+    SCROLL_PLAN.forEach((step, i) => {
+        if (step === 'click') {
+            events.push({ type: 'click', timestamp: time + 50 });
+            time += 1000;
+            return;
+        }
+
+        for (let frame = 0; frame < 5; frame++) {
+            events.push({ type: 'wheel', timestamp: time + frame * 16, deltaY: step === 'down' ? 120 : -120, deltaMode: 0 });
+        }
+        time += 4 * 16;
+        if (SCROLL_PLAN[i + 1] !== 'click') time += 1000;
+    });
+
+    return events;
+}
+
+module.exports = {
+    TRACE_START,
+    BET_SLIP_TARGETS,
+    LOGIN_PASSWORD,
+    TYPISTS,
+    HANDS,
+    READERS,
+    humanMouseTrace,
+    scriptedMouseTrace,
+    typePassword,
+    loginTypingSession,
+    fingerGesture,
+    pinchGesture,
+    humanTouchSession,
+    scriptedTouchSession,
+    humanScrollSession,
+    scriptedScrollSession
+};
@@ -12,7 +12,16 @@ export const normalUsers = [
         riskFactor: 'low',
         bettingFrequency: 'moderate',
         averageStake: 50,
-        location: 'United States'
+        location: 'United States',
+        // Quick, practised typist on a phone
+        motorModel: {
+            seed: 1101,
+            dwell: 85,
+            flight: 120,
+            typoRate: 0.03,
+            thinkTime: 1100,
+            swipeDuration: 240
+        }
     },
     {
         username: 'normal_user2',
@@ -21,7 +30,19 @@ export const normalUsers = [
         riskFactor: 'low',
         bettingFrequency: 'low',
         averageStake: 25,
-        location: 'Canada'
+        location: 'Canada',
+        // Slower, careful hunt-and-peck typist who reads before acting
+        motorModel: {
+            seed: 2202,
+            dwell: 120,
+            dwellSpread: 0.3,
+            flight: 260,
+            flightSpread: 0.5,
+            typoRate: 0.01,
+            thinkTime: 2200,
+            tapHold: 130,
+            swipeDuration: 360
+        }
     }
 ];
 
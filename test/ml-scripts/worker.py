@@ -0,0 +1,101 @@
+"""Long-lived model worker for test/utils/python-bridge.js.
+
+Reads one JSON request per line from stdin and writes one JSON response per
+line to stdout:
+
+    request:  {"id": "7", "script": "model.py", "payload": {...}}
+    success:  {"id": "7", "ok": true, "result": {"score": 0.42, ...}}
+    failure:  {"id": "7", "ok": false, "error": {"code": "...", "message": "...", "traceback": "..."}}
+
+A script is a module in the script directory exposing ``predict(payload)``.
+It is imported once and reused for later requests. ``predict`` may return a
+number (wrapped as ``{"score": n}``) or a dict, which is passed through
+unchanged so scripts can add attributions, model versions and so on.
+Anything a script prints goes to stderr so it cannot corrupt the protocol.
+"""
+
+import contextlib
+import importlib.util
+import json
+import os
+import sys
+import traceback
+
+SCRIPT_DIR = os.path.abspath(sys.argv[1] if len(sys.argv) > 1 else os.path.dirname(__file__))
+_modules = {}
+
+
+class WorkerError(Exception):
+    def __init__(self, code, message):
+        super().__init__(message)
+        self.code = code
+
+
+def load_script(name):
+    if name in _modules:
+        return _modules[name]
+
+    if not isinstance(name, str) or os.path.basename(name) != name or not name.endswith('.py'):
+        raise WorkerError('INVALID_REQUEST', 'script must be a .py file name inside the script directory')
+
+    path = os.path.join(SCRIPT_DIR, name)
+    if not os.path.isfile(path):
+        raise WorkerError('SCRIPT_NOT_FOUND', '%s not found in %s' % (name, SCRIPT_DIR))
+
+    spec = importlib.util.spec_from_file_location('ml_script_' + name[:-3], path)
+    module = importlib.util.module_from_spec(spec)
+    with contextlib.redirect_stdout(sys.stderr):
+        spec.loader.exec_module(module)
+
+    if not callable(getattr(module, 'predict', None)):
+        raise WorkerError('SCRIPT_ERROR', '%s does not define predict(payload)' % name)
+
+    _modules[name] = module
+    return module
+
+
+def handle(request):
+    module = load_script(request.get('script'))
+    with contextlib.redirect_stdout(sys.stderr):
+        result = module.predict(request.get('payload'))
+
+    if isinstance(result, bool) or not isinstance(result, (int, float, dict)):
+        raise WorkerError('INVALID_RESPONSE', 'predict() must return a number or a dict')
+    if not isinstance(result, dict):
+        result = {'score': float(result)}
+    return result
+
+
+def respond(out, message):
+    out.write(json.dumps(message) + '\n')
+    out.flush()
+
+
+def main():
+    out = sys.stdout
+
+    for line in sys.stdin:
+        if not line.strip():
+            continue
+
+        try:
+            request = json.loads(line)
+            request_id = request['id']
+        except (ValueError, TypeError, KeyError) as error:
+            respond(out, {'id': None, 'ok': False,
+                          'error': {'code': 'INVALID_REQUEST', 'message': 'malformed request: %s' % error}})
+            continue
+
+        try:
+            respond(out, {'id': request_id, 'ok': True, 'result': handle(request)})
+        except WorkerError as error:
+            respond(out, {'id': request_id, 'ok': False,
+                          'error': {'code': error.code, 'message': str(error)}})
+        except Exception as error:  # noqa: BLE001 - every script failure is reported to the caller
+            respond(out, {'id': request_id, 'ok': False,
+                          'error': {'code': 'SCRIPT_ERROR', 'message': '%s: %s' % (type(error).__name__, error),
+                                    'traceback': traceback.format_exc()}})
+
+
+if __name__ == '__main__':
+    main()
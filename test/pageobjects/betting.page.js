@@ -17,6 +17,15 @@ class BettingPage extends Page {
     get bonusClaimButton() { return $('~claim-bonus-button'); }
     get bonusConfirmation() { return $('~bonus-confirmation'); }
 
+    /**
+     * Scroll the match list up by a swipe across most of its height
+     */
+    async browseMatches() {
+        allureReporter.startStep('Browse matches');
+        await this.swipeWithin(this.matchListContainer, { x: 0.5, y: 0.8 }, { x: 0.5, y: 0.2 });
+        allureReporter.endStep();
+    }
+
     /**
      * Select a match from the list by index
      */
@@ -24,7 +33,7 @@ class BettingPage extends Page {
         allureReporter.startStep(`Select match at index: ${index}`);
         const matches = await this.matchItems;
         if (matches.length > index) {
-            await matches[index].click();
+            await this.tapElement(matches[index]);
             allureReporter.addStep('Match selected');
         } else {
             allureReporter.addStep('No match available at the specified index', 'failed');
@@ -40,7 +49,7 @@ class BettingPage extends Page {
         allureReporter.startStep('Select odds');
         const odds = await this.betOdds;
         if (odds.length > index) {
-            await odds[index].click();
+            await this.tapElement(odds[index]);
             allureReporter.addStep('Odds selected');
         } else {
             allureReporter.addStep('No odds available at the specified index', 'failed');
@@ -54,8 +63,8 @@ class BettingPage extends Page {
      */
     async placebet(stakeAmount) {
         allureReporter.startStep(`Place bet with stake: ${stakeAmount}`);
-        await this.stakeInput.setValue(stakeAmount);
-        await this.placeBetButton.click();
+        await this.typeText(this.stakeInput, stakeAmount);
+        await this.tapElement(this.placeBetButton);
         
         try {
             await this.betConfirmation.waitForDisplayed({ timeout: 10000 });
@@ -72,8 +81,8 @@ class BettingPage extends Page {
      */
     async claimBonus() {
         allureReporter.startStep('Claim bonus');
-        await this.bonusButton.click();
-        await this.bonusClaimButton.click();
+        await this.tapElement(this.bonusButton);
+        await this.tapElement(this.bonusClaimButton);
         
         try {
             await this.bonusConfirmation.waitForDisplayed({ timeout: 5000 });
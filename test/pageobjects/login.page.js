@@ -12,13 +12,15 @@ class LoginPage extends Page {
     get errorMessage() { return $('~error-message'); }
 
     /**
-     * Login with provided username and password
+     * Login with provided username and password. Everything done from here
+     * on is captured as the user's biometric session
      */
     async login(username, password) {
         allureReporter.startStep(`Login with username: ${username}`);
-        await this.inputUsername.setValue(username);
-        await this.inputPassword.setValue(password);
-        await this.btnSubmit.click();
+        await this.startBiometricSession(username);
+        await this.typeText(this.inputUsername, username);
+        await this.typeText(this.inputPassword, password);
+        await this.tapElement(this.btnSubmit);
         allureReporter.endStep();
     }
 
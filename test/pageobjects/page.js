@@ -5,6 +5,11 @@ import allureReporter from '@wdio/allure-reporter';
 import ErrorUtil from '../utils/error.util.js';
 import VisualUtil from '../utils/visual.util.js';
 import PerformanceUtil from '../utils/performance.util.js';
+import { biometricCapture, summaryOf } from '../utils/biometric-capture.js';
+import Humanizer from '../utils/humanizer.js';
+
+// Shared by every page so a user's input strategy follows them through the app
+let inputStrategy = null;
 
 /**
  * Base Page class
@@ -115,32 +120,16 @@ export default class Page {
      * @param {object} options - Click options
      */
     async clickWithRetry(selector, options = {}) {
-        PerformanceUtil.startTiming(`click_${selector}`);
-        
-        const result = await ErrorUtil.retryOperation(async () => {
+        return await ErrorUtil.retryOperation(async () => {
             const element = await $(selector);
             await element.waitForClickable({ timeout: options.timeout || 10000 });
-            await element.click();
+            await this.tapElement(element);
             return true;
         }, {
             maxRetries: options.retries || 3,
             description: `click element ${selector}`,
             takeScreenshot: true
         });
-        
-        PerformanceUtil.endTiming(`click_${selector}`, {
-            type: 'interaction',
-            action: 'click',
-            selector: selector
-        });
-        
-        // Record for bot detection analysis
-        PerformanceUtil.recordInteraction('click', {
-            selector: selector,
-            options: options
-        });
-        
-        return result;
     }
     
     /**
@@ -150,36 +139,158 @@ export default class Page {
      * @param {object} options - Options
      */
     async setValueWithRetry(selector, text, options = {}) {
-        const perfKey = `input_${selector}_${text.length}chars`;
-        PerformanceUtil.startTiming(perfKey);
-        
-        const result = await ErrorUtil.retryOperation(async () => {
+        return await ErrorUtil.retryOperation(async () => {
             const element = await $(selector);
             await element.waitForDisplayed({ timeout: options.timeout || 10000 });
-            await element.clearValue();
-            await element.setValue(text);
+            await this.typeText(element, text);
             return true;
         }, {
             maxRetries: options.retries || 2,
             description: `set value for ${selector}`,
             takeScreenshot: true
         });
+    }
+    
+    /**
+     * Play every following tap, click, swipe and keystroke through a motor
+     * model, so the app sees human timing and trajectories instead of the
+     * driver's instant input
+     * @param {object|null} motorModel - Motor model overrides (see DEFAULT_MOTOR_MODEL), or null for driver input
+     */
+    useMotorModel(motorModel) {
+        this.useInputStrategy(motorModel ? new Humanizer(motorModel) : null);
+    }
+    
+    /**
+     * Play every following tap, click, swipe and keystroke through an input
+     * strategy: a Humanizer, or anything with its thinkTime, tapActions,
+     * clickActions, typingActions and swipeActions (see bot-personas.js)
+     * @param {object|null} strategy - Input strategy, or null for driver input
+     */
+    useInputStrategy(strategy) {
+        inputStrategy = strategy;
+    }
+    
+    /**
+     * Tap (mobile) or click an element through the input strategy, recording
+     * the interaction for timing analysis
+     * @param {WebdriverIO.Element} element - Element to tap
+     */
+    async tapElement(element) {
+        const target = await element;
+        if (inputStrategy) {
+            await browser.pause(inputStrategy.thinkTime());
+        }
         
+        // The gap to the previous interaction is measured up to here, before this one runs
+        PerformanceUtil.recordInteraction('click', { selector: target.selector });
+        PerformanceUtil.startTiming(`click_${target.selector}`);
+        
+        if (inputStrategy) {
+            // click() waits for the element to exist; reading its rect does not
+            await target.waitForClickable();
+            const rect = await browser.getElementRect(target.elementId);
+            await this.performActionSequence(browser.isMobile ? inputStrategy.tapActions(rect) : inputStrategy.clickActions(rect));
+        } else {
+            await target.click();
+        }
+        
+        PerformanceUtil.endTiming(`click_${target.selector}`, {
+            type: 'interaction',
+            action: 'click',
+            selector: target.selector
+        });
+    }
+    
+    /**
+     * Replace the text of a field, typing it key by key through the input
+     * strategy (after tapping into it once it is clickable), recording the
+     * input for timing analysis
+     * @param {WebdriverIO.Element} element - Field to type into
+     * @param {string|number} text - Text to enter
+     */
+    async typeText(element, text) {
+        const target = await element;
+        const value = String(text);
+        if (!inputStrategy) {
+            PerformanceUtil.recordInteraction('input', { selector: target.selector, textLength: value.length });
+            return await this.timeInput(target, value, () => target.setValue(value));
+        }
+        
+        // Tapping into the field is the interaction; the typing is timed as its input
+        await this.tapElement(target);
+        await target.clearValue();
+        await this.timeInput(target, value, () => this.performActionSequence(inputStrategy.typingActions(value)));
+    }
+    
+    /**
+     * Time text entry as an input interaction, the duration fast_input is judged on
+     * @param {WebdriverIO.Element} target - Field being typed into
+     * @param {string} value - Text being entered
+     * @param {Function} enter - Enters the text
+     */
+    async timeInput(target, value, enter) {
+        const perfKey = `input_${target.selector}_${value.length}chars`;
+        PerformanceUtil.startTiming(perfKey);
+        await enter();
         PerformanceUtil.endTiming(perfKey, {
             type: 'input',
             action: 'setValue',
-            selector: selector,
-            textLength: text.length
+            selector: target.selector,
+            textLength: value.length
         });
-        
-        // Record for bot detection analysis - input is especially important
-        PerformanceUtil.recordInteraction('input', {
-            selector: selector,
-            textLength: text.length,
-            options: options
+    }
+    
+    /**
+     * Swipe across an element once it is displayed, between two points given
+     * as fractions of its size ({ x: 0.5, y: 0.8 } is centred, 80% down)
+     * @param {WebdriverIO.Element} element - Element to swipe across, e.g. a list
+     * @param {object} from - Start point { x, y } as fractions of the element
+     * @param {object} to - End point { x, y } as fractions of the element
+     */
+    async swipeWithin(element, from, to) {
+        const target = await element;
+        await target.waitForDisplayed();
+        const rect = await browser.getElementRect(target.elementId);
+        const pointAt = ({ x, y }) => ({
+            x: Math.round(rect.x + rect.width * x),
+            y: Math.round(rect.y + rect.height * y)
         });
         
-        return result;
+        await this.swipe(pointAt(from), pointAt(to));
+    }
+    
+    /**
+     * Swipe between two screen points through the input strategy, otherwise
+     * a straight line
+     * @param {object} from - Start point { x, y }
+     * @param {object} to - End point { x, y }
+     */
+    async swipe(from, to) {
+        if (inputStrategy) {
+            return await this.performActionSequence(inputStrategy.swipeActions(from, to));
+        }
+        
+        await this.performActionSequence({
+            type: 'pointer',
+            id: 'finger1',
+            parameters: { pointerType: browser.isMobile ? 'touch' : 'mouse' },
+            actions: [
+                { type: 'pointerMove', duration: 0, x: from.x, y: from.y },
+                { type: 'pointerDown', button: 0 },
+                { type: 'pointerMove', duration: 300, x: to.x, y: to.y },
+                { type: 'pointerUp', button: 0 }
+            ]
+        });
+    }
+    
+    /**
+     * Perform one W3C input source's actions and release its state
+     * @param {object} sequence - performActions input source
+     */
+    async performActionSequence(sequence) {
+        await browser.performActions([sequence]);
+        await browser.releaseActions();
     }
     
     /**
@@ -225,6 +336,38 @@ export default class Page {
         return PerformanceUtil.generateTimingReport(testName);
     }
     
+    /**
+     * Attribute every following driver action (clicks, typing, gestures)
+     * to a user as biometric events, ending any biometric session in progress
+     * @param {string} userId - User performing the actions
+     * @returns {string} - Biometric session ID
+     */
+    async startBiometricSession(userId) {
+        biometricCapture.install(browser);
+        await this.endBiometricSession();
+        
+        const sessionId = await biometricCapture.start(userId, {
+            platformName: browser.capabilities.platformName,
+            deviceName: browser.capabilities.deviceName,
+            browserName: browser.capabilities.browserName,
+            isMobile: browser.isMobile
+        });
+        allureReporter.addStep(`Biometric capture started for: ${userId}`);
+        return sessionId;
+    }
+    
+    /**
+     * End the biometric session and attach its analysis to the Allure report
+     * @returns {object|null} - Biometric report, or null when no session was active
+     */
+    async endBiometricSession() {
+        const report = await biometricCapture.end();
+        if (report) {
+            allureReporter.addAttachment('Biometric analysis', JSON.stringify(summaryOf(report), null, 2), 'application/json');
+        }
+        return report;
+    }
+    
     /**
      * Get bot probability score based on interaction patterns
      * @returns {number} - Risk score from 0-100
@@ -19,7 +19,7 @@ class ProfilePage extends Page {
      */
     async openProfile() {
         allureReporter.startStep('Open user profile');
-        await this.profileButton.click();
+        await this.tapElement(this.profileButton);
         await this.userInfoContainer.waitForDisplayed({ timeout: 5000 });
         allureReporter.endStep();
     }
@@ -29,8 +29,8 @@ class ProfilePage extends Page {
      */
     async logout() {
         allureReporter.startStep('Logout from app');
-        await this.logoutButton.click();
-        await this.confirmLogoutButton.click();
+        await this.tapElement(this.logoutButton);
+        await this.tapElement(this.confirmLogoutButton);
         allureReporter.endStep();
     }
 
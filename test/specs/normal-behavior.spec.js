@@ -6,10 +6,16 @@ import LoginPage from '../pageobjects/login.page.js';
 import BettingPage from '../pageobjects/betting.page.js';
 import ProfilePage from '../pageobjects/profile.page.js';
 import UserUtil from '../utils/user.util.js';
+import { DEFAULT_MOTOR_MODEL } from '../utils/humanizer.js';
 import { normalUsers, bettingEvents } from '../data/test-data.js';
 import allureReporter from '@wdio/allure-reporter';
 
 describe('Normal User Behavior Test Suite', () => {
+    afterEach(() => {
+        // Other suites drive the app with plain driver input
+        LoginPage.useMotorModel(null);
+    });
+    
     it('should allow normal login and betting activity', async () => {
         // Add test details to Allure
         allureReporter.addFeature('Normal Betting Behavior');
@@ -18,7 +24,8 @@ describe('Normal User Behavior Test Suite', () => {
         // Select a normal user from test data
         const user = normalUsers[0];
         
-        // Login with normal user
+        // Login with normal user, typing and tapping with their motor model
+        LoginPage.useMotorModel(user.motorModel);
         await LoginPage.login(user.username, user.password);
         
         // Verify login was successful
@@ -65,7 +72,8 @@ describe('Normal User Behavior Test Suite', () => {
         // Select a normal user from test data
         const user = normalUsers[1];
         
-        // Login with normal user
+        // Login with normal user, typing and tapping with their motor model
+        LoginPage.useMotorModel(user.motorModel);
         await LoginPage.login(user.username, user.password);
         
         // Verify login was successful
@@ -107,7 +115,8 @@ describe('Normal User Behavior Test Suite', () => {
         // Generate a new normal user
         const user = UserUtil.generateUser('low');
         
-        // Login with generated user
+        // Login with generated user, who types like a typical adult
+        LoginPage.useMotorModel(DEFAULT_MOTOR_MODEL);
         await LoginPage.login(user.username, user.password);
         
         // Verify login was successful
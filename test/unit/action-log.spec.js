@@ -0,0 +1,124 @@
+/**
+ * Test suite for reading and grouping user-action logs for batch scoring
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { expect } = require('chai');
+const readActionLog = require('../utils/action-log');
+const { parseCsv, groupByUser } = require('../utils/action-log');
+
+describe('User-Action Logs', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'action-log-'));
+
+    it('should parse quoted CSV cells', () => {
+        const rows = parseCsv('userId,notes\r\nu1,"stake, then ""cash out""\nlater"\n\nu2,plain\n');
+
+        expect(rows).to.deep.equal([
+            { userId: 'u1', notes: 'stake, then "cash out"\nlater' },
+            { userId: 'u2', notes: 'plain' }
+        ]);
+    });
+
+    it('should decode typed and nested CSV fields', () => {
+        const file = path.join(dir, 'actions.csv');
+        fs.writeFileSync(file, [
+            'userId,type,timestamp,amount,vpn,location.latitude,location.country,meta',
+            'u1,bet_placed,1709578860000,25,false,51.5,GB,"{""odds"":2.5}"',
+            'u1,login,1709578800000,,true,,,'
+        ].join('\n'));
+
+        const [bet, login] = readActionLog(file);
+
+        expect(bet).to.deep.equal({
+            userId: 'u1',
+            type: 'bet_placed',
+            timestamp: 1709578860000,
+            amount: 25,
+            vpn: false,
+            location: { latitude: 51.5, country: 'GB' },
+            meta: { odds: 2.5 }
+        });
+        expect(login).to.deep.equal({ userId: 'u1', type: 'login', timestamp: 1709578800000, vpn: true });
+    });
+
+    it('should keep leading-zero and hex identifiers apart', () => {
+        const file = path.join(dir, 'identifiers.csv');
+        fs.writeFileSync(file, [
+            'userId,deviceId,eventId,selection,type,timestamp,amount,market',
+            '007,0042,1e3,01,bet_placed,1709578800000,10,0x10',
+            '7,42,1000,1,bet_placed,1709578860000,10,2.5',
+            '0x1A,0x1A,26,2,bet_placed,1709578920000,-5.5,'
+        ].join('\n'));
+
+        const records = readActionLog(file);
+        const groups = groupByUser(records);
+
+        expect([...groups.keys()]).to.deep.equal(['007', '7', '0x1A']);
+        expect(records.map(record => [record.deviceId, record.eventId, record.selection])).to.deep.equal([
+            ['0042', '1e3', '01'],
+            ['42', '1000', '1'],
+            ['0x1A', '26', '2']
+        ]);
+        // Only plain decimals become numbers in the other columns
+        expect(records.map(record => record.amount)).to.deep.equal([10, 10, -5.5]);
+        expect(records.map(record => record.market)).to.deep.equal(['0x10', 2.5, undefined]);
+    });
+
+    it('should read grouped numbers in numeric columns', () => {
+        const file = path.join(dir, 'grouped.csv');
+        fs.writeFileSync(file, [
+            'userId,type,timestamp,amount,payout,location.latitude',
+            'u1,bet_placed,1709578800000,"1,000","12,345.50",51.5',
+            'u1,deposit,1709578860000,"-2,500",,'
+        ].join('\n'));
+
+        const records = readActionLog(file);
+
+        expect(records.map(record => record.amount)).to.deep.equal([1000, -2500]);
+        expect(records[0].payout).to.equal(12345.5);
+        expect(records[0].location).to.deep.equal({ latitude: 51.5 });
+    });
+
+    it('should reject numeric columns that do not hold a number with their row', () => {
+        ['1.000,50', '1,00', '0x10', '1e3', 'ten'].forEach((amount, i) => {
+            const file = path.join(dir, `invalid-${i}.csv`);
+            fs.writeFileSync(file, `userId,type,timestamp,amount\nu1,login,1,\nu1,bet_placed,2,"${amount}"\n`);
+
+            expect(() => readActionLog(file)).to.throw(`${file}: row 3: 'amount' must be a number, got "${amount}"`);
+        });
+    });
+
+    it('should keep the configured user field as a string', () => {
+        const file = path.join(dir, 'accounts.csv');
+        fs.writeFileSync(file, 'account,type,timestamp\n007,login,1\n7,login,2\n');
+
+        const groups = groupByUser(readActionLog(file, { userField: 'account' }), 'account');
+
+        expect([...groups.keys()]).to.deep.equal(['007', '7']);
+    });
+
+    it('should group per-action and per-session JSONL records by user in time order', () => {
+        const file = path.join(dir, 'actions.jsonl');
+        fs.writeFileSync(file, [
+            JSON.stringify({ userId: 'u1', type: 'bet_placed', timestamp: '2024-03-02T14:01:00.000Z' }),
+            JSON.stringify({ userId: 'u1', type: 'login', timestamp: '2024-03-02T14:00:00.000Z' }),
+            JSON.stringify({ id: 'session-7', label: 1, actions: [{ type: 'login', timestamp: 1 }] }),
+            ''
+        ].join('\n'));
+
+        const groups = groupByUser(readActionLog(file));
+
+        expect([...groups.keys()]).to.deep.equal(['u1', 'session-7']);
+        expect(groups.get('u1').map(action => action.type)).to.deep.equal(['login', 'bet_placed']);
+        expect(groups.get('session-7')).to.have.lengthOf(1);
+    });
+
+    it('should reject actions without a user and unknown formats', () => {
+        expect(() => groupByUser([{ type: 'login', timestamp: 1 }], 'accountId')).to.throw(/accountId/);
+
+        const file = path.join(dir, 'actions.xml');
+        fs.writeFileSync(file, '<actions/>');
+        expect(() => readActionLog(file)).to.throw(/Unsupported action log format/);
+    });
+});
@@ -0,0 +1,577 @@
+/**
+ * Test suite for the behavioral biometrics analyzers
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const BehavioralBiometricsAnalyzer = require('../utils/behavioral-biometrics');
+const {
+    MouseMovementAnalyzer,
+    KeystrokeDynamicsAnalyzer,
+    TouchGestureAnalyzer,
+    ScrollBehaviorAnalyzer
+} = require('../utils/behavioral-biometrics');
+const {
+    TRACE_START,
+    TYPISTS,
+    HANDS,
+    READERS,
+    humanMouseTrace,
+    scriptedMouseTrace,
+    loginTypingSession,
+    fingerGesture,
+    pinchGesture,
+    humanTouchSession,
+    scriptedTouchSession,
+    humanScrollSession,
+    scriptedScrollSession
+} = require('../data/fixtures/biometric-traces');
+
+function keys(sequence) {
+    return sequence.flatMap(([key, down, up]) => [
+        { type: 'keydown', timestamp: TRACE_START + down, key },
+        { type: 'keyup', timestamp: TRACE_START + up, key }
+    ]);
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Template directories created by the specs, removed once they have run
+const temporaryDirs = [];
+
+function temporaryTemplatePath() {
+    const templatePath = fs.mkdtempSync(path.join(os.tmpdir(), 'biometrics-'));
+    temporaryDirs.push(templatePath);
+    return templatePath;
+}
+
+function freshBiometrics(config = {}) {
+    return new BehavioralBiometricsAnalyzer({ templatePath: temporaryTemplatePath(), ...config });
+}
+
+const firmTouch = () => ({ force: 0.5, radius: 10 });
+
+function touchSessions(hand, count, firstRepetition = 0) {
+    return Array.from({ length: count }, (_, i) =>
+        humanTouchSession(TRACE_START + (firstRepetition + i) * 60000, hand, firstRepetition + i)
+    ).flat();
+}
+
+async function useApp(biometrics, userId, events) {
+    await biometrics.startSession(userId);
+    for (const event of events) {
+        await biometrics.collectTouchGesture(userId, event);
+    }
+    return biometrics.endSession(userId);
+}
+
+async function browseOdds(biometrics, userId, events) {
+    await biometrics.startSession(userId);
+    for (const event of events) {
+        if (event.type === 'click') {
+            await biometrics.collectMouseMovement(userId, { type: 'mousedown', timestamp: event.timestamp, clientX: 300, clientY: 400, button: 0 });
+        } else {
+            await biometrics.collectScrollBehavior(userId, event);
+        }
+    }
+    return biometrics.endSession(userId);
+}
+
+async function typeLogin(biometrics, userId, events) {
+    await biometrics.startSession(userId);
+    for (const event of events) {
+        await biometrics.collectKeystroke(userId, event);
+    }
+    return biometrics.endSession(userId);
+}
+
+describe('Behavioral Biometrics', () => {
+    after(() => temporaryDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+    describe('MouseMovementAnalyzer', () => {
+        const analyzer = new MouseMovementAnalyzer();
+
+        it('should see scripted movement as straight, constant-speed and uniform', () => {
+            const analysis = analyzer.analyze(scriptedMouseTrace());
+
+            expect(analysis.trajectoryPatterns).to.include({ strokeCount: 3, overshootCount: 0, correctionCount: 0 });
+            expect(analysis.trajectoryPatterns.straightnessIndex).to.be.closeTo(1, 1e-9);
+            expect(analysis.trajectoryPatterns.meanCurvature).to.equal(0);
+            expect(analysis.accelerationPatterns.meanJerk).to.be.closeTo(0, 1e-6);
+            expect(analysis.movementSmoothness).to.equal(1);
+            expect(analysis.clickTiming).to.include({ clickCount: 3, meanDwell: 10, dwellVariation: 0, intervalVariation: 0 });
+            expect(analysis.pausePatterns.pauseVariation).to.equal(0);
+        });
+
+        it('should measure overshoots, corrections and curvature in human movement', () => {
+            const analysis = analyzer.analyze(humanMouseTrace());
+            const scripted = analyzer.analyze(scriptedMouseTrace());
+
+            expect(analysis.trajectoryPatterns).to.include({ overshootCount: 3, correctionCount: 3 });
+            expect(analysis.trajectoryPatterns.straightnessIndex).to.be.below(0.95);
+            expect(analysis.trajectoryPatterns.meanCurvature).to.be.above(0);
+            expect(analysis.accelerationPatterns.normalizedJerk).to.be.above(scripted.accelerationPatterns.normalizedJerk);
+            expect(analysis.accelerationPatterns.peakVelocityPosition).to.be.within(0.3, 0.6);
+            expect(analysis.movementSmoothness).to.be.below(1);
+            expect(analysis.clickTiming.meanDwell).to.be.closeTo((96 + 124 + 88) / 3, 1e-9);
+            expect(analysis.pausePatterns.pauseVariation).to.be.above(0.2);
+            expect(analysis.uniquenessScore).to.be.above(scripted.uniquenessScore + 0.2);
+        });
+
+        it('should be deterministic', () => {
+            const trace = humanMouseTrace();
+
+            expect(analyzer.analyze(trace)).to.deep.equal(analyzer.analyze(trace.slice().reverse()));
+            expect(analyzer.calculateUniquenessScore(trace)).to.equal(analyzer.calculateUniquenessScore(humanMouseTrace()));
+        });
+
+        it('should bucket pauses and pair button presses by button', () => {
+            const t = TRACE_START;
+            const trace = [
+                { type: 'mousemove', timestamp: t, x: 0, y: 0 },
+                { type: 'mousemove', timestamp: t + 200, x: 10, y: 0 },
+                { type: 'mousedown', timestamp: t + 700, x: 10, y: 0, button: 2 },
+                { type: 'mousedown', timestamp: t + 720, x: 10, y: 0, button: 0 },
+                { type: 'mouseup', timestamp: t + 800, x: 10, y: 0, button: 0 },
+                { type: 'mouseup', timestamp: t + 900, x: 10, y: 0, button: 2 },
+                { type: 'mousemove', timestamp: t + 2000, x: 20, y: 0 }
+            ];
+
+            const pauses = analyzer.analyzePausePatterns(trace);
+            expect(pauses).to.include({ pauseCount: 3, medianPause: 500 });
+            expect(pauses.distribution).to.deep.equal({ short: 1 / 3, medium: 1 / 3, long: 1 / 3 });
+
+            expect(analyzer.analyzeClickTiming(trace)).to.include({ clickCount: 2, meanDwell: 140, meanInterval: 20, meanSettleTime: 510 });
+        });
+
+        it('should measure curvature of a right-angle turn', () => {
+            const t = TRACE_START;
+            const trace = [[0, 0], [10, 0], [20, 0], [20, 10], [20, 20]]
+                .map(([x, y], i) => ({ type: 'mousemove', timestamp: t + i * 10, x, y }));
+
+            const trajectory = analyzer.analyzeTrajectoryPatterns(trace);
+            expect(trajectory.straightnessIndex).to.be.closeTo(Math.sqrt(800) / 40, 1e-9);
+            expect(trajectory.meanCurvature).to.be.closeTo((Math.PI / 2 / 10) / 3, 1e-9);
+        });
+    });
+
+    describe('KeystrokeDynamicsAnalyzer', () => {
+        const analyzer = new KeystrokeDynamicsAnalyzer();
+
+        it('should time digraphs, trigraphs and key rollover', () => {
+            const trace = keys([['a', 0, 90], ['b', 150, 230], ['c', 220, 300]]);
+            const analysis = analyzer.analyze(trace);
+
+            expect(analysis.keyPairTimings.digraphs).to.deep.equal({
+                'a|b': { downDown: 150, upDown: 60, count: 1 },
+                'b|c': { downDown: 70, upDown: -10, count: 1 }
+            });
+            expect(analysis.keyPairTimings.trigraphs).to.deep.equal({ 'a|b|c': { latency: 220, count: 1 } });
+            expect(analysis.dwellTimePatterns.perKey.b).to.deep.equal({ mean: 80, count: 1 });
+            expect(analysis.flightTimePatterns).to.include({ meanFlight: 25, rolloverRatio: 0.5 });
+        });
+
+        it('should measure corrections and reaction to typos', () => {
+            const trace = keys([
+                ['p', 0, 80], ['a', 150, 230], ['w', 300, 380],
+                ['Backspace', 700, 760], ['Backspace', 850, 910],
+                ['s', 1000, 1080], ['s', 1200, 1280]
+            ]);
+
+            expect(analyzer.analyzeErrorPatterns(trace)).to.deep.include({
+                backspaceRate: 2 / 7,
+                correctionCount: 1,
+                meanCorrectionLength: 2,
+                meanReactionTime: 400
+            });
+        });
+
+        it('should give fixed-interval typing no timing uniqueness', () => {
+            const trace = keys('password'.split('').map((key, i) => [key, i * 100, i * 100 + 50]));
+
+            expect(analyzer.calculateUniquenessScore(trace)).to.equal(0);
+            expect(analyzer.calculateTimingVariability(trace)).to.equal(0);
+        });
+
+        it('should keep the account holder within their template and push an impostor out', () => {
+            const template = analyzer.createTemplate(loginTypingSession(TRACE_START, TYPISTS.accountHolder, 5));
+            const later = TRACE_START + 86400000;
+
+            const genuine = analyzer.compareToTemplate(loginTypingSession(later, TYPISTS.accountHolder, 2, 5), template);
+            const impostor = analyzer.compareToTemplate(loginTypingSession(later, TYPISTS.impostor, 2, 5), template);
+
+            expect(genuine.coverage).to.equal(1);
+            expect(genuine.distance).to.be.below(1);
+            expect(genuine.similarity).to.equal(1);
+            expect(impostor.distance).to.be.above(3);
+            expect(impostor.similarity).to.be.below(0.1);
+        });
+
+        it('should merge templates by sample count', () => {
+            const first = { features: { 'hold:a': { mean: 100, mad: 10, count: 3 } }, sampleCount: 3 };
+            const second = { features: { 'hold:a': { mean: 80, mad: 10, count: 1 }, 'hold:b': { mean: 90, mad: 5, count: 1 } }, sampleCount: 1 };
+
+            expect(analyzer.mergeTemplates(first, second)).to.deep.equal({
+                features: {
+                    'hold:a': { mean: 95, mad: 17.5, count: 4 },
+                    'hold:b': { mean: 90, mad: 5, count: 1 }
+                },
+                sampleCount: 4
+            });
+        });
+
+        it('should not score sessions that share too few features with the template', () => {
+            const template = analyzer.createTemplate(loginTypingSession(TRACE_START, TYPISTS.accountHolder, 3));
+            const comparison = analyzer.compareToTemplate(keys([['x', 0, 90], ['y', 150, 230]]), template);
+
+            expect(comparison).to.include({ distance: null, similarity: null, sharedFeatures: 0 });
+        });
+    });
+
+    describe('TouchGestureAnalyzer', () => {
+        const analyzer = new TouchGestureAnalyzer();
+
+        it('should classify taps, long presses, swipe directions and pinches', () => {
+            const at = (x, y) => () => ({ x, y });
+            const line = (x0, y0, x1, y1) => t => ({ x: x0 + (x1 - x0) * t, y: y0 + (y1 - y0) * t });
+            const gestures = [
+                fingerGesture(0, 90, at(100, 100), firmTouch),
+                fingerGesture(1000, 700, at(100, 100), firmTouch),
+                fingerGesture(2000, 200, line(300, 300, 100, 310), firmTouch),
+                fingerGesture(3000, 200, line(100, 300, 300, 290), firmTouch),
+                fingerGesture(4000, 200, line(200, 500, 210, 200), firmTouch),
+                fingerGesture(5000, 200, line(200, 200, 190, 500), firmTouch),
+                pinchGesture(6000, 300, { x: 200, y: 300 }, 200, 60, firmTouch),
+                pinchGesture(7000, 300, { x: 200, y: 300 }, 60, 200, firmTouch, 40),
+                pinchGesture(8000, 300, { x: 200, y: 300 }, 100, 105, firmTouch)
+            ].map(events => events.map(event => ({ ...event, timestamp: TRACE_START + event.timestamp })));
+
+            expect(analyzer.describeGestures(gestures.flat()).map(gesture => gesture.type)).to.deep.equal([
+                'tap', 'long_press', 'swipe_left', 'swipe_right', 'swipe_up', 'swipe_down', 'pinch_in', 'pinch_out', 'multi_touch'
+            ]);
+        });
+
+        it('should measure tap rhythm, holds and contact size', () => {
+            const tap = (start, duration, radius) => fingerGesture(TRACE_START + start, duration, () => ({ x: 50, y: 50 }), () => ({ force: 0.4, radius }));
+            const trace = [...tap(0, 80, 10), ...tap(300, 120, 10), ...tap(900, 100, 10), ...tap(2000, 600, 10)];
+
+            expect(analyzer.analyzeTapPatterns(trace)).to.include({ tapCount: 3, meanDuration: 100, meanInterval: 450 });
+            expect(analyzer.analyzeHoldDuration(trace)).to.deep.equal({ longPressCount: 1, meanHold: 600, holdVariation: 0 });
+            expect(analyzer.analyzeTouchArea(trace).mean).to.be.closeTo(Math.PI * 10 * 8.5, 1e-9);
+            expect(analyzer.analyzeTouchPressure(trace)).to.include({ median: 0.4, p10: 0.4, p90: 0.4 });
+        });
+
+        it('should see human swipe profiles and contact dynamics that automation lacks', () => {
+            const human = analyzer.analyze(humanTouchSession(TRACE_START, HANDS.accountHolder));
+            const scripted = analyzer.analyze(scriptedTouchSession());
+
+            expect(human.gestureTiming.types).to.deep.equal(scripted.gestureTiming.types);
+            expect(human.swipeVelocity.peakPosition).to.be.within(0.3, 0.7);
+            expect(human.swipeVelocity.withinSwipeVariation).to.be.above(0.2);
+            expect(scripted.swipeVelocity.withinSwipeVariation).to.be.below(0.05);
+            expect(human.touchPressure.variation).to.be.above(0);
+            expect(scripted.touchPressure.variation).to.equal(0);
+            expect(scripted.tapPatterns.durationVariation).to.equal(0);
+            expect(human.multiTouchPatterns.meanLandingGap).to.be.above(0);
+            expect(scripted.multiTouchPatterns.meanLandingGap).to.equal(0);
+            expect(human.gestureAccuracy.axisDeviation).to.be.above(scripted.gestureAccuracy.axisDeviation);
+            expect(human.uniquenessScore).to.be.above(scripted.uniquenessScore);
+        });
+
+        it('should compare gestures against the enrolled template', () => {
+            const template = analyzer.createTemplate(touchSessions(HANDS.accountHolder, 3));
+            const later = TRACE_START + 86400000;
+
+            const genuine = analyzer.compareToTemplate(humanTouchSession(later, HANDS.accountHolder, 7), template);
+            const impostor = analyzer.compareToTemplate(humanTouchSession(later, HANDS.impostor, 7), template);
+            const scripted = analyzer.compareToTemplate(scriptedTouchSession(later), template);
+
+            expect(template.features).to.have.property('swipe_up:peakVelocity');
+            expect(genuine.similarity).to.equal(1);
+            expect(impostor.distance).to.be.above(2);
+            expect(scripted.distance).to.be.above(impostor.distance);
+        });
+    });
+
+    describe('ScrollBehaviorAnalyzer', () => {
+        const analyzer = new ScrollBehaviorAnalyzer();
+
+        it('should fit momentum decay and time reversals, reading pauses and dwell', () => {
+            // A fling coasting as v(t) = 1000·e^(−5t) px/s, a short push back up, then two clicks
+            const fling = Array.from({ length: 6 }, (_, i) => ({
+                type: 'wheel',
+                timestamp: TRACE_START + i * 16,
+                deltaY: 16 * Math.exp(-5 * i * 0.016)
+            }));
+            const trace = [
+                ...fling,
+                { type: 'wheel', timestamp: TRACE_START + 2080, deltaY: -3, deltaMode: 1 },
+                { type: 'wheel', timestamp: TRACE_START + 2096, deltaY: -48 },
+                { type: 'click', timestamp: TRACE_START + 2796 },
+                { type: 'click', timestamp: TRACE_START + 3500 }
+            ];
+            const analysis = analyzer.analyze(trace);
+
+            expect(analysis.scrollVelocity.peakVelocity).to.be.closeTo((1000 + 3000) / 2, 1e-9);
+            expect(analysis.scrollMomentum.decayRate).to.be.closeTo(5, 1e-9);
+            expect(analysis.scrollMomentum.momentumRatio).to.equal(0.5);
+            expect(analysis.scrollDirection).to.include({ reversals: 1, reversalRate: 0.5 });
+            expect(analysis.scrollRhythm.burstCount).to.equal(2);
+            expect(analysis.pausePatterns).to.include({ pauseCount: 1, meanPause: 2000 });
+            expect(analysis.dwellBeforeInteraction).to.include({ interactionCount: 2, meanDwell: 700, directInteractionRatio: 0.5 });
+        });
+
+        it('should see coasting flings and reading dwell that scripted scrolling lacks', () => {
+            const human = analyzer.analyze(humanScrollSession(TRACE_START, READERS.accountHolder));
+            const scripted = analyzer.analyze(scriptedScrollSession());
+
+            expect(human.scrollMomentum.decayRate).to.be.closeTo(READERS.accountHolder.decayRate, 0.5);
+            expect(human.scrollMomentum.momentumRatio).to.equal(1);
+            expect(scripted.scrollMomentum.momentumRatio).to.equal(0);
+            expect(scripted.scrollVelocity.velocityVariation).to.equal(0);
+            expect(human.scrollDirection.reversals).to.equal(scripted.scrollDirection.reversals);
+            expect(human.dwellBeforeInteraction.medianDwell).to.be.above(500);
+            expect(scripted.dwellBeforeInteraction.medianDwell).to.equal(50);
+            expect(human.uniquenessScore).to.be.above(scripted.uniquenessScore);
+        });
+
+        it('should compare flings, pauses and dwell against the enrolled template', () => {
+            const template = analyzer.mergeTemplates(
+                analyzer.createTemplate(humanScrollSession(TRACE_START, READERS.accountHolder, 0)),
+                analyzer.createTemplate(humanScrollSession(TRACE_START, READERS.accountHolder, 1))
+            );
+
+            const genuine = analyzer.compareToTemplate(humanScrollSession(TRACE_START, READERS.accountHolder, 7), template);
+            const impostor = analyzer.compareToTemplate(humanScrollSession(TRACE_START, READERS.impostor, 7), template);
+            const scripted = analyzer.compareToTemplate(scriptedScrollSession(), template);
+
+            expect(template.features).to.include.keys('down:decayRate', 'reading:pause', 'interaction:dwell');
+            expect(genuine.similarity).to.equal(1);
+            expect(impostor.distance).to.be.above(2);
+            expect(scripted.distance).to.be.above(impostor.distance);
+        });
+    });
+
+    describe('BehavioralBiometricsAnalyzer', () => {
+        it('should label touch gestures as the last finger lifts', async () => {
+            const biometrics = freshBiometrics();
+            await biometrics.startSession('punter_2');
+
+            for (const event of humanTouchSession(TRACE_START, HANDS.accountHolder)) {
+                await biometrics.collectTouchGesture('punter_2', event);
+            }
+
+            const touchData = biometrics.currentSession.get('punter_2').touchData;
+            const finished = touchData.filter(record => record.gesture !== 'in_progress');
+            expect(finished.map(record => record.gesture)).to.deep.equal([
+                'swipe_up', 'swipe_up', 'tap', 'swipe_up', 'tap', 'long_press', 'pinch_out', 'tap', 'tap', 'swipe_left'
+            ]);
+            expect(finished[5].duration).to.be.at.least(500);
+            expect(finished[2].area).to.be.above(0);
+        });
+
+        it('should tell the enrolled hand from an impostor on the mobile app', async () => {
+            const biometrics = freshBiometrics();
+
+            await biometrics.enrollUser('punter_2');
+            for (let repetition = 0; repetition < 3; repetition++) {
+                await useApp(biometrics, 'punter_2', humanTouchSession(TRACE_START + repetition * 60000, HANDS.accountHolder, repetition));
+            }
+            expect(biometrics.getEnrollmentStatus('punter_2')).to.include({ status: 'enrolled', sessionsCollected: 3 });
+
+            const genuine = await useApp(biometrics, 'punter_2', humanTouchSession(TRACE_START + 86400000, HANDS.accountHolder, 7));
+            const impostor = await useApp(biometrics, 'punter_2', humanTouchSession(TRACE_START + 172800000, HANDS.impostor, 7));
+
+            expect(genuine.isAuthentic.authentic).to.equal(true);
+            expect(impostor.isAuthentic.authentic).to.equal(false);
+            expect(impostor.riskFactors).to.include('touch_mismatch');
+        });
+
+
+        it('should tell the enrolled user from an impostor typing the same password', async () => {
+            const biometrics = freshBiometrics({ enrollmentSessions: 1 });
+
+            const enrollment = await typeLogin(biometrics, 'punter_1', loginTypingSession(TRACE_START, TYPISTS.accountHolder, 5));
+            expect(enrollment.isAuthentic).to.deep.equal({ authentic: false, reason: 'insufficient_data' });
+            expect(enrollment.recommendations).to.deep.equal(['COLLECT_MORE_BIOMETRIC_DATA']);
+            await biometrics.updateUserBiometricProfile('punter_1', enrollment);
+
+            const genuine = await typeLogin(biometrics, 'punter_1', loginTypingSession(TRACE_START + 86400000, TYPISTS.accountHolder, 2, 5));
+            const impostor = await typeLogin(biometrics, 'punter_1', loginTypingSession(TRACE_START + 172800000, TYPISTS.impostor, 2, 5));
+
+            expect(genuine.compositeBiometricScore).to.equal(1);
+            expect(genuine.isAuthentic).to.deep.equal({ authentic: true, confidence: 'high' });
+            expect(genuine.riskFactors).to.not.include('keystroke_mismatch');
+
+            expect(impostor.compositeBiometricScore).to.be.below(0.1);
+            expect(impostor.isAuthentic.authentic).to.equal(false);
+            expect(impostor.riskFactors).to.include('keystroke_mismatch');
+            expect(impostor.recommendations).to.include('STEP_UP_AUTHENTICATION');
+
+            // Only the genuine session was folded into the template
+            expect(biometrics.userProfiles.get('punter_1')).to.include({ sessionCount: 2 });
+            expect(biometrics.userProfiles.get('punter_1').keystrokeProfile.template.sampleCount).to.be.closeTo(7 * 11, 1e-6);
+        });
+
+
+        it('should compare collected scrolling and clicks with the enrolled reader', async () => {
+            const biometrics = freshBiometrics({ enrollmentSessions: 1 });
+
+            const enrollment = await browseOdds(biometrics, 'punter_3', [0, 1, 2].flatMap(repetition =>
+                humanScrollSession(TRACE_START + repetition * 60000, READERS.accountHolder, repetition)
+            ));
+            expect(enrollment.profiles.scroll.metrics.dwellBeforeInteraction.interactionCount).to.equal(9);
+            await biometrics.updateUserBiometricProfile('punter_3', enrollment);
+
+            const genuine = await browseOdds(biometrics, 'punter_3', humanScrollSession(TRACE_START + 86400000, READERS.accountHolder, 7));
+            const impostor = await browseOdds(biometrics, 'punter_3', humanScrollSession(TRACE_START + 172800000, READERS.impostor, 7));
+
+            expect(genuine.profiles.scroll.similarity).to.be.above(0.7);
+            expect(genuine.riskFactors).to.not.include('scroll_mismatch');
+            expect(impostor.profiles.scroll.similarity).to.be.below(0.1);
+            expect(impostor.riskFactors).to.include('scroll_mismatch');
+        });
+
+        it('should profile a collected mouse session with the concrete metrics', async () => {
+            const biometrics = freshBiometrics();
+            await biometrics.startSession('punter_1');
+
+            const trace = humanMouseTrace();
+            for (const event of trace) {
+                await biometrics.collectMouseMovement('punter_1', { ...event, clientX: event.x, clientY: event.y });
+            }
+
+            const profile = await biometrics.analyzeMouseBehavior('punter_1');
+            const expected = new MouseMovementAnalyzer().analyze(trace);
+
+            expect(profile.metrics.trajectoryPatterns).to.deep.equal(expected.trajectoryPatterns);
+            expect(profile.metrics.clickTiming).to.deep.equal(expected.clickTiming);
+            expect(profile.uniquenessScore).to.equal(expected.uniquenessScore);
+        });
+
+        it('should report replayed and synthetic pointer input as anomalies', async () => {
+            const biometrics = freshBiometrics();
+            const moveMouse = async (userId, trace) => {
+                await biometrics.startSession(userId);
+                for (const event of trace) {
+                    await biometrics.collectMouseMovement(userId, { ...event, clientX: event.x, clientY: event.y });
+                }
+                return biometrics.endSession(userId);
+            };
+
+            const recorded = await moveMouse('punter_1', humanMouseTrace());
+            expect(recorded.anomalies.map(anomaly => anomaly.type)).to.not.include.members(['replayed_trajectory', 'synthetic_input']);
+
+            // The same recording played back on another account a day later
+            const playback = await moveMouse('mule_7', humanMouseTrace(TRACE_START + 86400000));
+            const replayed = playback.anomalies.find(anomaly => anomaly.type === 'replayed_trajectory');
+            expect(replayed).to.include({ severity: 'high', modality: 'mouse', crossUser: true, ratio: 1 });
+            expect(replayed.sources[0].userId).to.equal('punter_1');
+
+            const scripted = await moveMouse('mule_8', scriptedMouseTrace());
+            const synthetic = scripted.anomalies.find(anomaly => anomaly.type === 'synthetic_input');
+            expect(synthetic).to.include({ severity: 'high', modality: 'mouse' });
+            expect(synthetic.indicators).to.include.members(['linear_interpolation', 'constant_sampling']);
+        });
+    });
+
+    describe('Enrollment and template persistence', () => {
+        const login = (typist, day, repetition) =>
+            loginTypingSession(TRACE_START + day * DAY, typist, 2, repetition * 2);
+
+        it('should only trust a template once enrollment is complete', async () => {
+            const biometrics = freshBiometrics();
+            await biometrics.enrollUser('punter_4');
+
+            const first = await typeLogin(biometrics, 'punter_4', login(TYPISTS.accountHolder, 0, 0));
+            expect(first.isAuthentic.reason).to.equal('insufficient_data');
+            expect(first.enrollment).to.include({ status: 'enrolling', sessionsCollected: 1, sessionsRequired: 3 });
+
+            await typeLogin(biometrics, 'punter_4', login(TYPISTS.accountHolder, 1, 1));
+            const third = await typeLogin(biometrics, 'punter_4', login(TYPISTS.accountHolder, 2, 2));
+            expect(third.enrollment).to.include({ status: 'enrolled', sessionsCollected: 3 });
+
+            const impostor = await typeLogin(biometrics, 'punter_4', login(TYPISTS.impostor, 3, 3));
+            expect(impostor.isAuthentic.authentic).to.equal(false);
+
+            // The rejected session was not folded into the template
+            expect(impostor.enrollment.sessionCount).to.equal(3);
+            expect(await biometrics.updateUserBiometricProfile('punter_4', impostor)).to.equal(null);
+        });
+
+        it('should reload enrolled templates with their revision in a new analyzer', async () => {
+            const templatePath = temporaryTemplatePath();
+            const first = new BehavioralBiometricsAnalyzer({ templatePath, enrollmentSessions: 2 });
+            await first.enrollUser('punter_5');
+            await typeLogin(first, 'punter_5', login(TYPISTS.accountHolder, 0, 0));
+            await typeLogin(first, 'punter_5', login(TYPISTS.accountHolder, 1, 1));
+
+            const restarted = new BehavioralBiometricsAnalyzer({ templatePath, enrollmentSessions: 2 });
+            await restarted.templatesReady;
+            expect(restarted.getEnrollmentStatus('punter_5')).to.include({ status: 'enrolled', revision: 3 });
+
+            const genuine = await typeLogin(restarted, 'punter_5', login(TYPISTS.accountHolder, 2, 2));
+            expect(genuine.isAuthentic.authentic).to.equal(true);
+            expect(genuine.enrollment).to.include({ sessionCount: 3, revision: 4 });
+        });
+
+        it('should age old evidence and send expired templates back to enrollment', async () => {
+            const biometrics = freshBiometrics({ enrollmentSessions: 1 });
+            const enrollment = await typeLogin(biometrics, 'punter_6', login(TYPISTS.accountHolder, 0, 0));
+            await biometrics.updateUserBiometricProfile('punter_6', enrollment);
+
+            const keystrokeProfile = biometrics.userProfiles.get('punter_6').keystrokeProfile;
+            const enrolledSamples = keystrokeProfile.template.sampleCount;
+            const later = { ...enrollment, isAuthentic: { authentic: true }, timestamp: keystrokeProfile.updatedAt + 30 * DAY };
+            await biometrics.updateUserBiometricProfile('punter_6', later);
+
+            // One half-life later the enrollment counts half as much as the new session
+            const aged = biometrics.userProfiles.get('punter_6').keystrokeProfile.template;
+            expect(aged.sampleCount).to.be.closeTo(enrolledSamples * 1.5, 1e-9);
+
+            biometrics.userProfiles.get('punter_6').updatedAt = Date.now() - 200 * DAY;
+            expect(biometrics.getEnrollmentStatus('punter_6').status).to.equal('expired');
+
+            const returning = await typeLogin(biometrics, 'punter_6', login(TYPISTS.accountHolder, 1, 1));
+            expect(returning.isAuthentic.reason).to.equal('insufficient_data');
+            expect(returning.enrollment).to.include({ status: 'enrolled', sessionsCollected: 1 });
+        });
+
+        it('should keep only encrypted, derived templates on disk', async () => {
+            const biometrics = freshBiometrics({ enrollmentSessions: 1 });
+            const enrollment = await typeLogin(biometrics, 'punter_8', login(TYPISTS.accountHolder, 0, 0));
+            await biometrics.updateUserBiometricProfile('punter_8', enrollment);
+
+            const templateFiles = fs.readdirSync(biometrics.config.templatePath).filter(file => file.endsWith('.json'));
+            expect(templateFiles).to.have.lengthOf(1);
+            const content = fs.readFileSync(path.join(biometrics.config.templatePath, templateFiles[0]), 'utf8');
+            ['punter_8', 'keydown', 'hold:', 'dd:', 'keystrokeProfile'].forEach(secret => {
+                expect(content).to.not.include(secret);
+            });
+
+            // Decrypted, the template holds statistics only: no event arrays and no timestamps of keys pressed
+            const stored = JSON.stringify(biometrics.templateStore.load('punter_8'));
+            expect(stored).to.not.match(/\[|"timestamp"|"key"/);
+            expect(biometrics.templateStore.load('punter_8').keystrokeProfile.template.sampleCount).to.be.above(0);
+
+            await biometrics.resetUser('punter_8');
+            expect(fs.readdirSync(biometrics.config.templatePath).filter(file => file.endsWith('.json'))).to.deep.equal([]);
+        });
+
+        it('should reset and re-enroll a user', async () => {
+            const biometrics = freshBiometrics({ enrollmentSessions: 1 });
+            const enrollment = await typeLogin(biometrics, 'punter_7', login(TYPISTS.accountHolder, 0, 0));
+            await biometrics.updateUserBiometricProfile('punter_7', enrollment);
+            expect(biometrics.getEnrollmentStatus('punter_7').status).to.equal('enrolled');
+
+            await biometrics.enrollUser('punter_7');
+            expect(biometrics.getEnrollmentStatus('punter_7')).to.include({ status: 'enrolling', sessionsCollected: 0, sessionCount: 0 });
+            expect(biometrics.userProfiles.get('punter_7').keystrokeProfile).to.equal(null);
+
+            expect(await biometrics.resetUser('punter_7')).to.equal(true);
+            expect(biometrics.getEnrollmentStatus('punter_7').status).to.equal('not_enrolled');
+            expect(biometrics.templateStore.load('punter_7')).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,349 @@
+/**
+ * Test suite for capturing biometric events from WebdriverIO and Appium commands
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const BehavioralBiometricsAnalyzer = require('../utils/behavioral-biometrics');
+const BiometricCapture = require('../utils/biometric-capture');
+const { summaryOf } = require('../utils/biometric-capture');
+
+const RECTS = {
+    'odds-button': { x: 100, y: 200, width: 80, height: 40 },
+    'stake-input': { x: 20, y: 500, width: 200, height: 30 },
+    'match-list': { x: 0, y: 100, width: 400, height: 600 }
+};
+
+/**
+ * Just enough of a WebdriverIO browser to install on: overwritten
+ * commands are kept so a test can call them with the original command
+ */
+function fakeBrowser(isMobile = false) {
+    const commands = {};
+    return {
+        isMobile,
+        commands,
+        overwriteCommand(name, command, elementScope = false) {
+            commands[`${elementScope ? 'element' : 'browser'}.${name}`] = command;
+        },
+        async getElementRect(elementId) {
+            if (!RECTS[elementId]) throw new Error(`no such element: ${elementId}`);
+            return RECTS[elementId];
+        }
+    };
+}
+
+// Template directories created by the specs, removed once they have run
+const temporaryDirs = [];
+
+function freshCapture() {
+    const templatePath = fs.mkdtempSync(path.join(os.tmpdir(), 'biometrics-'));
+    temporaryDirs.push(templatePath);
+    return new BiometricCapture({ analyzer: new BehavioralBiometricsAnalyzer({ templatePath }) });
+}
+
+const sessionOf = (capture, userId) => capture.getAnalyzer().currentSession.get(userId);
+
+const swipe = (from, to, duration) => ({
+    type: 'pointer',
+    id: 'finger1',
+    parameters: { pointerType: 'touch' },
+    actions: [
+        { type: 'pointerMove', duration: 0, x: from.x, y: from.y },
+        { type: 'pointerDown', button: 0 },
+        { type: 'pause', duration: 50 },
+        { type: 'pointerMove', duration, x: to.x, y: to.y },
+        { type: 'pointerUp', button: 0 }
+    ]
+});
+
+describe('Biometric Capture', () => {
+    after(() => temporaryDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+    describe('Driver commands', () => {
+        it('should record a click as a pointer move and press at the element centre', async () => {
+            const capture = freshCapture();
+            const browser = fakeBrowser();
+            capture.install(browser);
+            await capture.start('punter_1');
+
+            const result = await browser.commands['element.click'].call({ elementId: 'odds-button' }, async () => 'clicked');
+            await browser.commands['element.click'].call({ elementId: 'odds-button' }, async () => 'clicked');
+
+            expect(result).to.equal('clicked');
+            const mouseData = sessionOf(capture, 'punter_1').mouseData;
+            expect(mouseData.map(record => record.type)).to.deep.equal(['mousemove', 'mousedown', 'mouseup', 'mousedown', 'mouseup']);
+            expect(mouseData[1]).to.include({ x: 140, y: 220, button: 0 });
+            expect(mouseData[2].timestamp).to.be.at.least(mouseData[1].timestamp);
+        });
+
+        it('should record a click on mobile as a tap', async () => {
+            const capture = freshCapture();
+            const browser = fakeBrowser(true);
+            capture.install(browser);
+            await capture.start('punter_2');
+
+            await browser.commands['element.click'].call({ elementId: 'odds-button' }, async () => true);
+
+            const touchData = sessionOf(capture, 'punter_2').touchData;
+            expect(touchData.map(record => record.type)).to.deep.equal(['touchstart', 'touchend']);
+            expect(touchData[1].gesture).to.equal('tap');
+            expect(touchData[0].touches[0]).to.include({ clientX: 140, clientY: 220 });
+        });
+
+        it('should record typed values as key presses spread over the command', async () => {
+            const capture = freshCapture();
+            const browser = fakeBrowser();
+            capture.install(browser);
+            await capture.start('punter_1');
+
+            await browser.commands['element.addValue'].call({ elementId: 'stake-input' },
+                () => new Promise(resolve => setTimeout(resolve, 30)), ['2', 5, '\uE007']);
+
+            const keystrokeData = sessionOf(capture, 'punter_1').keystrokeData;
+            expect(keystrokeData.map(record => `${record.type}:${record.key}`)).to.deep.equal([
+                'keydown:2', 'keyup:2', 'keydown:5', 'keyup:5', 'keydown:Enter', 'keyup:Enter'
+            ]);
+
+            const downs = keystrokeData.filter(record => record.type === 'keydown').map(record => record.timestamp);
+            expect(downs[2] - downs[1]).to.be.closeTo(downs[1] - downs[0], 1);
+            expect(keystrokeData[5].timestamp - keystrokeData[0].timestamp).to.be.at.least(20);
+        });
+
+        it('should leave commands alone without a session or when capture fails', async () => {
+            const capture = freshCapture();
+            const browser = fakeBrowser();
+            capture.install(browser);
+
+            let clicks = 0;
+            await browser.commands['element.click'].call({ elementId: 'odds-button' }, async () => clicks++);
+            expect(capture.getAnalyzer().currentSession.size).to.equal(0);
+
+            await capture.start('punter_1');
+            const result = await browser.commands['element.click'].call({ elementId: 'gone' }, async () => ++clicks);
+
+            expect(result).to.equal(2);
+            expect(sessionOf(capture, 'punter_1').mouseData).to.have.length(0);
+        });
+
+        it('should install once per browser', () => {
+            const capture = freshCapture();
+            const browser = fakeBrowser();
+            let overwritten = 0;
+            const overwriteCommand = browser.overwriteCommand;
+            browser.overwriteCommand = (...args) => {
+                overwritten++;
+                return overwriteCommand(...args);
+            };
+
+            capture.install(browser);
+            capture.install(browser);
+
+            expect(overwritten).to.equal(5);
+            expect(Object.keys(browser.commands)).to.have.members([
+                'element.click', 'element.addValue', 'browser.performActions', 'browser.touchAction', 'element.touchAction'
+            ]);
+        });
+    });
+
+    describe('W3C actions', () => {
+        it('should play a touch swipe tick by tick with sampled moves', () => {
+            const capture = new BiometricCapture();
+            const events = capture.actionEvents([swipe({ x: 200, y: 600 }, { x: 200, y: 280 }, 300)], 1000);
+
+            expect(events[0]).to.deep.include({ type: 'touchstart', timestamp: 1000 });
+            expect(events[0].touches[0]).to.include({ identifier: 0, clientX: 200, clientY: 600 });
+
+            const moves = events.filter(event => event.type === 'touchmove');
+            expect(moves).to.have.length(Math.ceil(300 / 16));
+            expect(moves[0].timestamp).to.be.closeTo(1050 + 300 / 19, 1e-9);
+            expect(moves[0].touches[0].clientY).to.be.closeTo(600 - 320 / 19, 1e-9);
+            expect(moves[moves.length - 1]).to.deep.include({ timestamp: 1350 });
+            expect(moves[moves.length - 1].touches[0].clientY).to.equal(280);
+
+            expect(events[events.length - 1]).to.deep.include({ type: 'touchend', timestamp: 1350, touches: [] });
+        });
+
+        it('should keep both fingers of a pinch in touches', () => {
+            const capture = new BiometricCapture();
+            const finger = (id, from, to) => ({
+                type: 'pointer',
+                id,
+                parameters: { pointerType: 'touch' },
+                actions: [
+                    { type: 'pointerMove', duration: 0, ...from },
+                    { type: 'pointerDown', button: 0 },
+                    { type: 'pointerMove', duration: 400, ...to },
+                    { type: 'pointerUp', button: 0 }
+                ]
+            });
+
+            const events = capture.actionEvents([
+                finger('finger1', { x: 180, y: 320 }, { x: 130, y: 360 }),
+                finger('finger2', { x: 220, y: 280 }, { x: 270, y: 240 })
+            ], 0);
+
+            expect(events.filter(event => event.type === 'touchstart').map(event => event.touches.length)).to.deep.equal([1, 2]);
+            const moves = events.filter(event => event.type === 'touchmove');
+            expect(moves).to.have.length(25);
+            moves.forEach(move => expect(move.changedTouches.map(touch => touch.identifier)).to.deep.equal([0, 1]));
+            expect(events.filter(event => event.type === 'touchend').map(event => event.touches.length)).to.deep.equal([1, 0]);
+        });
+
+        it('should resolve element and pointer origins and carry the mouse between commands', () => {
+            const capture = new BiometricCapture();
+            const rects = new Map([['odds-button', RECTS['odds-button']]]);
+
+            const events = capture.actionEvents([
+                {
+                    type: 'pointer',
+                    id: 'mouse',
+                    parameters: { pointerType: 'mouse' },
+                    actions: [
+                        { type: 'pointerMove', duration: 0, x: 5, y: -5, origin: { 'element-6066-11e4-a52e-4f735466cecf': 'odds-button' } },
+                        { type: 'pointerDown', button: 0 },
+                        { type: 'pointerUp', button: 0 },
+                        { type: 'pointerMove', duration: 32, x: 20, y: 0, origin: 'pointer' }
+                    ]
+                },
+                {
+                    type: 'key',
+                    id: 'keyboard',
+                    actions: [{ type: 'pause' }, { type: 'pause' }, { type: 'keyDown', value: '\uE008' }, { type: 'keyUp', value: '\uE008' }]
+                }
+            ], 0, rects);
+
+            expect(events.map(event => event.type)).to.deep.equal([
+                'mousemove', 'mousedown', 'mouseup', 'keydown', 'keyup', 'mousemove', 'mousemove'
+            ]);
+            expect(events[1]).to.include({ clientX: 145, clientY: 215 });
+            expect(events[3]).to.include({ key: 'Shift', timestamp: 0 });
+            expect(events[6]).to.include({ clientX: 165, clientY: 215, timestamp: 32 });
+            expect(capture.pointer).to.deep.equal({ x: 165, y: 215 });
+        });
+
+        it('should turn wheel scrolls into wheel events', () => {
+            const capture = new BiometricCapture();
+            const events = capture.actionEvents([{
+                type: 'wheel',
+                id: 'wheel',
+                actions: [{ type: 'scroll', x: 0, y: 0, deltaX: 0, deltaY: 120, duration: 100 }, { type: 'scroll', x: 0, y: 0, deltaX: 0, deltaY: 120 }]
+            }], 0);
+
+            expect(events).to.deep.equal([
+                { type: 'wheel', timestamp: 0, deltaX: 0, deltaY: 120, deltaZ: 0, deltaMode: 0 },
+                { type: 'wheel', timestamp: 100, deltaX: 0, deltaY: 120, deltaZ: 0, deltaMode: 0 }
+            ]);
+        });
+    });
+
+    describe('Appium touch actions', () => {
+        it('should play press, wait, moveTo and release chains', () => {
+            const capture = new BiometricCapture();
+            const rects = new Map([['match-list', RECTS['match-list']]]);
+
+            const events = capture.touchActionEvents([
+                { action: 'press', element: { elementId: 'match-list' }, x: 200, y: 500 },
+                { action: 'wait', ms: 200 },
+                { action: 'moveTo', x: 200, y: 150 },
+                'release'
+            ], 0, rects);
+
+            expect(events.map(event => `${event.type}@${event.timestamp}`)).to.deep.equal(['touchstart@0', 'touchmove@200', 'touchend@200']);
+            expect(events[0].touches[0]).to.include({ clientX: 200, clientY: 600 });
+            expect(events[2].changedTouches[0]).to.include({ clientX: 200, clientY: 150 });
+        });
+
+        it('should hold long presses and tap the element the command was called on', () => {
+            const capture = new BiometricCapture();
+            const rects = new Map([['odds-button', RECTS['odds-button']]]);
+
+            const longPress = capture.touchActionEvents(['longPress', 'release'], 0, rects, 'odds-button');
+            expect(longPress.map(event => event.timestamp)).to.deep.equal([0, 1000]);
+            expect(longPress[0].touches[0]).to.include({ clientX: 140, clientY: 220 });
+
+            const tap = capture.touchActionEvents({ action: 'tap', x: 30, y: 20 }, 0, new Map());
+            expect(tap.map(event => event.type)).to.deep.equal(['touchstart', 'touchend']);
+            expect(tap[0].touches[0]).to.include({ clientX: 30, clientY: 20 });
+        });
+
+        it('should run multi-touch chains as separate fingers', () => {
+            const capture = new BiometricCapture();
+            const events = capture.touchActionEvents([
+                [{ action: 'press', x: 150, y: 300 }, { action: 'wait', ms: 100 }, { action: 'moveTo', x: 100, y: 300 }, 'release'],
+                [{ action: 'press', x: 250, y: 300 }, { action: 'wait', ms: 100 }, { action: 'moveTo', x: 300, y: 300 }, 'release']
+            ], 0);
+
+            expect(events.map(event => event.type)).to.deep.equal(['touchstart', 'touchstart', 'touchmove', 'touchend', 'touchend']);
+            expect(events[2].changedTouches.map(touch => touch.clientX)).to.deep.equal([100, 300]);
+        });
+    });
+
+    describe('Sessions', () => {
+        it('should analyse a driven session and flag its synthetic swipes', async () => {
+            const capture = freshCapture();
+            const browser = fakeBrowser(true);
+            capture.install(browser);
+            await capture.start('punter_2', { platformName: 'Android' });
+
+            // The driver returns once the gesture has played out
+            const performActions = () => new Promise(resolve => setTimeout(resolve, 180));
+            for (let i = 0; i < 3; i++) {
+                await browser.commands['browser.performActions'].call(browser, performActions,
+                    [swipe({ x: 200, y: 620 }, { x: 200, y: 260 }, 120)]);
+            }
+
+            const report = await capture.end();
+            expect(capture.isActive).to.equal(false);
+            expect(report.deviceInfo).to.deep.equal({ platformName: 'Android' });
+            expect(report.dataQuality.touchDataPoints).to.equal(3 * 10);
+
+            const summary = summaryOf(report);
+            expect(summary.userId).to.equal('punter_2');
+            expect(summary.anomalies.map(anomaly => anomaly.type)).to.include('synthetic_input');
+            expect(summary).to.not.have.property('profiles');
+        });
+
+        it('should replay the session as user actions for the ML feature extractor', async () => {
+            const capture = freshCapture();
+            const browser = fakeBrowser(true);
+            capture.install(browser);
+            await capture.start('punter_3');
+
+            await browser.commands['element.click'].call({ elementId: 'odds-button' }, async () => 'tapped');
+            await browser.commands['browser.performActions'].call(browser, async () => {},
+                [swipe({ x: 200, y: 620 }, { x: 200, y: 260 }, 120)]);
+            await browser.commands['element.addValue'].call({ elementId: 'stake-input' }, async () => {}, '25');
+
+            const actions = capture.userActions();
+            const types = actions.map(action => action.type);
+
+            // The tap stays a click; the swipe is the track its finger drew
+            expect(actions.filter(action => action.type === 'click')).to.have.lengthOf(1);
+            expect(actions.find(action => action.type === 'click')).to.include({ x: 140, y: 220 });
+            const moves = actions.filter(action => action.type === 'mouse_move');
+            expect(moves[0]).to.include({ x: 200, y: 620 });
+            expect(moves[moves.length - 1]).to.include({ x: 200, y: 260 });
+            expect(types.filter(type => type === 'key_down')).to.have.lengthOf(2);
+            expect(types.filter(type => type === 'key_up')).to.have.lengthOf(2);
+
+            const timestamps = actions.map(action => action.timestamp);
+            expect(timestamps).to.deep.equal([...timestamps].sort((a, b) => a - b));
+
+            await capture.start('punter_4');
+            expect(capture.userActions()).to.deep.equal([]);
+        });
+
+        it('should end the session in progress when another user starts', async () => {
+            const capture = freshCapture();
+            await capture.start('punter_1');
+            await capture.start('punter_2');
+
+            expect(capture.getAnalyzer().currentSession.has('punter_1')).to.equal(false);
+            expect(capture.userId).to.equal('punter_2');
+            expect(await capture.end()).to.include({ userId: 'punter_2' });
+            expect(await capture.end()).to.equal(null);
+        });
+    });
+});
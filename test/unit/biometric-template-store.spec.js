@@ -0,0 +1,149 @@
+/**
+ * Test suite for the encrypted on-disk biometric template store
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { expect } = require('chai');
+const BiometricTemplateStore = require('../utils/biometric-template-store');
+const { TEMPLATE_FORMAT_VERSION } = require('../utils/biometric-template-store');
+const { KeystrokeDynamicsAnalyzer } = require('../utils/behavioral-biometrics');
+
+// Template directories created by the specs, removed once they have run
+const temporaryDirs = [];
+
+function temporaryStore(options = {}) {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'biometric-templates-'));
+    temporaryDirs.push(rootDir);
+    return new BiometricTemplateStore(rootDir, options);
+}
+
+function storedFiles(store) {
+    return fs.readdirSync(store.rootDir).filter(file => file.endsWith('.json'));
+}
+
+const profile = {
+    userId: 'punter@example.com',
+    status: 'enrolled',
+    keystrokeProfile: {
+        type: 'keystroke',
+        metrics: { typingSpeed: 4.2, note: 'typed Gooner1886!' },
+        template: { features: { 'dd:G|o': { mean: 140, mad: 12, count: 6 } }, sampleCount: 6 }
+    },
+    rawEvents: [{ type: 'keydown', key: 'G', timestamp: 1709388000000 }]
+};
+
+describe('Biometric Template Store', () => {
+    after(() => temporaryDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+    it('should round-trip profiles and bump the revision on every save', () => {
+        const store = temporaryStore();
+
+        expect(store.save('punter@example.com', profile)).to.equal(1);
+        expect(store.save('punter@example.com', { ...profile, status: 'enrolling' })).to.equal(2);
+
+        const loaded = store.load('punter@example.com');
+        expect(loaded).to.deep.include({ status: 'enrolling', revision: 2 });
+        expect(loaded.keystrokeProfile.template).to.deep.equal(profile.keystrokeProfile.template);
+        expect(store.load('someone_else')).to.equal(null);
+    });
+
+    it('should write only encrypted, derived values', () => {
+        const store = temporaryStore();
+        store.save('punter@example.com', profile);
+
+        storedFiles(store).forEach(file => {
+            const content = fs.readFileSync(path.join(store.rootDir, file), 'utf8');
+            ['punter@example.com', 'keydown', 'dd:G|o', 'Gooner', 'typingSpeed'].forEach(secret => {
+                expect(content).to.not.include(secret);
+            });
+        });
+        expect(fs.statSync(store.keyPath).mode & 0o077).to.equal(0);
+
+        const loaded = store.load('punter@example.com');
+        expect(loaded).to.not.have.property('rawEvents');
+        expect(loaded.keystrokeProfile.metrics).to.deep.equal({ typingSpeed: 4.2 });
+    });
+
+    it('should keep the characters typed out of decrypted keystroke templates', () => {
+        const store = temporaryStore();
+        const analyzer = new KeystrokeDynamicsAnalyzer({ ngramLabel: store.ngramLabeler() });
+        const typing = start => 'Gooner1886!'.split('').flatMap((key, i) => [
+            { type: 'keydown', timestamp: start + i * 140, key },
+            { type: 'keyup', timestamp: start + i * 140 + 85 + (i % 3) * 10, key }
+        ]);
+
+        const session = typing(1709388000000);
+        const analysis = analyzer.analyze(session);
+        store.save('punter@example.com', {
+            keystrokeProfile: { type: 'keystroke', metrics: analysis, template: analyzer.createTemplate(session) }
+        });
+
+        const { keystrokeProfile } = store.load('punter@example.com');
+        const labels = [
+            ...Object.keys(keystrokeProfile.template.features).map(feature => feature.split(':')[1]),
+            ...Object.keys(keystrokeProfile.metrics.dwellTimePatterns.perKey),
+            ...Object.keys(keystrokeProfile.metrics.keyPairTimings.digraphs),
+            ...Object.keys(keystrokeProfile.metrics.keyPairTimings.trigraphs)
+        ];
+        expect(labels).to.have.length.above(20);
+        labels.forEach(label => expect(label).to.match(/^[0-9a-f]{16}$/));
+        ['G', 'G|o', 'o|o|n', '!'].forEach(typed => expect(labels).to.not.include(typed));
+
+        // The same store labels the next session alike, so it still matches the template
+        const comparison = analyzer.compareToTemplate(typing(1709474400000), keystrokeProfile.template);
+        expect(comparison.coverage).to.equal(1);
+    });
+
+    it('should refuse tampered, moved or foreign-key templates', () => {
+        const store = temporaryStore();
+        store.save('punter@example.com', profile);
+        store.save('punter_2', { ...profile, userId: 'punter_2' });
+
+        // A template copied over another user's does not authenticate
+        fs.copyFileSync(store.fileFor('punter@example.com'), store.fileFor('punter_2'));
+        expect(() => store.load('punter_2')).to.throw(/failed authentication/);
+        expect([...store.loadAll().keys()]).to.deep.equal(['punter@example.com']);
+
+        const record = JSON.parse(fs.readFileSync(store.fileFor('punter@example.com'), 'utf8'));
+        fs.writeFileSync(store.fileFor('punter@example.com'), JSON.stringify({ ...record, revision: record.revision + 5 }));
+        expect(() => store.load('punter@example.com')).to.throw(/failed authentication/);
+
+        const foreign = new BiometricTemplateStore(store.rootDir, { keyPath: path.join(temporaryStore().rootDir, 'other.key') });
+        expect(foreign.loadAll().size).to.equal(0);
+    });
+
+    it('should delete templates past the retention period', () => {
+        const store = temporaryStore({ retentionPeriod: 60000 });
+        store.save('punter@example.com', profile);
+
+        expect(store.purgeExpired(Date.now() + 30000)).to.equal(0);
+        expect(store.purgeExpired(Date.now() + 120000)).to.equal(1);
+        expect(storedFiles(store)).to.deep.equal([]);
+    });
+
+    it('should skip templates in another format when loading everyone', () => {
+        const store = temporaryStore();
+        store.save('punter@example.com', profile);
+        store.save('punter_2', { ...profile, userId: 'punter_2' });
+
+        const legacyFile = store.fileFor('punter_2');
+        const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+        fs.writeFileSync(legacyFile, JSON.stringify({ ...legacy, formatVersion: TEMPLATE_FORMAT_VERSION - 1 }));
+
+        expect([...store.loadAll().keys()]).to.deep.equal(['punter@example.com']);
+        expect(() => store.load('punter_2')).to.throw(/Unsupported biometric template format/);
+
+        // Re-enrolling over the old file carries its revision on
+        expect(store.save('punter_2', profile)).to.equal(2);
+    });
+
+    it('should erase a user\'s template', () => {
+        const store = temporaryStore();
+        store.save('punter@example.com', profile);
+
+        expect(store.remove('punter@example.com')).to.equal(true);
+        expect(store.remove('punter@example.com')).to.equal(false);
+        expect(storedFiles(store)).to.deep.equal([]);
+    });
+});
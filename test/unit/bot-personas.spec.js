@@ -0,0 +1,381 @@
+/**
+ * Test suite for the adversary personas and the detection coverage matrix
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const BotPersona = require('../utils/bot-personas');
+const { PERSONAS, ScriptedInput, InputRecorder, ReplayInput } = require('../utils/bot-personas');
+const Humanizer = require('../utils/humanizer');
+const DetectionCoverage = require('../utils/detection-coverage');
+const { timingVerdict, biometricVerdict, mlVerdict } = require('../utils/detection-coverage');
+const BehavioralBiometricsAnalyzer = require('../utils/behavioral-biometrics');
+const { biometricCapture } = require('../utils/biometric-capture');
+const MLFraudDetector = require('../utils/ml-fraud-detector');
+// Page objects and PerformanceUtil are ES modules, compiled by @babel/register as under WebdriverIO
+const LoginPage = require('../pageobjects/login.page.js').default;
+const BettingPage = require('../pageobjects/betting.page.js').default;
+const ProfilePage = require('../pageobjects/profile.page.js').default;
+const PerformanceUtil = require('../utils/performance.util.js').default;
+
+const RECTS = {
+    'match-list': { x: 0, y: 100, width: 400, height: 600 },
+    'stake-input': { x: 20, y: 500, width: 200, height: 30 }
+};
+['username', 'password', 'login-button', 'bonus-button', 'claim-bonus-button', 'place-bet-button', 'profile-button', 'logout-button', 'confirm-logout-button']
+    .forEach((id, i) => { RECTS[id] = { x: 40, y: 120 + i * 70, width: 300, height: 48 }; });
+[0, 1, 2].forEach(i => { RECTS[`match-item-${i}`] = { x: 20, y: 200 + i * 90, width: 360, height: 80 }; });
+[0, 1].forEach(i => { RECTS[`bet-odds-${i}`] = { x: 40 + i * 160, y: 520, width: 140, height: 50 }; });
+
+const EVENTS = [
+    { name: 'Real Madrid vs Barcelona', odds: [{ name: 'Real Madrid Win', value: 2.1 }] },
+    { name: 'Lakers vs Celtics', odds: [{ name: 'Lakers Win', value: 1.85 }] },
+    { name: 'Federer vs Nadal', odds: [{ name: 'Federer Win', value: 2.5 }] }
+];
+
+/**
+ * Seeded random numbers (Park-Miller), so every run plays the same sessions
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+}
+
+// What each detector is expected to make of each persona
+const EXPECTED_COVERAGE = {
+    human: { timing: false, biometrics: false, ml: false },
+    naive_script: { timing: true, biometrics: true, ml: true },
+    jittered_script: { timing: false, biometrics: true, ml: true },
+    replayed_human: { timing: false, biometrics: true, ml: false },
+    slow_and_low: { timing: false, biometrics: false, ml: true }
+};
+
+const durationOf = actions => actions.reduce((sum, source) =>
+    sum + source.actions.reduce((total, action) => total + (action.duration || 0), 0), 0);
+
+/**
+ * Mobile driver standing in for WebdriverIO's browser, $ and $$ over the
+ * elements in RECTS. Every command takes the time a device would on the
+ * virtual clock, and commands overwritten with overwriteCommand (as
+ * biometric capture does) run through their overwrite
+ */
+function stubDriver(clock, rects = RECTS) {
+    const overwrites = {};
+    const command = (name, scope, original) => async function (...args) {
+        const overwrite = overwrites[`${scope}.${name}`];
+        return overwrite ? overwrite.call(this, (...originalArgs) => original(...originalArgs), ...args) : original(...args);
+    };
+
+    const element = (selector, id = selector.replace(/^~/, '')) => {
+        const target = {
+            selector,
+            elementId: id,
+            click: command('click', 'element', async () => clock.advance(35)),
+            addValue: command('addValue', 'element', async () => clock.advance(40)),
+            async setValue(value) {
+                await target.clearValue();
+                return target.addValue(value);
+            },
+            clearValue: async () => clock.advance(10),
+            waitForClickable: async () => true,
+            // The app takes a moment to show the next screen
+            waitForDisplayed: async () => {
+                clock.advance(700);
+                return true;
+            }
+        };
+        return target;
+    };
+
+    const browser = {
+        isMobile: true,
+        capabilities: { platformName: 'Android', deviceName: 'stub' },
+        overwriteCommand(name, overwrite, elementScope = false) {
+            overwrites[`${elementScope ? 'element' : 'browser'}.${name}`] = overwrite;
+        },
+        async getElementRect(elementId) {
+            if (!rects[elementId]) throw new Error(`no such element: ${elementId}`);
+            return rects[elementId];
+        },
+        // The driver returns once the gestures have played out
+        performActions: command('performActions', 'browser', async actions => clock.advance(durationOf(actions) + 20)),
+        releaseActions: async () => {},
+        pause: async ms => clock.advance(ms)
+    };
+
+    return {
+        browser,
+        $: selector => element(selector),
+        $$: selector => Object.keys(rects)
+            .filter(id => id.startsWith(`${selector.replace(/^~/, '')}-`))
+            .map(id => element(selector, id))
+    };
+}
+
+describe('Bot Personas', () => {
+    describe('Input strategies', () => {
+        it('should script straight, evenly sampled pointer moves', () => {
+            const input = new ScriptedInput({ jitter: 0.3, positionJitter: 6, random: seededRandom(3) });
+            const swipe = input.swipeActions({ x: 200, y: 580 }, { x: 200, y: 220 });
+            const moves = swipe.actions.filter(action => action.type === 'pointerMove').slice(1);
+
+            expect(moves).to.have.lengthOf(25);
+            moves.forEach(move => expect(move.x).to.equal(200));
+            expect(new Set(moves.map(move => move.duration)).size).to.equal(1);
+            expect(moves[moves.length - 1].y).to.equal(220);
+
+            const tap = input.tapActions(RECTS['stake-input']);
+            expect(tap.actions[0].x).to.be.within(114, 126);
+            expect(tap.actions[0].y).to.be.within(509, 521);
+        });
+
+        it('should keep timings within the jitter of their base', () => {
+            const input = new ScriptedInput({ jitter: 0.3, random: seededRandom(5) });
+            const thinkTimes = Array.from({ length: 50 }, () => input.thinkTime());
+
+            thinkTimes.forEach(time => expect(time).to.be.within(105, 195));
+            expect(new Set(thinkTimes).size).to.be.above(10);
+            expect(new ScriptedInput().thinkTime()).to.equal(150);
+        });
+
+        it('should replay recorded gestures on the element now targeted', () => {
+            const recorder = new InputRecorder(new Humanizer({ seed: 1101 }, { seed: 7 }));
+            const tapped = recorder.tapActions(RECTS['bet-odds-0']);
+            const swiped = recorder.swipeActions({ x: 200, y: 580 }, { x: 200, y: 220 });
+            recorder.thinkTime();
+
+            const replay = new ReplayInput(recorder.recording);
+            const tap = replay.tapActions(RECTS['bet-odds-1']);
+            expect(tap.actions[0].x).to.equal(tapped.actions[0].x + 160);
+            expect(tap.actions[0].y).to.equal(tapped.actions[0].y);
+            expect(tap.actions.map(action => action.duration)).to.deep.equal(tapped.actions.map(action => action.duration));
+
+            const swipe = replay.swipeActions({ x: 210, y: 580 });
+            swipe.actions.filter(action => action.type === 'pointerMove').forEach((move, i) => {
+                const recorded = swiped.actions.filter(action => action.type === 'pointerMove')[i];
+                expect(move).to.include({ x: recorded.x + 10, y: recorded.y, duration: recorded.duration });
+            });
+
+            expect(replay.thinkTime()).to.equal(recorder.recording.thinkTimes[0]);
+            expect(replay.thinkTime()).to.equal(recorder.recording.thinkTimes[0]);
+        });
+
+        it('should type new text to the recorded key rhythm', () => {
+            const recorder = new InputRecorder(new ScriptedInput({ jitter: 0.3, random: seededRandom(9) }));
+            const recorded = recorder.typingActions('42');
+            const replay = new ReplayInput(recorder.recording);
+
+            const sequence = replay.typingActions('137');
+            const keys = sequence.actions.filter(action => action.type !== 'pause');
+            expect(keys.map(action => `${action.type}:${action.value}`)).to.deep.equal(
+                ['keyDown:1', 'keyUp:1', 'keyDown:3', 'keyUp:3', 'keyDown:7', 'keyUp:7']);
+
+            const pauses = sequence.actions.filter(action => action.type === 'pause').map(action => action.duration);
+            const recordedPauses = recorded.actions.filter(action => action.type === 'pause').map(action => action.duration);
+            expect(pauses.slice(0, recordedPauses.length)).to.deep.equal(recordedPauses);
+        });
+
+        it('should refuse to replay what was never recorded', () => {
+            const replay = new ReplayInput(new InputRecorder(new ScriptedInput()).recording);
+            expect(() => replay.swipeActions({ x: 0, y: 0 })).to.throw('Recording has no swipes to replay');
+        });
+    });
+
+    describe('Detection coverage', () => {
+        it('should catch a persona when any of its sessions is caught', () => {
+            const coverage = new DetectionCoverage();
+            coverage.record('slow_and_low', 'ml', { caught: false, score: 0.2, evidence: [] });
+            coverage.record('slow_and_low', 'ml', { caught: true, score: 0.6, evidence: ['bonus_abuse'] });
+            coverage.record('slow_and_low', 'ml', { caught: false, score: 0.3, evidence: ['bonus_abuse'] });
+            coverage.record('human', 'timing', { caught: false, score: 20, evidence: ['consistent_timing'] });
+
+            expect(coverage.toJSON().slow_and_low.ml).to.deep.equal({ caught: true, score: 0.6, evidence: ['bonus_abuse'] });
+            expect(coverage.matrix()).to.deep.equal({
+                slow_and_low: { timing: null, biometrics: null, ml: true },
+                human: { timing: false, biometrics: null, ml: null }
+            });
+            expect(coverage.gaps()).to.deep.equal(['human']);
+            expect(coverage.gaps(['human'])).to.deep.equal([]);
+            expect(coverage.toTable()).to.equal([
+                'persona       timing      biometrics  ml',
+                'slow_and_low  -           -           CAUGHT',
+                'human         missed      -           -'
+            ].join('\n'));
+            expect(() => coverage.record('human', 'captcha', { caught: true, score: 1, evidence: [] })).to.throw('Unknown detector: captcha');
+        });
+
+        it('should read verdicts from each detector\'s output', () => {
+            const performance = {
+                suspiciousPatterns: [{ type: 'fast_input' }, { type: 'fast_input' }, { type: 'consistent_timing' }],
+                calculateTimingRiskScore: () => 75
+            };
+            expect(timingVerdict(performance)).to.deep.equal({ caught: true, score: 75, evidence: ['fast_input', 'consistent_timing'] });
+            expect(timingVerdict(performance, 80).caught).to.equal(false);
+
+            // A change of hands is not automation
+            const takeover = biometricVerdict({ anomalies: [{ type: 'sudden_behavior_change' }] });
+            expect(takeover).to.deep.equal({ caught: false, score: 0, evidence: ['sudden_behavior_change'] });
+            expect(biometricVerdict({ anomalies: [{ type: 'sudden_behavior_change' }, { type: 'synthetic_input' }] }).caught).to.equal(true);
+            expect(biometricVerdict(null).caught).to.equal(false);
+
+            expect(mlVerdict({ flags: [], riskLevel: 'low', confidenceScore: 0.3 }).caught).to.equal(false);
+            expect(mlVerdict({ flags: [], riskLevel: 'high', confidenceScore: 0.8 }).caught).to.equal(true);
+            expect(mlVerdict({ flags: ['bonus_abuse'], riskLevel: 'medium', fraudIndicators: ['promotion_only_betting'] }))
+                .to.deep.include({ caught: true, evidence: ['bonus_abuse', 'promotion_only_betting'] });
+        });
+    });
+
+    describe('Personas against the detectors', () => {
+        const start = Date.UTC(2026, 9, 19, 14, 0, 0);
+        const pages = { login: LoginPage, betting: BettingPage, profile: ProfilePage };
+        let now;
+        let driver;
+        let detector;
+        let coverage;
+        let templatePath;
+
+        const clock = {
+            now: () => now,
+            advance: ms => { now += Math.max(0, Math.round(ms)); }
+        };
+
+        beforeEach(() => {
+            now = start;
+            driver = stubDriver(clock);
+            Object.assign(global, driver);
+
+            templatePath = fs.mkdtempSync(path.join(os.tmpdir(), 'biometrics-'));
+            biometricCapture.analyzer = new BehavioralBiometricsAnalyzer({ templatePath });
+            biometricCapture.useClock(clock.now);
+            PerformanceUtil.useClock(clock.now);
+            detector = new MLFraudDetector({ modelPath: fs.mkdtempSync(path.join(os.tmpdir(), 'ml-personas-')), recordAnalyses: false });
+            coverage = new DetectionCoverage();
+        });
+
+        afterEach(async () => {
+            await biometricCapture.end();
+            biometricCapture.analyzer = null;
+            biometricCapture.useClock();
+            PerformanceUtil.useClock();
+            PerformanceUtil.reset();
+            ['browser', '$', '$$'].forEach(name => delete global[name]);
+            await detector.close();
+            fs.rmSync(templatePath, { recursive: true, force: true });
+        });
+
+        /**
+         * One session of a persona through the page objects, judged by every detector
+         */
+        async function play(persona, user, deviceId) {
+            PerformanceUtil.reset();
+            const session = await persona.run(pages, user, {
+                now: clock.now,
+                deviceId,
+                ipAddress: '10.0.0.7',
+                events: EVENTS
+            });
+            const report = await pages.login.endBiometricSession();
+            const actions = [...session.actions, ...biometricCapture.userActions()].sort((a, b) => a.timestamp - b.timestamp);
+            const analysis = await detector.analyzeUserBehavior(actions, user.username);
+
+            coverage.record(persona.name, 'timing', timingVerdict(PerformanceUtil));
+            coverage.record(persona.name, 'biometrics', biometricVerdict(report));
+            coverage.record(persona.name, 'ml', mlVerdict(analysis));
+            clock.advance(10 * 60 * 1000);
+            return session;
+        }
+
+        it('should leave the human alone and catch every scripted adversary', async () => {
+            const random = seededRandom(3);
+            const user = { username: 'normal_user1', password: 'Password123', averageStake: 50 };
+            const human = new BotPersona(PERSONAS.human, { seed: 39, record: true, random, motorModel: { seed: 1101, dwell: 85, flight: 120 } });
+
+            const session = await play(human, user, 'pixel-7-a');
+            expect(session.actions.map(action => action.type)).to.deep.equal(['login', 'bet_placed', 'bet_placed', 'logout']);
+            expect(session.actions[1]).to.include({ eventId: 'Real Madrid vs Barcelona', odds: 2.1 });
+
+            await play(new BotPersona(PERSONAS.naive_script, { random }), { username: 'script_kid', password: 'Password123' }, 'emulator-1');
+            await play(new BotPersona(PERSONAS.jittered_script, { random }), { username: 'jitter_bot', password: 'Password123' }, 'emulator-2');
+            await play(new BotPersona(PERSONAS.replayed_human, { recording: human.recording, random }),
+                { username: 'replay_mule', password: 'Password123', averageStake: 50 }, 'emulator-3');
+            for (let account = 0; account < 3; account++) {
+                await play(new BotPersona(PERSONAS.slow_and_low, { seed: 300 + account, random }),
+                    { username: `farm_${account}`, password: 'Password123' }, 'farm-phone');
+            }
+
+            expect(coverage.matrix()).to.deep.equal(EXPECTED_COVERAGE);
+            expect(coverage.gaps(['human'])).to.deep.equal([]);
+
+            const report = coverage.toJSON();
+            expect(report.naive_script.timing.evidence).to.include('fast_input');
+            expect(report.naive_script.biometrics.evidence).to.include('synthetic_input');
+            expect(report.naive_script.ml.evidence).to.include('bot_like_behavior');
+            expect(report.replayed_human.biometrics.evidence).to.include('replayed_trajectory');
+            expect(report.slow_and_low.ml.evidence).to.include('bonus_abuse');
+        });
+
+        it('should wait for elements to render before reading their rects', async () => {
+            // Like WebdriverIO, an element found before it rendered gets its id once waited for
+            const rendering = (selector, id, wait) => ({
+                selector,
+                elementId: undefined,
+                async [wait]() {
+                    this.elementId = id;
+                    return true;
+                },
+                clearValue: async () => {}
+            });
+            const actions = [];
+            browser.overwriteCommand('performActions', (original, sequence) => {
+                actions.push(...sequence);
+                return original(sequence);
+            });
+
+            pages.betting.useMotorModel({ seed: 7 });
+            try {
+                await pages.betting.tapElement(rendering('~place-bet-button', 'place-bet-button', 'waitForClickable'));
+                await pages.betting.typeText(rendering('~stake-input', 'stake-input', 'waitForClickable'), 25);
+                await pages.betting.swipeWithin(rendering('~match-list', 'match-list', 'waitForDisplayed'),
+                    { x: 0.5, y: 0.8 }, { x: 0.5, y: 0.2 });
+            } finally {
+                pages.betting.useMotorModel(null);
+            }
+
+            const pointers = actions.filter(sequence => sequence.type === 'pointer');
+            const [tap, fieldTap, swipe] = pointers.map(sequence => sequence.actions[0]);
+            expect(pointers).to.have.lengthOf(3);
+            expect(tap.y).to.be.within(RECTS['place-bet-button'].y, RECTS['place-bet-button'].y + RECTS['place-bet-button'].height);
+            expect(fieldTap.y).to.be.within(RECTS['stake-input'].y, RECTS['stake-input'].y + RECTS['stake-input'].height);
+            expect(swipe.y).to.be.within(560, 620);
+        });
+
+        it('should clear the page\'s input strategy even when a run fails', async () => {
+            const rects = { ...RECTS };
+            delete rects['match-list'];
+            Object.assign(global, stubDriver(clock, rects));
+            const strategies = [];
+            pages.login.useInputStrategy = strategy => {
+                strategies.push(strategy);
+                Object.getPrototypeOf(pages.login).useInputStrategy.call(pages.login, strategy);
+            };
+
+            let error;
+            try {
+                await new BotPersona(PERSONAS.jittered_script, { random: seededRandom(1) })
+                    .run(pages, { username: 'jitter_bot', password: 'x' }, { now: clock.now });
+            } catch (e) {
+                error = e;
+            } finally {
+                delete pages.login.useInputStrategy;
+            }
+
+            expect(error.message).to.equal('no such element: match-list');
+            expect(strategies[0]).to.be.instanceOf(ScriptedInput);
+            expect(strategies[strategies.length - 1]).to.equal(null);
+        });
+    });
+});
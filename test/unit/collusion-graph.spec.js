@@ -0,0 +1,113 @@
+/**
+ * Test suite for the collusion graph behind MLFraudDetector network analysis
+ */
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const CollusionGraph = require('../utils/collusion-graph');
+const MLFraudDetector = require('../utils/ml-fraud-detector');
+const { SESSION_START, humanBettingSession } = require('../data/fixtures/action-streams');
+
+const MINUTE = 60000;
+
+function bet(eventId, selection, minute, amount = 50) {
+    return { eventId, market: 'match_winner', selection, timestamp: SESSION_START + minute * MINUTE, amount, odds: 2.0 };
+}
+
+/**
+ * Session of an account in a chip-dumping ring: shared card, bets against the partner account
+ */
+function ringSession(index, selection) {
+    const t = SESSION_START;
+    return [
+        { type: 'login', timestamp: t, ipAddress: `81.2.69.${10 + index}`, deviceId: `ring-phone-${index}`, success: true },
+        { type: 'deposit', timestamp: t + MINUTE, amount: 200, method: 'debit_card', instrumentId: 'card-7781' },
+        { type: 'bet_placed', timestamp: t + (3 + index) * MINUTE, amount: 200, odds: 1.9, eventId: 'ars-che', market: 'match_winner', selection, outcome: 'lost' }
+    ];
+}
+
+describe('Collusion Graph', () => {
+    it('should weight links by the kind of shared entity', () => {
+        const graph = new CollusionGraph();
+        graph.addUserActivity('a', { ips: ['10.0.0.1'] });
+        graph.addUserActivity('b', { ips: ['10.0.0.1'], instruments: ['card-1'] });
+        graph.addUserActivity('c', { instruments: ['card-1'] });
+
+        expect(graph.edgeWeight('a', 'b')).to.be.closeTo(0.3, 1e-9);
+        expect(graph.edgeWeight('b', 'c')).to.be.closeTo(0.8, 1e-9);
+        expect(graph.edgeWeight('a', 'c')).to.equal(0);
+        expect(graph.getNeighbors('b')[0]).to.deep.include({ userId: 'c', reasons: { instrument: 1 } });
+        expect(graph.entityOverlap('a', 'ip')).to.equal(1);
+    });
+
+    it('should discount entities shared by many users', () => {
+        const graph = new CollusionGraph();
+        for (let i = 0; i < 16; i++) {
+            graph.addUserActivity(`cafe_${i}`, { ips: ['203.0.113.7'] });
+        }
+
+        expect(graph.edgeWeight('cafe_0', 'cafe_1')).to.be.closeTo(0.3 / 4, 1e-9);
+        expect(graph.getCommunity('cafe_0')).to.equal(null);
+    });
+
+    it('should link opposing and identical bets only inside the coordination window', () => {
+        const graph = new CollusionGraph();
+        graph.addUserActivity('backer', { bets: [bet('evt-1', 'home', 0), bet('evt-2', 'home', 0)] });
+        graph.addUserActivity('layer', { bets: [bet('evt-1', 'away', 2), bet('evt-2', 'away', 60)] });
+        graph.addUserActivity('copycat', { bets: [bet('evt-1', 'home', 1)] });
+
+        expect(graph.getNeighbors('backer').find(link => link.userId === 'layer').reasons).to.deep.equal({ opposing_bet: 1 });
+        expect(graph.getNeighbors('backer').find(link => link.userId === 'copycat').reasons).to.deep.equal({ identical_bet: 1 });
+        expect(graph.betOverlap('backer', 'opposing_bet')).to.equal(0.5);
+        expect(graph.betOverlap('layer', 'opposing_bet')).to.equal(0.5);
+    });
+
+    it('should not double count activity that is analysed again', () => {
+        const graph = new CollusionGraph();
+        const activity = { devices: ['emulator-1'], bets: [bet('evt-1', 'home', 0)] };
+        graph.addUserActivity('a', activity);
+        graph.addUserActivity('b', { devices: ['emulator-1'], bets: [bet('evt-1', 'away', 1)] });
+        const weight = graph.edgeWeight('a', 'b');
+
+        graph.addUserActivity('a', activity);
+
+        expect(graph.edgeWeight('a', 'b')).to.equal(weight);
+    });
+
+    it('should score tight rings above loose chains', () => {
+        const ring = new CollusionGraph();
+        ['r1', 'r2', 'r3', 'r4'].forEach(userId => ring.addUserActivity(userId, { devices: ['shared-tablet'], instruments: ['card-9'] }));
+
+        const chain = new CollusionGraph();
+        ['c1', 'c2', 'c3', 'c4'].forEach((userId, i) => chain.addUserActivity(userId, { ips: [`ip-${i}`, `ip-${i + 1}`] }));
+
+        const tight = ring.getCommunity('r1');
+        const loose = chain.getCommunity('c1');
+
+        expect(tight.members).to.deep.equal(['r1', 'r2', 'r3', 'r4']);
+        expect(tight.density).to.equal(1);
+        expect(loose.size).to.equal(4);
+        expect(loose.density).to.equal(0.5);
+        expect(tight.coordinationScore).to.be.greaterThan(loose.coordinationScore);
+        expect(ring.getCommunities()).to.have.lengthOf(1);
+    });
+
+    describe('MLFraudDetector integration', () => {
+        it('should feed community coordination into the network score', async () => {
+            const detector = new MLFraudDetector({ modelPath: path.join(os.tmpdir(), `ml-collusion-${Date.now()}`), recordAnalyses: false });
+
+            const loner = await detector.analyzeUserBehavior(humanBettingSession(), 'loner');
+            await detector.analyzeUserBehavior(ringSession(1, 'home'), 'ring_1');
+            const partner = await detector.analyzeUserBehavior(ringSession(2, 'away'), 'ring_2');
+            await detector.close();
+
+            const network = partner.modelOutputs.network;
+            expect(network.community.members).to.deep.equal(['ring_1', 'ring_2']);
+            expect(network.community.reasons).to.deep.equal({ instrument: 1, opposing_bet: 1 });
+            expect(network.metrics.paymentSimilarity).to.equal(1);
+            expect(network.metrics.opposingBets).to.equal(1);
+            expect(partner.detailedScores.networkAnalysis).to.be.closeTo(1 - 0.2 * 0.65, 1e-9);
+            expect(loner.detailedScores.networkAnalysis).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Test suite for the offline detector evaluation metrics
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { expect } = require('chai');
+const DetectorEvaluator = require('../utils/detector-evaluation');
+const { confusionMatrix, rocAuc, summarizeScores, loadCorpus } = require('../utils/detector-evaluation');
+
+describe('Detector Evaluation Metrics', () => {
+    const samples = [
+        { label: 1, score: 0.9 },
+        { label: 1, score: 0.7 },
+        { label: 1, score: 0.3 },
+        { label: 0, score: 0.6 },
+        { label: 0, score: 0.2 },
+        { label: 0, score: 0.1 }
+    ];
+
+    it('should build a confusion matrix at a threshold', () => {
+        expect(confusionMatrix(samples, 0.5)).to.deep.equal({ tp: 2, fp: 1, tn: 2, fn: 1 });
+    });
+
+    it('should compute ROC-AUC with tied scores counted as half', () => {
+        // 8 of the 9 positive/negative pairs are ranked correctly
+        expect(rocAuc(samples)).to.be.closeTo(8 / 9, 1e-9);
+        expect(rocAuc(samples.map(sample => ({ ...sample, score: 0.5 })))).to.equal(0.5);
+        expect(rocAuc(samples.filter(sample => sample.label === 1))).to.equal(null);
+    });
+
+    it('should report precision, recall and a threshold sweep', () => {
+        const summary = summarizeScores(samples, 0.5, [0.25, 0.5, 0.75]);
+
+        expect(summary.precision).to.be.closeTo(2 / 3, 1e-9);
+        expect(summary.recall).to.be.closeTo(2 / 3, 1e-9);
+        expect(summary.thresholdSweep.map(point => point.threshold)).to.deep.equal([0.25, 0.5, 0.75]);
+        expect(summary.thresholdSweep[2].falsePositiveRate).to.equal(0);
+        expect(summary.bestThreshold).to.equal(0.25);
+    });
+
+    it('should replay a JSONL corpus and record detector failures', async () => {
+        const directory = path.join(os.tmpdir(), `evaluation-${Date.now()}`);
+        const corpusPath = path.join(directory, 'corpus.jsonl');
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(corpusPath, [
+            { id: 'a', label: 1, actions: [] },
+            { id: 'b', label: 0, actions: [] }
+        ].map(scenario => JSON.stringify(scenario)).join('\n'));
+
+        const evaluator = new DetectorEvaluator({ outputDir: directory })
+            .addDetector('perfect', async scenario => scenario.label)
+            .addDetector('broken', async () => { throw new Error('model offline'); });
+        const report = await evaluator.evaluate(loadCorpus(corpusPath));
+
+        expect(report.detectors[0].rocAuc).to.equal(1);
+        expect(report.detectors[1].errors).to.have.lengthOf(2);
+        expect(fs.existsSync(evaluator.save(report))).to.equal(true);
+    });
+});
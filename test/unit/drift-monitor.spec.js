@@ -0,0 +1,74 @@
+/**
+ * Test suite for feature drift and population stability monitoring
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { expect } = require('chai');
+const DriftMonitor = require('../utils/drift-monitor');
+const { populationStabilityIndex, ksStatistic } = require('../utils/drift-monitor');
+const MLFraudDetector = require('../utils/ml-fraud-detector');
+const { humanBettingSession, botBettingSession } = require('../data/fixtures/action-streams');
+
+// Two features: a 0..99 ramp and a constant
+function rampVectors(count, shift = 0) {
+    return Array.from({ length: count }, (_, i) => [(i % 100) + shift, 1]);
+}
+
+describe('Feature Drift Monitoring', () => {
+    const snapshot = DriftMonitor.createSnapshot(rampVectors(500), ['ramp', 'constant']);
+
+    it('should compute PSI and KS statistics', () => {
+        expect(populationStabilityIndex([0.5, 0.5], [0.5, 0.5])).to.equal(0);
+        expect(populationStabilityIndex([0.5, 0.5], [0.9, 0.1])).to.be.greaterThan(0.2);
+        expect(ksStatistic([1, 2, 3, 4], [1, 2, 3, 4])).to.equal(0);
+        expect(ksStatistic([1, 2, 3, 4], [5, 6, 7, 8])).to.equal(1);
+    });
+
+    it('should stay within budget while live traffic matches training', () => {
+        const monitor = new DriftMonitor(snapshot, { minSamples: 100, maxDriftedFeatures: 0 });
+        rampVectors(200).forEach(vector => monitor.observe(vector));
+
+        const report = monitor.check();
+
+        expect(report.driftedFeatures).to.deep.equal([]);
+        expect(report.budgetExceeded).to.equal(false);
+        expect(report.features[0].psi).to.be.lessThan(0.01);
+    });
+
+    it('should flag shifted features once the window is large enough', () => {
+        const monitor = new DriftMonitor(snapshot, { minSamples: 100, maxDriftedFeatures: 0, windowSize: 150 });
+        rampVectors(50, 60).forEach(vector => monitor.observe(vector));
+        expect(monitor.check().budgetExceeded).to.equal(false);
+
+        rampVectors(200, 60).forEach(vector => monitor.observe(vector));
+        const report = monitor.check();
+
+        expect(monitor.window).to.have.lengthOf(150);
+        expect(report.driftedFeatures).to.deep.equal(['ramp']);
+        expect(report.features[0].ks).to.be.greaterThan(report.features[0].ksCritical);
+        expect(report.budgetExceeded).to.equal(true);
+    });
+
+    it('should emit a drift event and write a report from MLFraudDetector', async () => {
+        const detector = new MLFraudDetector({
+            modelPath: path.join(os.tmpdir(), `ml-drift-${Date.now()}`),
+            drift: { minSamples: 5, checkInterval: 5, maxDriftedFeatures: 0 }
+        });
+
+        const human = humanBettingSession();
+        const trainingSessions = [human, human.slice(0, 30), human.slice(10), human.slice(5, 40)];
+        await detector.trainIsolationForest(trainingSessions.map(stream => detector.extractBehavioralFeatures(stream)));
+
+        const events = [];
+        detector.on('drift', report => events.push(report));
+        for (let i = 0; i < 5; i++) {
+            await detector.analyzeUserBehavior(botBettingSession(), `drifting_user_${i}`);
+        }
+
+        expect(events).to.have.lengthOf(1);
+        expect(events[0].modelId).to.equal(detector.isolationForest.metadata.modelId);
+        expect(events[0].driftedFeatures).to.include('networkIndicators.vpnDetected');
+        expect(JSON.parse(fs.readFileSync(events[0].reportPath, 'utf8')).budgetExceeded).to.equal(true);
+    });
+});
@@ -0,0 +1,343 @@
+/**
+ * Test suite for the behavioral feature extraction layer behind MLFraudDetector
+ */
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const BehaviorFeatureExtractor = require('../utils/feature-extractor');
+const { FeatureSchema, FeatureSchemaError, FEATURE_DEFINITIONS } = require('../utils/feature-schema');
+const MLFraudDetector = require('../utils/ml-fraud-detector');
+const {
+    humanBettingSession,
+    botBettingSession,
+    outlierStakeSession,
+    arbitrageBettingSession,
+    matchedBettingSession
+} = require('../data/fixtures/action-streams');
+
+describe('Behavioral Feature Extraction', () => {
+    const extractor = new BehaviorFeatureExtractor();
+    const human = humanBettingSession();
+    const bot = botBettingSession();
+
+    describe('Basic behavioral metrics', () => {
+        it('should measure session duration from first to last action', () => {
+            expect(extractor.calculateSessionDuration(human)).to.equal(1500000);
+            expect(extractor.calculateSessionDuration([])).to.equal(0);
+        });
+
+        it('should count deliberate actions per minute without input telemetry', () => {
+            // 8 non-telemetry actions over 25 minutes
+            expect(extractor.calculateActionFrequency(human)).to.be.closeTo(0.32, 0.001);
+            expect(extractor.calculateActionFrequency(bot)).to.be.greaterThan(5);
+        });
+
+        it('should describe stake consistency and cadence of bets', () => {
+            const humanBets = extractor.analyzeBettingPatterns(human);
+            const botBets = extractor.analyzeBettingPatterns(bot);
+
+            expect(humanBets.count).to.equal(3);
+            expect(humanBets.averageStake).to.equal(20);
+            expect(humanBets.mode).to.equal('low');
+            expect(botBets.variability).to.equal(0);
+            expect(botBets.consistency).to.equal(1);
+            expect(botBets.averageInterval).to.equal(3000);
+        });
+
+        it('should read string stakes as numbers and skip stakes that are not numbers', () => {
+            const bets = [
+                { type: 'bet_placed', timestamp: 1000, amount: '20', odds: 2, outcome: 'won' },
+                { type: 'bet_placed', timestamp: 2000, amount: 40, odds: 2, outcome: 'lost' },
+                { type: 'bet_placed', timestamp: 3000, amount: NaN, odds: 2, outcome: 'lost' },
+                { type: 'bet_placed', timestamp: 4000, amount: '1,000', odds: 2, outcome: 'lost' }
+            ];
+
+            const patterns = extractor.analyzeBettingPatterns(bets);
+            expect(patterns.count).to.equal(4);
+            expect(patterns.averageStake).to.equal(30);
+            expect(patterns.mode).to.equal('low');
+            expect(extractor.analyzeBettingAmounts(bets)).to.include({ mean: 30, max: 40 });
+            expect(extractor.analyzeWinLossPatterns(bets)).to.include({ settledBets: 2, netProfit: -20 });
+        });
+    });
+
+    describe('Input behavior', () => {
+        it('should tell curved human strokes from straight scripted ones', () => {
+            const humanMouse = extractor.analyzeMouseMovements(human);
+            const botMouse = extractor.analyzeMouseMovements(bot);
+
+            expect(humanMouse.strokeCount).to.equal(2);
+            expect(humanMouse.straightLines).to.be.lessThan(1);
+            expect(humanMouse.style).to.equal('smooth');
+            expect(botMouse.straightLines).to.equal(1);
+            expect(botMouse.style).to.equal('linear');
+        });
+
+        it('should derive dwell and flight timings from key events', () => {
+            const humanTyping = extractor.analyzeTypingPatterns(human);
+            const botTyping = extractor.analyzeTypingPatterns(bot);
+
+            expect(humanTyping.keyCount).to.equal(11);
+            expect(humanTyping.dwellVariability).to.be.greaterThan(0.1);
+            expect(botTyping.averageDwell).to.equal(40);
+            expect(botTyping.averageFlight).to.equal(30);
+            expect(botTyping.rhythm).to.equal(1);
+        });
+
+        it('should summarise clicks and scrolling', () => {
+            const clicks = extractor.analyzeClickPatterns(human);
+            const scroll = extractor.analyzeScrollBehavior(human);
+
+            expect(clicks.count).to.equal(2);
+            expect(clicks.averageDuration).to.equal(107.5);
+            expect(scroll.count).to.equal(3);
+            expect(scroll.totalDistance).to.equal(250);
+            expect(scroll.directionChanges).to.equal(1);
+        });
+    });
+
+    describe('Financial behavior', () => {
+        it('should flag structured round-number transactions', () => {
+            const transactions = extractor.analyzeTransactionPatterns(bot);
+
+            expect(transactions.depositCount).to.equal(2);
+            expect(transactions.withdrawalCount).to.equal(1);
+            expect(transactions.roundNumbers).to.equal(1);
+            expect(transactions.withdrawalRatio).to.be.closeTo(0.967, 0.001);
+            expect(extractor.analyzeTransactionPatterns(human).roundNumbers).to.equal(0);
+        });
+
+        it('should find stake outliers with a robust rule', () => {
+            const amounts = extractor.analyzeBettingAmounts(outlierStakeSession());
+
+            expect(amounts.median).to.equal(20.5);
+            expect(amounts.max).to.equal(5000);
+            expect(amounts.outliers).to.equal(0.2);
+        });
+
+        it('should compute results of settled bets', () => {
+            const results = extractor.analyzeWinLossPatterns(human);
+
+            expect(results.settledBets).to.equal(3);
+            expect(results.winRate).to.be.closeTo(1 / 3, 0.001);
+            expect(results.netProfit).to.be.closeTo(-9, 0.001);
+            expect(results.winRateExcess).to.be.lessThan(0);
+        });
+    });
+
+    describe('Arbitrage and matched betting', () => {
+        const arbitrage = extractor.analyzeArbitrageSignals(arbitrageBettingSession());
+        const matched = extractor.analyzeArbitrageSignals(matchedBettingSession());
+        const casual = extractor.analyzeArbitrageSignals(human);
+
+        it('should recognise calculator-sized stakes that equalise the return', () => {
+            expect(arbitrage.unroundStakeRatio).to.equal(1);
+            expect(arbitrage.targetPayoutConsistency).to.be.greaterThan(0.99);
+            expect(casual.unroundStakeRatio).to.equal(0);
+            expect(casual.targetPayoutConsistency).to.equal(0);
+        });
+
+        it('should measure closing-line value where closing odds are known', () => {
+            expect(arbitrage.positiveClvRatio).to.equal(1);
+            expect(arbitrage.averageClosingLineValue).to.be.closeTo(0.063, 0.001);
+            expect(casual.positiveClvRatio).to.equal(0);
+            expect(casual.averageClosingLineValue).to.equal(0);
+        });
+
+        it('should flag accounts that only bet on promotions', () => {
+            expect(matched.promoBetRatio).to.equal(1);
+            expect(matched.promoOnly).to.equal(true);
+            expect(casual.promoOnly).to.equal(false);
+        });
+
+        it('should find hedges across an event market and correlated selections', () => {
+            expect(arbitrage.hedgedGroupRatio).to.equal(1);
+            expect(arbitrage.guaranteedReturnGroups).to.equal(4);
+            expect(matched.hedgedGroupRatio).to.equal(1);
+            expect(matched.guaranteedReturnGroups).to.equal(3);
+            expect(casual.hedgedGroupRatio).to.equal(0);
+        });
+
+        it('should report arbitrage and promotion abuse in the analysis', async () => {
+            const detector = new MLFraudDetector({ modelPath: path.join(os.tmpdir(), `ml-models-${Date.now()}-arb`) });
+
+            const arbitrageAnalysis = await detector.analyzeUserBehavior(arbitrageBettingSession(), 'fixture_arber');
+            const matchedAnalysis = await detector.analyzeUserBehavior(matchedBettingSession(), 'fixture_matched');
+
+            expect(arbitrageAnalysis.fraudIndicators).to.include('arbitrage_betting');
+            expect(arbitrageAnalysis.flags).to.include('hedged_selections');
+            expect(matchedAnalysis.fraudIndicators).to.include.members(['arbitrage_betting', 'promotion_only_betting']);
+            expect(matchedAnalysis.flags).to.include('bonus_abuse');
+        });
+    });
+
+    describe('Technical indicators', () => {
+        it('should fingerprint the primary device and count switches', () => {
+            const humanDevice = extractor.extractDeviceFingerprint(human);
+            const botDevice = extractor.extractDeviceFingerprint(bot);
+
+            expect(humanDevice.id).to.have.lengthOf(16);
+            expect(humanDevice.distinctDevices).to.equal(1);
+            expect(botDevice.deviceSwitches).to.equal(1);
+        });
+
+        it('should report IP churn, VPN usage and failed logins', () => {
+            const network = extractor.extractNetworkIndicators(bot);
+
+            expect(network.distinctIPs).to.equal(2);
+            expect(network.vpnDetected).to.equal(true);
+            expect(network.failedLogins).to.equal(1);
+            expect(extractor.extractNetworkIndicators(human).vpnDetected).to.equal(false);
+        });
+
+        it('should count impossible travel as rapid location changes', () => {
+            const locations = extractor.analyzeLocationPatterns(bot);
+
+            expect(locations.distinctCountries).to.equal(3);
+            expect(locations.rapidChanges).to.equal(2);
+            expect(locations.maxSpeedKmh).to.be.greaterThan(1000);
+            expect(extractor.analyzeLocationPatterns(human).rapidChanges).to.equal(0);
+        });
+    });
+
+    describe('Temporal patterns', () => {
+        it('should build a UTC hour-of-day profile', () => {
+            const timing = extractor.analyzeTimePatterns(human);
+
+            expect(timing.peaks).to.deep.equal([14]);
+            expect(timing.nightActivityRatio).to.equal(0);
+            expect(timing.consistentTiming).to.equal(1);
+        });
+
+        it('should split sessions on long idle gaps', () => {
+            const twoSessions = human.concat(human.map(action => ({
+                ...action,
+                timestamp: action.timestamp + 4 * 3600000
+            })));
+            const intervals = extractor.analyzeSessionIntervals(twoSessions);
+
+            expect(intervals.sessionCount).to.equal(2);
+            expect(intervals.minGap).to.equal(4 * 3600000 - 1500000);
+        });
+
+        it('should detect bursts of rapid actions', () => {
+            expect(extractor.analyzeActivityClusters(human).burstRatio).to.equal(0);
+            expect(extractor.analyzeActivityClusters(bot).maxClusterSize).to.be.at.least(3);
+        });
+    });
+
+    describe('Feature vector schema', () => {
+        const schema = new FeatureSchema();
+
+        it('should vectorize features in schema order with defaults', () => {
+            const vector = schema.vectorize({ networkIndicators: { vpnDetected: true } });
+
+            expect(vector).to.have.lengthOf(FEATURE_DEFINITIONS.length);
+            expect(vector[schema.featureNames.indexOf('networkIndicators.vpnDetected')]).to.equal(1);
+            expect(vector[schema.featureNames.indexOf('sessionDuration')]).to.equal(0);
+        });
+
+        it('should apply the declared scalers', () => {
+            const vector = schema.vectorize({ sessionDuration: Math.E - 1, bettingPatterns: { consistency: 4 } });
+
+            expect(vector[schema.featureNames.indexOf('sessionDuration')]).to.be.closeTo(1, 1e-9);
+            expect(vector[schema.featureNames.indexOf('bettingPatterns.consistency')]).to.equal(1);
+        });
+
+        it('should reject stamps from a different schema', () => {
+            const extended = new FeatureSchema('9.9.0', FEATURE_DEFINITIONS.concat([
+                { name: 'clickPatterns.count', type: 'count', default: 0, scaler: 'log1p' }
+            ]));
+
+            expect(() => schema.assertCompatible(schema.stamp())).not.to.throw();
+            expect(() => schema.assertCompatible(extended.stamp())).to.throw(FeatureSchemaError, '9.9.0');
+            expect(() => schema.assertCompatible({})).to.throw(FeatureSchemaError);
+        });
+
+        it('should reject a stamp from an older version of the same definitions', () => {
+            const older = new FeatureSchema('1.0.0', FEATURE_DEFINITIONS);
+
+            expect(older.fingerprint).to.equal(schema.fingerprint);
+            expect(() => schema.assertCompatible(older.stamp()))
+                .to.throw(FeatureSchemaError, `feature schema 1.0.0 (${older.fingerprint}) but the active schema is ${schema.version}`);
+            expect(schema.isCompatible(older.stamp())).to.equal(false);
+        });
+
+        it('should refuse to load a model trained against another schema', async () => {
+            const detector = new MLFraudDetector({ modelPath: path.join(os.tmpdir(), `ml-models-${Date.now()}`) });
+            await detector.trainIsolationForest([human, bot].map(stream => detector.extractBehavioralFeatures(stream)));
+
+            await detector.loadModels();
+            expect(detector.isolationForest.metadata.schemaVersion).to.equal(schema.version);
+
+            detector.featureSchema = new FeatureSchema('2.0.0', FEATURE_DEFINITIONS.slice(1));
+            let rejection = null;
+            await detector.loadModels().catch(error => { rejection = error; });
+            expect(rejection).to.be.instanceOf(FeatureSchemaError);
+        });
+    });
+
+    describe('MLFraudDetector integration', () => {
+        const detector = new MLFraudDetector({ modelPath: path.join(os.tmpdir(), `ml-models-${Date.now()}-it`) });
+
+        it('should produce a full analysis instead of an error response', async () => {
+            const analysis = await detector.analyzeUserBehavior(bot, 'fixture_bot');
+
+            expect(analysis.error).to.equal(undefined);
+            expect(analysis.fraudIndicators).to.include.members(['uniform_betting', 'vpn_usage']);
+            expect(analysis.flags).to.include('rapid_location_changes');
+            expect(analysis.detailedScores.biometricAnalysis).to.be.greaterThan(0.5);
+        });
+
+        it('should analyse bets with string and NaN stakes', async () => {
+            const bets = bot.map(action => (action.type === 'bet_placed' ? { ...action, amount: String(action.amount) } : action));
+            bets.push({ type: 'bet_placed', timestamp: bets[bets.length - 1].timestamp + 1000, amount: NaN, odds: 2 });
+
+            const analysis = await detector.analyzeUserBehavior(bets, 'fixture_string_stakes');
+
+            expect(analysis.error).to.equal(undefined);
+            expect(analysis.confidenceScore).to.be.a('number');
+        });
+
+        it('should score the scripted session above the human one', async () => {
+            const humanAnalysis = await detector.analyzeUserBehavior(human, 'fixture_human');
+            const botAnalysis = await detector.analyzeUserBehavior(bot, 'fixture_bot');
+
+            expect(botAnalysis.confidenceScore).to.be.greaterThan(humanAnalysis.confidenceScore);
+            expect(humanAnalysis.fraudIndicators).to.deep.equal([]);
+        });
+    });
+
+    describe('Score explanations', () => {
+        it('should fall back to deviations from schema defaults without a model or history', async () => {
+            const detector = new MLFraudDetector({ modelPath: path.join(os.tmpdir(), `ml-models-${Date.now()}-explain`) });
+
+            const analysis = await detector.analyzeUserBehavior(bot, null);
+
+            expect(analysis.explanation.method).to.equal('baseline_deviation');
+            expect(analysis.explanation.baseline).to.equal('schema_default');
+            expect(analysis.explanation.contributions).to.have.lengthOf(detector.maxExplanations);
+            expect(analysis.explanation.contributions[0]).to.have.all.keys(
+                'feature', 'reasonCode', 'value', 'baselineValue', 'contribution'
+            );
+        });
+
+        it('should rank model contributions against the user baseline and cite them', async () => {
+            const detector = new MLFraudDetector({ modelPath: path.join(os.tmpdir(), `ml-models-${Date.now()}-attribution`) });
+            const sessions = [human, human.slice(0, 30), human.slice(10), outlierStakeSession()];
+            await detector.trainIsolationForest(sessions.map(stream => detector.extractBehavioralFeatures(stream)), { numTrees: 50 });
+
+            const first = await detector.analyzeUserBehavior(human, 'explained_user');
+            const second = await detector.analyzeUserBehavior(bot, 'explained_user');
+            const contributions = second.explanation.contributions;
+
+            expect(first.explanation.baseline).to.equal('population');
+            expect(second.explanation.method).to.equal('baseline_occlusion');
+            expect(second.explanation.baseline).to.equal('user_profile');
+            expect(contributions[0].contribution).to.be.greaterThan(0);
+            expect(Math.abs(contributions[0].contribution)).to.be.at.least(Math.abs(contributions[contributions.length - 1].contribution));
+            expect(contributions[0].reasonCode).to.match(/^[A-Z_]+_(HIGH|LOW)$/);
+            expect(second.recommendations).to.include(`REVIEW_${contributions[0].reasonCode}`);
+        });
+    });
+});
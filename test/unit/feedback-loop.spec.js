@@ -0,0 +1,62 @@
+/**
+ * Test suite for the analyst feedback loop and retraining from verdicts
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const FeedbackStore = require('../utils/feedback-store');
+const { VERDICTS } = require('../utils/feedback-store');
+const MLFraudDetector = require('../utils/ml-fraud-detector');
+const { humanBettingSession, botBettingSession } = require('../data/fixtures/action-streams');
+
+describe('Analyst Feedback Loop', () => {
+    it('should keep the latest verdict and ignore unknown outcomes', () => {
+        const store = new FeedbackStore(path.join(os.tmpdir(), `feedback-${Date.now()}`));
+        ['a1', 'a2', 'a3'].forEach(analysisId => store.recordAnalysis({ analysisId, userId: 'u' }, {}));
+
+        store.recordVerdict('a1', VERDICTS.CONFIRMED_FRAUD, { analyst: 'kim' });
+        store.recordVerdict('a1', VERDICTS.FALSE_POSITIVE, { notes: 'chargeback reversed' });
+        store.recordVerdict('a2', VERDICTS.UNKNOWN);
+
+        const history = store.getLabelledHistory();
+        expect(history).to.have.lengthOf(1);
+        expect(history[0]).to.include({ analysisId: 'a1', verdict: 'false_positive', label: 0 });
+        expect(() => store.recordVerdict('a3', 'maybe')).to.throw('Unknown verdict');
+        expect(() => store.recordVerdict('missing', VERDICTS.CONFIRMED_FRAUD)).to.throw('No recorded analysis');
+    });
+
+    it('should only log analyses when recording is asked for', async () => {
+        const detector = new MLFraudDetector({ modelPath: path.join(os.tmpdir(), `ml-feedback-${Date.now()}-off`) });
+
+        const analysis = await detector.analyzeUserBehavior(humanBettingSession(), 'regular_customer');
+        await detector.close();
+
+        expect(detector.recordAnalyses).to.equal(false);
+        expect(fs.existsSync(detector.feedbackStore.analysesFile)).to.equal(false);
+        expect(() => detector.recordVerdict(analysis.analysisId, VERDICTS.FALSE_POSITIVE)).to.throw('No recorded analysis');
+    });
+
+    it('should retrain from verdicts and register a challenger', async () => {
+        const detector = new MLFraudDetector({ modelPath: path.join(os.tmpdir(), `ml-feedback-${Date.now()}`), recordAnalyses: true });
+        const human = humanBettingSession();
+
+        const legitimate = [human, human.slice(0, 30), human.slice(10), human.slice(5, 40)];
+        for (const session of legitimate) {
+            const analysis = await detector.analyzeUserBehavior(session, 'regular_customer');
+            detector.recordVerdict(analysis.analysisId, VERDICTS.FALSE_POSITIVE, { analyst: 'kim' });
+        }
+        const fraud = await detector.analyzeUserBehavior(botBettingSession(), 'bonus_abuser');
+        detector.recordVerdict(fraud.analysisId, VERDICTS.CONFIRMED_FRAUD, { analyst: 'kim' });
+
+        let rejection = null;
+        await detector.retrainFromFeedback({ minSamples: 10 }).catch(error => { rejection = error; });
+        expect(rejection.message).to.include('needs 10 labelled analyses');
+
+        const result = await detector.retrainFromFeedback({ minSamples: 5, numTrees: 50 });
+
+        expect(detector.modelRegistry.getChallenger().id).to.equal(result.modelId);
+        expect(result.metrics).to.include({ fraudSamples: 1, legitimateSamples: 4, evaluationSamples: 5 });
+        expect(result.metrics.rocAuc).to.equal(1);
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * Test suite for the human-like gesture and typing synthesiser
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const Humanizer = require('../utils/humanizer');
+const { DEFAULT_MOTOR_MODEL } = require('../utils/humanizer');
+const ReplayDetector = require('../utils/replay-detector');
+const BehavioralBiometricsAnalyzer = require('../utils/behavioral-biometrics');
+const BiometricCapture = require('../utils/biometric-capture');
+const { summaryOf } = require('../utils/biometric-capture');
+
+const SHIFT = '\uE008';
+const BACKSPACE = '\uE003';
+
+const PRACTISED = { seed: 1101, dwell: 85, flight: 120, typoRate: 0.03 };
+const CAREFUL = { seed: 2202, dwell: 120, flight: 260, typoRate: 0.01 };
+
+/**
+ * Key actions as timed key events, the way the driver plays them
+ */
+function keyEventsOf(sequence) {
+    let time = 0;
+    const events = [];
+    sequence.actions.forEach(action => {
+        if (action.type === 'pause') {
+            time += action.duration;
+        } else {
+            events.push({ type: action.type, key: action.value, time });
+        }
+    });
+    return events;
+}
+
+/**
+ * The text a field ends up with once the key events are typed into it
+ */
+function typedText(events) {
+    let text = '';
+    events.filter(event => event.type === 'keyDown' && event.key !== SHIFT).forEach(event => {
+        text = event.key === BACKSPACE ? text.slice(0, -1) : text + event.key;
+    });
+    return text;
+}
+
+/**
+ * Pointer positions along an action sequence, each at the time the move ends
+ */
+function trajectoryOf(sequence) {
+    let time = 0;
+    const points = [];
+    sequence.actions.forEach(action => {
+        if (action.type === 'pointerMove') {
+            time += action.duration || 0;
+            points.push({ x: action.x, y: action.y, time });
+        } else if (action.type === 'pause') {
+            time += action.duration;
+        }
+    });
+    return points;
+}
+
+const coefficientOfVariation = values => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return Math.sqrt(variance) / mean;
+};
+
+const flightsOf = events => {
+    const downs = events.filter(event => event.type === 'keyDown').map(event => event.time);
+    return downs.slice(1).map((time, i) => time - downs[i]);
+};
+
+describe('Humanizer', () => {
+    describe('Typing', () => {
+        it('should type the text key by key with varied dwell and flight times', () => {
+            const humanizer = new Humanizer(PRACTISED, { seed: 3 });
+            const sequence = humanizer.typingActions('placing a sensible bet');
+            const events = keyEventsOf(sequence);
+
+            expect(sequence).to.include({ type: 'key', id: 'keyboard' });
+            expect(typedText(events)).to.equal('placing a sensible bet');
+
+            const flights = flightsOf(events);
+            expect(Math.min(...flights)).to.be.at.least(0);
+            expect(coefficientOfVariation(flights)).to.be.above(0.2);
+
+            // Every key is held for a human time, not released the instant it goes down
+            const downs = new Map();
+            const holds = [];
+            events.forEach(event => {
+                if (event.type === 'keyDown') downs.set(event.key, event.time);
+                else holds.push(event.time - downs.get(event.key));
+            });
+            expect(Math.min(...holds)).to.be.above(20);
+            expect(coefficientOfVariation(holds)).to.be.above(0.1);
+        });
+
+        it('should hold Shift around capitals', () => {
+            const events = keyEventsOf(new Humanizer({ typoRate: 0 }, { seed: 5 }).typingActions('Password123'));
+
+            expect(typedText(events)).to.equal('Password123');
+            expect(events.map(event => event.type + ':' + event.key).slice(0, 2)).to.deep.equal([`keyDown:${SHIFT}`, 'keyDown:P']);
+            const shiftUp = events.find(event => event.type === 'keyUp' && event.key === SHIFT);
+            const capitalUp = events.find(event => event.type === 'keyUp' && event.key === 'P');
+            expect(shiftUp.time).to.be.above(capitalUp.time);
+        });
+
+        it('should slip onto neighbouring keys and correct them with Backspace', () => {
+            const sequence = new Humanizer({ typoRate: 1 }, { seed: 9 }).typingActions('bet');
+            const events = keyEventsOf(sequence);
+            const downs = events.filter(event => event.type === 'keyDown').map(event => event.key);
+
+            expect(typedText(events)).to.equal('bet');
+            expect(downs.filter(key => key === BACKSPACE)).to.have.lengthOf(3);
+            expect(['v', 'g', 'h', 'n']).to.include(downs[0]);
+        });
+
+        it('should be slower for a careful typist than for a practised one', () => {
+            const text = 'normal_user2 Password123';
+            const median = values => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+            const practised = median(flightsOf(keyEventsOf(new Humanizer(PRACTISED, { seed: 1 }).typingActions(text))));
+            const careful = median(flightsOf(keyEventsOf(new Humanizer(CAREFUL, { seed: 1 }).typingActions(text))));
+
+            expect(careful).to.be.above(practised * 1.5);
+            expect(practised).to.be.within(60, 260);
+        });
+
+        it('should keep a person\'s digraph habits across sessions but not another person\'s', () => {
+            const first = new Humanizer(PRACTISED, { seed: 1 });
+            const second = new Humanizer(PRACTISED, { seed: 2 });
+            const stranger = new Humanizer({ ...PRACTISED, seed: 7777 }, { seed: 1 });
+
+            ['flight:th', 'flight:er', 'hold:e'].forEach(label => {
+                expect(second.habitOf(label)).to.equal(first.habitOf(label));
+            });
+            expect(['flight:th', 'flight:er', 'hold:e'].some(label => stranger.habitOf(label) !== first.habitOf(label))).to.equal(true);
+        });
+
+        it('should repeat a session exactly from the same seed and differ otherwise', () => {
+            const once = new Humanizer(PRACTISED, { seed: 42 }).typingActions('Real Madrid');
+            const again = new Humanizer(PRACTISED, { seed: 42 }).typingActions('Real Madrid');
+            const other = new Humanizer(PRACTISED, { seed: 43 }).typingActions('Real Madrid');
+
+            expect(again).to.deep.equal(once);
+            expect(other).to.not.deep.equal(once);
+        });
+    });
+
+    describe('Pointer gestures', () => {
+        const rect = { x: 100, y: 200, width: 80, height: 40 };
+
+        it('should tap near the centre of an element and hold like a finger', () => {
+            const humanizer = new Humanizer(DEFAULT_MOTOR_MODEL, { seed: 11 });
+            const taps = Array.from({ length: 20 }, () => humanizer.tapActions(rect));
+
+            taps.forEach(tap => {
+                expect(tap.parameters).to.deep.equal({ pointerType: 'touch' });
+                expect(tap.actions.map(action => action.type)).to.deep.equal(['pointerMove', 'pointerDown', 'pointerMove', 'pointerUp']);
+                expect(tap.actions[0].x).to.be.within(rect.x, rect.x + rect.width);
+                expect(tap.actions[0].y).to.be.within(rect.y, rect.y + rect.height);
+                expect(tap.actions[2].duration).to.be.above(30);
+            });
+
+            const landings = new Set(taps.map(tap => `${tap.actions[0].x},${tap.actions[0].y}`));
+            expect(landings.size).to.be.above(5);
+        });
+
+        it('should reach for a click with the mouse, overshoot and correct', () => {
+            const humanizer = new Humanizer(DEFAULT_MOTOR_MODEL, { seed: 13 });
+            const click = humanizer.clickActions(rect);
+            const points = trajectoryOf(click);
+            const target = points[points.length - 1];
+
+            expect(click.parameters).to.deep.equal({ pointerType: 'mouse' });
+            expect(click.actions.slice(-3).map(action => action.type)).to.deep.equal(['pointerDown', 'pause', 'pointerUp']);
+            expect(target.x).to.be.within(rect.x, rect.x + rect.width);
+            expect(target.y).to.be.within(rect.y, rect.y + rect.height);
+
+            // Past the target on the way in, then back onto it
+            const farthest = Math.max(...points.map(point => Math.hypot(point.x, point.y)));
+            expect(farthest).to.be.above(Math.hypot(target.x, target.y));
+
+            // The next reach starts where this one ended
+            const next = trajectoryOf(humanizer.clickActions({ x: 20, y: 500, width: 200, height: 30 }));
+            expect(Math.hypot(next[0].x - target.x, next[0].y - target.y)).to.be.below(60);
+        });
+
+        it('should swipe along a bowed, unevenly sampled path the detector accepts as human', () => {
+            const humanizer = new Humanizer(DEFAULT_MOTOR_MODEL, { seed: 17 });
+            const swipes = Array.from({ length: 4 }, () => humanizer.swipeActions({ x: 200, y: 620 }, { x: 200, y: 260 }));
+            const trajectories = swipes.map(trajectoryOf);
+
+            trajectories.forEach(points => {
+                expect(Math.hypot(points[0].x - 200, points[0].y - 620)).to.be.below(20);
+                expect(points[points.length - 1].y).to.be.within(220, 300);
+                expect(Math.max(...points.map(point => Math.abs(point.x - 200)))).to.be.above(2);
+            });
+
+            const synthetic = new ReplayDetector().detectSyntheticInput(trajectories);
+            expect(synthetic.isSynthetic).to.equal(false);
+            expect(synthetic.indicators).to.not.include('linear_interpolation');
+            expect(synthetic.indicators).to.not.include('constant_sampling');
+        });
+
+        it('should arc a long swipe wider than a short one', () => {
+            const humanizer = new Humanizer(DEFAULT_MOTOR_MODEL, { seed: 23 });
+            const widestArc = (length, count = 8) => Math.max(...Array.from({ length: count }, () =>
+                Math.max(...trajectoryOf(humanizer.swipeActions({ x: 200, y: 620 }, { x: 200, y: 620 - length }))
+                    .map(point => Math.abs(point.x - 200)))));
+
+            expect(widestArc(60)).to.be.below(DEFAULT_MOTOR_MODEL.swipeBow * 2);
+            expect(widestArc(480)).to.be.above(480 * DEFAULT_MOTOR_MODEL.swipeArc * 0.5);
+        });
+
+        it('should never replay one session\'s swipes in the next', () => {
+            const detector = new ReplayDetector();
+            const sessionOf = seed => {
+                const humanizer = new Humanizer(PRACTISED, { seed });
+                return Array.from({ length: 4 }, () => trajectoryOf(humanizer.swipeActions({ x: 200, y: 620 }, { x: 200, y: 260 })));
+            };
+
+            detector.analyzeSession(sessionOf(1), { userId: 'normal_user1', sessionId: 'first', modality: 'touch' });
+            const { replay } = detector.analyzeSession(sessionOf(2), { userId: 'normal_user1', sessionId: 'second', modality: 'touch' });
+
+            expect(replay.matched).to.equal(0);
+        });
+    });
+
+    describe('Captured sessions', () => {
+        const templatePath = fs.mkdtempSync(path.join(os.tmpdir(), 'biometrics-'));
+
+        after(() => fs.rmSync(templatePath, { recursive: true, force: true }));
+
+        it('should produce no synthetic input or replay anomalies once captured', async () => {
+            const analyzer = new BehavioralBiometricsAnalyzer({ templatePath });
+            const capture = new BiometricCapture({ analyzer });
+            const browser = {
+                isMobile: true,
+                commands: {},
+                overwriteCommand(name, command, elementScope = false) {
+                    this.commands[`${elementScope ? 'element' : 'browser'}.${name}`] = command;
+                },
+                async getElementRect() {
+                    return { x: 20, y: 500, width: 200, height: 30 };
+                }
+            };
+            capture.install(browser);
+            await capture.start('normal_user1', { platformName: 'Android' });
+
+            // The driver returns once the gesture has played out
+            const humanizer = new Humanizer(PRACTISED, { seed: 21 });
+            const perform = sequence => browser.commands['browser.performActions'].call(browser,
+                () => new Promise(resolve => setTimeout(resolve, 450)), [sequence]);
+            for (let i = 0; i < 3; i++) {
+                await perform(humanizer.swipeActions({ x: 200, y: 620 }, { x: 200, y: 260 }));
+            }
+            await perform(humanizer.tapActions({ x: 20, y: 500, width: 200, height: 30 }));
+
+            const summary = summaryOf(await capture.end());
+            const anomalies = summary.anomalies.map(anomaly => anomaly.type);
+            expect(anomalies).to.not.include('synthetic_input');
+            expect(anomalies).to.not.include('replayed_trajectory');
+        });
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Test suite for the pure-JavaScript isolation forest used by MLFraudDetector
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { expect } = require('chai');
+const IsolationForest = require('../utils/isolation-forest');
+
+// Tight cluster of "normal" sessions around (10, 10, 10)
+function generateClusteredVectors(count) {
+    const vectors = [];
+    for (let i = 0; i < count; i++) {
+        vectors.push([10 + (i % 5) * 0.1, 10 + (i % 7) * 0.1, 10 + (i % 3) * 0.1]);
+    }
+    return vectors;
+}
+
+describe('Isolation Forest Anomaly Detection', () => {
+    const trainingVectors = generateClusteredVectors(200);
+
+    it('should score outliers higher than inliers', () => {
+        const forest = new IsolationForest({ numTrees: 50, seed: 7 }).fit(trainingVectors);
+
+        const inlierScore = forest.score([10.2, 10.3, 10.1]);
+        const outlierScore = forest.score([80, -20, 45]);
+
+        expect(outlierScore).to.be.greaterThan(inlierScore);
+        expect(outlierScore).to.be.greaterThan(0.6);
+        expect(inlierScore).to.be.within(0, 1);
+    });
+
+    it('should produce identical scores for identical seeds', () => {
+        const first = new IsolationForest({ numTrees: 20, seed: 3 }).fit(trainingVectors);
+        const second = new IsolationForest({ numTrees: 20, seed: 3 }).fit(trainingVectors);
+
+        expect(first.score([12, 9, 30])).to.equal(second.score([12, 9, 30]));
+    });
+
+    it('should keep an explicit seed of 0 and default only a missing one', () => {
+        const zero = new IsolationForest({ numTrees: 20, seed: 0 }).fit(trainingVectors);
+        const unset = new IsolationForest({ numTrees: 20, seed: undefined }).fit(trainingVectors);
+        const fortyTwo = new IsolationForest({ numTrees: 20, seed: 42 }).fit(trainingVectors);
+
+        expect(zero.config.seed).to.equal(0);
+        expect(unset.config.seed).to.equal(42);
+        expect(unset.score([12, 9, 30])).to.equal(fortyTwo.score([12, 9, 30]));
+        expect(zero.score([12, 9, 30])).to.not.equal(fortyTwo.score([12, 9, 30]));
+    });
+
+    it('should round-trip through save and load', () => {
+        const filePath = path.join(os.tmpdir(), `isolation-forest-${Date.now()}.json`);
+        const forest = new IsolationForest({ numTrees: 20 }).fit(trainingVectors);
+
+        forest.save(filePath);
+        const restored = IsolationForest.load(filePath);
+        fs.unlinkSync(filePath);
+
+        expect(restored.isTrained()).to.equal(true);
+        expect(restored.score([50, 50, 50])).to.equal(forest.score([50, 50, 50]));
+    });
+
+    it('should reject vectors with the wrong dimensionality', () => {
+        const forest = new IsolationForest({ numTrees: 5 }).fit(trainingVectors);
+
+        expect(() => forest.score([1, 2])).to.throw('3 dimensions');
+        expect(() => new IsolationForest().fit([])).to.throw();
+    });
+});
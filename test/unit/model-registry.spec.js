@@ -0,0 +1,103 @@
+/**
+ * Test suite for the on-disk model registry and champion/challenger workflow
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { expect } = require('chai');
+const IsolationForest = require('../utils/isolation-forest');
+const ModelRegistry = require('../utils/model-registry');
+const MLFraudDetector = require('../utils/ml-fraud-detector');
+const { FeatureSchema, FeatureSchemaError, FEATURE_DEFINITIONS } = require('../utils/feature-schema');
+const { humanBettingSession, botBettingSession } = require('../data/fixtures/action-streams');
+
+function temporaryModelPath(label) {
+    return path.join(os.tmpdir(), `ml-registry-${label}-${Date.now()}`);
+}
+
+describe('ML Model Registry', () => {
+    const vectors = [[1, 2], [1.1, 2.1], [0.9, 1.9], [1.2, 2.2]];
+
+    it('should persist models with their training metadata', () => {
+        const registry = new ModelRegistry(temporaryModelPath('persist'));
+        const forest = new IsolationForest({ numTrees: 5 }).fit(vectors);
+
+        const entry = registry.register(forest, {
+            datasetHash: ModelRegistry.hashDataset(vectors),
+            metrics: { auc: 0.91 }
+        }, { role: 'champion' });
+
+        expect(entry.status).to.equal('champion');
+        expect(entry.datasetHash).to.have.lengthOf(64);
+        expect(entry.metrics.auc).to.equal(0.91);
+        expect(fs.existsSync(path.join(registry.rootDir, entry.id, 'model.json'))).to.equal(true);
+        expect(registry.loadModel(entry.id).score([1, 2])).to.equal(forest.score([1, 2]));
+    });
+
+    it('should retire the old champion when a challenger is promoted', () => {
+        const registry = new ModelRegistry(temporaryModelPath('promote'));
+        const champion = registry.register(new IsolationForest({ numTrees: 5 }).fit(vectors), {}, { role: 'champion' });
+        const challenger = registry.register(new IsolationForest({ numTrees: 5, seed: 9 }).fit(vectors));
+
+        expect(registry.getChallenger().id).to.equal(challenger.id);
+
+        registry.promote();
+
+        expect(registry.getChampion().id).to.equal(challenger.id);
+        expect(registry.getChallenger()).to.equal(null);
+        expect(registry.get(champion.id).status).to.equal('retired');
+        expect(() => registry.promote()).to.throw('No challenger');
+    });
+
+    it('should shadow-score analyses with champion and challenger', async () => {
+        const detector = new MLFraudDetector({ modelPath: temporaryModelPath('shadow') });
+
+        const human = detector.extractBehavioralFeatures(humanBettingSession());
+        const bot = detector.extractBehavioralFeatures(botBettingSession());
+        const champion = await detector.trainIsolationForest([human, human, bot], { numTrees: 20 });
+        const challenger = await detector.trainIsolationForest([human, bot, bot], { numTrees: 20, seed: 5 });
+
+        const analysis = await detector.analyzeUserBehavior(botBettingSession(), 'shadow_user');
+
+        expect(analysis.shadowScores.championId).to.equal(champion.metadata.modelId);
+        expect(analysis.shadowScores.challengerId).to.equal(challenger.metadata.modelId);
+        expect(analysis.shadowScores.championScore).to.equal(analysis.confidenceScore);
+        expect(detector.modelRegistry.getShadowSummary(challenger.metadata.modelId).comparisons).to.equal(1);
+
+        await detector.promoteChallenger();
+        const restarted = new MLFraudDetector({ modelPath: detector.modelPath });
+        await restarted.modelsReady;
+
+        expect(restarted.isolationForest.metadata.modelId).to.equal(challenger.metadata.modelId);
+        expect(restarted.challengerForest).to.equal(null);
+    });
+
+    it('should refuse to promote a challenger trained on another feature schema', async () => {
+        const detector = new MLFraudDetector({ modelPath: temporaryModelPath('stale-challenger') });
+        const human = detector.extractBehavioralFeatures(humanBettingSession());
+        const bot = detector.extractBehavioralFeatures(botBettingSession());
+        const champion = await detector.trainIsolationForest([human, human, bot], { numTrees: 20 });
+        const challenger = await detector.trainIsolationForest([human, bot, bot], { numTrees: 20, seed: 5 });
+
+        detector.featureSchema = new FeatureSchema('2.0.0', FEATURE_DEFINITIONS.slice(1));
+        let rejection = null;
+        await detector.promoteChallenger().catch(error => { rejection = error; });
+
+        expect(rejection).to.be.instanceOf(FeatureSchemaError);
+        expect(detector.modelRegistry.getChampion().id).to.equal(champion.metadata.modelId);
+        expect(detector.modelRegistry.getChallenger().id).to.equal(challenger.metadata.modelId);
+    });
+
+    it('should make a model champion when the champion uses another feature schema', async () => {
+        const detector = new MLFraudDetector({ modelPath: temporaryModelPath('schema-bump') });
+        await detector.trainIsolationForest([humanBettingSession(), botBettingSession()].map(stream => detector.extractBehavioralFeatures(stream)), { numTrees: 20 });
+
+        detector.featureSchema = new FeatureSchema('2.0.0', FEATURE_DEFINITIONS.slice(1));
+        const retrained = await detector.trainIsolationForest(
+            [humanBettingSession(), botBettingSession()].map(stream => detector.extractBehavioralFeatures(stream)), { numTrees: 20, role: 'challenger' });
+
+        expect(detector.modelRegistry.getChampion().id).to.equal(retrained.metadata.modelId);
+        expect(detector.isolationForest).to.equal(retrained);
+        expect(detector.isolationForest.isTrained()).to.equal(true);
+    });
+});
@@ -0,0 +1,227 @@
+/**
+ * Test suite for proxy, VPN, Tor and data centre detection from local IP datasets
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const ProxyVPNDetector = require('../utils/proxy-vpn-detector');
+const { IPPrefixTrie, DATASET_FILES, updateDatasets, parseAddress } = require('../utils/proxy-vpn-detector');
+
+const FIXTURES = {
+    'hosting-ranges.txt': [
+        '# provider ranges',
+        '198.51.100.0/25 Example Cloud',
+        '198.51.100.64/27 Example Cloud Frankfurt',
+        '2001:db8:100::/48 Example Cloud'
+    ].join('\n'),
+    'vpn-ranges.txt': '198.51.100.128/26    Example VPN\n',
+    'tor-exit-nodes.txt': [
+        'ExitNode 0011BD2485AD45D984EC4159C88FC066E5E3300E',
+        'Published 2026-10-18 21:04:17',
+        'LastStatus 2026-10-19 03:00:00',
+        'ExitAddress 192.0.2.66 2026-10-19 03:12:47',
+        '2001:db8:300::66'
+    ].join('\n'),
+    'asn-prefixes.tsv': [
+        '192.0.2.0/24\tAS64500\tExample Residential ISP',
+        '203.0.113.0/24\t64502\tExample Tunnel Networks',
+        '100.64.0.0/10\tAS64501\tExample Cloud'
+    ].join('\n'),
+    'asn-categories.tsv': 'AS64500\tisp\nAS64501\thosting\nAS64502\tvpn\n'
+};
+
+function datasetDir(files = FIXTURES) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ip-datasets-'));
+    Object.entries(files).forEach(([file, content]) => fs.writeFileSync(path.join(dir, file), content));
+    return dir;
+}
+
+describe('Proxy VPN Detector', () => {
+    describe('IP prefix trie', () => {
+        it('should return the longest prefix containing an address', () => {
+            const trie = new IPPrefixTrie();
+            trie.insert('10.0.0.0/8', 'private');
+            trie.insert('10.20.0.0/16', 'office');
+            trie.insert('10.20.30.40', 'printer');
+
+            expect(trie.lookup('10.20.30.40')).to.deep.equal({ prefix: '10.20.30.40/32', value: 'printer' });
+            expect(trie.lookup('10.20.30.41')).to.deep.equal({ prefix: '10.20.0.0/16', value: 'office' });
+            expect(trie.lookup('10.99.0.1').value).to.equal('private');
+            expect(trie.lookup('11.0.0.1')).to.equal(null);
+            expect(trie.size).to.equal(3);
+        });
+
+        it('should match on prefix bits that do not fall on octet boundaries', () => {
+            const trie = new IPPrefixTrie();
+            trie.insert('198.51.100.128/26', 'vpn');
+
+            expect(trie.has('198.51.100.128')).to.equal(true);
+            expect(trie.has('198.51.100.191')).to.equal(true);
+            expect(trie.has('198.51.100.192')).to.equal(false);
+            expect(trie.has('198.51.100.127')).to.equal(false);
+        });
+
+        it('should hold IPv6 prefixes apart from IPv4 ones', () => {
+            const trie = new IPPrefixTrie();
+            trie.insert('0.0.0.0/0', 'any IPv4');
+            trie.insert('2001:db8::/32', 'documentation');
+
+            expect(trie.lookup('2001:db8:0:0:1::7').value).to.equal('documentation');
+            expect(trie.lookup('2001:0db8:ffff::1').value).to.equal('documentation');
+            expect(trie.lookup('2001:db9::1')).to.equal(null);
+            expect(trie.lookup('::ffff:192.0.2.1').value).to.equal('any IPv4');
+        });
+
+        it('should reject malformed prefixes and ignore malformed addresses', () => {
+            const trie = new IPPrefixTrie();
+            ['10.0.0.0/33', '256.1.1.1/8', '10.0.0/8', '2001:db8::/129', '2001:db8::1::2/64', '10.0.0.0/8/1', 'bad']
+                .forEach(cidr => expect(() => trie.insert(cidr, true), cidr).to.throw(`Invalid CIDR: ${cidr}`));
+
+            trie.insert('10.0.0.0/8', true);
+            [undefined, null, '', '10.0.0', '10.0.0.0.1', 'example.com', '::1::'].forEach(address => {
+                expect(trie.lookup(address)).to.equal(null);
+            });
+        });
+
+        it('should parse compressed, zoned and IPv4-tailed IPv6 addresses', () => {
+            expect(parseAddress('fe80::1%eth0').bytes).to.deep.equal([0xfe, 0x80, ...new Array(13).fill(0), 1]);
+            expect(parseAddress('::').bytes).to.deep.equal(new Array(16).fill(0));
+            expect(parseAddress('64:ff9b::198.51.100.7').bytes.slice(-4)).to.deep.equal([198, 51, 100, 7]);
+            expect(parseAddress('::ffff:198.51.100.7')).to.deep.equal({ version: 4, bytes: [198, 51, 100, 7], text: '198.51.100.7' });
+        });
+    });
+
+    describe('Detection', () => {
+        let detector;
+
+        beforeEach(() => {
+            detector = new ProxyVPNDetector({ datasetPath: datasetDir() });
+        });
+
+        it('should flag hosting ranges and hosting ASNs as data centres', async () => {
+            expect(await detector.checkDataCenter('198.51.100.10')).to.equal(true);
+            expect(await detector.checkDataCenter('100.64.12.1')).to.equal(true);
+            expect(await detector.checkDataCenter('2001:db8:100:1::5')).to.equal(true);
+            expect(await detector.checkDataCenter('192.0.2.10')).to.equal(false);
+
+            expect(await detector.getExitNodeInfo('198.51.100.70')).to.deep.equal({
+                network: 'datacenter',
+                provider: 'Example Cloud Frankfurt',
+                prefix: '198.51.100.64/27',
+                asn: null
+            });
+        });
+
+        it('should flag VPN ranges and VPN ASNs', async () => {
+            expect(await detector.checkVPN('198.51.100.130')).to.equal(true);
+            expect(await detector.checkVPN('203.0.113.24')).to.equal(true);
+            expect(await detector.checkVPN('198.51.100.10')).to.equal(false);
+
+            expect(await detector.getExitNodeInfo('203.0.113.24')).to.deep.equal({
+                network: 'vpn',
+                provider: 'Example Tunnel Networks',
+                prefix: '203.0.113.0/24',
+                asn: 64502
+            });
+        });
+
+        it('should flag listed Tor exits only', async () => {
+            expect(await detector.checkTor('192.0.2.66')).to.equal(true);
+            expect(await detector.checkTor('::ffff:192.0.2.66')).to.equal(true);
+            expect(await detector.checkTor('2001:db8:300::66')).to.equal(true);
+            expect(await detector.checkTor('192.0.2.67')).to.equal(false);
+
+            // The exit sits on a residential ASN, but Tor is what the user hides behind
+            expect(await detector.identifyProxyType('192.0.2.66')).to.equal('tor');
+            expect((await detector.getExitNodeInfo('192.0.2.66')).asn).to.equal(64500);
+        });
+
+        it('should give the same verdict every time and none for a residential address', async () => {
+            const verdicts = [];
+            for (let i = 0; i < 20; i++) {
+                verdicts.push([
+                    await detector.checkProxy('192.0.2.10'),
+                    await detector.checkVPN('192.0.2.10'),
+                    await detector.checkTor('192.0.2.10'),
+                    await detector.checkDataCenter('192.0.2.10')
+                ]);
+            }
+
+            verdicts.forEach(verdict => expect(verdict).to.deep.equal([false, false, false, false]));
+            expect(await detector.identifyProxyType('192.0.2.10')).to.equal('none');
+            expect(await detector.getExitNodeInfo('192.0.2.10')).to.equal(null);
+            expect(detector.lookup('192.0.2.10').asn).to.deep.include({ asn: 64500, category: 'isp' });
+        });
+
+        it('should count any relay as a proxy and know nothing of unparseable addresses', async () => {
+            expect(await detector.checkProxy('198.51.100.10')).to.equal(true);
+            expect(await detector.checkProxy('203.0.113.24')).to.equal(true);
+            expect(await detector.checkProxy('192.0.2.66')).to.equal(true);
+
+            expect(await detector.checkProxy(undefined)).to.equal(false);
+            expect(await detector.identifyProxyType('not-an-ip')).to.equal('unknown');
+            expect(detector.lookup('not-an-ip')).to.equal(null);
+        });
+
+        it('should treat a missing file as an empty dataset and fail on a malformed line', () => {
+            const partial = new ProxyVPNDetector({ datasetPath: datasetDir({ 'vpn-ranges.txt': FIXTURES['vpn-ranges.txt'] }) });
+            expect(partial.getDatasetInfo().entries).to.deep.equal({ hosting: 0, vpn: 1, tor: 0, asnPrefixes: 0, asnCategories: 0 });
+            expect(partial.getDatasetInfo().updatedAt).to.equal(null);
+
+            const broken = new ProxyVPNDetector({ datasetPath: datasetDir({ ...FIXTURES, 'asn-prefixes.tsv': '192.0.2.0/24\tAS64500\n198.51.100.0/24\tAS-cloud\n' }) });
+            expect(() => broken.load()).to.throw("asn-prefixes.tsv:2: invalid ASN 'AS-cloud'");
+        });
+    });
+
+    describe('Dataset updates', () => {
+        it('should replace the files a directory holds and keep the others', async () => {
+            const datasetPath = datasetDir();
+            const detector = new ProxyVPNDetector({ datasetPath });
+            expect(await detector.checkTor('192.0.2.99')).to.equal(false);
+
+            const manifest = updateDatasets(datasetDir({ 'tor-exit-nodes.txt': '192.0.2.99\n192.0.2.100\n' }), datasetPath);
+
+            expect(Object.keys(manifest.files)).to.deep.equal(['tor-exit-nodes.txt']);
+            expect(manifest.files['tor-exit-nodes.txt']).to.include({ entries: 2, updatedAt: manifest.updatedAt });
+            expect(manifest.files['tor-exit-nodes.txt'].sha256).to.match(/^[0-9a-f]{64}$/);
+            expect(fs.readFileSync(path.join(datasetPath, DATASET_FILES.vpn), 'utf8')).to.equal(FIXTURES['vpn-ranges.txt']);
+
+            // Verdicts change once the detector reloads
+            expect(await detector.checkTor('192.0.2.99')).to.equal(false);
+            detector.reload();
+            expect(await detector.checkTor('192.0.2.99')).to.equal(true);
+            expect(await detector.checkTor('192.0.2.66')).to.equal(false);
+            expect(await detector.checkVPN('198.51.100.130')).to.equal(true);
+            expect(detector.getDatasetInfo().updatedAt).to.equal(manifest.updatedAt);
+
+            const next = updateDatasets(datasetDir({ 'vpn-ranges.txt': '203.0.113.0/24 Example VPN\n' }), datasetPath);
+            expect(Object.keys(next.files)).to.deep.equal(['tor-exit-nodes.txt', 'vpn-ranges.txt']);
+            expect(next.files['tor-exit-nodes.txt']).to.deep.equal(manifest.files['tor-exit-nodes.txt']);
+        });
+
+        it('should leave every file alone when any new file is malformed', () => {
+            const datasetPath = datasetDir();
+            const source = datasetDir({ 'tor-exit-nodes.txt': '192.0.2.99\n', 'hosting-ranges.txt': '198.51.100.0/24 ok\n300.1.1.0/24 broken\n' });
+
+            expect(() => updateDatasets(source, datasetPath)).to.throw("hosting-ranges.txt:2: invalid CIDR '300.1.1.0/24'");
+            expect(fs.readFileSync(path.join(datasetPath, DATASET_FILES.tor), 'utf8')).to.equal(FIXTURES['tor-exit-nodes.txt']);
+            expect(fs.existsSync(path.join(datasetPath, 'manifest.json'))).to.equal(false);
+        });
+
+        it('should refuse a directory with no dataset files', () => {
+            expect(() => updateDatasets(datasetDir({ 'readme.txt': 'nothing here' }), datasetDir()))
+                .to.throw(/^No dataset files in /);
+        });
+    });
+
+    it('should load the datasets shipped with the repository', async () => {
+        const detector = new ProxyVPNDetector();
+        const { entries, updatedAt } = detector.getDatasetInfo();
+
+        Object.values(entries).forEach(count => expect(count).to.be.above(0));
+        expect(updatedAt).to.be.a('string');
+        expect(await detector.identifyProxyType('192.0.2.66')).to.equal('tor');
+        expect(await detector.identifyProxyType('192.0.2.10')).to.equal('none');
+    });
+});
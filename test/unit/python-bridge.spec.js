@@ -0,0 +1,100 @@
+/**
+ * Test suite for the Python model worker pool
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { expect } = require('chai');
+const PythonWorkerPool = require('../utils/python-bridge');
+const { PythonBridgeError, ERROR_CODES } = require('../utils/python-bridge');
+
+const PYTHON = process.env.PYTHON_PATH || 'python3';
+
+const SCRIPTS = {
+    'rich_model.py': [
+        'import os',
+        'print("model loaded")',
+        'def predict(payload):',
+        '    return {"score": payload["value"], "modelVersion": "1.2.0", "pid": os.getpid(),',
+        '            "attributions": {"betting": 0.7}}'
+    ],
+    'neutral_model.py': ['def predict(payload):', '    return 0.5'],
+    'failing_model.py': ['def predict(payload):', '    raise ValueError("feature vector is empty")'],
+    'slow_model.py': ['import time', 'def predict(payload):', '    time.sleep(payload["seconds"])', '    return 1']
+};
+
+async function expectBridgeError(promise, code) {
+    try {
+        await promise;
+    } catch (error) {
+        expect(error).to.be.instanceOf(PythonBridgeError);
+        expect(error.code).to.equal(code);
+        return error;
+    }
+    throw new Error(`Expected a ${code} error`);
+}
+
+describe('Python Worker Pool', function () {
+    this.timeout(20000);
+
+    const scriptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-scripts-'));
+    let pool;
+
+    before(function () {
+        if (spawnSync(PYTHON, ['--version']).error) this.skip();
+
+        Object.entries(SCRIPTS).forEach(([name, lines]) =>
+            fs.writeFileSync(path.join(scriptDir, name), lines.join('\n') + '\n'));
+    });
+
+    beforeEach(() => {
+        pool = new PythonWorkerPool({ scriptDir, size: 1, timeout: 5000 });
+    });
+
+    afterEach(() => pool.close());
+
+    it('should pass rich results through and reuse the worker', async () => {
+        const first = await pool.call('rich_model.py', { value: 0.8 });
+        const second = await pool.call('rich_model.py', { value: 0.2 });
+
+        expect(first).to.deep.include({ score: 0.8, modelVersion: '1.2.0', attributions: { betting: 0.7 } });
+        expect(second.score).to.equal(0.2);
+        expect(second.pid).to.equal(first.pid);
+    });
+
+    it('should tell a neutral score apart from a failed model', async () => {
+        expect(await pool.call('neutral_model.py', {})).to.deep.equal({ score: 0.5 });
+
+        const error = await expectBridgeError(pool.call('failing_model.py', {}), ERROR_CODES.SCRIPT_ERROR);
+        expect(error.message).to.include('feature vector is empty');
+        expect(error.details.traceback).to.include('ValueError');
+
+        await expectBridgeError(pool.call('missing_model.py', {}), ERROR_CODES.SCRIPT_NOT_FOUND);
+    });
+
+    it('should time out a stuck call and recover with a fresh worker', async () => {
+        await expectBridgeError(pool.call('slow_model.py', { seconds: 5 }, { timeout: 300 }), ERROR_CODES.TIMEOUT);
+
+        expect(await pool.call('neutral_model.py', {})).to.deep.equal({ score: 0.5 });
+    });
+
+    it('should cancel queued and running calls', async () => {
+        const controller = new AbortController();
+        const running = pool.call('slow_model.py', { seconds: 5 }, { signal: controller.signal });
+        const queued = pool.call('neutral_model.py', {}, { signal: controller.signal });
+
+        controller.abort();
+
+        await expectBridgeError(running, ERROR_CODES.CANCELLED);
+        await expectBridgeError(queued, ERROR_CODES.CANCELLED);
+        expect(pool.getStats()).to.deep.equal({ workers: 0, busy: 0, queued: 0 });
+    });
+
+    it('should report a missing Python interpreter', async () => {
+        const broken = new PythonWorkerPool({ scriptDir, pythonPath: 'python-does-not-exist' });
+
+        await expectBridgeError(broken.call('neutral_model.py', {}), ERROR_CODES.SPAWN_FAILED);
+        await broken.close();
+    });
+});
@@ -0,0 +1,218 @@
+/**
+ * Test suite for MLFraudDetector real-time monitoring and action sources
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { expect } = require('chai');
+const WebSocket = require('ws');
+const MLFraudDetector = require('../utils/ml-fraud-detector');
+const {
+    InMemoryActionSource,
+    FileTailActionSource,
+    WebSocketActionSource
+} = require('../utils/action-sources');
+const { botBettingSession } = require('../data/fixtures/action-streams');
+
+function action(userId, timestamp, type = 'bet_placed') {
+    return { userId, type, timestamp, amount: 10 };
+}
+
+function waitFor(condition, timeout = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (condition()) return resolve();
+            if (Date.now() - started > timeout) return reject(new Error('Timed out waiting for condition'));
+            setTimeout(check, 10);
+        };
+        check();
+    });
+}
+
+describe('Real-time Monitoring', function () {
+    this.timeout(10000);
+
+    let detector;
+
+    beforeEach(async () => {
+        detector = new MLFraudDetector({
+            modelPath: path.join(os.tmpdir(), `ml-monitoring-${Date.now()}`),
+            recordAnalyses: false
+        });
+        await detector.modelsReady;
+    });
+
+    afterEach(() => detector.close());
+
+    describe('Action sources', () => {
+        it('should keep a per-user window and track pending actions', () => {
+            const source = new InMemoryActionSource({ windowSize: 3 });
+            source.push([action('u1', 4), action('u1', 1), action('u1', 3), action('u1', 2), action('u2', 5)]);
+            source.push({ type: 'login', timestamp: 6 });
+
+            expect(source.getActiveUsers().map(user => user.id)).to.have.members(['u1', 'u2']);
+            expect(source.pendingCount()).to.equal(5);
+
+            expect(source.getRecentUserActions('u1').map(entry => entry.timestamp)).to.deep.equal([2, 3, 4]);
+            expect(source.getActiveUsers().map(user => user.id)).to.deep.equal(['u2']);
+        });
+
+        it('should hold pushed actions while paused and ingest them on resume', () => {
+            const source = new InMemoryActionSource();
+            source.push(action('u1', 1));
+            source.pause();
+            source.push(action('u1', 2), [action('u2', 3)]);
+
+            expect(source.pendingCount()).to.equal(1);
+            expect(source.getActiveUsers().map(user => user.id)).to.deep.equal(['u1']);
+
+            source.resume();
+            expect(source.pendingCount()).to.equal(3);
+            expect(source.getRecentUserActions('u1').map(entry => entry.timestamp)).to.deep.equal([1, 2]);
+            expect(source.getActiveUsers().map(user => user.id)).to.deep.equal(['u2']);
+        });
+
+        it('should tail a JSONL file across partial writes and truncation', async () => {
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tail-')), 'actions.jsonl');
+            fs.writeFileSync(file, JSON.stringify(action('old', 1)) + '\n');
+
+            const source = new FileTailActionSource(file, { pollInterval: 20 });
+            await source.start();
+
+            fs.appendFileSync(file, JSON.stringify(action('u1', 2)) + '\n{"userId":"u1","type":"lo');
+            await waitFor(() => source.pendingCount() === 1);
+            fs.appendFileSync(file, 'gin","timestamp":3}\n');
+            await waitFor(() => source.pendingCount() === 2);
+
+            fs.writeFileSync(file, JSON.stringify(action('u2', 4)) + '\n');
+            await waitFor(() => source.pendingCount() === 3);
+            await source.stop();
+
+            expect(source.users.has('old')).to.equal(false);
+            expect(source.getRecentUserActions('u1').map(entry => entry.type)).to.deep.equal(['bet_placed', 'login']);
+        });
+
+        it('should read single actions and batches from a WebSocket stream', async () => {
+            const server = new WebSocket.Server({ port: 0 });
+            server.on('connection', socket => {
+                socket.send(JSON.stringify(action('u1', 1)));
+                socket.send(JSON.stringify([action('u2', 2), action('u2', 3)]));
+            });
+
+            const source = new WebSocketActionSource(`ws://127.0.0.1:${server.address().port}`);
+            try {
+                await source.start();
+                await waitFor(() => source.pendingCount() === 3);
+            } finally {
+                await source.stop();
+                await new Promise(resolve => server.close(resolve));
+            }
+
+            expect(source.getActiveUsers().map(user => user.id)).to.have.members(['u1', 'u2']);
+        });
+    });
+
+    describe('startRealTimeMonitoring', () => {
+        it('should report high and critical analyses through callbacks and events', async () => {
+            detector.analyzeUserBehavior = async (actions, userId) =>
+                ({ userId, riskLevel: userId === 'bot' ? 'critical' : userId === 'risky' ? 'high' : 'low' });
+
+            const source = new InMemoryActionSource();
+            const calls = { alert: [], high: [], critical: [], events: [] };
+            detector.on('fraudAlert', alert => calls.events.push(alert.user));
+
+            const monitor = await detector.startRealTimeMonitoring(source, {
+                interval: 60000,
+                onAlert: alert => calls.alert.push(alert.user),
+                onHigh: alert => calls.high.push(alert.user),
+                onCritical: alert => calls.critical.push(alert.severity)
+            });
+
+            source.push(action('bot', 1), action('risky', 2), action('human', 3));
+            await monitor.flush();
+            await monitor.stop();
+
+            expect(calls.alert).to.have.members(['bot', 'risky']);
+            expect(calls.events).to.have.members(['bot', 'risky']);
+            expect(calls.high).to.deep.equal(['risky']);
+            expect(calls.critical).to.deep.equal(['critical']);
+            expect(monitor.getStats()).to.include({ analyzed: 3, alerts: 2, running: false });
+        });
+
+        it('should cap work per tick and pause the source while behind', async () => {
+            const analyzed = [];
+            detector.analyzeUserBehavior = async (actions, userId) => {
+                analyzed.push(userId);
+                return { riskLevel: 'low' };
+            };
+
+            const source = new InMemoryActionSource();
+            const monitor = await detector.startRealTimeMonitoring(source, {
+                interval: 60000,
+                maxUsersPerTick: 2,
+                highWaterMark: 3,
+                lowWaterMark: 1
+            });
+
+            source.push(['a', 'b', 'c', 'd', 'e'].map((userId, i) => action(userId, i)));
+            await monitor.flush();
+            expect(analyzed).to.deep.equal(['a', 'b']);
+            expect(monitor.getStats()).to.include({ paused: true, pendingActions: 3, pauses: 1 });
+
+            await monitor.flush();
+            expect(analyzed).to.deep.equal(['a', 'b', 'c', 'd']);
+            expect(monitor.getStats()).to.include({ paused: false, pendingActions: 1 });
+
+            await monitor.flush();
+            await monitor.stop();
+            expect(analyzed).to.deep.equal(['a', 'b', 'c', 'd', 'e']);
+        });
+
+        it('should skip ticks while an analysis is still running', async () => {
+            let release;
+            detector.analyzeUserBehavior = () => new Promise(resolve => {
+                release = () => resolve({ riskLevel: 'low' });
+            });
+
+            const source = new InMemoryActionSource();
+            const monitor = await detector.startRealTimeMonitoring(source, { interval: 60000 });
+            source.push(action('slow', 1));
+
+            const first = monitor.flush();
+            const second = monitor.flush();
+            await waitFor(() => release);
+            release();
+            await Promise.all([first, second]);
+            await monitor.stop();
+
+            expect(monitor.getStats()).to.include({ ticks: 1, skippedTicks: 1, analyzed: 1 });
+        });
+
+        it('should analyze live bot traffic end to end', async () => {
+            detector.riskThresholds = { low: 0.05, medium: 0.1, high: 0.15, critical: 1.1 };
+
+            const source = new InMemoryActionSource();
+            const alerts = [];
+            const monitor = await detector.startRealTimeMonitoring(source, { interval: 60000, onHigh: alert => alerts.push(alert) });
+
+            source.push(botBettingSession().map(entry => ({ ...entry, userId: 'live_bot' })));
+            await monitor.flush();
+            await monitor.stop();
+
+            expect(alerts).to.have.lengthOf(1);
+            expect(alerts[0].analysis.userId).to.equal('live_bot');
+            expect(alerts[0].analysis.confidenceScore).to.be.at.least(0.15);
+        });
+
+        it('should require an action source', async () => {
+            let error;
+            try {
+                await detector.startRealTimeMonitoring(() => {});
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error.message).to.include('action source');
+        });
+    });
+});
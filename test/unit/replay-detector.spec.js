@@ -0,0 +1,123 @@
+/**
+ * Test suite for trajectory replay and synthetic input detection
+ */
+const { expect } = require('chai');
+const ReplayDetector = require('../utils/replay-detector');
+const { MouseMovementAnalyzer, TouchGestureAnalyzer } = require('../utils/behavioral-biometrics');
+const {
+    TRACE_START,
+    HANDS,
+    humanMouseTrace,
+    scriptedMouseTrace,
+    humanTouchSession,
+    scriptedTouchSession
+} = require('../data/fixtures/biometric-traces');
+
+const mouseStrokes = trace => new MouseMovementAnalyzer().segmentStrokes(trace)
+    .map(stroke => stroke.map(event => ({ x: event.x, y: event.y, time: event.timestamp })));
+
+const touchTracks = events => new TouchGestureAnalyzer().segmentGestures(events)
+    .flatMap(gesture => gesture.tracks.map(track => track.points));
+
+/**
+ * A recording played back elsewhere on the screen, later, with ±1px of
+ * jitter so it does not repeat the recording verbatim
+ */
+function replayOf(trajectories, shift, delay) {
+    let seed = 7;
+    const jitter = () => {
+        seed = (seed * 16807) % 2147483647;
+        return Math.round((seed / 2147483647 - 0.5) * 2);
+    };
+    return trajectories.map(points => points.map(point => ({
+        x: point.x + shift.x + jitter(),
+        y: point.y + shift.y + jitter(),
+        time: point.time + delay
+    })));
+}
+
+describe('Replay Detector', () => {
+    it('should not mistake one person\'s repeated visits for replays', () => {
+        const detector = new ReplayDetector();
+
+        for (let repetition = 0; repetition < 5; repetition++) {
+            const { replay } = detector.analyzeSession(mouseStrokes(humanMouseTrace(TRACE_START + repetition * 60000, repetition)),
+                { userId: 'punter_1', sessionId: `mouse_${repetition}`, modality: 'mouse' });
+            expect(replay.isReplay).to.equal(false);
+        }
+        for (let repetition = 0; repetition < 4; repetition++) {
+            const { replay } = detector.analyzeSession(touchTracks(humanTouchSession(TRACE_START + repetition * 60000, HANDS.accountHolder, repetition)),
+                { userId: 'punter_2', sessionId: `touch_${repetition}`, modality: 'touch' });
+            expect(replay.matched).to.equal(0);
+        }
+        expect(detector.size).to.be.above(30);
+    });
+
+    it('should recognise a shifted, jittered recording played back as another user', () => {
+        const detector = new ReplayDetector();
+        const recording = mouseStrokes(humanMouseTrace());
+        detector.analyzeSession(recording, { userId: 'punter_1', sessionId: 'original', modality: 'mouse' });
+
+        const { replay } = detector.analyzeSession(replayOf(recording, { x: 35, y: -20 }, 5 * 86400000),
+            { userId: 'mule_7', sessionId: 'playback', modality: 'mouse' });
+
+        expect(replay).to.include({ matched: 3, isReplay: true, crossUser: true });
+        expect(replay.sources).to.deep.equal([{ userId: 'punter_1', sessionId: 'original', matches: 3 }]);
+    });
+
+    it('should only compare trajectories from other sessions of the same modality', () => {
+        const detector = new ReplayDetector();
+        const recording = mouseStrokes(humanMouseTrace());
+        detector.record(recording, { userId: 'punter_1', sessionId: 'original', modality: 'mouse' });
+
+        expect(detector.findReplays(recording, { userId: 'punter_1', sessionId: 'original', modality: 'mouse' }).matched).to.equal(0);
+        expect(detector.findReplays(recording, { userId: 'punter_1', sessionId: 'later', modality: 'touch' }).matched).to.equal(0);
+
+        const replay = detector.findReplays(recording, { userId: 'punter_1', sessionId: 'later', modality: 'mouse' });
+        expect(replay).to.include({ isReplay: true, crossUser: false });
+    });
+
+    it('should forget the oldest fingerprints beyond its capacity', () => {
+        const detector = new ReplayDetector({ maxFingerprints: 4 });
+        const recording = mouseStrokes(humanMouseTrace());
+        detector.record(recording, { userId: 'punter_1', sessionId: 'first', modality: 'mouse' });
+        detector.record(mouseStrokes(humanMouseTrace(TRACE_START, 1)), { userId: 'punter_1', sessionId: 'second', modality: 'mouse' });
+
+        expect(detector.size).to.equal(4);
+        expect(detector.findReplays(recording, { userId: 'mule_7', sessionId: 'playback', modality: 'mouse' }).matched).to.equal(1);
+    });
+
+    it('should flag linear interpolation and constant sampling as synthetic', () => {
+        const detector = new ReplayDetector();
+
+        const mouse = detector.detectSyntheticInput(mouseStrokes(scriptedMouseTrace()));
+        expect(mouse.indicators).to.deep.equal(['linear_interpolation', 'constant_sampling']);
+        expect(mouse).to.include({ isSynthetic: true, linearRatio: 1, samplingVariation: 0 });
+
+        const touch = detector.detectSyntheticInput(touchTracks(scriptedTouchSession()));
+        expect(touch.isSynthetic).to.equal(true);
+        expect(touch.indicators).to.include('linear_interpolation');
+    });
+
+    it('should report integer coordinates without calling human input synthetic', () => {
+        const detector = new ReplayDetector();
+
+        const mouse = detector.detectSyntheticInput(mouseStrokes(humanMouseTrace()));
+        expect(mouse).to.include({ isSynthetic: false, linearRatio: 0, integerRatio: 1 });
+        expect(mouse.indicators).to.deep.equal(['integer_coordinates']);
+        expect(mouse.samplingVariation).to.be.above(0.1);
+
+        const touch = detector.detectSyntheticInput(touchTracks(humanTouchSession(TRACE_START, HANDS.accountHolder)));
+        expect(touch.isSynthetic).to.equal(false);
+    });
+
+    it('should not fingerprint short or instantaneous movements', () => {
+        const detector = new ReplayDetector();
+        const nudge = Array.from({ length: 8 }, (_, i) => ({ x: 100 + i * 2, y: 100, time: TRACE_START + i * 10 }));
+        const teleport = Array.from({ length: 8 }, (_, i) => ({ x: 100 + i * 50, y: 100, time: TRACE_START }));
+
+        expect(detector.fingerprint(nudge)).to.equal(null);
+        expect(detector.fingerprint(teleport)).to.equal(null);
+        expect(detector.fingerprint(nudge.slice(0, 3))).to.equal(null);
+    });
+});
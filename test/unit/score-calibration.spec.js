@@ -0,0 +1,107 @@
+/**
+ * Test suite for fraud score calibration and composite weights
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { expect } = require('chai');
+const ScoreCalibrator = require('../utils/score-calibrator');
+const { learnCompositeWeights } = require('../utils/score-calibrator');
+const MLFraudDetector = require('../utils/ml-fraud-detector');
+const { DEFAULT_COMPOSITE_WEIGHTS, DEFAULT_RISK_THRESHOLDS } = require('../utils/ml-fraud-detector');
+
+// Raw scores where fraud becomes more likely as the score grows
+const rawScores = [0.1, 0.2, 0.25, 0.3, 0.4, 0.45, 0.5, 0.6, 0.65, 0.7, 0.8, 0.9];
+const labels = [0, 0, 0, 0, 1, 0, 0, 1, 1, 0, 1, 1];
+
+describe('Fraud Score Calibration', () => {
+    it('should fit a monotone Platt curve within (0, 1)', () => {
+        const calibrator = ScoreCalibrator.fit(rawScores, labels, 'platt');
+        const probabilities = [0, 0.3, 0.6, 1].map(score => calibrator.calibrate(score));
+
+        expect(calibrator.params.a).to.be.lessThan(0);
+        probabilities.forEach(p => expect(p).to.be.within(0, 1));
+        for (let i = 1; i < probabilities.length; i++) {
+            expect(probabilities[i]).to.be.greaterThan(probabilities[i - 1]);
+        }
+    });
+
+    it('should pool adjacent violators for isotonic calibration', () => {
+        const calibrator = ScoreCalibrator.fit(rawScores, labels, 'isotonic');
+        const probabilities = calibrator.params.points.map(point => point.probability);
+
+        expect(probabilities).to.deep.equal(probabilities.slice().sort((a, b) => a - b));
+        expect(calibrator.calibrate(0)).to.equal(0);
+        expect(calibrator.calibrate(1)).to.equal(1);
+        expect(ScoreCalibrator.fromJSON(calibrator.toJSON()).calibrate(0.55))
+            .to.equal(calibrator.calibrate(0.55));
+    });
+
+    it('should refuse to calibrate without both outcomes', () => {
+        expect(() => ScoreCalibrator.fit([0.2, 0.4], [0, 0])).to.throw('both fraud and legitimate');
+    });
+
+    it('should learn weights for the components that separate fraud', () => {
+        const rows = labels.map((label, i) => ({
+            anomaly: label === 1 ? 0.8 : 0.2,
+            temporal: 0.5,
+            network: (i % 3) / 3
+        }));
+        const weights = learnCompositeWeights(rows, labels, ['anomaly', 'temporal', 'network']);
+
+        expect(weights.anomaly).to.be.greaterThan(0.6);
+        expect(weights.anomaly + weights.temporal + weights.network).to.be.closeTo(1, 1e-9);
+    });
+
+    it('should fall back to the detector defaults where an environment has no overrides', async () => {
+        const detector = new MLFraudDetector({ modelPath: path.join(os.tmpdir(), `ml-defaults-${Date.now()}`), recordAnalyses: false });
+        await detector.modelsReady;
+
+        expect(detector.compositeWeights).to.deep.equal(DEFAULT_COMPOSITE_WEIGHTS);
+        expect(detector.riskThresholds).to.deep.equal(DEFAULT_RISK_THRESHOLDS);
+        await detector.close();
+    });
+
+    it('should leave components without a score out of the composite', async () => {
+        const detector = new MLFraudDetector({ modelPath: path.join(os.tmpdir(), `ml-composite-${Date.now()}`) });
+        await detector.modelsReady;
+
+        expect(detector.calculateCompositeScore({ anomaly: 0.8, network: null, biometric: 0.8, temporal: NaN })).to.be.closeTo(0.8, 1e-9);
+        // Components without a weight, like the dropped behavior model, count for nothing
+        expect(detector.calculateCompositeScore({ behavior: 0.9 })).to.equal(0.5);
+        await detector.close();
+    });
+
+    it('should use environment weights and a persisted calibration in MLFraudDetector', async () => {
+        const modelPath = path.join(os.tmpdir(), `ml-calibration-${Date.now()}`);
+        const detector = new MLFraudDetector({
+            modelPath,
+            compositeWeights: { anomaly: 1, network: 0, biometric: 0, temporal: 0 },
+            riskThresholds: { low: 0.2 }
+        });
+        await detector.modelsReady;
+
+        expect(detector.calculateCompositeScore({ anomaly: 0.9, temporal: 0.1 })).to.equal(0.9);
+        expect(detector.riskThresholds).to.include({ low: 0.2, critical: 0.9 });
+
+        const outcomes = labels.map((label, i) => ({
+            label,
+            detailedScores: { anomalyDetection: rawScores[i], temporalAnalysis: 0.5, networkAnalysis: 0.2 }
+        }));
+        const calibration = detector.fitCalibration(outcomes, { method: 'platt', learnWeights: true });
+
+        expect(calibration.brierScore.calibrated).to.be.lessThan(calibration.brierScore.raw);
+        expect(fs.existsSync(detector.calibrationPath)).to.equal(true);
+
+        const restarted = new MLFraudDetector({ modelPath });
+        await restarted.modelsReady;
+        expect(restarted.compositeWeights).to.deep.equal(calibration.compositeWeights);
+        expect(restarted.calibrateScore(0.8)).to.equal(detector.calibrateScore(0.8));
+
+        // An environment override still wins over the saved weights
+        const overridden = new MLFraudDetector({ modelPath, compositeWeights: { network: 0.6 } });
+        await overridden.modelsReady;
+        expect(overridden.compositeWeights).to.deep.equal({ ...calibration.compositeWeights, network: 0.6 });
+        expect(overridden.calibrator).to.equal(null);
+    });
+});
@@ -0,0 +1,211 @@
+const path = require('path');
+const fs = require('fs');
+const { toMillis } = require('./feature-extractor');
+
+/**
+ * 📥 User-Action Log Reader
+ *
+ * Loads user-action streams exported from captured sessions or production
+ * and groups them per user for batch scoring.
+ *
+ * Formats:
+ * - JSONL, one action per line carrying a user field:
+ *     {"userId": "u1", "type": "bet_placed", "timestamp": 1709578800000, "amount": 50}
+ * - JSONL, one session per line with an `actions` array (labelled corpus format):
+ *     {"userId": "u1", "actions": [{...}, {...}]}    (`id` is used when there is no user field)
+ * - CSV with a header row; dotted columns build nested objects
+ *   (`location.latitude`), and plain decimals, booleans and JSON cells are
+ *   decoded. Identifier columns stay strings so "007", "7" and "0x1A" remain
+ *   three different users, devices or events. Numeric columns (amounts, odds,
+ *   coordinates) also accept thousands separators ("1,000"); anything else in
+ *   them is rejected with its row number rather than passed on as a string
+ */
+
+// Columns read verbatim from CSV; any column ending in `Id` is one too
+const IDENTIFIER_FIELDS = ['id', 'userId', 'deviceId', 'instrumentId', 'eventId', 'sessionId', 'selection', 'key', 'ipAddress'];
+const PLAIN_DECIMAL = /^-?\d+(\.\d+)?$/;
+
+// Columns the feature extractor reads as numbers
+const NUMERIC_FIELDS = ['amount', 'stake', 'odds', 'payout', 'closingOdds', 'x', 'y', 'pressure', 'duration', 'deltaY', 'latitude', 'longitude'];
+const GROUPED_DECIMAL = /^-?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+/**
+ * Read one action-log file into records
+ * @param {string} filePath - .jsonl / .ndjson / .json or .csv
+ * @param {object} options - { userField } naming the user column, kept as a string in CSV
+ * @returns {object[]} - Actions or session records
+ */
+function readActionLog(filePath, { userField = 'userId' } = {}) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.csv') return parseCsvRecords(content, filePath, [userField]);
+    if (['.jsonl', '.ndjson', '.json'].includes(extension)) return parseJsonLines(content, filePath);
+    throw new Error(`Unsupported action log format: ${filePath} (expected .jsonl or .csv)`);
+}
+
+function parseJsonLines(content, source = 'input') {
+    return content.split('\n').reduce((records, line, index) => {
+        if (!line.trim()) return records;
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            throw new Error(`${source}:${index + 1}: invalid JSON (${error.message})`);
+        }
+        return records;
+    }, []);
+}
+
+function parseCsvRecords(content, source, identifierFields) {
+    // Row numbers count the header as row 1, as in a spreadsheet
+    return parseCsv(content).map((record, index) => {
+        try {
+            return decodeCsvRecord(record, identifierFields);
+        } catch (error) {
+            throw new Error(`${source}: row ${index + 2}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * RFC 4180 CSV: quoted cells may contain commas, newlines and "" escapes
+ * @returns {object[]} - One object per data row keyed by header
+ */
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    const [header, ...data] = rows.filter(cells => cells.some(value => value.trim() !== ''));
+    if (!header) return [];
+
+    return data.map(cells => header.reduce((record, column, k) => {
+        record[column.trim()] = cells[k] ?? '';
+        return record;
+    }, {}));
+}
+
+/**
+ * Turn flat CSV strings into typed, nested action fields
+ * @param {object} record - One row from parseCsv
+ * @param {string[]} identifierFields - Extra columns to keep as strings
+ * @throws {Error} - When a numeric column holds something other than a number
+ */
+function decodeCsvRecord(record, identifierFields = []) {
+    const action = {};
+
+    Object.entries(record).forEach(([column, raw]) => {
+        if (raw === '') return;
+
+        const keys = column.split('.');
+        let target = action;
+        keys.slice(0, -1).forEach(key => {
+            target[key] = target[key] || {};
+            target = target[key];
+        });
+        const field = keys[keys.length - 1];
+        if (isIdentifier(column, field, identifierFields)) {
+            target[field] = raw.trim();
+        } else if (NUMERIC_FIELDS.includes(field)) {
+            target[field] = decodeCsvNumber(column, raw);
+        } else {
+            target[field] = decodeCsvValue(raw);
+        }
+    });
+
+    return action;
+}
+
+function isIdentifier(column, field, identifierFields) {
+    return identifierFields.includes(column) || IDENTIFIER_FIELDS.includes(field) || /Id$/.test(field);
+}
+
+function decodeCsvNumber(column, raw) {
+    const value = raw.trim();
+    if (PLAIN_DECIMAL.test(value)) return Number(value);
+    if (GROUPED_DECIMAL.test(value)) return Number(value.replace(/,/g, ''));
+    throw new Error(`'${column}' must be a number, got "${value}"`);
+}
+
+function decodeCsvValue(raw) {
+    const value = raw.trim();
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (PLAIN_DECIMAL.test(value)) return Number(value);
+    if (/^[[{]/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return raw;
+        }
+    }
+    return raw;
+}
+
+/**
+ * Group actions and session records by user, ordered by timestamp
+ * @param {object[]} records - Output of readActionLog (one or more files)
+ * @param {string} userField - Field naming the user on each action
+ * @returns {Map<string, object[]>} - userId -> actions
+ */
+function groupByUser(records, userField = 'userId') {
+    const groups = new Map();
+
+    const add = (userId, actions) => {
+        if (userId === undefined || userId === null || userId === '') {
+            throw new Error(`Action without a '${userField}' field: ${JSON.stringify(actions[0]).slice(0, 120)}`);
+        }
+        const key = String(userId);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(...actions);
+    };
+
+    records.forEach(record => {
+        if (Array.isArray(record.actions)) {
+            add(record[userField] ?? record.id, record.actions);
+        } else {
+            add(record[userField], [record]);
+        }
+    });
+
+    groups.forEach(actions => actions.sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp)));
+    return groups;
+}
+
+module.exports = readActionLog;
+module.exports.parseCsv = parseCsv;
+module.exports.decodeCsvRecord = decodeCsvRecord;
+module.exports.groupByUser = groupByUser;
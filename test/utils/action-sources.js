@@ -0,0 +1,307 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const WebSocket = require('ws');
+const { toMillis } = require('./feature-extractor');
+
+/**
+ * 📡 Action Sources for real-time monitoring
+ *
+ * A source collects live user actions and hands them to
+ * MLFraudDetector.startRealTimeMonitoring. Every source keeps a sliding
+ * window of recent actions per user and remembers which users have new
+ * actions since they were last analyzed.
+ *
+ * Interface used by the monitor:
+ * - start() / stop()
+ * - getActiveUsers() -> [{ id, pendingActions, lastSeen }] users with new actions
+ * - getRecentUserActions(userId) -> the user's window; marks it analyzed
+ * - pause() / resume() and pendingCount() for backpressure
+ *
+ * Implementations:
+ * - InMemoryActionSource: actions pushed from code (specs, simulators)
+ * - FileTailActionSource: follows a JSONL file as it grows
+ * - WebSocketActionSource: JSON actions (or arrays of them) from a stream
+ */
+class ActionSource extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            userField: 'userId',
+            windowSize: 200,
+            idleTimeout: 30 * 60 * 1000,
+            ...options
+        };
+
+        this.users = new Map();
+        this.paused = false;
+        this.running = false;
+    }
+
+    async start() {
+        this.running = true;
+    }
+
+    async stop() {
+        this.running = false;
+    }
+
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this.emit('paused');
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.emit('resumed');
+    }
+
+    /**
+     * Buffer one action under its user
+     */
+    ingest(action) {
+        const userId = action && action[this.options.userField];
+        if (userId === undefined || userId === null || userId === '') {
+            this.emit('invalidAction', action);
+            return;
+        }
+
+        const key = String(userId);
+        if (!this.users.has(key)) {
+            this.users.set(key, { actions: [], pendingActions: 0, lastSeen: 0 });
+        }
+
+        const user = this.users.get(key);
+        user.actions.push(action);
+        if (user.actions.length > 1 &&
+            toMillis(action.timestamp) < toMillis(user.actions[user.actions.length - 2].timestamp)) {
+            // Late arrival: keep the window in time order so trimming drops the oldest
+            user.actions.sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+        }
+        user.pendingActions++;
+        user.lastSeen = Date.now();
+
+        if (user.actions.length > this.options.windowSize) {
+            user.actions.splice(0, user.actions.length - this.options.windowSize);
+        }
+    }
+
+    /**
+     * Users with actions that have not been analyzed yet, longest waiting first
+     */
+    getActiveUsers() {
+        const now = Date.now();
+        const active = [];
+
+        this.users.forEach((user, id) => {
+            if (now - user.lastSeen > this.options.idleTimeout) {
+                this.users.delete(id);
+                return;
+            }
+            if (user.pendingActions > 0) {
+                active.push({ id, pendingActions: user.pendingActions, lastSeen: user.lastSeen });
+            }
+        });
+
+        return active.sort((a, b) => a.lastSeen - b.lastSeen);
+    }
+
+    /**
+     * The user's recent window (in time order); clears their pending count
+     */
+    getRecentUserActions(userId) {
+        const user = this.users.get(String(userId));
+        if (!user) return [];
+
+        user.pendingActions = 0;
+        return [...user.actions];
+    }
+
+    /**
+     * Actions received but not yet analyzed, across all users
+     */
+    pendingCount() {
+        let pending = 0;
+        this.users.forEach(user => {
+            pending += user.pendingActions;
+        });
+        return pending;
+    }
+}
+
+/**
+ * Actions pushed directly from code; held back while paused and ingested on resume
+ */
+class InMemoryActionSource extends ActionSource {
+    constructor(options = {}) {
+        super(options);
+
+        this.held = [];
+    }
+
+    push(...actions) {
+        if (this.paused) {
+            this.held.push(...actions.flat());
+            return;
+        }
+        actions.flat().forEach(action => this.ingest(action));
+    }
+
+    resume() {
+        super.resume();
+
+        const held = this.held;
+        this.held = [];
+        held.forEach(action => this.ingest(action));
+    }
+}
+
+/**
+ * Follows a JSONL file; stops reading while paused, so unread lines wait in the file
+ */
+class FileTailActionSource extends ActionSource {
+    constructor(filePath, options = {}) {
+        super({ pollInterval: 1000, fromStart: false, ...options });
+
+        this.filePath = filePath;
+        this.offset = 0;
+        this.remainder = '';
+        this.timer = null;
+    }
+
+    async start() {
+        await super.start();
+
+        if (!this.options.fromStart && fs.existsSync(this.filePath)) {
+            this.offset = fs.statSync(this.filePath).size;
+        }
+
+        this.poll();
+        this.timer = setInterval(() => this.poll(), this.options.pollInterval);
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await super.stop();
+    }
+
+    resume() {
+        super.resume();
+        if (this.running) this.poll();
+    }
+
+    poll() {
+        if (this.paused || !fs.existsSync(this.filePath)) return;
+
+        const size = fs.statSync(this.filePath).size;
+        if (size < this.offset) {
+            // File was truncated or rotated
+            this.offset = 0;
+            this.remainder = '';
+        }
+        if (size === this.offset) return;
+
+        const buffer = Buffer.alloc(size - this.offset);
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this.offset = size;
+
+        const lines = (this.remainder + buffer.toString('utf8')).split('\n');
+        this.remainder = lines.pop();
+
+        lines.filter(line => line.trim()).forEach(line => {
+            try {
+                this.ingest(JSON.parse(line));
+            } catch (error) {
+                this.emit('invalidAction', line);
+            }
+        });
+    }
+}
+
+/**
+ * JSON actions from a WebSocket stream, reconnecting until stopped
+ */
+class WebSocketActionSource extends ActionSource {
+    constructor(url, options = {}) {
+        super({ reconnectDelay: 5000, ...options });
+
+        this.url = url;
+        this.socket = null;
+        this.reconnectTimer = null;
+    }
+
+    async start() {
+        await super.start();
+        try {
+            await this.connect();
+        } catch (error) {
+            await this.stop();
+            throw error;
+        }
+    }
+
+    async stop() {
+        await super.stop();
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.removeAllListeners('close');
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    pause() {
+        super.pause();
+        if (this.socket) this.socket.pause();
+    }
+
+    resume() {
+        super.resume();
+        if (this.socket) this.socket.resume();
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+
+            socket.on('open', () => {
+                console.log(`🌐 Action stream connected: ${this.url}`);
+                if (this.paused) socket.pause();
+                resolve();
+            });
+
+            socket.on('message', data => {
+                try {
+                    [].concat(JSON.parse(data)).forEach(action => this.ingest(action));
+                } catch (error) {
+                    this.emit('invalidAction', data.toString());
+                }
+            });
+
+            socket.on('error', error => {
+                this.emit('streamError', error);
+                reject(error);
+            });
+
+            socket.on('close', () => {
+                if (!this.running) return;
+                console.log(`📡 Action stream closed, reconnecting in ${this.options.reconnectDelay}ms...`);
+                this.reconnectTimer = setTimeout(() => this.connect().catch(() => {}), this.options.reconnectDelay);
+            });
+        });
+    }
+}
+
+module.exports = ActionSource;
+module.exports.InMemoryActionSource = InMemoryActionSource;
+module.exports.FileTailActionSource = FileTailActionSource;
+module.exports.WebSocketActionSource = WebSocketActionSource;
@@ -1,3 +1,10 @@
+const path = require('path');
+const { toMillis, mean, median, coefficientOfVariation } = require('./feature-extractor');
+const BiometricTemplateStore = require('./biometric-template-store');
+const ReplayDetector = require('./replay-detector');
+
+const DAY = 24 * 60 * 60 * 1000;
+
 /**
  * 👆 Advanced Behavioral Biometrics Analysis System
  * 
@@ -12,6 +19,13 @@
  * - Device interaction patterns
  * - Biometric template matching
  * - Real-time anomaly detection
+ *
+ * Templates are trusted once a user has completed enrollment
+ * (enrollmentSessions sessions). After that they adapt only to sessions
+ * that matched them, with older evidence halving in weight every
+ * templateHalfLife; templates not refreshed within templateMaxAge drop
+ * back into enrollment. Profiles persist, encrypted and reduced to derived
+ * values, in a BiometricTemplateStore for up to templateRetention.
  */
 class BehavioralBiometricsAnalyzer {
     constructor(config = {}) {
@@ -21,6 +35,12 @@ class BehavioralBiometricsAnalyzer {
             similarityThreshold: config.similarityThreshold || 0.85,
             anomalyThreshold: config.anomalyThreshold || 0.3,
             minDataPoints: config.minDataPoints || 100,
+            enrollmentSessions: config.enrollmentSessions || 3,
+            templateHalfLife: config.templateHalfLife || 30 * DAY,
+            templateMaxAge: config.templateMaxAge || 180 * DAY,
+            templatePath: config.templatePath || path.join(__dirname, '../models/biometrics/'),
+            templateKeyPath: config.templateKeyPath || null, // defaults to template.key in templatePath
+            templateRetention: config.templateRetention || 365 * DAY,
             ...config
         };
         
@@ -28,17 +48,25 @@ class BehavioralBiometricsAnalyzer {
         this.userProfiles = new Map();
         this.currentSession = new Map();
         this.behaviorTemplates = new Map();
+        this.templateStore = new BiometricTemplateStore(this.config.templatePath, {
+            keyPath: this.config.templateKeyPath,
+            retentionPeriod: this.config.templateRetention
+        });
         
         // Analysis algorithms
-        this.mouseAnalyzer = new MouseMovementAnalyzer();
-        this.keystrokeAnalyzer = new KeystrokeDynamicsAnalyzer();
-        this.touchAnalyzer = new TouchGestureAnalyzer();
-        this.scrollAnalyzer = new ScrollBehaviorAnalyzer();
+        this.mouseAnalyzer = new MouseMovementAnalyzer(config.mouse);
+        this.keystrokeAnalyzer = new KeystrokeDynamicsAnalyzer({
+            ngramLabel: this.templateStore.ngramLabeler(),
+            ...config.keystroke
+        });
+        this.touchAnalyzer = new TouchGestureAnalyzer(config.touch);
+        this.scrollAnalyzer = new ScrollBehaviorAnalyzer(config.scroll);
         
         // Pattern recognition models
         this.patternRecognition = new BiometricPatternRecognition();
+        this.replayDetector = new ReplayDetector(config.replay);
         
-        this.initializeBiometrics();
+        this.templatesReady = this.initializeBiometrics();
     }
 
     /**
@@ -70,6 +98,7 @@ class BehavioralBiometricsAnalyzer {
      */
     async startSession(userId, deviceInfo = {}) {
         console.log(`👤 Starting biometric session for user: ${userId}`);
+        await this.templatesReady;
         
         const sessionData = {
             userId,
@@ -86,9 +115,12 @@ class BehavioralBiometricsAnalyzer {
         
         this.currentSession.set(userId, sessionData);
         
-        // Load user's biometric profile if exists
-        if (this.userProfiles.has(userId)) {
-            const profile = this.userProfiles.get(userId);
+        // Only a completed, current enrollment is used as the baseline
+        const profile = this.userProfiles.get(userId);
+        if (profile && profile.status === 'enrolled' && this.isTemplateExpired(profile)) {
+            await this.restartEnrollment(userId, profile);
+        }
+        if (profile && profile.status === 'enrolled') {
             sessionData.baselineProfile = profile;
         }
         
@@ -102,14 +134,18 @@ class BehavioralBiometricsAnalyzer {
         const session = this.currentSession.get(userId);
         if (!session || !session.isActive) return;
         
+        // Recorded/replayed events carry their own timestamp
+        const timestamp = mouseEvent.timestamp || Date.now();
+        const timedEvent = { ...mouseEvent, timestamp };
+        
         const mouseData = {
-            timestamp: Date.now(),
+            timestamp,
             x: mouseEvent.clientX,
             y: mouseEvent.clientY,
             type: mouseEvent.type, // mousemove, click, etc.
             button: mouseEvent.button,
-            velocity: this.calculateMouseVelocity(session.mouseData, mouseEvent),
-            acceleration: this.calculateMouseAcceleration(session.mouseData, mouseEvent),
+            velocity: this.calculateMouseVelocity(session.mouseData, timedEvent),
+            acceleration: this.calculateMouseAcceleration(session.mouseData, timedEvent),
             pressure: mouseEvent.pressure || 0,
             tiltX: mouseEvent.tiltX || 0,
             tiltY: mouseEvent.tiltY || 0
@@ -133,13 +169,16 @@ class BehavioralBiometricsAnalyzer {
         const session = this.currentSession.get(userId);
         if (!session || !session.isActive) return;
         
+        const timestamp = keystrokeEvent.timestamp || Date.now();
+        const timedEvent = { ...keystrokeEvent, timestamp };
+        
         const keystrokeData = {
-            timestamp: Date.now(),
+            timestamp,
             key: keystrokeEvent.key,
             keyCode: keystrokeEvent.keyCode,
             type: keystrokeEvent.type, // keydown, keyup
-            dwellTime: this.calculateDwellTime(session.keystrokeData, keystrokeEvent),
-            flightTime: this.calculateFlightTime(session.keystrokeData, keystrokeEvent),
+            dwellTime: this.calculateDwellTime(session.keystrokeData, timedEvent),
+            flightTime: this.calculateFlightTime(session.keystrokeData, timedEvent),
             pressure: keystrokeEvent.force || 0,
             isShift: keystrokeEvent.shiftKey,
             isCtrl: keystrokeEvent.ctrlKey,
@@ -163,23 +202,32 @@ class BehavioralBiometricsAnalyzer {
         const session = this.currentSession.get(userId);
         if (!session || !session.isActive) return;
         
+        const toTouchPoint = touch => ({
+            identifier: touch.identifier,
+            clientX: touch.clientX,
+            clientY: touch.clientY,
+            radiusX: touch.radiusX,
+            radiusY: touch.radiusY,
+            rotationAngle: touch.rotationAngle,
+            force: touch.force
+        });
+        
+        const timestamp = touchEvent.timestamp || Date.now();
+        const touches = Array.from(touchEvent.touches || []).map(toTouchPoint);
+        // Lifted fingers are only listed in changedTouches
+        const changedTouches = Array.from(touchEvent.changedTouches || []).map(toTouchPoint);
+        const contacts = touches.length > 0 ? touches : changedTouches;
+        
         const touchData = {
-            timestamp: Date.now(),
+            timestamp,
             type: touchEvent.type, // touchstart, touchmove, touchend
-            touches: Array.from(touchEvent.touches).map(touch => ({
-                identifier: touch.identifier,
-                clientX: touch.clientX,
-                clientY: touch.clientY,
-                radiusX: touch.radiusX,
-                radiusY: touch.radiusY,
-                rotationAngle: touch.rotationAngle,
-                force: touch.force
-            })),
-            gesture: this.recognizeGesture(touchEvent),
-            pressure: this.calculateAveragePressure(touchEvent.touches),
-            area: this.calculateTouchArea(touchEvent.touches),
-            duration: this.calculateGestureDuration(session.touchData, touchEvent)
+            touches,
+            changedTouches,
+            pressure: this.calculateAveragePressure(contacts),
+            area: this.calculateTouchArea(contacts),
+            duration: this.calculateGestureDuration(session.touchData, { ...touchEvent, timestamp })
         };
+        touchData.gesture = this.recognizeGesture(session.touchData, touchData);
         
         session.touchData.push(touchData);
         
@@ -198,19 +246,23 @@ class BehavioralBiometricsAnalyzer {
         const session = this.currentSession.get(userId);
         if (!session || !session.isActive) return;
         
+        // Wheel events carry no target; plain scroll events only report scrollTop
+        const target = scrollEvent.target || {};
+        
         const scrollData = {
-            timestamp: Date.now(),
+            timestamp: scrollEvent.timestamp || Date.now(),
+            type: scrollEvent.type, // wheel, scroll
             deltaX: scrollEvent.deltaX,
             deltaY: scrollEvent.deltaY,
             deltaZ: scrollEvent.deltaZ,
             deltaMode: scrollEvent.deltaMode,
-            scrollTop: scrollEvent.target.scrollTop,
-            scrollLeft: scrollEvent.target.scrollLeft,
-            velocity: this.calculateScrollVelocity(session.scrollData, scrollEvent),
-            acceleration: this.calculateScrollAcceleration(session.scrollData, scrollEvent),
-            direction: this.getScrollDirection(scrollEvent),
-            momentum: this.calculateScrollMomentum(session.scrollData, scrollEvent)
+            scrollTop: target.scrollTop,
+            scrollLeft: target.scrollLeft
         };
+        scrollData.velocity = this.calculateScrollVelocity(session.scrollData, scrollData);
+        scrollData.acceleration = this.calculateScrollAcceleration(session.scrollData, scrollData);
+        scrollData.direction = this.getScrollDirection(session.scrollData, scrollData);
+        scrollData.momentum = this.calculateScrollMomentum(session.scrollData, scrollData);
         
         session.scrollData.push(scrollData);
         
@@ -227,11 +279,12 @@ class BehavioralBiometricsAnalyzer {
      */
     async analyzeMouseBehavior(userId) {
         const session = this.currentSession.get(userId);
-        if (!session) return null;
+        if (!session || session.mouseData.length === 0) return null;
         
         const analysis = this.mouseAnalyzer.analyze(session.mouseData);
         
         const mouseProfile = {
+            type: 'mouse',
             timestamp: Date.now(),
             metrics: {
                 averageVelocity: analysis.averageVelocity,
@@ -270,11 +323,12 @@ class BehavioralBiometricsAnalyzer {
      */
     async analyzeKeystrokeDynamics(userId) {
         const session = this.currentSession.get(userId);
-        if (!session) return null;
+        if (!session || session.keystrokeData.length === 0) return null;
         
         const analysis = this.keystrokeAnalyzer.analyze(session.keystrokeData);
         
         const keystrokeProfile = {
+            type: 'keystroke',
             timestamp: Date.now(),
             metrics: {
                 typingSpeed: analysis.typingSpeed,
@@ -287,17 +341,14 @@ class BehavioralBiometricsAnalyzer {
                 errorPatterns: analysis.errorPatterns
             },
             uniquenessScore: analysis.uniquenessScore,
-            anomalyScore: this.calculateAnomalyScore(analysis, 'keystroke')
+            anomalyScore: this.calculateAnomalyScore(analysis, 'keystroke'),
+            template: this.keystrokeAnalyzer.createTemplate(session.keystrokeData)
         };
         
-        // Compare with baseline
-        if (session.baselineProfile && session.baselineProfile.keystrokeProfile) {
-            keystrokeProfile.similarity = this.calculateSimilarity(
-                keystrokeProfile.metrics,
-                session.baselineProfile.keystrokeProfile.metrics
-            );
-            
-            keystrokeProfile.isSuspicious = keystrokeProfile.similarity < this.config.similarityThreshold;
+        // Compare digraph timings with the enrolled template
+        const baseline = session.baselineProfile && session.baselineProfile.keystrokeProfile;
+        if (baseline && baseline.template) {
+            this.compareWithTemplate(keystrokeProfile, this.keystrokeAnalyzer, session.keystrokeData, baseline.template);
         }
         
         session.interactionPatterns.push({
@@ -313,11 +364,12 @@ class BehavioralBiometricsAnalyzer {
      */
     async analyzeTouchBehavior(userId) {
         const session = this.currentSession.get(userId);
-        if (!session) return null;
+        if (!session || session.touchData.length === 0) return null;
         
         const analysis = this.touchAnalyzer.analyze(session.touchData);
         
         const touchProfile = {
+            type: 'touch',
             timestamp: Date.now(),
             metrics: {
                 touchPressure: analysis.touchPressure,
@@ -330,17 +382,14 @@ class BehavioralBiometricsAnalyzer {
                 gestureAccuracy: analysis.gestureAccuracy
             },
             uniquenessScore: analysis.uniquenessScore,
-            anomalyScore: this.calculateAnomalyScore(analysis, 'touch')
+            anomalyScore: this.calculateAnomalyScore(analysis, 'touch'),
+            template: this.touchAnalyzer.createTemplate(session.touchData)
         };
         
-        // Compare with baseline
-        if (session.baselineProfile && session.baselineProfile.touchProfile) {
-            touchProfile.similarity = this.calculateSimilarity(
-                touchProfile.metrics,
-                session.baselineProfile.touchProfile.metrics
-            );
-            
-            touchProfile.isSuspicious = touchProfile.similarity < this.config.similarityThreshold;
+        // Compare gestures with the enrolled template
+        const baseline = session.baselineProfile && session.baselineProfile.touchProfile;
+        if (baseline && baseline.template) {
+            this.compareWithTemplate(touchProfile, this.touchAnalyzer, session.touchData, baseline.template);
         }
         
         session.interactionPatterns.push({
@@ -356,11 +405,14 @@ class BehavioralBiometricsAnalyzer {
      */
     async analyzeScrollBehavior(userId) {
         const session = this.currentSession.get(userId);
-        if (!session) return null;
+        if (!session || session.scrollData.length === 0) return null;
         
-        const analysis = this.scrollAnalyzer.analyze(session.scrollData);
+        // Clicks and taps share the timeline so dwell before interacting can be measured
+        const timeline = [...session.scrollData, ...this.getPointerInteractions(session)];
+        const analysis = this.scrollAnalyzer.analyze(timeline);
         
         const scrollProfile = {
+            type: 'scroll',
             timestamp: Date.now(),
             metrics: {
                 scrollVelocity: analysis.scrollVelocity,
@@ -369,20 +421,18 @@ class BehavioralBiometricsAnalyzer {
                 scrollDirection: analysis.scrollDirection,
                 scrollRhythm: analysis.scrollRhythm,
                 pausePatterns: analysis.pausePatterns,
-                scrollSmoothness: analysis.scrollSmoothness
+                scrollSmoothness: analysis.scrollSmoothness,
+                dwellBeforeInteraction: analysis.dwellBeforeInteraction
             },
             uniquenessScore: analysis.uniquenessScore,
-            anomalyScore: this.calculateAnomalyScore(analysis, 'scroll')
+            anomalyScore: this.calculateAnomalyScore(analysis, 'scroll'),
+            template: this.scrollAnalyzer.createTemplate(timeline)
         };
         
-        // Compare with baseline
-        if (session.baselineProfile && session.baselineProfile.scrollProfile) {
-            scrollProfile.similarity = this.calculateSimilarity(
-                scrollProfile.metrics,
-                session.baselineProfile.scrollProfile.metrics
-            );
-            
-            scrollProfile.isSuspicious = scrollProfile.similarity < this.config.similarityThreshold;
+        // Compare flings, reading pauses and dwell times with the enrolled template
+        const baseline = session.baselineProfile && session.baselineProfile.scrollProfile;
+        if (baseline && baseline.template) {
+            this.compareWithTemplate(scrollProfile, this.scrollAnalyzer, timeline, baseline.template);
         }
         
         session.interactionPatterns.push({
@@ -449,10 +499,13 @@ class BehavioralBiometricsAnalyzer {
             }
         };
         
-        // Update user profile if authenticated
-        if (isAuthentic && this.shouldUpdateProfile(compositeBiometricScore)) {
+        // Enrollment sessions are always collected; enrolled templates adapt to matching sessions
+        const profile = this.userProfiles.get(userId);
+        const enrolling = profile && profile.status === 'enrolling';
+        if (enrolling || (isAuthentic.authentic && this.shouldUpdateProfile(compositeBiometricScore))) {
             await this.updateUserBiometricProfile(userId, biometricReport);
         }
+        biometricReport.enrollment = this.getEnrollmentStatus(userId);
         
         return biometricReport;
     }
@@ -484,14 +537,14 @@ class BehavioralBiometricsAnalyzer {
             }
         });
         
-        return totalWeight > 0 ? totalScore / totalWeight : 0;
+        return totalWeight > 0 ? totalScore / totalWeight : null;
     }
 
     /**
      * Determine user authenticity based on biometric analysis
      */
     determineAuthenticity(compositeBiometricScore) {
-        if (!compositeBiometricScore) return { authentic: false, reason: 'insufficient_data' };
+        if (compositeBiometricScore === null) return { authentic: false, reason: 'insufficient_data' };
         
         if (compositeBiometricScore >= this.config.similarityThreshold) {
             return { authentic: true, confidence: 'high' };
@@ -560,63 +613,178 @@ class BehavioralBiometricsAnalyzer {
             }
         }
         
+        // Replayed recordings and synthetic input pass template checks, so check the trajectories themselves
+        Object.entries(this.getPointerTrajectories(session)).forEach(([modality, trajectories]) => {
+            if (trajectories.length === 0) return;
+            
+            const { replay, synthetic } = this.replayDetector.analyzeSession(trajectories, {
+                userId: session.userId,
+                sessionId: session.sessionId,
+                modality
+            });
+            
+            if (replay.isReplay) {
+                anomalies.push({
+                    type: 'replayed_trajectory',
+                    severity: 'high',
+                    modality,
+                    matchedTrajectories: replay.matched,
+                    ratio: replay.ratio,
+                    crossUser: replay.crossUser,
+                    sources: replay.sources,
+                    description: replay.crossUser
+                        ? 'Pointer trajectories replay a recording from another user\'s session'
+                        : 'Pointer trajectories replay a recording from an earlier session'
+                });
+            }
+            
+            if (synthetic.isSynthetic) {
+                anomalies.push({
+                    type: 'synthetic_input',
+                    severity: synthetic.indicators.length >= 2 ? 'high' : 'medium',
+                    modality,
+                    indicators: synthetic.indicators,
+                    linearRatio: synthetic.linearRatio,
+                    samplingVariation: synthetic.samplingVariation,
+                    description: 'Pointer input shows machine-generated regularities'
+                });
+            }
+        });
+        
         return anomalies;
     }
 
+    /**
+     * Pointer trajectories of a session as { x, y, time } points: mouse strokes and touch tracks
+     */
+    getPointerTrajectories(session) {
+        return {
+            mouse: this.mouseAnalyzer.segmentStrokes(session.mouseData)
+                .map(stroke => stroke.map(event => ({ x: event.x, y: event.y, time: toMillis(event.timestamp) }))),
+            touch: this.touchAnalyzer.segmentGestures(session.touchData)
+                .flatMap(gesture => gesture.tracks.map(track => track.points))
+        };
+    }
+
     /**
      * Update user biometric profile with new data
+     *
+     * Users without a profile start enrolling. Once enrolled, sessions that
+     * did not match the template are refused so an impostor cannot pull the
+     * template towards themselves.
+     * @returns {object|null} - Updated profile, or null when the session was refused
      */
     async updateUserBiometricProfile(userId, biometricReport) {
+        await this.templatesReady;
+        
         if (!this.userProfiles.has(userId)) {
-            this.userProfiles.set(userId, {
-                userId,
-                createdAt: Date.now(),
-                updatedAt: Date.now(),
-                sessionCount: 0,
-                mouseProfile: null,
-                keystrokeProfile: null,
-                touchProfile: null,
-                scrollProfile: null
-            });
+            this.userProfiles.set(userId, this.createEmptyProfile(userId));
         }
         
         const profile = this.userProfiles.get(userId);
-        profile.updatedAt = Date.now();
+        if (profile.status === 'enrolled' && !(biometricReport.isAuthentic && biometricReport.isAuthentic.authentic)) {
+            return null;
+        }
+        
+        const now = biometricReport.timestamp || Date.now();
+        profile.updatedAt = now;
         profile.sessionCount++;
         
         // Update profiles using weighted averaging
         if (biometricReport.profiles.mouse) {
             profile.mouseProfile = this.updateProfileMetrics(
                 profile.mouseProfile,
-                biometricReport.profiles.mouse
+                biometricReport.profiles.mouse,
+                now
             );
         }
         
         if (biometricReport.profiles.keystroke) {
             profile.keystrokeProfile = this.updateProfileMetrics(
                 profile.keystrokeProfile,
-                biometricReport.profiles.keystroke
+                biometricReport.profiles.keystroke,
+                now
             );
         }
         
         if (biometricReport.profiles.touch) {
             profile.touchProfile = this.updateProfileMetrics(
                 profile.touchProfile,
-                biometricReport.profiles.touch
+                biometricReport.profiles.touch,
+                now
             );
         }
         
         if (biometricReport.profiles.scroll) {
             profile.scrollProfile = this.updateProfileMetrics(
                 profile.scrollProfile,
-                biometricReport.profiles.scroll
+                biometricReport.profiles.scroll,
+                now
             );
         }
         
+        if (profile.status === 'enrolling') {
+            profile.enrollmentSessions++;
+            if (profile.enrollmentSessions >= this.config.enrollmentSessions) {
+                profile.status = 'enrolled';
+                profile.enrolledAt = now;
+            }
+        }
+        
         this.userProfiles.set(userId, profile);
         
         // Save to persistent storage
         await this.saveUserProfile(userId, profile);
+        return profile;
+    }
+
+    /**
+     * 📝 Start enrolling a user, discarding any template they already have
+     * (re-enrollment after a device change or a compromised template)
+     */
+    async enrollUser(userId) {
+        await this.templatesReady;
+        
+        const profile = this.createEmptyProfile(userId);
+        this.userProfiles.set(userId, profile);
+        await this.saveUserProfile(userId, profile);
+        
+        return this.getEnrollmentStatus(userId);
+    }
+
+    /**
+     * 🗑️ Erase a user's biometric data: profile in memory and on disk, and
+     * any session being collected
+     */
+    async resetUser(userId) {
+        await this.templatesReady;
+        
+        this.currentSession.delete(userId);
+        const existed = this.userProfiles.delete(userId);
+        const removed = this.templateStore.remove(userId);
+        return existed || removed;
+    }
+
+    /**
+     * Enrollment progress: not_enrolled, enrolling, enrolled or expired
+     * (enrolled, but not refreshed within templateMaxAge)
+     */
+    getEnrollmentStatus(userId) {
+        const profile = this.userProfiles.get(userId);
+        if (!profile) {
+            return { status: 'not_enrolled', sessionsCollected: 0, sessionsRequired: this.config.enrollmentSessions };
+        }
+        
+        const expired = profile.status === 'enrolled' && this.isTemplateExpired(profile);
+        return {
+            status: expired ? 'expired' : profile.status,
+            sessionsCollected: profile.enrollmentSessions,
+            sessionsRequired: this.config.enrollmentSessions,
+            sessionCount: profile.sessionCount,
+            revision: profile.revision || 0,
+            enrolledAt: profile.enrolledAt || null,
+            updatedAt: profile.updatedAt
+        };
     }
 
     /**
@@ -694,17 +862,91 @@ class BehavioralBiometricsAnalyzer {
         return null;
     }
 
-    recognizeGesture(touchEvent) {
-        // Simplified gesture recognition
-        if (touchEvent.touches.length === 1) {
-            if (touchEvent.type === 'touchstart') return 'tap_start';
-            if (touchEvent.type === 'touchmove') return 'swipe';
-            if (touchEvent.type === 'touchend') return 'tap_end';
-        } else if (touchEvent.touches.length === 2) {
-            return 'pinch_or_zoom';
+    /**
+     * Gesture type once the last finger lifts; 'in_progress' until then
+     */
+    recognizeGesture(touchData, touchRecord) {
+        if (!endsGesture(touchRecord)) return 'in_progress';
+        
+        const gestures = this.touchAnalyzer.segmentGestures([...touchData, touchRecord]);
+        return gestures.length > 0 ? this.touchAnalyzer.classifyGesture(gestures[gestures.length - 1]) : 'unknown';
+    }
+
+    /**
+     * Contact area of the touches (mean π·radiusX·radiusY, px²)
+     */
+    calculateTouchArea(touches) {
+        const areas = Array.from(touches || [])
+            .filter(touch => touch.radiusX > 0 && touch.radiusY > 0)
+            .map(touch => Math.PI * touch.radiusX * touch.radiusY);
+        
+        return mean(areas);
+    }
+
+    /**
+     * Time since the first finger of the current gesture went down
+     */
+    calculateGestureDuration(touchData, touchEvent) {
+        for (let i = touchData.length - 1; i >= 0; i--) {
+            if (endsGesture(touchData[i])) break;
+            if (touchData[i].type === 'touchstart' && (i === 0 || endsGesture(touchData[i - 1]))) {
+                return touchEvent.timestamp - touchData[i].timestamp;
+            }
         }
         
-        return 'unknown';
+        return 0;
+    }
+
+    /**
+     * Scroll speed since the previous record (px/ms)
+     */
+    calculateScrollVelocity(scrollData, scrollRecord) {
+        if (scrollData.length === 0) return 0;
+        
+        const lastRecord = scrollData[scrollData.length - 1];
+        const timeDiff = scrollRecord.timestamp - lastRecord.timestamp;
+        const distance = Math.abs(this.scrollAnalyzer.scrollDeltaOf(scrollRecord, lastRecord));
+        
+        return timeDiff > 0 ? distance / timeDiff : 0;
+    }
+
+    calculateScrollAcceleration(scrollData, scrollRecord) {
+        if (scrollData.length < 2) return 0;
+        
+        const current = this.calculateScrollVelocity(scrollData, scrollRecord);
+        const previous = scrollData[scrollData.length - 1].velocity || 0;
+        const timeDiff = scrollRecord.timestamp - scrollData[scrollData.length - 1].timestamp;
+        
+        return timeDiff > 0 ? (current - previous) / timeDiff : 0;
+    }
+
+    getScrollDirection(scrollData, scrollRecord) {
+        const delta = this.scrollAnalyzer.scrollDeltaOf(scrollRecord, scrollData[scrollData.length - 1]);
+        return delta > 0 ? 'down' : delta < 0 ? 'up' : 'none';
+    }
+
+    /**
+     * Ratio of the current scroll speed to the previous one: below 1 while coasting
+     */
+    calculateScrollMomentum(scrollData, scrollRecord) {
+        if (scrollData.length < 2) return 0;
+        
+        const previous = scrollData[scrollData.length - 1].velocity || 0;
+        return previous > 0 ? this.calculateScrollVelocity(scrollData, scrollRecord) / previous : 0;
+    }
+
+    /**
+     * Clicks and taps, timed from when the pointer went down
+     */
+    getPointerInteractions(session) {
+        const clicks = session.mouseData
+            .filter(event => event.type === 'mousedown')
+            .map(event => ({ type: 'click', timestamp: event.timestamp }));
+        const taps = session.touchData
+            .filter(record => record.gesture === 'tap' || record.gesture === 'long_press')
+            .map(record => ({ type: 'tap', timestamp: record.timestamp - record.duration }));
+        
+        return [...clicks, ...taps];
     }
 
     calculateAveragePressure(touches) {
@@ -765,7 +1007,196 @@ class BehavioralBiometricsAnalyzer {
         return `bio_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    // Additional helper methods would be implemented here...
+    /**
+     * Score a modality profile against an enrolled template; sessions sharing
+     * too few features with the template are left unscored
+     */
+    compareWithTemplate(profile, analyzer, data, template) {
+        const comparison = analyzer.compareToTemplate(data, template);
+        profile.templateDistance = comparison.distance;
+        profile.templateCoverage = comparison.coverage;
+        
+        if (comparison.similarity !== null) {
+            profile.similarity = comparison.similarity;
+            profile.isSuspicious = profile.similarity < this.config.similarityThreshold;
+        }
+    }
+
+    getAnalysisType(analysis) {
+        return analysis.type;
+    }
+
+    getAnalyzer(type) {
+        return {
+            mouse: this.mouseAnalyzer,
+            keystroke: this.keystrokeAnalyzer,
+            touch: this.touchAnalyzer,
+            scroll: this.scrollAnalyzer
+        }[type];
+    }
+
+    calculateConfidence(compositeBiometricScore) {
+        if (compositeBiometricScore === null) return 0;
+        
+        // Distance from the decision boundary, saturating one medium band away
+        return Math.min(1, Math.abs(compositeBiometricScore - this.config.similarityThreshold) / 0.2);
+    }
+
+    identifyRiskFactors(session) {
+        const latest = new Map();
+        session.interactionPatterns.forEach(pattern => latest.set(pattern.type, pattern.profile));
+        
+        const riskFactors = [];
+        latest.forEach((profile, type) => {
+            if (profile.isSuspicious) riskFactors.push(`${type}_mismatch`);
+        });
+        
+        if (this.assessDataQuality(session) < 0.5) {
+            riskFactors.push('low_data_quality');
+        }
+        
+        return riskFactors;
+    }
+
+    generateRecommendations(compositeBiometricScore, authenticity) {
+        if (authenticity.reason === 'insufficient_data') {
+            return ['COLLECT_MORE_BIOMETRIC_DATA'];
+        }
+        if (!authenticity.authentic) {
+            return ['STEP_UP_AUTHENTICATION', 'MANUAL_REVIEW'];
+        }
+        if (authenticity.confidence === 'medium') {
+            return ['ENHANCED_MONITORING'];
+        }
+        return ['NORMAL_PROCESSING'];
+    }
+
+    /**
+     * Share of the minimum data points collected, averaged over the modalities in use
+     */
+    assessDataQuality(session) {
+        const counts = [session.mouseData, session.keystrokeData, session.touchData, session.scrollData]
+            .map(data => data.length)
+            .filter(count => count > 0);
+        
+        return counts.length > 0
+            ? mean(counts.map(count => Math.min(1, count / this.config.minDataPoints)))
+            : 0;
+    }
+
+    createEmptyProfile(userId) {
+        return {
+            userId,
+            status: 'enrolling',
+            enrollmentSessions: 0,
+            enrolledAt: null,
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            sessionCount: 0,
+            mouseProfile: null,
+            keystrokeProfile: null,
+            touchProfile: null,
+            scrollProfile: null
+        };
+    }
+
+    isTemplateExpired(profile) {
+        return Date.now() - profile.updatedAt > this.config.templateMaxAge;
+    }
+
+    /**
+     * An expired template has to be confirmed by a fresh round of enrollment
+     * sessions; its aged evidence is kept and merged with them
+     */
+    async restartEnrollment(userId, profile) {
+        profile.status = 'enrolling';
+        profile.enrollmentSessions = 0;
+        await this.saveUserProfile(userId, profile);
+    }
+
+    shouldUpdateProfile(compositeBiometricScore) {
+        return compositeBiometricScore !== null && compositeBiometricScore >= this.config.similarityThreshold;
+    }
+
+    /**
+     * Running average of a modality's metrics; templates are merged by the
+     * modality's analyzer. Existing evidence is aged first, halving in weight
+     * every templateHalfLife since the modality was last updated
+     */
+    updateProfileMetrics(existingProfile, newProfile, now = Date.now()) {
+        const analyzer = this.getAnalyzer(newProfile.type);
+        
+        if (!existingProfile) {
+            return {
+                type: newProfile.type,
+                metrics: newProfile.metrics,
+                template: newProfile.template || null,
+                sessionCount: 1,
+                updatedAt: now
+            };
+        }
+        
+        const age = Math.max(0, now - (existingProfile.updatedAt || now));
+        const retained = Math.pow(0.5, age / this.config.templateHalfLife);
+        const sessionCount = (existingProfile.sessionCount || 1) + 1;
+        const template = analyzer && analyzer.mergeTemplates && newProfile.template
+            ? analyzer.mergeTemplates(ageTemplate(existingProfile.template, retained), newProfile.template)
+            : existingProfile.template || null;
+        
+        return {
+            type: newProfile.type,
+            metrics: blendMetrics(existingProfile.metrics, newProfile.metrics, 1 / (1 + (sessionCount - 1) * retained)),
+            template,
+            sessionCount,
+            updatedAt: now
+        };
+    }
+
+    async saveUserProfile(userId, profile) {
+        profile.revision = this.templateStore.save(userId, profile);
+    }
+
+    /**
+     * Mean of each numeric metric, keyed by modality
+     */
+    calculateAverageMetrics(patterns) {
+        const values = new Map();
+        patterns.forEach(({ type, profile }) => {
+            Object.entries(profile.metrics || {}).forEach(([metric, value]) => {
+                if (typeof value !== 'number') return;
+                const key = `${type}.${metric}`;
+                if (!values.has(key)) values.set(key, []);
+                values.get(key).push(value);
+            });
+        });
+        
+        const averages = {};
+        values.forEach((list, key) => {
+            averages[key] = mean(list);
+        });
+        return averages;
+    }
+
+    /**
+     * Mean relative difference over the metrics both sides have
+     */
+    calculateDeviation(current, reference) {
+        const keys = Object.keys(current).filter(key => reference[key] !== undefined);
+        if (keys.length === 0) return 0;
+        
+        return mean(keys.map(key => {
+            const scale = Math.max(Math.abs(reference[key]), Math.abs(current[key]));
+            return scale > 0 ? Math.abs(current[key] - reference[key]) / scale : 0;
+        }));
+    }
+
+    /**
+     * 1 for identical timings, falling with their coefficient of variation
+     */
+    calculateTimingConsistency(timings) {
+        if (timings.length < 2) return 0;
+        return Math.max(0, 1 - coefficientOfVariation(timings));
+    }
     
     async initializeAnalyzers() {
         // Initialize individual analyzers
@@ -773,8 +1204,10 @@ class BehavioralBiometricsAnalyzer {
     }
 
     async loadUserTemplates() {
-        // Load existing user biometric templates
         console.log('📂 Loading user biometric templates...');
+        
+        this.templateStore.loadAll().forEach((profile, userId) => this.userProfiles.set(userId, profile));
+        console.log(`📂 Loaded ${this.userProfiles.size} biometric profiles`);
     }
 
     setupRealtimeCollection() {
@@ -795,8 +1228,32 @@ class BehavioralBiometricsAnalyzer {
     }
 }
 
+const GESTURE_TYPES = [
+    'tap', 'long_press', 'swipe_left', 'swipe_right', 'swipe_up', 'swipe_down',
+    'pinch_in', 'pinch_out', 'multi_touch', 'unknown'
+];
+
 // Individual analyzer classes
+
+/**
+ * Pointer kinematics and trajectory shape
+ *
+ * Works on raw traces ({ type, timestamp, x, y, button, pressure }) so recorded
+ * sessions can be replayed through it; the collector's stored velocity is not used.
+ * Moves are split into strokes at pauses and clicks, and into aimed movements
+ * (everything between two clicks) for overshoot and correction counts.
+ * Units: px, ms; velocity px/s, acceleration px/s², jerk px/s³.
+ */
 class MouseMovementAnalyzer {
+    constructor(config = {}) {
+        this.config = {
+            pauseThreshold: 100, // ms without movement that ends a stroke
+            overshootTolerance: 3, // px past the target before it counts as an overshoot
+            submovementThreshold: 0.2, // velocity dip/rise, relative to the stroke peak, that separates submovements
+            ...config
+        };
+    }
+
     analyze(mouseData) {
         return {
             averageVelocity: this.calculateAverageVelocity(mouseData),
@@ -812,125 +1269,1314 @@ class MouseMovementAnalyzer {
     }
 
     calculateAverageVelocity(mouseData) {
-        const velocities = mouseData.filter(d => d.velocity > 0).map(d => d.velocity);
-        return velocities.length > 0 ? velocities.reduce((sum, v) => sum + v, 0) / velocities.length : 0;
+        let distanceMoved = 0;
+        let timeMoving = 0;
+        this.segmentStrokes(mouseData).forEach(stroke => {
+            this.kinematicsOf(stroke).segments.forEach(segment => {
+                distanceMoved += segment.length;
+                timeMoving += segment.dt;
+            });
+        });
+        return timeMoving > 0 ? distanceMoved / timeMoving * 1000 : 0;
     }
 
     calculateVelocityVariation(mouseData) {
-        const velocities = mouseData.filter(d => d.velocity > 0).map(d => d.velocity);
-        if (velocities.length < 2) return 0;
-        
-        const avg = this.calculateAverageVelocity(mouseData);
-        const variance = velocities.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / velocities.length;
-        return Math.sqrt(variance) / avg;
-    }
-
-    // Additional analysis methods...
-    analyzeAccelerationPatterns(mouseData) { return {}; }
-    analyzeClickTiming(mouseData) { return {}; }
-    calculateMovementSmoothness(mouseData) { return 0; }
-    analyzeTrajectoryPatterns(mouseData) { return {}; }
-    analyzePausePatterns(mouseData) { return {}; }
-    analyzePressurePatterns(mouseData) { return {}; }
-    calculateUniquenessScore(mouseData) { return Math.random(); }
-}
+        const velocities = this.segmentStrokes(mouseData)
+            .flatMap(stroke => this.kinematicsOf(stroke).segments.map(segment => segment.velocity));
+        return velocities.length < 2 ? 0 : coefficientOfVariation(velocities);
+    }
+
+    /**
+     * Tangential acceleration and jerk; normalizedJerk is the dimensionless
+     * sqrt(½∫j²dt · T⁵ / L²), about 19 for an ideal minimum-jerk reach and 0 for
+     * constant-speed scripted movement
+     */
+    analyzeAccelerationPatterns(mouseData) {
+        const accelerations = [];
+        const jerks = [];
+        const normalizedJerks = [];
+        const peakPositions = [];
+
+        this.segmentStrokes(mouseData).forEach(stroke => {
+            const kinematics = this.kinematicsOf(stroke);
+            accelerations.push(...kinematics.accelerations.map(Math.abs));
+            jerks.push(...kinematics.jerks.map(Math.abs));
+
+            if (kinematics.duration > 0 && kinematics.pathLength > 0 && kinematics.segments.length >= 3) {
+                const jerkIntegral = kinematics.jerks.reduce((sum, jerk, i) => sum + jerk * jerk * kinematics.jerkIntervals[i], 0);
+                const duration = kinematics.duration / 1000;
+                normalizedJerks.push(Math.sqrt(0.5 * jerkIntegral * Math.pow(duration, 5) / Math.pow(kinematics.pathLength, 2)));
+
+                // Where in the stroke the speed peaks: humans reach it early, then home in
+                const peak = kinematics.segments.reduce((best, segment) => segment.velocity > best.velocity ? segment : best);
+                peakPositions.push((peak.midTime - kinematics.startTime) / kinematics.duration);
+            }
+        });
 
-class KeystrokeDynamicsAnalyzer {
-    analyze(keystrokeData) {
         return {
-            typingSpeed: this.calculateTypingSpeed(keystrokeData),
-            rhythm: this.calculateTypingRhythm(keystrokeData),
-            dwellTimePatterns: this.analyzeDwellTimePatterns(keystrokeData),
-            flightTimePatterns: this.analyzeFlightTimePatterns(keystrokeData),
-            pressurePatterns: this.analyzePressurePatterns(keystrokeData),
-            timingVariability: this.calculateTimingVariability(keystrokeData),
-            keyPairTimings: this.analyzeKeyPairTimings(keystrokeData),
-            errorPatterns: this.analyzeErrorPatterns(keystrokeData),
-            uniquenessScore: this.calculateUniquenessScore(keystrokeData)
+            meanAcceleration: mean(accelerations),
+            accelerationVariation: coefficientOfVariation(accelerations),
+            meanJerk: mean(jerks),
+            jerkVariation: coefficientOfVariation(jerks),
+            normalizedJerk: mean(normalizedJerks),
+            peakVelocityPosition: mean(peakPositions)
         };
     }
 
-    calculateTypingSpeed(keystrokeData) {
-        const keydownEvents = keystrokeData.filter(k => k.type === 'keydown');
-        if (keydownEvents.length < 2) return 0;
-        
-        const timeSpan = keydownEvents[keydownEvents.length - 1].timestamp - keydownEvents[0].timestamp;
-        return timeSpan > 0 ? (keydownEvents.length / timeSpan) * 60000 : 0; // WPM
-    }
+    /**
+     * Button dwell (down to up), time between clicks and the settle time
+     * between the last move and pressing the button
+     */
+    analyzeClickTiming(mouseData) {
+        const events = sortedEvents(mouseData);
+        const pressed = new Map();
+        const dwellTimes = [];
+        const clickTimes = [];
+        const settleTimes = [];
+        let lastMove = null;
+
+        events.forEach(event => {
+            const time = toMillis(event.timestamp);
+            if (isMoveEvent(event)) {
+                lastMove = time;
+            } else if (event.type === 'mousedown' || event.type === 'pointerdown') {
+                pressed.set(event.button || 0, time);
+                clickTimes.push(time);
+                if (lastMove !== null) settleTimes.push(time - lastMove);
+            } else if (event.type === 'mouseup' || event.type === 'pointerup') {
+                const button = event.button || 0;
+                if (pressed.has(button)) {
+                    dwellTimes.push(time - pressed.get(button));
+                    pressed.delete(button);
+                }
+            } else if (event.type === 'click' && pressed.size === 0 && !clickTimes.includes(time)) {
+                // Synthetic clicks without down/up events: no dwell to measure
+                clickTimes.push(time);
+                if (lastMove !== null) settleTimes.push(time - lastMove);
+            }
+        });
 
-    calculateTypingRhythm(keystrokeData) {
         const intervals = [];
-        for (let i = 1; i < keystrokeData.length; i++) {
-            intervals.push(keystrokeData[i].timestamp - keystrokeData[i-1].timestamp);
+        for (let i = 1; i < clickTimes.length; i++) {
+            intervals.push(clickTimes[i] - clickTimes[i - 1]);
         }
-        
-        if (intervals.length < 2) return 0;
-        
-        const avg = intervals.reduce((sum, i) => sum + i, 0) / intervals.length;
-        const variance = intervals.reduce((sum, i) => sum + Math.pow(i - avg, 2), 0) / intervals.length;
-        return 1 / (1 + Math.sqrt(variance));
-    }
 
-    // Additional analysis methods...
-    analyzeDwellTimePatterns(keystrokeData) { return {}; }
-    analyzeFlightTimePatterns(keystrokeData) { return {}; }
-    analyzePressurePatterns(keystrokeData) { return {}; }
-    calculateTimingVariability(keystrokeData) { return 0; }
-    analyzeKeyPairTimings(keystrokeData) { return {}; }
-    analyzeErrorPatterns(keystrokeData) { return {}; }
-    calculateUniquenessScore(keystrokeData) { return Math.random(); }
-}
-
-class TouchGestureAnalyzer {
-    analyze(touchData) {
         return {
-            touchPressure: this.analyzeTouchPressure(touchData),
-            touchArea: this.analyzeTouchArea(touchData),
-            gestureTiming: this.analyzeGestureTiming(touchData),
-            swipeVelocity: this.analyzeSwipeVelocity(touchData),
-            tapPatterns: this.analyzeTapPatterns(touchData),
-            holdDuration: this.analyzeHoldDuration(touchData),
-            multiTouchPatterns: this.analyzeMultiTouchPatterns(touchData),
-            gestureAccuracy: this.analyzeGestureAccuracy(touchData),
-            uniquenessScore: this.calculateUniquenessScore(touchData)
+            clickCount: clickTimes.length,
+            meanDwell: mean(dwellTimes),
+            dwellVariation: coefficientOfVariation(dwellTimes),
+            meanInterval: mean(intervals),
+            intervalVariation: coefficientOfVariation(intervals),
+            meanSettleTime: mean(settleTimes)
         };
     }
 
-    // Touch analysis methods...
-    analyzeTouchPressure(touchData) { return {}; }
-    analyzeTouchArea(touchData) { return {}; }
-    analyzeGestureTiming(touchData) { return {}; }
-    analyzeSwipeVelocity(touchData) { return {}; }
-    analyzeTapPatterns(touchData) { return {}; }
-    analyzeHoldDuration(touchData) { return {}; }
-    analyzeMultiTouchPatterns(touchData) { return {}; }
-    analyzeGestureAccuracy(touchData) { return {}; }
-    calculateUniquenessScore(touchData) { return Math.random(); }
-}
+    /**
+     * Strokes per submovement: 1 when every stroke is a single ballistic
+     * movement, lower as corrective submovements pile up
+     */
+    calculateMovementSmoothness(mouseData) {
+        const strokes = this.segmentStrokes(mouseData).filter(stroke => stroke.length >= 3);
+        if (strokes.length === 0) return 0;
 
-class ScrollBehaviorAnalyzer {
-    analyze(scrollData) {
-        return {
-            scrollVelocity: this.analyzeScrollVelocity(scrollData),
+        const submovements = strokes.reduce((sum, stroke) => sum + this.countSubmovements(stroke), 0);
+        return strokes.length / submovements;
+    }
+
+    /**
+     * Path shape: straightness (chord / path length), curvature (rad/px),
+     * deviation from the chord, and overshoots and corrections per aimed movement
+     */
+    analyzeTrajectoryPatterns(mouseData) {
+        const strokes = this.segmentStrokes(mouseData).filter(stroke => stroke.length >= 3);
+        const straightness = [];
+        const deviations = [];
+        const curvatures = [];
+
+        strokes.forEach(stroke => {
+            const kinematics = this.kinematicsOf(stroke);
+            const chord = distance(stroke[0], stroke[stroke.length - 1]);
+            if (kinematics.pathLength === 0) return;
+
+            straightness.push(chord / kinematics.pathLength);
+            if (chord > 0) {
+                deviations.push(Math.max(...stroke.map(point => perpendicularDistance(point, stroke[0], stroke[stroke.length - 1]))) / chord);
+            }
+            curvatures.push(...kinematics.curvatures);
+        });
+
+        let overshootCount = 0;
+        let correctionCount = 0;
+        this.segmentAimedMovements(mouseData).forEach(movement => {
+            const start = movement.points[0];
+            const chord = distance(start, movement.target);
+            if (chord === 0) return;
+
+            const direction = { x: (movement.target.x - start.x) / chord, y: (movement.target.y - start.y) / chord };
+            const furthest = Math.max(...movement.points.map(point =>
+                (point.x - start.x) * direction.x + (point.y - start.y) * direction.y
+            ));
+            if (furthest > chord + this.config.overshootTolerance) overshootCount++;
+
+            const submovements = movement.strokes
+                .filter(stroke => stroke.length >= 3)
+                .reduce((sum, stroke) => sum + this.countSubmovements(stroke), 0);
+            correctionCount += Math.max(0, submovements - 1);
+        });
+
+        return {
+            strokeCount: strokes.length,
+            straightnessIndex: mean(straightness),
+            pathDeviation: mean(deviations),
+            meanCurvature: mean(curvatures),
+            curvatureVariation: coefficientOfVariation(curvatures),
+            overshootCount,
+            correctionCount
+        };
+    }
+
+    /**
+     * Gaps in pointer activity longer than pauseThreshold, bucketed into
+     * short (< 300ms), medium (< 1s) and long pauses
+     */
+    analyzePausePatterns(mouseData) {
+        const events = sortedEvents(mouseData);
+        const pauses = [];
+        for (let i = 1; i < events.length; i++) {
+            const gap = toMillis(events[i].timestamp) - toMillis(events[i - 1].timestamp);
+            if (gap > this.config.pauseThreshold) pauses.push(gap);
+        }
+
+        const activeTime = events.length > 1
+            ? toMillis(events[events.length - 1].timestamp) - toMillis(events[0].timestamp)
+            : 0;
+        const share = predicate => pauses.length > 0 ? pauses.filter(predicate).length / pauses.length : 0;
+
+        return {
+            pauseCount: pauses.length,
+            pauseRate: activeTime > 0 ? pauses.length / (activeTime / 1000) : 0,
+            meanPause: mean(pauses),
+            medianPause: median(pauses),
+            pauseVariation: coefficientOfVariation(pauses),
+            distribution: {
+                short: share(pause => pause < 300),
+                medium: share(pause => pause >= 300 && pause < 1000),
+                long: share(pause => pause >= 1000)
+            }
+        };
+    }
+
+    analyzePressurePatterns(mouseData) {
+        const pressures = (mouseData || []).map(event => event.pressure).filter(pressure => pressure > 0);
+        return {
+            meanPressure: mean(pressures),
+            pressureVariation: coefficientOfVariation(pressures)
+        };
+    }
+
+    /**
+     * Normalised entropy of the joint heading (8 bins) × speed (4 bins)
+     * distribution: scripted straight, constant-speed moves stay in a few
+     * cells, human movement spreads across many
+     */
+    calculateUniquenessScore(mouseData) {
+        const cells = new Map();
+        let total = 0;
+
+        this.segmentStrokes(mouseData).forEach(stroke => {
+            this.kinematicsOf(stroke).segments.forEach(segment => {
+                if (segment.length === 0) return;
+                const heading = Math.floor(((segment.heading + Math.PI) / (2 * Math.PI)) * 8) % 8;
+                const speed = Math.min(3, Math.max(0, Math.floor(Math.log(segment.velocity / 100) / Math.log(4)) + 1));
+                const cell = heading * 4 + speed;
+                cells.set(cell, (cells.get(cell) || 0) + 1);
+                total++;
+            });
+        });
+
+        if (total < 2) return 0;
+
+        let entropy = 0;
+        cells.forEach(count => {
+            const p = count / total;
+            entropy -= p * Math.log(p);
+        });
+        return entropy / Math.log(32);
+    }
+
+    /**
+     * Runs of move events broken by pauses and button presses
+     */
+    segmentStrokes(mouseData) {
+        const strokes = [];
+        let current = [];
+        let lastTime = null;
+
+        sortedEvents(mouseData).forEach(event => {
+            const time = toMillis(event.timestamp);
+            if (!isMoveEvent(event)) {
+                if (current.length > 0) strokes.push(current);
+                current = [];
+                lastTime = null;
+                return;
+            }
+
+            if (lastTime !== null && time - lastTime > this.config.pauseThreshold && current.length > 0) {
+                strokes.push(current);
+                current = [];
+            }
+            current.push(event);
+            lastTime = time;
+        });
+
+        if (current.length > 0) strokes.push(current);
+        return strokes;
+    }
+
+    /**
+     * Moves leading up to each press, aimed at where the button went down;
+     * without clicks every stroke is aimed at its own end point
+     */
+    segmentAimedMovements(mouseData) {
+        const movements = [];
+        let points = [];
+
+        sortedEvents(mouseData).forEach(event => {
+            if (isMoveEvent(event)) {
+                points.push(event);
+            } else if (['mousedown', 'pointerdown', 'click'].includes(event.type) && points.length >= 2) {
+                const target = Number.isFinite(event.x) ? event : points[points.length - 1];
+                movements.push({ points, target, strokes: this.segmentStrokes(points) });
+                points = [];
+            }
+        });
+
+        if (movements.length === 0) {
+            return this.segmentStrokes(mouseData)
+                .filter(stroke => stroke.length >= 2)
+                .map(stroke => ({ points: stroke, target: stroke[stroke.length - 1], strokes: [stroke] }));
+        }
+        return movements;
+    }
+
+    /**
+     * Ballistic submovements in a stroke, counted on the speed profile with
+     * hysteresis so sampling noise does not register as a correction
+     */
+    countSubmovements(stroke) {
+        const velocities = this.kinematicsOf(stroke).segments.map(segment => segment.velocity);
+        return countVelocityPeaks(velocities, this.config.submovementThreshold);
+    }
+
+    /**
+     * Per-segment velocity and heading, then finite-difference acceleration,
+     * jerk and curvature over a stroke
+     */
+    kinematicsOf(stroke) {
+        const segments = [];
+        for (let i = 1; i < stroke.length; i++) {
+            const dt = toMillis(stroke[i].timestamp) - toMillis(stroke[i - 1].timestamp);
+            if (dt <= 0) continue;
+
+            const length = distance(stroke[i - 1], stroke[i]);
+            segments.push({
+                dt,
+                length,
+                velocity: length / dt * 1000,
+                heading: Math.atan2(stroke[i].y - stroke[i - 1].y, stroke[i].x - stroke[i - 1].x),
+                midTime: (toMillis(stroke[i].timestamp) + toMillis(stroke[i - 1].timestamp)) / 2
+            });
+        }
+
+        const accelerations = [];
+        const accelerationTimes = [];
+        for (let i = 1; i < segments.length; i++) {
+            const dt = (segments[i].midTime - segments[i - 1].midTime) / 1000;
+            accelerations.push((segments[i].velocity - segments[i - 1].velocity) / dt);
+            accelerationTimes.push((segments[i].midTime + segments[i - 1].midTime) / 2);
+        }
+
+        const jerks = [];
+        const jerkIntervals = [];
+        for (let i = 1; i < accelerations.length; i++) {
+            const dt = (accelerationTimes[i] - accelerationTimes[i - 1]) / 1000;
+            jerks.push((accelerations[i] - accelerations[i - 1]) / dt);
+            jerkIntervals.push(dt);
+        }
+
+        const curvatures = [];
+        let previous = null;
+        segments.forEach(segment => {
+            if (segment.length === 0) return;
+            if (previous) {
+                const turn = Math.abs(Math.atan2(Math.sin(segment.heading - previous.heading), Math.cos(segment.heading - previous.heading)));
+                curvatures.push(turn / ((segment.length + previous.length) / 2));
+            }
+            previous = segment;
+        });
+
+        const startTime = stroke.length > 0 ? toMillis(stroke[0].timestamp) : 0;
+        return {
+            segments,
+            accelerations,
+            jerks,
+            jerkIntervals,
+            curvatures,
+            pathLength: segments.reduce((sum, segment) => sum + segment.length, 0),
+            startTime,
+            duration: stroke.length > 0 ? toMillis(stroke[stroke.length - 1].timestamp) - startTime : 0
+        };
+    }
+}
+
+/**
+ * Keystroke dynamics: hold times, digraph/trigraph latencies and corrections
+ *
+ * Template features are hold:<key>, dd:<a>|<b> (down-down), ud:<a>|<b>
+ * (up-down, negative when keys roll over) and tri:<a>|<b>|<c>. With an
+ * ngramLabel, every per-key statistic is keyed by its label of the keys
+ * instead; BehavioralBiometricsAnalyzer passes its template store's keyed
+ * HMAC, so stored templates never name the characters of a password or PIN.
+ */
+class KeystrokeDynamicsAnalyzer {
+    constructor(config = {}) {
+        this.config = {
+            maxLatency: 2000, // ms between keys before they stop counting as a digraph
+            minSpread: 10, // ms floor on a feature's MAD
+            relativeSpread: 0.1, // MAD floor as a share of the feature mean
+            tolerance: 1,
+            minSharedFeatures: 5,
+            ngramLabel: null, // keys => label used in place of the keys themselves
+            ...config
+        };
+    }
+
+    labelOf(keys) {
+        return this.config.ngramLabel ? this.config.ngramLabel(keys) : keys.join('|');
+    }
+
+    analyze(keystrokeData) {
+        return {
+            typingSpeed: this.calculateTypingSpeed(keystrokeData),
+            rhythm: this.calculateTypingRhythm(keystrokeData),
+            dwellTimePatterns: this.analyzeDwellTimePatterns(keystrokeData),
+            flightTimePatterns: this.analyzeFlightTimePatterns(keystrokeData),
+            pressurePatterns: this.analyzePressurePatterns(keystrokeData),
+            timingVariability: this.calculateTimingVariability(keystrokeData),
+            keyPairTimings: this.analyzeKeyPairTimings(keystrokeData),
+            errorPatterns: this.analyzeErrorPatterns(keystrokeData),
+            uniquenessScore: this.calculateUniquenessScore(keystrokeData)
+        };
+    }
+
+    calculateTypingSpeed(keystrokeData) {
+        const keydownEvents = sortedEvents(keystrokeData).filter(isKeyDown);
+        if (keydownEvents.length < 2) return 0;
+        
+        const timeSpan = toMillis(keydownEvents[keydownEvents.length - 1].timestamp) - toMillis(keydownEvents[0].timestamp);
+        return timeSpan > 0 ? (keydownEvents.length / timeSpan) * 60000 : 0; // keys per minute
+    }
+
+    calculateTypingRhythm(keystrokeData) {
+        const events = sortedEvents(keystrokeData);
+        const intervals = [];
+        for (let i = 1; i < events.length; i++) {
+            intervals.push(toMillis(events[i].timestamp) - toMillis(events[i-1].timestamp));
+        }
+        
+        if (intervals.length < 2) return 0;
+        
+        const avg = intervals.reduce((sum, i) => sum + i, 0) / intervals.length;
+        const variance = intervals.reduce((sum, i) => sum + Math.pow(i - avg, 2), 0) / intervals.length;
+        return 1 / (1 + Math.sqrt(variance));
+    }
+
+    /**
+     * Hold time (key down to key up), overall and per key
+     */
+    analyzeDwellTimePatterns(keystrokeData) {
+        const presses = this.pressesOf(keystrokeData).filter(press => press.up !== null);
+        const holds = presses.map(press => press.up - press.down);
+
+        const perKey = {};
+        groupValues(presses, press => this.labelOf([press.key]), press => press.up - press.down).forEach((values, key) => {
+            perKey[key] = { mean: mean(values), count: values.length };
+        });
+
+        return {
+            meanDwell: mean(holds),
+            medianDwell: median(holds),
+            dwellVariation: coefficientOfVariation(holds),
+            perKey
+        };
+    }
+
+    /**
+     * Up-down flight between consecutive keys; rollover is the share of
+     * keys pressed before the previous one was released
+     */
+    analyzeFlightTimePatterns(keystrokeData) {
+        const digraphs = this.digraphsOf(keystrokeData);
+        const flights = digraphs.filter(digraph => digraph.upDown !== null).map(digraph => digraph.upDown);
+        const downDowns = digraphs.map(digraph => digraph.downDown);
+
+        return {
+            meanFlight: mean(flights),
+            medianFlight: median(flights),
+            flightVariation: coefficientOfVariation(flights),
+            meanDownDown: mean(downDowns),
+            rolloverRatio: flights.length > 0 ? flights.filter(flight => flight < 0).length / flights.length : 0
+        };
+    }
+
+    analyzePressurePatterns(keystrokeData) {
+        const pressures = (keystrokeData || []).filter(isKeyDown).map(event => event.pressure).filter(pressure => pressure > 0);
+        return {
+            meanPressure: mean(pressures),
+            pressureVariation: coefficientOfVariation(pressures)
+        };
+    }
+
+    /**
+     * Coefficient of variation of down-down latencies
+     */
+    calculateTimingVariability(keystrokeData) {
+        return coefficientOfVariation(this.digraphsOf(keystrokeData).map(digraph => digraph.downDown));
+    }
+
+    /**
+     * Mean latencies per digraph and trigraph
+     */
+    analyzeKeyPairTimings(keystrokeData) {
+        const digraphs = {};
+        groupValues(this.digraphsOf(keystrokeData), digraph => this.labelOf(digraph.keys), digraph => digraph).forEach((items, pair) => {
+            const upDowns = items.filter(item => item.upDown !== null).map(item => item.upDown);
+            digraphs[pair] = {
+                downDown: mean(items.map(item => item.downDown)),
+                upDown: upDowns.length > 0 ? mean(upDowns) : null,
+                count: items.length
+            };
+        });
+
+        const trigraphs = {};
+        groupValues(this.trigraphsOf(keystrokeData), trigraph => this.labelOf(trigraph.keys), trigraph => trigraph.latency).forEach((values, triple) => {
+            trigraphs[triple] = { latency: mean(values), count: values.length };
+        });
+
+        return { digraphs, trigraphs };
+    }
+
+    /**
+     * Corrections: Backspace/Delete use, runs of deletions, and how long the
+     * typist takes to react to a mistake
+     */
+    analyzeErrorPatterns(keystrokeData) {
+        const presses = this.pressesOf(keystrokeData);
+        const isCorrection = press => press.key === 'Backspace' || press.key === 'Delete';
+
+        const runs = [];
+        const reactionTimes = [];
+        presses.forEach((press, i) => {
+            if (!isCorrection(press)) return;
+            const previous = presses[i - 1];
+            if (previous && isCorrection(previous)) {
+                runs[runs.length - 1]++;
+            } else {
+                runs.push(1);
+                if (previous) reactionTimes.push(press.down - previous.down);
+            }
+        });
+
+        const corrections = presses.filter(isCorrection).length;
+        return {
+            backspaceRate: presses.length > 0 ? presses.filter(press => press.key === 'Backspace').length / presses.length : 0,
+            deleteRate: presses.length > 0 ? presses.filter(press => press.key === 'Delete').length / presses.length : 0,
+            correctionCount: runs.length,
+            meanCorrectionLength: mean(runs),
+            meanReactionTime: mean(reactionTimes),
+            correctionRatio: presses.length > 0 ? corrections / presses.length : 0
+        };
+    }
+
+    /**
+     * Normalised entropy of down-down latencies over 8 log-scale bins
+     * (25ms doubling): a fixed-interval bot scores 0
+     */
+    calculateUniquenessScore(keystrokeData) {
+        const latencies = this.digraphsOf(keystrokeData).map(digraph => digraph.downDown);
+        if (latencies.length < 2) return 0;
+
+        const bins = new Map();
+        latencies.forEach(latency => {
+            const bin = Math.min(7, Math.max(0, Math.floor(Math.log2(Math.max(latency, 1) / 25))));
+            bins.set(bin, (bins.get(bin) || 0) + 1);
+        });
+
+        let entropy = 0;
+        bins.forEach(count => {
+            const p = count / latencies.length;
+            entropy -= p * Math.log(p);
+        });
+        return entropy / Math.log(8);
+    }
+
+    /**
+     * Per-feature statistics for a user's typing
+     */
+    createTemplate(keystrokeData) {
+        return templateFromSamples(this.featureSamples(keystrokeData), this.pressesOf(keystrokeData).length);
+    }
+
+    mergeTemplates(template, incoming) {
+        return mergeTemplates(template, incoming);
+    }
+
+    /**
+     * Scaled Manhattan distance from a session to a template
+     * @returns {{distance: number|null, similarity: number|null, sharedFeatures: number, coverage: number}}
+     */
+    compareToTemplate(keystrokeData, template) {
+        return compareSamplesToTemplate(this.featureSamples(keystrokeData), template, this.config);
+    }
+
+    /**
+     * Raw samples for every template feature
+     */
+    featureSamples(keystrokeData) {
+        const samples = new Map();
+        const add = (feature, value) => {
+            if (!samples.has(feature)) samples.set(feature, []);
+            samples.get(feature).push(value);
+        };
+
+        this.pressesOf(keystrokeData).forEach(press => {
+            if (press.up !== null) add(`hold:${this.labelOf([press.key])}`, press.up - press.down);
+        });
+        this.digraphsOf(keystrokeData).forEach(digraph => {
+            const pair = this.labelOf(digraph.keys);
+            add(`dd:${pair}`, digraph.downDown);
+            if (digraph.upDown !== null) add(`ud:${pair}`, digraph.upDown);
+        });
+        this.trigraphsOf(keystrokeData).forEach(trigraph => add(`tri:${this.labelOf(trigraph.keys)}`, trigraph.latency));
+
+        return samples;
+    }
+
+    /**
+     * Key presses in order, pairing each keydown with its keyup (auto-repeat ignored)
+     */
+    pressesOf(keystrokeData) {
+        const presses = [];
+        const held = new Map();
+
+        sortedEvents(keystrokeData).forEach(event => {
+            const time = toMillis(event.timestamp);
+            if (isKeyDown(event)) {
+                if (held.has(event.key)) return;
+                const press = { key: event.key, down: time, up: null };
+                held.set(event.key, press);
+                presses.push(press);
+            } else if (isKeyUp(event) && held.has(event.key)) {
+                held.get(event.key).up = time;
+                held.delete(event.key);
+            }
+        });
+
+        return presses;
+    }
+
+    digraphsOf(keystrokeData) {
+        const presses = this.pressesOf(keystrokeData);
+        const digraphs = [];
+        for (let i = 1; i < presses.length; i++) {
+            const downDown = presses[i].down - presses[i - 1].down;
+            if (downDown > this.config.maxLatency) continue;
+
+            digraphs.push({
+                keys: [presses[i - 1].key, presses[i].key],
+                downDown,
+                upDown: presses[i - 1].up !== null ? presses[i].down - presses[i - 1].up : null
+            });
+        }
+        return digraphs;
+    }
+
+    trigraphsOf(keystrokeData) {
+        const presses = this.pressesOf(keystrokeData);
+        const trigraphs = [];
+        for (let i = 2; i < presses.length; i++) {
+            if (presses[i].down - presses[i - 1].down > this.config.maxLatency ||
+                presses[i - 1].down - presses[i - 2].down > this.config.maxLatency) continue;
+
+            trigraphs.push({
+                keys: [presses[i - 2].key, presses[i - 1].key, presses[i].key],
+                latency: presses[i].down - presses[i - 2].down
+            });
+        }
+        return trigraphs;
+    }
+}
+
+/**
+ * Touch gestures: classification, swipe velocity profiles, contact
+ * pressure/area, tap rhythm, holds and multi-touch
+ *
+ * Works on recorded touch events ({ type, timestamp, touches, changedTouches })
+ * with DOM Touch fields (identifier, clientX, clientY, radiusX, radiusY, force).
+ * A gesture runs from the first finger down to the last finger up.
+ * Template features are <gesture>:<measure>, e.g. tap:duration or swipe_up:peakVelocity.
+ */
+class TouchGestureAnalyzer {
+    constructor(config = {}) {
+        this.config = {
+            tapSlop: 10, // px a finger may drift and still be tapping
+            longPressThreshold: 500, // ms
+            pinchThreshold: 0.2, // relative change in finger spread
+            minSpread: 0.01,
+            relativeSpread: 0.1,
+            tolerance: 1,
+            minSharedFeatures: 3,
+            ...config
+        };
+    }
+
+    analyze(touchData) {
+        return {
+            touchPressure: this.analyzeTouchPressure(touchData),
+            touchArea: this.analyzeTouchArea(touchData),
+            gestureTiming: this.analyzeGestureTiming(touchData),
+            swipeVelocity: this.analyzeSwipeVelocity(touchData),
+            tapPatterns: this.analyzeTapPatterns(touchData),
+            holdDuration: this.analyzeHoldDuration(touchData),
+            multiTouchPatterns: this.analyzeMultiTouchPatterns(touchData),
+            gestureAccuracy: this.analyzeGestureAccuracy(touchData),
+            uniquenessScore: this.calculateUniquenessScore(touchData)
+        };
+    }
+
+    /**
+     * Force distribution over every contact sample (0-1; 0 means not reported)
+     */
+    analyzeTouchPressure(touchData) {
+        return distributionOf(this.describeGestures(touchData).flatMap(gesture => gesture.pressures));
+    }
+
+    /**
+     * Contact ellipse area (π·radiusX·radiusY, px²) distribution
+     */
+    analyzeTouchArea(touchData) {
+        return distributionOf(this.describeGestures(touchData).flatMap(gesture => gesture.areas));
+    }
+
+    analyzeGestureTiming(touchData) {
+        const gestures = this.describeGestures(touchData);
+        const durations = gestures.map(gesture => gesture.duration);
+        const intervals = [];
+        for (let i = 1; i < gestures.length; i++) {
+            intervals.push(gestures[i].start - gestures[i - 1].start);
+        }
+
+        return {
+            gestureCount: gestures.length,
+            meanDuration: mean(durations),
+            durationVariation: coefficientOfVariation(durations),
+            meanInterval: mean(intervals),
+            intervalVariation: coefficientOfVariation(intervals),
+            types: gestures.reduce((counts, gesture) => {
+                counts[gesture.type] = (counts[gesture.type] || 0) + 1;
+                return counts;
+            }, {})
+        };
+    }
+
+    /**
+     * Swipe speed (px/s) and the shape of its profile: where the peak falls
+     * and how much speed is left at lift-off (high for flicks, low for drags)
+     */
+    analyzeSwipeVelocity(touchData) {
+        const swipes = this.describeGestures(touchData).filter(gesture => gesture.type.startsWith('swipe_'));
+        const speeds = swipes.map(swipe => swipe.meanVelocity);
+
+        return {
+            swipeCount: swipes.length,
+            meanVelocity: mean(speeds),
+            velocityVariation: coefficientOfVariation(speeds),
+            meanPeakVelocity: mean(swipes.map(swipe => swipe.peakVelocity)),
+            peakPosition: mean(swipes.map(swipe => swipe.peakPosition)),
+            endVelocityRatio: mean(swipes.map(swipe => swipe.endVelocityRatio)),
+            withinSwipeVariation: mean(swipes.map(swipe => swipe.velocityVariation))
+        };
+    }
+
+    /**
+     * Tap duration and rhythm between consecutive taps
+     */
+    analyzeTapPatterns(touchData) {
+        const taps = this.describeGestures(touchData).filter(gesture => gesture.type === 'tap');
+        const durations = taps.map(tap => tap.duration);
+        const intervals = [];
+        for (let i = 1; i < taps.length; i++) {
+            intervals.push(taps[i].start - taps[i - 1].start);
+        }
+
+        return {
+            tapCount: taps.length,
+            meanDuration: mean(durations),
+            durationVariation: coefficientOfVariation(durations),
+            meanInterval: mean(intervals),
+            intervalVariation: coefficientOfVariation(intervals)
+        };
+    }
+
+    analyzeHoldDuration(touchData) {
+        const holds = this.describeGestures(touchData)
+            .filter(gesture => gesture.type === 'long_press')
+            .map(gesture => gesture.duration);
+
+        return {
+            longPressCount: holds.length,
+            meanHold: mean(holds),
+            holdVariation: coefficientOfVariation(holds)
+        };
+    }
+
+    /**
+     * Share of multi-finger gestures, pinch scale and the gap between fingers landing
+     */
+    analyzeMultiTouchPatterns(touchData) {
+        const gestures = this.describeGestures(touchData);
+        const multiTouch = gestures.filter(gesture => gesture.pointerCount >= 2);
+        const pinches = multiTouch.filter(gesture => gesture.type.startsWith('pinch_'));
+
+        return {
+            multiTouchRatio: gestures.length > 0 ? multiTouch.length / gestures.length : 0,
+            pinchCount: pinches.length,
+            meanScaleChange: mean(pinches.map(pinch => Math.abs(Math.log(pinch.scale)))),
+            meanLandingGap: mean(multiTouch.map(gesture => gesture.landingGap))
+        };
+    }
+
+    /**
+     * How cleanly gestures are executed: swipe straightness, drift off the
+     * swipe axis (degrees) and finger drift during taps (px)
+     */
+    analyzeGestureAccuracy(touchData) {
+        const gestures = this.describeGestures(touchData);
+        const swipes = gestures.filter(gesture => gesture.type.startsWith('swipe_'));
+        const taps = gestures.filter(gesture => gesture.type === 'tap' || gesture.type === 'long_press');
+
+        return {
+            swipeStraightness: mean(swipes.map(swipe => swipe.straightness)),
+            axisDeviation: mean(swipes.map(swipe => swipe.axisDeviation)),
+            tapDrift: mean(taps.map(tap => tap.displacement))
+        };
+    }
+
+    /**
+     * Normalised entropy of gestures over type × duration (4 bins) × pressure
+     * (4 bins) cells: automation repeats a few identical gestures
+     */
+    calculateUniquenessScore(touchData) {
+        const gestures = this.describeGestures(touchData);
+        if (gestures.length < 2) return 0;
+
+        const cells = new Map();
+        gestures.forEach(gesture => {
+            const type = GESTURE_TYPES.indexOf(gesture.type);
+            const duration = [100, 300, 1000].filter(limit => gesture.duration >= limit).length;
+            const pressure = Math.min(3, Math.floor(mean(gesture.pressures) * 4));
+            const cell = (type * 4 + duration) * 4 + pressure;
+            cells.set(cell, (cells.get(cell) || 0) + 1);
+        });
+
+        let entropy = 0;
+        cells.forEach(count => {
+            const p = count / gestures.length;
+            entropy -= p * Math.log(p);
+        });
+        return entropy / Math.log(GESTURE_TYPES.length * 16);
+    }
+
+    /**
+     * Per-gesture-type statistics for a user's touch behaviour
+     */
+    createTemplate(touchData) {
+        return templateFromSamples(this.featureSamples(touchData), this.describeGestures(touchData).length);
+    }
+
+    mergeTemplates(template, incoming) {
+        return mergeTemplates(template, incoming);
+    }
+
+    /**
+     * Scaled Manhattan distance from a session to a template
+     * @returns {{distance: number|null, similarity: number|null, sharedFeatures: number, coverage: number}}
+     */
+    compareToTemplate(touchData, template) {
+        return compareSamplesToTemplate(this.featureSamples(touchData), template, this.config);
+    }
+
+    featureSamples(touchData) {
+        const samples = new Map();
+        const add = (feature, value) => {
+            if (!samples.has(feature)) samples.set(feature, []);
+            samples.get(feature).push(value);
+        };
+
+        this.describeGestures(touchData).forEach(gesture => {
+            add(`${gesture.type}:duration`, gesture.duration);
+            if (gesture.pressures.length > 0) add(`${gesture.type}:pressure`, mean(gesture.pressures));
+            if (gesture.areas.length > 0) add(`${gesture.type}:area`, mean(gesture.areas));
+
+            if (gesture.type.startsWith('swipe_')) {
+                add(`${gesture.type}:length`, gesture.displacement);
+                add(`${gesture.type}:velocity`, gesture.meanVelocity);
+                add(`${gesture.type}:peakVelocity`, gesture.peakVelocity);
+                add(`${gesture.type}:peakPosition`, gesture.peakPosition);
+                add(`${gesture.type}:straightness`, gesture.straightness);
+            } else if (gesture.type.startsWith('pinch_')) {
+                add(`${gesture.type}:scale`, gesture.scale);
+            }
+        });
+
+        return samples;
+    }
+
+    /**
+     * Gesture type for one finished gesture
+     * @returns {string} one of GESTURE_TYPES
+     */
+    classifyGesture(gesture) {
+        const tracks = gesture.tracks.filter(track => track.points.length > 0);
+        if (tracks.length === 0) return 'unknown';
+
+        if (tracks.length >= 2) {
+            const scale = spreadScaleOf(tracks);
+            if (scale > 1 + this.config.pinchThreshold) return 'pinch_out';
+            if (scale < 1 / (1 + this.config.pinchThreshold)) return 'pinch_in';
+            return 'multi_touch';
+        }
+
+        const points = tracks[0].points;
+        const dx = points[points.length - 1].x - points[0].x;
+        const dy = points[points.length - 1].y - points[0].y;
+        if (Math.sqrt(dx * dx + dy * dy) < this.config.tapSlop) {
+            return gesture.end - gesture.start >= this.config.longPressThreshold ? 'long_press' : 'tap';
+        }
+
+        if (Math.abs(dx) >= Math.abs(dy)) return dx > 0 ? 'swipe_right' : 'swipe_left';
+        return dy > 0 ? 'swipe_down' : 'swipe_up';
+    }
+
+    /**
+     * Finished gestures with their per-finger tracks (touches cut off by the
+     * data window are skipped until the next first-finger-down)
+     */
+    segmentGestures(touchData) {
+        const gestures = [];
+        let current = null;
+
+        sortedEvents(touchData).forEach(event => {
+            const time = toMillis(event.timestamp);
+            const active = event.touches || [];
+            const ending = isTouchEnd(event);
+
+            if (!current) {
+                if (event.type !== 'touchstart') return;
+                current = { start: time, end: time, tracks: new Map() };
+            }
+
+            [...active, ...(ending ? event.changedTouches || [] : [])].forEach(touch => {
+                if (!current.tracks.has(touch.identifier)) {
+                    current.tracks.set(touch.identifier, { identifier: touch.identifier, points: [] });
+                }
+                current.tracks.get(touch.identifier).points.push({
+                    x: touch.clientX,
+                    y: touch.clientY,
+                    time,
+                    force: touch.force || 0,
+                    area: touch.radiusX > 0 && touch.radiusY > 0 ? Math.PI * touch.radiusX * touch.radiusY : 0
+                });
+            });
+            current.end = time;
+
+            if (ending && active.length === 0) {
+                gestures.push({ ...current, tracks: [...current.tracks.values()], cancelled: event.type === 'touchcancel' });
+                current = null;
+            }
+        });
+
+        return gestures;
+    }
+
+    /**
+     * Classified gestures with the measures the metrics are built from
+     */
+    describeGestures(touchData) {
+        return this.segmentGestures(touchData).map(gesture => {
+            const [primary] = gesture.tracks;
+            const points = primary ? primary.points : [];
+            const contacts = gesture.tracks.flatMap(track => track.points);
+            const first = points[0];
+            const last = points[points.length - 1];
+
+            const velocities = [];
+            const midTimes = [];
+            let pathLength = 0;
+            for (let i = 1; i < points.length; i++) {
+                const dt = points[i].time - points[i - 1].time;
+                const length = distance(points[i - 1], points[i]);
+                pathLength += length;
+                if (dt <= 0) continue;
+                velocities.push(length / dt * 1000);
+                midTimes.push((points[i].time + points[i - 1].time) / 2);
+            }
+
+            const trackDuration = points.length > 1 ? last.time - first.time : 0;
+            const peakVelocity = velocities.length > 0 ? Math.max(...velocities) : 0;
+            const peakIndex = velocities.indexOf(peakVelocity);
+            const displacement = points.length > 1 ? distance(first, last) : 0;
+            const angle = displacement > 0 ? Math.abs(Math.atan2(last.y - first.y, last.x - first.x)) : 0;
+
+            const landings = gesture.tracks.map(track => track.points[0].time).sort((a, b) => a - b);
+
+            return {
+                type: this.classifyGesture(gesture),
+                start: gesture.start,
+                end: gesture.end,
+                duration: gesture.end - gesture.start,
+                pointerCount: gesture.tracks.length,
+                displacement,
+                straightness: pathLength > 0 ? displacement / pathLength : 1,
+                // Angle off the nearest axis, 0-45°
+                axisDeviation: Math.min(angle % (Math.PI / 2), Math.PI / 2 - angle % (Math.PI / 2)) * 180 / Math.PI,
+                meanVelocity: trackDuration > 0 ? pathLength / trackDuration * 1000 : 0,
+                peakVelocity,
+                peakPosition: trackDuration > 0 && peakIndex >= 0 ? (midTimes[peakIndex] - first.time) / trackDuration : 0,
+                endVelocityRatio: peakVelocity > 0 ? velocities[velocities.length - 1] / peakVelocity : 0,
+                velocityVariation: coefficientOfVariation(velocities),
+                scale: gesture.tracks.length >= 2 ? spreadScaleOf(gesture.tracks) : 1,
+                landingGap: landings.length >= 2 ? landings[1] - landings[0] : 0,
+                pressures: contacts.map(contact => contact.force).filter(force => force > 0),
+                areas: contacts.map(contact => contact.area).filter(area => area > 0)
+            };
+        });
+    }
+}
+
+/**
+ * Scroll behaviour: burst velocity and acceleration profiles, momentum
+ * decay, direction reversals, reading pauses and dwell before interacting
+ *
+ * Takes wheel/scroll records ({ type, timestamp, deltaY, deltaMode, scrollTop })
+ * and, on the same timeline, any interaction events (clicks, taps, key
+ * presses): their time since the last scroll is the dwell before interaction.
+ * Scrolling is measured on the vertical axis; a burst is a run of scroll
+ * events less than burstGap apart. Velocity in px/s.
+ * Template features are <direction>:<measure> per burst, reading:pause and interaction:dwell.
+ */
+class ScrollBehaviorAnalyzer {
+    constructor(config = {}) {
+        this.config = {
+            burstGap: 200, // ms between scroll events before a new burst starts
+            frameTime: 16, // ms a burst's first delta is assumed to cover
+            lineHeight: 16, // px per line (deltaMode 1)
+            pageHeight: 800, // px per page (deltaMode 2)
+            peakThreshold: 0.2,
+            minSpread: 1,
+            relativeSpread: 0.1,
+            tolerance: 1,
+            minSharedFeatures: 3,
+            ...config
+        };
+    }
+
+    analyze(scrollData) {
+        return {
+            scrollVelocity: this.analyzeScrollVelocity(scrollData),
             scrollAcceleration: this.analyzeScrollAcceleration(scrollData),
             scrollMomentum: this.analyzeScrollMomentum(scrollData),
             scrollDirection: this.analyzeScrollDirection(scrollData),
             scrollRhythm: this.analyzeScrollRhythm(scrollData),
             pausePatterns: this.analyzePausePatterns(scrollData),
             scrollSmoothness: this.analyzeScrollSmoothness(scrollData),
+            dwellBeforeInteraction: this.analyzeDwellBeforeInteraction(scrollData),
             uniquenessScore: this.calculateUniquenessScore(scrollData)
         };
     }
 
-    // Scroll analysis methods...
-    analyzeScrollVelocity(scrollData) { return {}; }
-    analyzeScrollAcceleration(scrollData) { return {}; }
-    analyzeScrollMomentum(scrollData) { return {}; }
-    analyzeScrollDirection(scrollData) { return {}; }
-    analyzeScrollRhythm(scrollData) { return {}; }
-    analyzePausePatterns(scrollData) { return {}; }
-    analyzeScrollSmoothness(scrollData) { return {}; }
-    calculateUniquenessScore(scrollData) { return Math.random(); }
+    analyzeScrollVelocity(scrollData) {
+        const bursts = this.describeBursts(scrollData);
+        const peaks = bursts.map(burst => burst.peakVelocity);
+
+        return {
+            meanVelocity: mean(bursts.map(burst => burst.meanVelocity)),
+            peakVelocity: mean(peaks),
+            velocityVariation: coefficientOfVariation(peaks),
+            peakPosition: mean(bursts.filter(burst => burst.duration > 0).map(burst => burst.peakTime / burst.duration))
+        };
+    }
+
+    /**
+     * Change in speed between scroll events (px/s²) and time to reach peak speed
+     */
+    analyzeScrollAcceleration(scrollData) {
+        const accelerations = this.describeBursts(scrollData).flatMap(burst => burst.accelerations.map(Math.abs));
+        return {
+            meanAcceleration: mean(accelerations),
+            accelerationVariation: coefficientOfVariation(accelerations),
+            meanRampUp: mean(this.describeBursts(scrollData).map(burst => burst.peakTime))
+        };
+    }
+
+    /**
+     * Inertial coasting after the peak: decayRate is k in v(t) = v₀·e^(−kt)
+     * (1/s), fitted on the tail of each burst; momentumRatio is the share of
+     * bursts that coast at all
+     */
+    analyzeScrollMomentum(scrollData) {
+        const bursts = this.describeBursts(scrollData);
+        const coasting = bursts.filter(burst => burst.decayRate > 0);
+
+        return {
+            decayRate: mean(coasting.map(burst => burst.decayRate)),
+            decayVariation: coefficientOfVariation(coasting.map(burst => burst.decayRate)),
+            coastingRatio: mean(bursts.filter(burst => burst.duration > 0).map(burst => (burst.duration - burst.peakTime) / burst.duration)),
+            momentumRatio: bursts.length > 0 ? coasting.length / bursts.length : 0
+        };
+    }
+
+    /**
+     * Share of distance scrolled down/up and reversals between consecutive scroll events
+     */
+    analyzeScrollDirection(scrollData) {
+        const deltas = this.describeBursts(scrollData).flatMap(burst => burst.deltas).filter(delta => delta !== 0);
+        const total = deltas.reduce((sum, delta) => sum + Math.abs(delta), 0);
+
+        let reversals = 0;
+        for (let i = 1; i < deltas.length; i++) {
+            if (Math.sign(deltas[i]) !== Math.sign(deltas[i - 1])) reversals++;
+        }
+
+        const bursts = this.describeBursts(scrollData).length;
+        return {
+            down: total > 0 ? deltas.filter(delta => delta > 0).reduce((sum, delta) => sum + delta, 0) / total : 0,
+            up: total > 0 ? -deltas.filter(delta => delta < 0).reduce((sum, delta) => sum + delta, 0) / total : 0,
+            reversals,
+            reversalRate: bursts > 0 ? reversals / bursts : 0
+        };
+    }
+
+    analyzeScrollRhythm(scrollData) {
+        const bursts = this.describeBursts(scrollData);
+        const distances = bursts.map(burst => burst.distance);
+
+        return {
+            burstCount: bursts.length,
+            meanBurstDuration: mean(bursts.map(burst => burst.duration)),
+            meanBurstDistance: mean(distances),
+            distanceVariation: coefficientOfVariation(distances)
+        };
+    }
+
+    /**
+     * Reading pauses between scroll bursts
+     */
+    analyzePausePatterns(scrollData) {
+        const pauses = this.readingPausesOf(this.describeBursts(scrollData));
+        return {
+            pauseCount: pauses.length,
+            meanPause: mean(pauses),
+            medianPause: median(pauses),
+            pauseVariation: coefficientOfVariation(pauses)
+        };
+    }
+
+    /**
+     * Bursts per speed peak: 1 when every burst is a single push (and coast)
+     */
+    analyzeScrollSmoothness(scrollData) {
+        const bursts = this.describeBursts(scrollData);
+        if (bursts.length === 0) return 0;
+
+        const peaks = bursts.reduce((sum, burst) => sum + countVelocityPeaks(burst.velocities, this.config.peakThreshold), 0);
+        return bursts.length / peaks;
+    }
+
+    /**
+     * Time from the end of scrolling to the next interaction. Interactions
+     * with no scrolling since the previous one went straight to their target
+     */
+    analyzeDwellBeforeInteraction(scrollData) {
+        const { dwellTimes, direct, interactions } = this.dwellTimesOf(scrollData);
+        return {
+            interactionCount: interactions,
+            meanDwell: mean(dwellTimes),
+            medianDwell: median(dwellTimes),
+            dwellVariation: coefficientOfVariation(dwellTimes),
+            directInteractionRatio: interactions > 0 ? direct / interactions : 0
+        };
+    }
+
+    /**
+     * Normalised entropy of bursts over direction × peak speed (4 bins) ×
+     * duration (4 bins) cells: scripted scrolling repeats one kind of jump
+     */
+    calculateUniquenessScore(scrollData) {
+        const bursts = this.describeBursts(scrollData);
+        if (bursts.length < 2) return 0;
+
+        const cells = new Map();
+        bursts.forEach(burst => {
+            const direction = burst.net >= 0 ? 0 : 1;
+            const speed = [500, 2000, 8000].filter(limit => burst.peakVelocity >= limit).length;
+            const duration = [50, 200, 600].filter(limit => burst.duration >= limit).length;
+            const cell = (direction * 4 + speed) * 4 + duration;
+            cells.set(cell, (cells.get(cell) || 0) + 1);
+        });
+
+        let entropy = 0;
+        cells.forEach(count => {
+            const p = count / bursts.length;
+            entropy -= p * Math.log(p);
+        });
+        return entropy / Math.log(32);
+    }
+
+    /**
+     * Per-feature statistics for a user's scrolling
+     */
+    createTemplate(scrollData) {
+        return templateFromSamples(this.featureSamples(scrollData), this.describeBursts(scrollData).length);
+    }
+
+    mergeTemplates(template, incoming) {
+        return mergeTemplates(template, incoming);
+    }
+
+    /**
+     * Scaled Manhattan distance from a session to a template
+     * @returns {{distance: number|null, similarity: number|null, sharedFeatures: number, coverage: number}}
+     */
+    compareToTemplate(scrollData, template) {
+        return compareSamplesToTemplate(this.featureSamples(scrollData), template, this.config);
+    }
+
+    featureSamples(scrollData) {
+        const samples = new Map();
+        const add = (feature, value) => {
+            if (!samples.has(feature)) samples.set(feature, []);
+            samples.get(feature).push(value);
+        };
+
+        const bursts = this.describeBursts(scrollData);
+        bursts.forEach(burst => {
+            const direction = burst.net >= 0 ? 'down' : 'up';
+            add(`${direction}:distance`, burst.distance);
+            add(`${direction}:duration`, burst.duration);
+            add(`${direction}:peakVelocity`, burst.peakVelocity);
+            add(`${direction}:rampUp`, burst.peakTime);
+            if (burst.decayRate > 0) add(`${direction}:decayRate`, burst.decayRate);
+        });
+        this.readingPausesOf(bursts).forEach(pause => add('reading:pause', pause));
+        this.dwellTimesOf(scrollData).dwellTimes.forEach(dwell => add('interaction:dwell', dwell));
+
+        return samples;
+    }
+
+    /**
+     * Scroll bursts with their per-event deltas (px, positive is down),
+     * speed and acceleration profiles and fitted momentum decay
+     */
+    describeBursts(scrollData) {
+        const bursts = [];
+        let previous = null;
+
+        sortedEvents(scrollData).filter(isScrollRecord).forEach(event => {
+            const time = toMillis(event.timestamp);
+            const delta = this.scrollDeltaOf(event, previous);
+            const startsBurst = !previous || time - toMillis(previous.timestamp) > this.config.burstGap;
+            previous = event;
+
+            if (startsBurst) bursts.push({ times: [], deltas: [], velocities: [] });
+            const burst = bursts[bursts.length - 1];
+            const dt = startsBurst ? this.config.frameTime : time - burst.times[burst.times.length - 1];
+
+            burst.times.push(time);
+            burst.deltas.push(delta);
+            if (dt > 0) burst.velocities.push(Math.abs(delta) / dt * 1000);
+        });
+
+        return bursts
+            .filter(burst => burst.deltas.some(delta => delta !== 0))
+            .map(burst => {
+                const start = burst.times[0];
+                const end = burst.times[burst.times.length - 1];
+                const peakVelocity = Math.max(...burst.velocities, 0);
+                const peakIndex = burst.velocities.indexOf(peakVelocity);
+
+                const accelerations = [];
+                for (let i = 1; i < burst.velocities.length; i++) {
+                    const dt = (burst.times[i] - burst.times[i - 1]) / 1000;
+                    if (dt > 0) accelerations.push((burst.velocities[i] - burst.velocities[i - 1]) / dt);
+                }
+
+                return {
+                    start,
+                    end,
+                    duration: end - start,
+                    deltas: burst.deltas,
+                    velocities: burst.velocities,
+                    accelerations,
+                    distance: burst.deltas.reduce((sum, delta) => sum + Math.abs(delta), 0),
+                    net: burst.deltas.reduce((sum, delta) => sum + delta, 0),
+                    meanVelocity: mean(burst.velocities),
+                    peakVelocity,
+                    peakTime: peakIndex >= 0 ? burst.times[peakIndex] - start : 0,
+                    decayRate: decayRateOf(burst.times.slice(peakIndex), burst.velocities.slice(peakIndex))
+                };
+            });
+    }
+
+    /**
+     * Vertical scroll distance of one record in px: wheel deltas, or the
+     * change in scrollTop for plain scroll events
+     */
+    scrollDeltaOf(event, previous) {
+        if (Number.isFinite(event.deltaY) && event.deltaY !== 0) {
+            const unit = event.deltaMode === 1 ? this.config.lineHeight : event.deltaMode === 2 ? this.config.pageHeight : 1;
+            return event.deltaY * unit;
+        }
+        if (previous && Number.isFinite(event.scrollTop) && Number.isFinite(previous.scrollTop)) {
+            return event.scrollTop - previous.scrollTop;
+        }
+        return 0;
+    }
+
+    readingPausesOf(bursts) {
+        const pauses = [];
+        for (let i = 1; i < bursts.length; i++) {
+            pauses.push(bursts[i].start - bursts[i - 1].end);
+        }
+        return pauses;
+    }
+
+    dwellTimesOf(scrollData) {
+        const bursts = this.describeBursts(scrollData);
+        const interactions = sortedEvents(scrollData).filter(event => !isScrollRecord(event)).map(event => toMillis(event.timestamp));
+
+        const dwellTimes = [];
+        let direct = 0;
+        let previousInteraction = -Infinity;
+        interactions.forEach(time => {
+            const lastBurst = bursts.filter(burst => burst.end <= time && burst.end > previousInteraction).pop();
+            if (lastBurst) dwellTimes.push(time - lastBurst.end);
+            else direct++;
+            previousInteraction = time;
+        });
+
+        return { dwellTimes, direct, interactions: interactions.length };
+    }
 }
 
 class BiometricPatternRecognition {
@@ -941,4 +2587,259 @@ class BiometricPatternRecognition {
     }
 }
 
-module.exports = BehavioralBiometricsAnalyzer;
\ No newline at end of file
+/**
+ * Helper functions
+ */
+function sortedEvents(events) {
+    return (events || [])
+        .filter(event => event && event.timestamp !== undefined)
+        .slice()
+        .sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+}
+
+function isMoveEvent(event) {
+    return ['mousemove', 'mouse_move', 'pointermove'].includes(event.type) &&
+        Number.isFinite(event.x) && Number.isFinite(event.y);
+}
+
+/**
+ * Weighted average of numeric metrics, recursing into nested metric groups
+ */
+function blendMetrics(current, incoming, weight) {
+    if (!current) return incoming;
+    
+    const blended = {};
+    Object.entries(incoming || {}).forEach(([key, value]) => {
+        const previous = current[key];
+        if (typeof value === 'number' && typeof previous === 'number') {
+            blended[key] = previous + (value - previous) * weight;
+        } else if (value && typeof value === 'object' && previous && typeof previous === 'object') {
+            blended[key] = blendMetrics(previous, value, weight);
+        } else {
+            blended[key] = value;
+        }
+    });
+    return blended;
+}
+
+/**
+ * Templates keep per-feature { mean, mad, count } statistics (mad: mean
+ * absolute deviation). Sessions are compared with the scaled Manhattan
+ * distance, mean |sessionMean - templateMean| / templateMAD over shared
+ * features. A distance up to `tolerance` is within the user's own variation
+ * and scores 1; similarity decays exponentially beyond it.
+ */
+function templateFromSamples(samples, sampleCount) {
+    const features = {};
+    samples.forEach((values, feature) => {
+        const avg = mean(values);
+        features[feature] = {
+            mean: avg,
+            mad: mean(values.map(value => Math.abs(value - avg))),
+            count: values.length
+        };
+    });
+    return { features, sampleCount };
+}
+
+/**
+ * Merge two templates, weighting each feature by its sample count
+ */
+function mergeTemplates(template, incoming) {
+    if (!template) return incoming;
+    if (!incoming) return template;
+
+    const features = { ...template.features };
+    Object.entries(incoming.features).forEach(([feature, update]) => {
+        const current = features[feature];
+        if (!current) {
+            features[feature] = update;
+            return;
+        }
+
+        // Pooled MAD around the combined mean
+        const count = current.count + update.count;
+        const combinedMean = (current.mean * current.count + update.mean * update.count) / count;
+        features[feature] = {
+            mean: combinedMean,
+            mad: (current.count * (current.mad + Math.abs(current.mean - combinedMean)) +
+                  update.count * (update.mad + Math.abs(update.mean - combinedMean))) / count,
+            count
+        };
+    });
+
+    return { features, sampleCount: template.sampleCount + incoming.sampleCount };
+}
+
+/**
+ * Scale a template's sample counts by the share of its evidence still retained
+ */
+function ageTemplate(template, retained) {
+    if (!template || retained >= 1) return template;
+
+    const features = {};
+    Object.entries(template.features).forEach(([feature, stats]) => {
+        features[feature] = { ...stats, count: stats.count * retained };
+    });
+    return { features, sampleCount: template.sampleCount * retained };
+}
+
+/**
+ * @param {Map<string, number[]>} samples - raw session samples per feature
+ * @param {object} config - { minSpread, relativeSpread, tolerance, minSharedFeatures }
+ */
+function compareSamplesToTemplate(samples, template, config) {
+    const templateFeatures = (template && template.features) || {};
+    const deviations = [];
+
+    samples.forEach((values, feature) => {
+        const reference = templateFeatures[feature];
+        if (!reference) return;
+
+        const spread = Math.max(reference.mad, config.minSpread, Math.abs(reference.mean) * config.relativeSpread);
+        deviations.push(Math.abs(mean(values) - reference.mean) / spread);
+    });
+
+    const templateSize = Object.keys(templateFeatures).length;
+    const coverage = templateSize > 0 ? deviations.length / templateSize : 0;
+    if (deviations.length < config.minSharedFeatures) {
+        return { distance: null, similarity: null, sharedFeatures: deviations.length, coverage };
+    }
+
+    const scaledDistance = mean(deviations);
+    return {
+        distance: scaledDistance,
+        similarity: Math.exp(-Math.max(0, scaledDistance - config.tolerance)),
+        sharedFeatures: deviations.length,
+        coverage
+    };
+}
+
+function isTouchEnd(event) {
+    return event.type === 'touchend' || event.type === 'touchcancel';
+}
+
+// The last finger lifted
+function endsGesture(touchRecord) {
+    return isTouchEnd(touchRecord) && (touchRecord.touches || []).length === 0;
+}
+
+/**
+ * Distance between the first two fingers at lift-off relative to touch-down
+ */
+function spreadScaleOf(tracks) {
+    const [a, b] = tracks;
+    const startSpread = distance(a.points[0], b.points[0]);
+    const endSpread = distance(a.points[a.points.length - 1], b.points[b.points.length - 1]);
+    return startSpread > 0 ? endSpread / startSpread : 1;
+}
+
+function isScrollRecord(event) {
+    return event.type === undefined || event.type === 'wheel' || event.type === 'scroll';
+}
+
+/**
+ * Exponential decay rate k of v(t) = v₀·e^(−kt) in 1/s, by least squares on
+ * log speed; 0 without at least three moving samples or when speed is not falling
+ */
+function decayRateOf(times, velocities) {
+    const points = times
+        .map((time, i) => ({ t: (time - times[0]) / 1000, v: velocities[i] }))
+        .filter(point => point.v > 0);
+    if (points.length < 3) return 0;
+
+    const meanT = mean(points.map(point => point.t));
+    const meanLog = mean(points.map(point => Math.log(point.v)));
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(point => {
+        covariance += (point.t - meanT) * (Math.log(point.v) - meanLog);
+        variance += Math.pow(point.t - meanT, 2);
+    });
+
+    return variance > 0 ? Math.max(0, -covariance / variance) : 0;
+}
+
+/**
+ * Peaks in a speed profile (at least 1), lightly smoothed and counted with
+ * hysteresis: speed has to fall and rise again by relativeThreshold × the
+ * highest speed before another peak counts
+ */
+function countVelocityPeaks(velocities, relativeThreshold) {
+    const smoothed = velocities.map((velocity, i) => mean(velocities.slice(Math.max(0, i - 1), i + 2)));
+    const threshold = Math.max(...smoothed, 0) * relativeThreshold;
+    if (threshold === 0) return 1;
+
+    let peaks = 1;
+    let rising = true;
+    let peak = smoothed[0];
+    let trough = smoothed[0];
+
+    smoothed.forEach(velocity => {
+        if (rising) {
+            peak = Math.max(peak, velocity);
+            if (peak - velocity > threshold) {
+                rising = false;
+                trough = velocity;
+            }
+        } else {
+            trough = Math.min(trough, velocity);
+            if (velocity - trough > threshold) {
+                peaks++;
+                rising = true;
+                peak = velocity;
+            }
+        }
+    });
+
+    return peaks;
+}
+
+/**
+ * Mean, median, spread and 10th/90th percentiles of a sample
+ */
+function distributionOf(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const percentile = p => sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : 0;
+    return {
+        mean: mean(values),
+        median: median(values),
+        variation: coefficientOfVariation(values),
+        p10: percentile(0.1),
+        p90: percentile(0.9)
+    };
+}
+
+function isKeyDown(event) {
+    return event.type === 'keydown' || event.type === 'key_down';
+}
+
+function isKeyUp(event) {
+    return event.type === 'keyup' || event.type === 'key_up';
+}
+
+function groupValues(items, keyOf, valueOf) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(valueOf(item));
+    });
+    return groups;
+}
+
+function distance(a, b) {
+    return Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+}
+
+function perpendicularDistance(point, lineStart, lineEnd) {
+    const length = distance(lineStart, lineEnd);
+    if (length === 0) return distance(point, lineStart);
+    return Math.abs((lineEnd.x - lineStart.x) * (lineStart.y - point.y) - (lineStart.x - point.x) * (lineEnd.y - lineStart.y)) / length;
+}
+
+module.exports = BehavioralBiometricsAnalyzer;
+module.exports.MouseMovementAnalyzer = MouseMovementAnalyzer;
+module.exports.KeystrokeDynamicsAnalyzer = KeystrokeDynamicsAnalyzer;
+module.exports.TouchGestureAnalyzer = TouchGestureAnalyzer;
+module.exports.ScrollBehaviorAnalyzer = ScrollBehaviorAnalyzer;
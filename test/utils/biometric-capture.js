@@ -0,0 +1,600 @@
+const BehavioralBiometricsAnalyzer = require('./behavioral-biometrics');
+
+// W3C WebDriver element reference key
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+// Furthest a finger can travel and still count as a tap (px)
+const TAP_SLOP = 10;
+
+// WebDriver codes of the special keys the keystroke analyzer knows by name
+const SPECIAL_KEYS = {
+    '\uE003': 'Backspace',
+    '\uE004': 'Tab',
+    '\uE006': 'Enter',
+    '\uE007': 'Enter',
+    '\uE008': 'Shift',
+    '\uE009': 'Control',
+    '\uE00A': 'Alt',
+    '\uE00C': 'Escape',
+    '\uE00D': ' ',
+    '\uE017': 'Delete'
+};
+
+/**
+ * 🎛️ Biometric Capture for WebdriverIO and Appium sessions
+ *
+ * Overwrites the driver's input commands so every action a spec performs
+ * is turned into the timestamped mouse, keystroke, touch and wheel events
+ * BehavioralBiometricsAnalyzer collects for the active user. The events are
+ * what the driver actually sends to the app:
+ * - click: the pointer jumps to the element centre and presses, or a tap
+ *   there on mobile
+ * - addValue (and setValue, which calls it): a keydown/keyup per character.
+ *   WebDriver sends the text in one command, so the keys are spread evenly
+ *   over its duration
+ * - performActions: W3C pointer, key and wheel sequences played tick by
+ *   tick with their declared durations; moves are sampled every
+ *   sampleInterval ms along the straight line the driver interpolates
+ * - touchAction: Appium's press/moveTo/wait/release chains, one finger per
+ *   chain
+ *
+ * Nothing is captured while no session is active, and capture never fails
+ * a command: errors are logged and the command's result is returned.
+ */
+class BiometricCapture {
+    constructor(options = {}) {
+        this.options = {
+            sampleInterval: 16, // ms between sampled pointer moves
+            longPressDuration: 1000, // ms Appium holds a longPress without a wait
+            biometrics: {}, // BehavioralBiometricsAnalyzer config
+            now: () => Date.now(), // clock the captured events are timestamped by
+            ...options
+        };
+
+        this.analyzer = options.analyzer || null;
+        this.userId = null;
+        this.pointer = { x: 0, y: 0 }; // mouse position carried between commands
+        this.events = []; // everything recorded since the last start, for userActions()
+        this.instrumented = new WeakSet();
+    }
+
+    get isActive() {
+        return this.userId !== null;
+    }
+
+    /**
+     * Timestamp captured events by a clock other than the system's
+     * @param {Function} now - Returns the current time in ms
+     */
+    useClock(now = () => Date.now()) {
+        this.options.now = now;
+    }
+
+    getAnalyzer() {
+        if (!this.analyzer) {
+            this.analyzer = new BehavioralBiometricsAnalyzer(this.options.biometrics);
+        }
+        return this.analyzer;
+    }
+
+    /**
+     * Attribute captured actions to a user, ending any session in progress
+     * @returns {string} - Biometric session ID
+     */
+    async start(userId, deviceInfo = {}) {
+        await this.end();
+
+        const sessionId = await this.getAnalyzer().startSession(userId, deviceInfo);
+        this.userId = userId;
+        this.events = [];
+        return sessionId;
+    }
+
+    /**
+     * Stop capturing and analyse the session
+     * @returns {object|null} - Biometric report, or null when no session was active
+     */
+    async end() {
+        if (this.userId === null) return null;
+
+        const userId = this.userId;
+        this.userId = null;
+        return this.getAnalyzer().endSession(userId);
+    }
+
+    /**
+     * Overwrite the input commands of a browser (once per browser)
+     */
+    install(browser) {
+        if (this.instrumented.has(browser)) return;
+        this.instrumented.add(browser);
+
+        const capture = this;
+
+        browser.overwriteCommand('click', async function (click, options) {
+            return capture.observe(
+                () => click(options),
+                () => browser.getElementRect(this.elementId),
+                (rect, start, end) => capture.clickEvents(rect, start, end, browser.isMobile)
+            );
+        }, true);
+
+        browser.overwriteCommand('addValue', async function (addValue, value, options) {
+            return capture.observe(
+                () => addValue(value, options),
+                async () => ({}),
+                (context, start, end) => capture.keyEvents(value, start, end)
+            );
+        }, true);
+
+        browser.overwriteCommand('performActions', async function (performActions, actions) {
+            return capture.observe(
+                () => performActions(actions),
+                () => capture.elementRects(browser, capture.actionElementIds(actions)),
+                (rects, start) => capture.actionEvents(actions, start, rects)
+            );
+        });
+
+        const touchAction = async function (original, actions) {
+            return capture.observe(
+                () => original(actions),
+                () => capture.elementRects(browser, capture.touchActionElementIds(actions, this.elementId)),
+                (rects, start) => capture.touchActionEvents(actions, start, rects, this.elementId)
+            );
+        };
+        browser.overwriteCommand('touchAction', touchAction);
+        browser.overwriteCommand('touchAction', touchAction, true);
+    }
+
+    /**
+     * Run a command and record the events it produced
+     * @param {Function} command - The original command
+     * @param {Function} prepare - Looks up what the events need (element rects) before the command runs
+     * @param {Function} toEvents - (prepared, start, end) => events
+     */
+    async observe(command, prepare, toEvents) {
+        if (this.userId === null) return command();
+
+        let prepared = null;
+        try {
+            prepared = await prepare();
+        } catch (error) {
+            console.log(`⚠️ Biometric capture skipped: ${error.message}`);
+        }
+
+        const start = this.options.now();
+        const result = await command();
+        const end = this.options.now();
+
+        if (prepared !== null) {
+            try {
+                await this.record(toEvents(prepared, start, end));
+            } catch (error) {
+                console.log(`⚠️ Biometric capture failed: ${error.message}`);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Feed events to the analyzer's collector for their kind
+     */
+    async record(events) {
+        if (this.userId === null) return;
+        const analyzer = this.getAnalyzer();
+        this.events.push(...events);
+
+        for (const event of events) {
+            if (event.type.startsWith('mouse')) {
+                await analyzer.collectMouseMovement(this.userId, event);
+            } else if (event.type.startsWith('key')) {
+                await analyzer.collectKeystroke(this.userId, event);
+            } else if (event.type.startsWith('touch')) {
+                await analyzer.collectTouchGesture(this.userId, event);
+            } else if (event.type === 'wheel') {
+                await analyzer.collectScrollBehavior(this.userId, event);
+            }
+        }
+    }
+
+    /**
+     * The input of the last session as MLFraudDetector user actions (see the
+     * feature extractor's schema): mouse moves and swipes as mouse_move,
+     * presses and taps as click, keys as key_down / key_up, wheel as scroll.
+     * A finger that stays within TAP_SLOP of where it landed is a tap; its
+     * drift while held is not pointer movement
+     * @returns {object[]} - User actions in time order
+     */
+    userActions() {
+        const presses = new Map();
+        const tracks = new Map();
+        const actions = [];
+
+        sortByTime(this.events).forEach(event => {
+            const { type, timestamp } = event;
+            if (type === 'mousemove') {
+                actions.push({ type: 'mouse_move', timestamp, x: event.clientX, y: event.clientY });
+            } else if (type === 'mousedown') {
+                presses.set(`mouse:${event.button}`, event);
+            } else if (type === 'mouseup' && presses.has(`mouse:${event.button}`)) {
+                const press = presses.get(`mouse:${event.button}`);
+                presses.delete(`mouse:${event.button}`);
+                actions.push({ type: 'click', timestamp: press.timestamp, x: press.clientX, y: press.clientY, duration: timestamp - press.timestamp });
+            } else if (type.startsWith('touch')) {
+                event.changedTouches.forEach(touch => {
+                    const key = `touch:${touch.identifier}`;
+                    const point = { type: 'mouse_move', timestamp, x: touch.clientX, y: touch.clientY };
+                    if (type === 'touchstart') {
+                        presses.set(key, { timestamp, clientX: touch.clientX, clientY: touch.clientY, force: touch.force });
+                        tracks.set(key, [point]);
+                    } else if (type === 'touchmove') {
+                        if (tracks.has(key)) tracks.get(key).push(point);
+                    } else if (presses.has(key)) {
+                        const press = presses.get(key);
+                        const track = tracks.get(key);
+                        presses.delete(key);
+                        tracks.delete(key);
+                        if (track.some(step => Math.hypot(step.x - press.clientX, step.y - press.clientY) > TAP_SLOP)) {
+                            actions.push(...track, point);
+                        } else {
+                            actions.push({ type: 'click', timestamp: press.timestamp, x: press.clientX, y: press.clientY, pressure: press.force, duration: timestamp - press.timestamp });
+                        }
+                    }
+                });
+            } else if (type === 'keydown' || type === 'keyup') {
+                actions.push({ type: type === 'keydown' ? 'key_down' : 'key_up', timestamp, key: event.key });
+            } else if (type === 'wheel') {
+                actions.push({ type: 'scroll', timestamp, deltaY: event.deltaY });
+            }
+        });
+
+        return sortByTime(actions);
+    }
+
+    /**
+     * A click at the element centre: pointer move, press and release, or a tap on mobile
+     */
+    clickEvents(rect, start, end, isMobile = false) {
+        const center = centerOf(rect);
+
+        if (isMobile) {
+            const contact = touchPointOf(0, center);
+            return [
+                { type: 'touchstart', timestamp: start, touches: [contact], changedTouches: [contact] },
+                { type: 'touchend', timestamp: end, touches: [], changedTouches: [contact] }
+            ];
+        }
+
+        const events = [];
+        if (center.x !== this.pointer.x || center.y !== this.pointer.y) {
+            events.push({ type: 'mousemove', timestamp: start, clientX: center.x, clientY: center.y });
+        }
+        events.push({ type: 'mousedown', timestamp: start, clientX: center.x, clientY: center.y, button: 0 });
+        events.push({ type: 'mouseup', timestamp: end, clientX: center.x, clientY: center.y, button: 0 });
+        this.pointer = center;
+        return events;
+    }
+
+    /**
+     * Key presses for a value typed in one command, spread evenly over its duration
+     */
+    keyEvents(value, start, end) {
+        const text = Array.isArray(value) ? value.map(String).join('') : String(value);
+        const keys = [...text].map(keyNameOf);
+        if (keys.length === 0) return [];
+
+        const step = (end - start) / keys.length;
+        return keys.flatMap((key, i) => [
+            { type: 'keydown', timestamp: Math.round(start + i * step), key },
+            { type: 'keyup', timestamp: Math.round(start + (i + 0.5) * step), key }
+        ]);
+    }
+
+    /**
+     * Events of W3C action sequences, tick by tick from start. A tick lasts
+     * as long as its longest action; presses, releases and keys happen as
+     * it starts and pointer moves run across it
+     * @param {object[]} sequences - performActions input sources
+     * @param {number} start - Timestamp of the first tick
+     * @param {Map<string, object>} rects - Element rects by ID, for element-origin moves
+     */
+    actionEvents(sequences, start, rects = new Map()) {
+        const sources = sequences.map((sequence, index) => ({
+            kind: inputKindOf(sequence),
+            actions: sequence.actions || [],
+            identifier: index,
+            position: inputKindOf(sequence) === 'mouse' ? { ...this.pointer } : { x: 0, y: 0 }
+        }));
+
+        const events = [];
+        const contacts = [];
+        const ticks = Math.max(0, ...sources.map(source => source.actions.length));
+        let time = start;
+
+        for (let tick = 0; tick < ticks; tick++) {
+            const moves = [];
+            let duration = 0;
+
+            sources.forEach(source => {
+                const action = source.actions[tick];
+                if (!action) return;
+                duration = Math.max(duration, action.duration || 0);
+
+                if (source.kind === 'key' && (action.type === 'keyDown' || action.type === 'keyUp')) {
+                    events.push({ type: action.type.toLowerCase(), timestamp: time, key: keyNameOf(action.value) });
+                } else if (source.kind === 'wheel' && action.type === 'scroll') {
+                    events.push({ type: 'wheel', timestamp: time, deltaX: action.deltaX || 0, deltaY: action.deltaY || 0, deltaZ: 0, deltaMode: 0 });
+                } else if (action.type === 'pointerMove') {
+                    moves.push({ source, from: { ...source.position }, to: this.targetOf(action, source, rects), duration: action.duration || 0 });
+                } else if (action.type === 'pointerDown' || action.type === 'pointerUp') {
+                    const pressed = action.type === 'pointerDown';
+                    if (source.kind === 'mouse') {
+                        events.push({ type: pressed ? 'mousedown' : 'mouseup', timestamp: time, clientX: source.position.x, clientY: source.position.y, button: action.button || 0 });
+                    } else {
+                        contacts.push({ time, step: tick, identifier: source.identifier, phase: pressed ? 'down' : 'up', position: { ...source.position }, action });
+                    }
+                }
+            });
+
+            this.sampleMoves(moves, time).forEach(({ source, timestamp, position }) => {
+                source.position = position;
+                if (source.kind === 'mouse') {
+                    events.push({ type: 'mousemove', timestamp, clientX: position.x, clientY: position.y });
+                } else {
+                    contacts.push({ time: timestamp, step: tick, identifier: source.identifier, phase: 'move', position });
+                }
+            });
+
+            time += duration;
+        }
+
+        const mouse = sources.filter(source => source.kind === 'mouse');
+        if (mouse.length > 0) this.pointer = { ...mouse[mouse.length - 1].position };
+
+        return sortByTime([...events, ...touchEventsOf(contacts)]);
+    }
+
+    /**
+     * Pointer positions along straight-line moves, split like the driver
+     * splits them into equal steps of at most sampleInterval ms
+     */
+    sampleMoves(moves, start) {
+        const samples = [];
+
+        moves.forEach(({ source, from, to, duration }) => {
+            const steps = Math.max(1, Math.ceil(duration / this.options.sampleInterval));
+            for (let step = 1; step <= steps; step++) {
+                const share = step / steps;
+                samples.push({
+                    source,
+                    timestamp: start + duration * share,
+                    position: { x: from.x + (to.x - from.x) * share, y: from.y + (to.y - from.y) * share }
+                });
+            }
+        });
+
+        return sortByTime(samples);
+    }
+
+    targetOf(action, source, rects) {
+        const origin = action.origin || 'viewport';
+        if (origin === 'pointer') {
+            return { x: source.position.x + (action.x || 0), y: source.position.y + (action.y || 0) };
+        }
+
+        const elementId = elementIdOf(origin);
+        if (elementId) {
+            const rect = rects.get(elementId);
+            if (!rect) return { ...source.position };
+
+            const center = centerOf(rect);
+            return { x: center.x + (action.x || 0), y: center.y + (action.y || 0) };
+        }
+
+        return { x: action.x || 0, y: action.y || 0 };
+    }
+
+    /**
+     * Touch events of Appium touchAction chains. Nested arrays are
+     * multi-touch: one chain per finger, all starting together
+     * @param {Array|object|string} actions - touchAction input
+     * @param {number} start - Timestamp the chains start at
+     * @param {Map<string, object>} rects - Element rects by ID
+     * @param {string} [scopeElementId] - Element the command was called on
+     */
+    touchActionEvents(actions, start, rects = new Map(), scopeElementId = undefined) {
+        const list = Array.isArray(actions) ? actions : [actions];
+        const chains = Array.isArray(list[0]) ? list : [list];
+        const contacts = [];
+
+        chains.forEach((chain, identifier) => {
+            let time = start;
+            let position = { x: 0, y: 0 };
+
+            chain.map(step => (typeof step === 'string' ? { action: step } : step)).forEach((step, index) => {
+                const at = () => this.touchActionPoint(step, rects, scopeElementId, position);
+                const contact = phase => contacts.push({ time, step: index, identifier, phase, position });
+
+                switch (step.action) {
+                    case 'press':
+                        position = at();
+                        contact('down');
+                        break;
+                    case 'longPress':
+                        position = at();
+                        contact('down');
+                        time += step.ms || this.options.longPressDuration;
+                        break;
+                    case 'tap':
+                        position = at();
+                        contact('down');
+                        contact('up');
+                        break;
+                    case 'moveTo':
+                        position = at();
+                        contact('move');
+                        break;
+                    case 'wait':
+                        time += step.ms || 0;
+                        break;
+                    case 'release':
+                        contact('up');
+                        break;
+                }
+            });
+        });
+
+        return touchEventsOf(contacts);
+    }
+
+    /**
+     * Where a touchAction step lands: x/y from the element's top-left corner
+     * (its centre without them), or absolute x/y without an element
+     */
+    touchActionPoint(step, rects, scopeElementId, position) {
+        const elementId = (step.element && step.element.elementId) || scopeElementId;
+        const rect = elementId ? rects.get(elementId) : null;
+
+        if (rect) {
+            return {
+                x: rect.x + (typeof step.x === 'number' ? step.x : rect.width / 2),
+                y: rect.y + (typeof step.y === 'number' ? step.y : rect.height / 2)
+            };
+        }
+        if (typeof step.x === 'number' || typeof step.y === 'number') {
+            return { x: step.x || 0, y: step.y || 0 };
+        }
+        return { ...position };
+    }
+
+    actionElementIds(sequences) {
+        return sequences.flatMap(sequence => (sequence.actions || [])
+            .map(action => elementIdOf(action.origin))
+            .filter(Boolean));
+    }
+
+    touchActionElementIds(actions, scopeElementId = undefined) {
+        const steps = (Array.isArray(actions) ? actions : [actions]).flat();
+        const ids = steps.map(step => step && step.element && step.element.elementId).filter(Boolean);
+        return scopeElementId ? [scopeElementId, ...ids] : ids;
+    }
+
+    async elementRects(browser, elementIds) {
+        const rects = new Map();
+        for (const elementId of new Set(elementIds)) {
+            rects.set(elementId, await browser.getElementRect(elementId));
+        }
+        return rects;
+    }
+}
+
+/**
+ * Touch events from per-finger contact changes: a touchstart or touchend
+ * per finger pressing or lifting, and one touchmove for all fingers moved
+ * at the same moment. touches lists every finger down after the change.
+ * Fingers changing at the same moment are taken in step order, so one
+ * finger's move comes before another's release
+ * @param {Array<{time, step, identifier, phase: string, position, action?}>} contacts
+ */
+function touchEventsOf(contacts) {
+    const down = new Map();
+    const events = [];
+    const ordered = contacts
+        .map((contact, index) => ({ contact, index }))
+        .sort((a, b) => a.contact.time - b.contact.time || a.contact.step - b.contact.step || a.index - b.index)
+        .map(({ contact }) => contact);
+
+    ordered.forEach(contact => {
+        const point = touchPointOf(contact.identifier, contact.position, contact.action);
+
+        if (contact.phase === 'down') {
+            down.set(contact.identifier, point);
+            events.push({ type: 'touchstart', timestamp: contact.time, touches: [...down.values()], changedTouches: [point] });
+        } else if (contact.phase === 'up') {
+            if (!down.has(contact.identifier)) return;
+            down.delete(contact.identifier);
+            events.push({ type: 'touchend', timestamp: contact.time, touches: [...down.values()], changedTouches: [point] });
+        } else if (down.has(contact.identifier)) {
+            down.set(contact.identifier, { ...down.get(contact.identifier), clientX: point.clientX, clientY: point.clientY });
+
+            const previous = events[events.length - 1];
+            if (previous && previous.type === 'touchmove' && previous.timestamp === contact.time) {
+                previous.touches = [...down.values()];
+                previous.changedTouches = [
+                    ...previous.changedTouches.filter(touch => touch.identifier !== contact.identifier),
+                    down.get(contact.identifier)
+                ];
+            } else {
+                events.push({ type: 'touchmove', timestamp: contact.time, touches: [...down.values()], changedTouches: [down.get(contact.identifier)] });
+            }
+        }
+    });
+
+    return events;
+}
+
+/**
+ * A touch point; contact size and force come from W3C pointer properties when given
+ */
+function touchPointOf(identifier, position, properties = {}) {
+    return {
+        identifier,
+        clientX: position.x,
+        clientY: position.y,
+        radiusX: properties.width ? properties.width / 2 : undefined,
+        radiusY: properties.height ? properties.height / 2 : undefined,
+        force: properties.pressure
+    };
+}
+
+function inputKindOf(sequence) {
+    if (sequence.type === 'key') return 'key';
+    if (sequence.type === 'wheel') return 'wheel';
+    if (sequence.type !== 'pointer') return 'none';
+
+    const pointerType = (sequence.parameters && sequence.parameters.pointerType) || 'mouse';
+    return pointerType === 'mouse' ? 'mouse' : 'touch';
+}
+
+function elementIdOf(reference) {
+    if (!reference || typeof reference !== 'object') return null;
+    return reference.elementId || reference[ELEMENT_KEY] || null;
+}
+
+function keyNameOf(value) {
+    return SPECIAL_KEYS[value] || value;
+}
+
+function centerOf(rect) {
+    return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+function sortByTime(items) {
+    return items
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => a.item.timestamp - b.item.timestamp || a.index - b.index)
+        .map(({ item }) => item);
+}
+
+/**
+ * The parts of a biometric report worth attaching to a test report
+ */
+function summaryOf(report) {
+    return {
+        userId: report.userId,
+        sessionId: report.sessionId,
+        compositeBiometricScore: report.compositeBiometricScore,
+        isAuthentic: report.isAuthentic,
+        confidence: report.confidence,
+        enrollment: report.enrollment,
+        anomalies: report.anomalies.map(anomaly => ({ type: anomaly.type, severity: anomaly.severity, description: anomaly.description })),
+        riskFactors: report.riskFactors,
+        recommendations: report.recommendations,
+        dataQuality: report.dataQuality
+    };
+}
+
+module.exports = BiometricCapture;
+module.exports.biometricCapture = new BiometricCapture();
+module.exports.summaryOf = summaryOf;
@@ -0,0 +1,252 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Bumped whenever the stored profile layout changes; files in other formats are not loaded
+const TEMPLATE_FORMAT_VERSION = 3;
+
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// The only strings kept in a stored profile; everything else must be numeric
+const DESCRIPTIVE_FIELDS = ['userId', 'status', 'type'];
+
+/**
+ * 🗄️ Encrypted Biometric Template Store
+ *
+ * Keeps each user's biometric profile (enrollment state, per-modality
+ * metrics and templates) across runs. Biometric templates are personal
+ * data, so:
+ * - only derived values are written: numbers, nested statistics and a few
+ *   descriptive fields. Arrays (raw event traces) and free text are dropped,
+ *   and keystroke statistics are keyed by ngramLabeler() rather than by the
+ *   keys typed
+ * - profiles are encrypted with AES-256-GCM under a local key file, and the
+ *   file name is an HMAC of the user ID rather than the ID itself
+ * - templates not saved within retentionPeriod are deleted on load, and
+ *   remove() erases a user's template outright
+ *
+ * Every save bumps the user's revision, so a loaded profile says which
+ * version of the template it is.
+ *
+ * Layout:
+ *   <rootDir>/<hmac(userId)>.json   { formatVersion, revision, savedAt, iv, authTag, ciphertext }
+ *   <keyPath>                       base64 key, created (mode 600) on first use
+ */
+class BiometricTemplateStore {
+    constructor(rootDir = path.join(__dirname, '../models/biometrics/'), options = {}) {
+        this.rootDir = rootDir;
+        this.keyPath = options.keyPath || path.join(rootDir, 'template.key');
+        this.retentionPeriod = options.retentionPeriod || 365 * 24 * 60 * 60 * 1000;
+        this.key = null;
+    }
+
+    /**
+     * Encrypt and write a user's profile as the next revision
+     * @returns {number} - Revision written
+     */
+    save(userId, profile) {
+        // Revisions carry on across format changes, so re-enrolling never reuses a number
+        const filePath = this.fileFor(userId);
+        const previous = fs.existsSync(filePath) ? this.read(filePath) : null;
+        const revision = previous ? (previous.revision || 0) + 1 : 1;
+
+        const header = { formatVersion: TEMPLATE_FORMAT_VERSION, revision, savedAt: new Date().toISOString() };
+        this.write(filePath, {
+            ...header,
+            ...this.encrypt({ userId, profile: derivedProfileOf(profile) }, this.associatedDataOf(this.fileNameOf(userId), header))
+        });
+        return revision;
+    }
+
+    /**
+     * Latest stored profile of a user (null when none is stored or it is past retention)
+     */
+    load(userId) {
+        const filePath = this.fileFor(userId);
+        const record = this.readRecord(filePath);
+        if (!record || this.isPastRetention(record)) return null;
+
+        const { profile } = this.decrypt(record, this.associatedDataOf(this.fileNameOf(userId), record));
+        return { ...profile, revision: record.revision };
+    }
+
+    /**
+     * Every stored profile by user ID, after deleting those past retention.
+     * Files that cannot be read or decrypted are skipped with a warning so
+     * one bad template does not lock everyone out
+     */
+    loadAll() {
+        this.purgeExpired();
+
+        const profiles = new Map();
+        this.listFiles().forEach(file => {
+            try {
+                const record = this.readRecord(path.join(this.rootDir, file));
+                const { userId, profile } = this.decrypt(record, this.associatedDataOf(path.basename(file, '.json'), record));
+                profiles.set(userId, { ...profile, revision: record.revision });
+            } catch (error) {
+                console.log(`⚠️ Skipping biometric template ${file}: ${error.message}`);
+            }
+        });
+
+        return profiles;
+    }
+
+    /**
+     * Erase a user's template
+     * @returns {boolean} - Whether a template was stored
+     */
+    remove(userId) {
+        const filePath = this.fileFor(userId);
+        if (fs.existsSync(`${filePath}.tmp`)) fs.unlinkSync(`${filePath}.tmp`);
+        if (!fs.existsSync(filePath)) return false;
+
+        fs.unlinkSync(filePath);
+        return true;
+    }
+
+    /**
+     * Delete templates not saved within the retention period
+     * @returns {number} - Templates deleted
+     */
+    purgeExpired(now = Date.now()) {
+        let purged = 0;
+        this.listFiles().forEach(file => {
+            const filePath = path.join(this.rootDir, file);
+            try {
+                if (!this.isPastRetention(this.read(filePath), now)) return;
+            } catch (error) {
+                return;
+            }
+            fs.unlinkSync(filePath);
+            purged++;
+        });
+        return purged;
+    }
+
+    isPastRetention(record, now = Date.now()) {
+        return now - Date.parse(record.savedAt) > this.retentionPeriod;
+    }
+
+    listFiles() {
+        if (!fs.existsSync(this.rootDir)) return [];
+        return fs.readdirSync(this.rootDir).filter(file => file.endsWith('.json'));
+    }
+
+    fileFor(userId) {
+        return path.join(this.rootDir, `${this.fileNameOf(userId)}.json`);
+    }
+
+    /**
+     * Keyed HMAC labelling a key sequence in keystroke templates, so the
+     * digraphs of a password are stored without the characters in them
+     * @returns {function(string[]): string}
+     */
+    ngramLabeler() {
+        const labelKey = crypto.createHmac('sha256', this.getKey()).update('template-ngrams').digest();
+        return keys => crypto.createHmac('sha256', labelKey).update(keys.join('|')).digest('hex').substring(0, 16);
+    }
+
+    fileNameOf(userId) {
+        const nameKey = crypto.createHmac('sha256', this.getKey()).update('template-file-names').digest();
+        return crypto.createHmac('sha256', nameKey).update(String(userId)).digest('hex').substring(0, 32);
+    }
+
+    /**
+     * The file name and plaintext header are authenticated with the payload,
+     * so a template copied onto another user, or with its revision or save
+     * date edited to dodge retention, does not decrypt
+     */
+    associatedDataOf(fileName, header) {
+        return Buffer.from(`${fileName}:${header.formatVersion}:${header.revision}:${header.savedAt}`);
+    }
+
+    encrypt(payload, associatedData) {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(CIPHER, this.getKey(), iv);
+        cipher.setAAD(associatedData);
+
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+        return {
+            iv: iv.toString('base64'),
+            authTag: cipher.getAuthTag().toString('base64'),
+            ciphertext: ciphertext.toString('base64')
+        };
+    }
+
+    decrypt(record, associatedData) {
+        const decipher = crypto.createDecipheriv(CIPHER, this.getKey(), Buffer.from(record.iv, 'base64'));
+        decipher.setAAD(associatedData);
+        decipher.setAuthTag(Buffer.from(record.authTag, 'base64'));
+
+        try {
+            const plaintext = Buffer.concat([decipher.update(Buffer.from(record.ciphertext, 'base64')), decipher.final()]);
+            return JSON.parse(plaintext.toString('utf8'));
+        } catch (error) {
+            throw new Error('Biometric template failed authentication (wrong key or tampered file)');
+        }
+    }
+
+    getKey() {
+        if (this.key) return this.key;
+
+        if (!fs.existsSync(this.keyPath)) {
+            fs.mkdirSync(path.dirname(this.keyPath), { recursive: true });
+            fs.writeFileSync(this.keyPath, crypto.randomBytes(KEY_BYTES).toString('base64'), { mode: 0o600, flag: 'wx' });
+        }
+
+        const key = Buffer.from(fs.readFileSync(this.keyPath, 'utf8').trim(), 'base64');
+        if (key.length !== KEY_BYTES) {
+            throw new Error(`Biometric template key ${this.keyPath} must hold ${KEY_BYTES} base64-encoded bytes`);
+        }
+        this.key = key;
+        return key;
+    }
+
+    readRecord(filePath) {
+        if (!fs.existsSync(filePath)) return null;
+
+        const record = this.read(filePath);
+        if (record.formatVersion !== TEMPLATE_FORMAT_VERSION) {
+            throw new Error(`Unsupported biometric template format ${record.formatVersion} (expected ${TEMPLATE_FORMAT_VERSION})`);
+        }
+        return record;
+    }
+
+    read(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    write(filePath, record) {
+        fs.mkdirSync(this.rootDir, { recursive: true });
+
+        // Write-then-rename so a crash never leaves a half-written template
+        const tempFile = `${filePath}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(record, null, 2), { mode: 0o600 });
+        fs.renameSync(tempFile, filePath);
+    }
+}
+
+/**
+ * Copy of a profile holding only derived values: finite numbers, nulls,
+ * nested objects of those, and the descriptive fields. Arrays are dropped,
+ * so raw event traces never reach the disk
+ */
+function derivedProfileOf(value, field = null) {
+    if (value === null || (typeof value === 'number' && Number.isFinite(value))) return value;
+    if (typeof value === 'string') return DESCRIPTIVE_FIELDS.includes(field) ? value : undefined;
+    if (typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+    const derived = {};
+    Object.entries(value).forEach(([key, item]) => {
+        const kept = derivedProfileOf(item, key);
+        if (kept !== undefined) derived[key] = kept;
+    });
+    return derived;
+}
+
+module.exports = BiometricTemplateStore;
+module.exports.TEMPLATE_FORMAT_VERSION = TEMPLATE_FORMAT_VERSION;
+module.exports.derivedProfileOf = derivedProfileOf;
@@ -0,0 +1,406 @@
+const Humanizer = require('./humanizer');
+const { DEFAULT_MOTOR_MODEL } = require('./humanizer');
+
+/**
+ * 🎭 Bot Personas for adversarial test scenarios
+ *
+ * Scripted adversaries that log in, bet and log out through LoginPage,
+ * BettingPage and ProfilePage, each with its own pacing and input strategy,
+ * so specs can measure which detectors catch which kind of automation:
+ * - naive_script: driver input, every step fired as soon as the last returns
+ * - jittered_script: W3C actions along straight lines at a fixed sample
+ *   rate, with uniform noise on every timing and landing point
+ * - replayed_human: plays back a recording of a real person's input
+ * - slow_and_low: a bonus farmer with human-like input at a human pace,
+ *   micro stakes on promotions only, across several accounts on one device
+ * - human: the control, which no detector should flag
+ *
+ * An input strategy has the Humanizer's interface (thinkTime, tapActions,
+ * clickActions, typingActions, swipeActions) and is handed to
+ * Page.useInputStrategy; null leaves input to the driver.
+ */
+class BotPersona {
+    /**
+     * @param {object} definition - A persona from PERSONAS
+     * @param {object} options - { seed, recording, record, random }
+     *                           record: keep what the persona plays in this.recording
+     *                           recording: what replayed_human plays back
+     */
+    constructor(definition, options = {}) {
+        this.definition = definition;
+        this.name = definition.name;
+        this.random = options.random || Math.random;
+
+        const input = definition.input(options);
+        this.recorder = options.record && input ? new InputRecorder(input) : null;
+        this.input = this.recorder || input;
+    }
+
+    /**
+     * Input played so far, when recording
+     */
+    get recording() {
+        return this.recorder ? this.recorder.recording : null;
+    }
+
+    /**
+     * Log in, optionally claim a bonus, browse the matches and back the
+     * first selection of each in turn, open the profile and log out
+     * @param {object} pages - { login, betting, profile } page objects
+     * @param {object} user - { username, password, averageStake }
+     * @param {object} options - { pause(ms), now(), deviceId, ipAddress, events };
+     *                           pause defaults to browser.pause and now to
+     *                           Date.now, events are the listed matches
+     *                           ({ name, odds: [{ name, value }] })
+     * @returns {object} - { persona, userId, actions } with the business
+     *                     actions (login, bet_placed, logout) for MLFraudDetector
+     */
+    async run(pages, user, options = {}) {
+        const { login, betting, profile } = pages;
+        const pause = options.pause || (ms => browser.pause(ms));
+        const now = options.now || Date.now;
+        const wait = () => pause(Math.round(this.definition.pause(this.random)));
+        const actions = [];
+
+        login.useInputStrategy(this.input);
+        try {
+            await login.login(user.username, user.password);
+            actions.push({
+                type: 'login',
+                timestamp: now(),
+                deviceId: options.deviceId,
+                ipAddress: options.ipAddress,
+                success: true
+            });
+
+            if (this.definition.claimsBonus) {
+                await wait();
+                await betting.claimBonus();
+            }
+
+            for (let i = 0; i < this.definition.bets; i++) {
+                const stake = this.definition.stake(user, i, this.random);
+                const event = (options.events || [])[i % 3];
+                await wait();
+                await betting.browseMatches();
+                await wait();
+                await betting.selectMatch(i % 3);
+                await wait();
+                await betting.selectOdds(0);
+                await wait();
+                await betting.placebet(stake);
+                actions.push({
+                    type: 'bet_placed',
+                    timestamp: now(),
+                    amount: stake,
+                    odds: event ? event.odds[0].value : undefined,
+                    eventId: event ? event.name : `match_${i % 3}`,
+                    market: 'match_result',
+                    selection: event ? event.odds[0].name : 0,
+                    promotion: this.definition.claimsBonus ? 'welcome_bonus' : undefined
+                });
+            }
+
+            await wait();
+            await profile.openProfile();
+            await wait();
+            await profile.logout();
+            actions.push({ type: 'logout', timestamp: now() });
+        } finally {
+            login.useInputStrategy(null);
+        }
+
+        return { persona: this.name, userId: user.username, actions };
+    }
+}
+
+/**
+ * Input of a simple automation script: pointer moves in a straight line at
+ * a fixed sample rate, keys pressed to a fixed rhythm. With jitter every
+ * timing is drawn uniformly within ±jitter of its base and landing points
+ * within ±positionJitter px, which is how scripts usually try to look human
+ */
+class ScriptedInput {
+    constructor(options = {}) {
+        this.options = {
+            jitter: 0, // share of each timing
+            positionJitter: 0, // px
+            thinkTime: 150, // ms before each tap or click
+            dwell: 50, // ms a key or finger is held
+            flight: 90, // ms between key presses
+            moveDuration: 250, // ms of each pointer move
+            sampleInterval: 10, // ms between pointer moves
+            random: Math.random,
+            ...options
+        };
+        this.pointer = { x: 0, y: 0 };
+    }
+
+    thinkTime() {
+        return this.timing(this.options.thinkTime);
+    }
+
+    typingActions(text, id = 'keyboard') {
+        const actions = [];
+        [...String(text)].forEach((char, i) => {
+            if (i > 0) actions.push({ type: 'pause', duration: this.timing(this.options.flight) });
+            actions.push({ type: 'keyDown', value: char });
+            actions.push({ type: 'pause', duration: this.timing(this.options.dwell) });
+            actions.push({ type: 'keyUp', value: char });
+        });
+        return { type: 'key', id, actions };
+    }
+
+    tapActions(rect, id = 'finger1') {
+        const target = this.targetOf(rect);
+        return {
+            type: 'pointer',
+            id,
+            parameters: { pointerType: 'touch' },
+            actions: [
+                { type: 'pointerMove', duration: 0, x: target.x, y: target.y },
+                { type: 'pointerDown', button: 0 },
+                { type: 'pause', duration: this.timing(this.options.dwell) },
+                { type: 'pointerUp', button: 0 }
+            ]
+        };
+    }
+
+    clickActions(rect, id = 'mouse') {
+        const target = this.targetOf(rect);
+        const actions = [
+            ...this.lineActions(this.pointer, target),
+            { type: 'pointerDown', button: 0 },
+            { type: 'pause', duration: this.timing(this.options.dwell) },
+            { type: 'pointerUp', button: 0 }
+        ];
+        this.pointer = target;
+        return { type: 'pointer', id, parameters: { pointerType: 'mouse' }, actions };
+    }
+
+    swipeActions(from, to, id = 'finger1') {
+        return {
+            type: 'pointer',
+            id,
+            parameters: { pointerType: 'touch' },
+            actions: [
+                { type: 'pointerMove', duration: 0, x: Math.round(from.x), y: Math.round(from.y) },
+                { type: 'pointerDown', button: 0 },
+                ...this.lineActions(from, to),
+                { type: 'pointerUp', button: 0 }
+            ]
+        };
+    }
+
+    /**
+     * Evenly spaced pointerMove actions along the straight line
+     */
+    lineActions(from, to) {
+        const steps = Math.max(1, Math.round(this.options.moveDuration / this.options.sampleInterval));
+        const duration = this.timing(this.options.moveDuration);
+        return Array.from({ length: steps }, (_, i) => ({
+            type: 'pointerMove',
+            duration: Math.round(duration / steps),
+            x: Math.round(from.x + (to.x - from.x) * (i + 1) / steps),
+            y: Math.round(from.y + (to.y - from.y) * (i + 1) / steps)
+        }));
+    }
+
+    targetOf(rect) {
+        const offset = () => (this.options.random() * 2 - 1) * this.options.positionJitter;
+        return {
+            x: Math.round(rect.x + rect.width / 2 + offset()),
+            y: Math.round(rect.y + rect.height / 2 + offset())
+        };
+    }
+
+    timing(base) {
+        return Math.round(base * (1 + (this.options.random() * 2 - 1) * this.options.jitter));
+    }
+}
+
+/**
+ * Wraps an input strategy and keeps everything it plays, with the element
+ * rects taps and clicks were aimed at, so the session can be played back
+ */
+class InputRecorder {
+    constructor(strategy) {
+        this.strategy = strategy;
+        this.recording = { thinkTimes: [], taps: [], clicks: [], typing: [], swipes: [] };
+    }
+
+    thinkTime() {
+        const time = this.strategy.thinkTime();
+        this.recording.thinkTimes.push(time);
+        return time;
+    }
+
+    tapActions(rect, id) {
+        const sequence = this.strategy.tapActions(rect, id);
+        this.recording.taps.push({ rect, sequence });
+        return sequence;
+    }
+
+    clickActions(rect, id) {
+        const sequence = this.strategy.clickActions(rect, id);
+        this.recording.clicks.push({ rect, sequence });
+        return sequence;
+    }
+
+    typingActions(text, id) {
+        const sequence = this.strategy.typingActions(text, id);
+        this.recording.typing.push({ text, sequence });
+        return sequence;
+    }
+
+    swipeActions(from, to, id) {
+        const sequence = this.strategy.swipeActions(from, to, id);
+        this.recording.swipes.push({ from, sequence });
+        return sequence;
+    }
+}
+
+/**
+ * Plays a recording back in order, wrapping around when it runs out.
+ * Gestures are moved onto the element now targeted, keeping their shape and
+ * timing; typed text keeps the recorded key rhythm with the new characters
+ */
+class ReplayInput {
+    constructor(recording) {
+        this.recording = recording;
+        this.cursors = { thinkTimes: 0, taps: 0, clicks: 0, typing: 0, swipes: 0 };
+    }
+
+    thinkTime() {
+        return this.next('thinkTimes');
+    }
+
+    tapActions(rect) {
+        const { rect: recorded, sequence } = this.next('taps');
+        return shiftSequence(sequence, centreOf(rect).x - centreOf(recorded).x, centreOf(rect).y - centreOf(recorded).y);
+    }
+
+    clickActions(rect) {
+        const { rect: recorded, sequence } = this.next('clicks');
+        return shiftSequence(sequence, centreOf(rect).x - centreOf(recorded).x, centreOf(rect).y - centreOf(recorded).y);
+    }
+
+    typingActions(text) {
+        const rhythm = this.next('typing').sequence;
+        const chars = [...String(text)];
+        const keys = [];
+        const actions = [];
+
+        // Each recorded keyDown takes the next character; its keyUp releases that character
+        rhythm.actions.forEach(action => {
+            if (action.type === 'pause') {
+                actions.push({ ...action });
+            } else if (action.type === 'keyDown' && keys.length < chars.length) {
+                keys.push({ recorded: action.value, value: chars[keys.length] });
+                actions.push({ type: 'keyDown', value: chars[keys.length - 1] });
+            } else if (action.type === 'keyUp') {
+                const index = keys.findIndex(key => key.recorded === action.value && !key.released);
+                if (index !== -1) {
+                    keys[index].released = true;
+                    actions.push({ type: 'keyUp', value: keys[index].value });
+                }
+            }
+        });
+
+        // Text longer than the recording is typed to its last interval
+        const lastPause = rhythm.actions.filter(action => action.type === 'pause').pop() || { duration: 100 };
+        chars.slice(keys.length).forEach(char => {
+            actions.push({ type: 'pause', duration: lastPause.duration });
+            actions.push({ type: 'keyDown', value: char });
+            actions.push({ type: 'keyUp', value: char });
+        });
+
+        return { ...rhythm, actions };
+    }
+
+    swipeActions(from) {
+        const { from: recorded, sequence } = this.next('swipes');
+        return shiftSequence(sequence, from.x - recorded.x, from.y - recorded.y);
+    }
+
+    next(kind) {
+        const entries = this.recording[kind];
+        if (!entries || entries.length === 0) {
+            throw new Error(`Recording has no ${kind} to replay`);
+        }
+        const entry = entries[this.cursors[kind] % entries.length];
+        this.cursors[kind]++;
+        return entry;
+    }
+}
+
+/**
+ * The personas, by name. A definition says how the persona paces itself
+ * between steps, what it stakes and which input strategy it drives with
+ */
+const PERSONAS = {
+    human: {
+        name: 'human',
+        description: 'A person with their own motor model, reading before each step',
+        bets: 2,
+        claimsBonus: false,
+        pause: random => 1500 + random() * 4000,
+        stake: (user, i, random) => Math.round((user.averageStake || 50) * (0.6 + random() * 0.8)),
+        input: options => new Humanizer(options.motorModel || DEFAULT_MOTOR_MODEL, { seed: options.seed })
+    },
+    naive_script: {
+        name: 'naive_script',
+        description: 'Driver clicks and setValue, each step as soon as the last returns',
+        bets: 5,
+        claimsBonus: false,
+        pause: () => 0,
+        stake: () => 100,
+        input: () => null
+    },
+    jittered_script: {
+        name: 'jittered_script',
+        description: 'Straight-line W3C actions at a fixed sample rate with uniform timing and position noise',
+        bets: 4,
+        claimsBonus: false,
+        pause: random => 300 + random() * 600,
+        stake: (user, i, random) => 50 + Math.round(random() * 100),
+        input: options => new ScriptedInput({ jitter: 0.3, positionJitter: 6, random: options.random })
+    },
+    replayed_human: {
+        name: 'replayed_human',
+        description: 'Plays back a recording of a real person\'s input and pacing',
+        bets: 2,
+        claimsBonus: false,
+        pause: random => 1500 + random() * 4000,
+        stake: (user, i, random) => Math.round((user.averageStake || 50) * (0.6 + random() * 0.8)),
+        input: options => new ReplayInput(options.recording)
+    },
+    slow_and_low: {
+        name: 'slow_and_low',
+        description: 'Bonus farmer: human-like input at a human pace, micro stakes on promotions, many accounts',
+        bets: 3,
+        claimsBonus: true,
+        pause: random => 20000 + random() * 40000,
+        stake: (user, i, random) => Number((1 + random() * 4).toFixed(2)),
+        input: options => new Humanizer(DEFAULT_MOTOR_MODEL, { seed: options.seed })
+    }
+};
+
+function shiftSequence(sequence, dx, dy) {
+    return {
+        ...sequence,
+        actions: sequence.actions.map(action => (action.type === 'pointerMove' && action.origin === undefined
+            ? { ...action, x: Math.round(action.x + dx), y: Math.round(action.y + dy) }
+            : { ...action }))
+    };
+}
+
+function centreOf(rect) {
+    return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+module.exports = BotPersona;
+module.exports.PERSONAS = PERSONAS;
+module.exports.ScriptedInput = ScriptedInput;
+module.exports.InputRecorder = InputRecorder;
+module.exports.ReplayInput = ReplayInput;
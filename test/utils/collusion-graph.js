@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { toMillis } = require('./feature-extractor');
+
+// Base weight of one piece of evidence linking two users
+const EVIDENCE_WEIGHTS = {
+    ip: 0.3,
+    device: 0.5,
+    instrument: 0.8,
+    opposing_bet: 0.35,
+    identical_bet: 0.15
+};
+
+/**
+ * 🕸️ User-to-User Collusion Graph
+ *
+ * Links users that share IP addresses, devices or payment instruments, or
+ * that bet on the same market close together in time: opposite selections
+ * (chip dumping, multi-account arbitrage) or identical ones (coordinated
+ * syndicates).
+ *
+ * Each edge keeps its evidence, and weights are derived when read:
+ * - shared entities are discounted by how many users share them, so a
+ *   public Wi-Fi IP counts far less than an IP used by two accounts only
+ * - evidence combines as a noisy-OR, 1 - Π(1 - w), so the weight stays in [0, 1)
+ *
+ * Communities are the connected components over edges of at least
+ * minEdgeWeight. Their coordination score is mean edge weight scaled by
+ * density, so a tight ring scores higher than a loose chain.
+ */
+class CollusionGraph {
+    constructor(config = {}) {
+        this.config = {
+            coordinationWindow: 10 * 60 * 1000,
+            minEdgeWeight: 0.3,
+            maxBetsPerMarket: 500,
+            ...config,
+            evidenceWeights: { ...EVIDENCE_WEIGHTS, ...config.evidenceWeights }
+        };
+
+        this.nodes = new Map();
+        this.entities = new Map();
+        this.markets = new Map();
+        this.edges = new Map();
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    /**
+     * Fold a user's activity into the graph (safe to call again with overlapping activity)
+     * @param {string} userId
+     * @param {object} activity - { ips, devices, instruments, bets } from
+     *     BehaviorFeatureExtractor.extractNetworkEntities
+     */
+    addUserActivity(userId, activity = {}) {
+        const node = this.getOrCreateNode(userId);
+
+        [['ip', activity.ips], ['device', activity.devices], ['instrument', activity.instruments]]
+            .forEach(([kind, values]) => (values || []).forEach(value => this.linkEntity(userId, node, kind, value)));
+
+        (activity.bets || []).forEach(bet => this.linkBet(userId, bet));
+        node.lastSeen = Date.now();
+    }
+
+    /**
+     * Current weight of the edge between two users
+     */
+    edgeWeight(userA, userB) {
+        const edge = this.edges.get(userA)?.get(userB);
+        if (!edge) return 0;
+
+        let survival = 1;
+        edge.forEach(evidence => {
+            survival *= 1 - this.evidenceWeight(evidence);
+        });
+        return 1 - survival;
+    }
+
+    /**
+     * Neighbours by descending edge weight, with the evidence behind each link
+     */
+    getNeighbors(userId) {
+        const edges = this.edges.get(userId);
+        if (!edges) return [];
+
+        return [...edges.entries()]
+            .map(([neighborId, evidence]) => ({
+                userId: neighborId,
+                weight: this.edgeWeight(userId, neighborId),
+                reasons: countBy([...evidence.values()].map(item => item.type))
+            }))
+            .sort((a, b) => b.weight - a.weight);
+    }
+
+    /**
+     * Largest share of this user's entities of one kind that a single other user also has
+     * @param {string} kind - 'ip' | 'device' | 'instrument'
+     */
+    entityOverlap(userId, kind) {
+        const node = this.nodes.get(userId);
+        if (!node || node.entities[kind].size === 0) return 0;
+
+        const shared = new Map();
+        node.entities[kind].forEach(value => {
+            this.entities.get(`${kind}:${value}`).forEach(otherId => {
+                if (otherId !== userId) shared.set(otherId, (shared.get(otherId) || 0) + 1);
+            });
+        });
+
+        return shared.size > 0 ? Math.max(...shared.values()) / node.entities[kind].size : 0;
+    }
+
+    /**
+     * Share of this user's bets matched by another user's bet in the window
+     * @param {string} type - 'opposing_bet' | 'identical_bet'
+     */
+    betOverlap(userId, type) {
+        const node = this.nodes.get(userId);
+        if (!node || node.betKeys.size === 0) return 0;
+
+        const matched = new Set();
+        (this.edges.get(userId) || new Map()).forEach(evidence => {
+            evidence.forEach(item => {
+                if (item.type === type) matched.add(item.betKey);
+            });
+        });
+        return matched.size / node.betKeys.size;
+    }
+
+    /**
+     * Community containing the user (null when no strong edge touches them)
+     */
+    getCommunity(userId) {
+        if (!this.nodes.has(userId)) return null;
+
+        const members = new Set([userId]);
+        const queue = [userId];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            (this.edges.get(current) || new Map()).forEach((_, neighborId) => {
+                if (!members.has(neighborId) && this.edgeWeight(current, neighborId) >= this.config.minEdgeWeight) {
+                    members.add(neighborId);
+                    queue.push(neighborId);
+                }
+            });
+        }
+
+        return members.size > 1 ? this.describeCommunity([...members].sort()) : null;
+    }
+
+    /**
+     * All communities, strongest first
+     */
+    getCommunities() {
+        const seen = new Set();
+        const communities = [];
+
+        this.nodes.forEach((_, userId) => {
+            if (seen.has(userId)) return;
+            const community = this.getCommunity(userId);
+            if (!community) return;
+
+            community.members.forEach(member => seen.add(member));
+            communities.push(community);
+        });
+
+        return communities.sort((a, b) => b.coordinationScore - a.coordinationScore);
+    }
+
+    describeCommunity(members) {
+        const weights = [];
+        const reasons = {};
+
+        members.forEach((userA, i) => {
+            members.slice(i + 1).forEach(userB => {
+                const weight = this.edgeWeight(userA, userB);
+                if (weight < this.config.minEdgeWeight) return;
+
+                weights.push(weight);
+                this.edges.get(userA).get(userB).forEach(item => {
+                    reasons[item.type] = (reasons[item.type] || 0) + 1;
+                });
+            });
+        });
+
+        const possibleEdges = members.length * (members.length - 1) / 2;
+        const density = weights.length / possibleEdges;
+        const cohesion = weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+
+        return {
+            id: `community-${crypto.createHash('sha256').update(members.join('|')).digest('hex').substring(0, 12)}`,
+            members,
+            size: members.length,
+            density,
+            cohesion,
+            coordinationScore: Math.min(1, cohesion * (0.5 + 0.5 * density)),
+            reasons
+        };
+    }
+
+    getOrCreateNode(userId) {
+        if (!this.nodes.has(userId)) {
+            this.nodes.set(userId, {
+                entities: { ip: new Set(), device: new Set(), instrument: new Set() },
+                betKeys: new Set(),
+                lastSeen: 0
+            });
+        }
+        return this.nodes.get(userId);
+    }
+
+    linkEntity(userId, node, kind, value) {
+        if (value === undefined || value === null || value === '') return;
+
+        const entityKey = `${kind}:${value}`;
+        if (!this.entities.has(entityKey)) this.entities.set(entityKey, new Set());
+        const users = this.entities.get(entityKey);
+
+        node.entities[kind].add(String(value));
+        users.add(userId);
+        users.forEach(otherId => {
+            if (otherId !== userId) this.addEvidence(userId, otherId, entityKey, { type: kind, entityKey });
+        });
+    }
+
+    linkBet(userId, bet) {
+        if (!bet.eventId || bet.selection === undefined) return;
+
+        const marketKey = `${bet.eventId}:${bet.market || ''}`;
+        const time = toMillis(bet.timestamp);
+        const betKey = `${marketKey}:${bet.selection}:${time}`;
+        const node = this.nodes.get(userId);
+        if (node.betKeys.has(betKey)) return;
+        node.betKeys.add(betKey);
+
+        if (!this.markets.has(marketKey)) this.markets.set(marketKey, []);
+        const marketBets = this.markets.get(marketKey);
+
+        marketBets.forEach(other => {
+            if (other.userId === userId || Math.abs(other.time - time) > this.config.coordinationWindow) return;
+
+            const type = other.selection === bet.selection ? 'identical_bet' : 'opposing_bet';
+            const [first, second] = [betKey, other.betKey].sort();
+            this.addEvidence(userId, other.userId, `${type}:${first}|${second}`, { type, betKey, otherBetKey: other.betKey });
+        });
+
+        marketBets.push({ userId, selection: bet.selection, time, betKey });
+        if (marketBets.length > this.config.maxBetsPerMarket) marketBets.shift();
+    }
+
+    addEvidence(userA, userB, key, evidence) {
+        this.getOrCreateNode(userB);
+        [[userA, userB, evidence], [userB, userA, mirrorEvidence(evidence)]].forEach(([from, to, item]) => {
+            if (!this.edges.has(from)) this.edges.set(from, new Map());
+            if (!this.edges.get(from).has(to)) this.edges.get(from).set(to, new Map());
+            this.edges.get(from).get(to).set(key, item);
+        });
+    }
+
+    evidenceWeight(evidence) {
+        const base = this.config.evidenceWeights[evidence.type] || 0;
+        if (!evidence.entityKey) return base;
+
+        // An entity shared by many users says less about any one pair
+        const sharers = this.entities.get(evidence.entityKey).size;
+        return base / Math.max(1, Math.log2(sharers));
+    }
+}
+
+// Bet evidence is stored from each user's point of view
+function mirrorEvidence(evidence) {
+    if (!evidence.betKey) return evidence;
+    return { ...evidence, betKey: evidence.otherBetKey, otherBetKey: evidence.betKey };
+}
+
+function countBy(values) {
+    return values.reduce((counts, value) => {
+        counts[value] = (counts[value] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+module.exports = CollusionGraph;
+module.exports.EVIDENCE_WEIGHTS = EVIDENCE_WEIGHTS;
@@ -92,6 +92,16 @@ class ConfigUtil {
         };
     }
     
+    /**
+     * Get the current environment's overrides of MLFraudDetector's scoring
+     * defaults (composite weights, risk bands), ready to pass to the detector
+     * constructor; {} when the environment keeps the defaults
+     */
+    getScoringSettings() {
+        this.init();
+        return this.envData.envSettings?.scoring || {};
+    }
+    
     /**
      * Log environment info to Allure report
      */
@@ -102,6 +112,7 @@ class ConfigUtil {
             environment: this.env,
             fraudThresholds: this.getFraudThresholds(),
             timeoutSettings: this.getTimeoutSettings(),
+            scoringSettings: this.getScoringSettings(),
             testData: {
                 normalUserCount: this.getNormalUsers().length,
                 suspiciousUserCount: this.getSuspiciousUsers().length,
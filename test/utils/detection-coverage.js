@@ -0,0 +1,158 @@
+// Detectors in the order they appear in the matrix
+const DETECTORS = ['timing', 'biometrics', 'ml'];
+
+// PerformanceUtil timing risk (0-100) from which a session counts as caught
+const TIMING_RISK_THRESHOLD = 60;
+
+// Biometric anomalies that point at automation. A sudden behaviour change
+// points at someone else taking over the account, which a script is not
+const AUTOMATION_ANOMALIES = ['impossible_mouse_velocity', 'overly_consistent_timing', 'replayed_trajectory', 'synthetic_input'];
+
+// MLFraudDetector risk levels that count as caught, whatever the flags
+const ML_CAUGHT_LEVELS = ['high', 'critical'];
+
+/**
+ * 🧮 Detection coverage matrix
+ *
+ * Which detector catches which adversary persona. Each cell holds a
+ * verdict: whether the detector caught the persona's session, the score it
+ * gave and the evidence it named (pattern, anomaly or flag types). Verdicts
+ * come from the detectors' own outputs:
+ * - timing: PerformanceUtil's timing risk score and suspicious patterns
+ * - biometrics: anomalies in the BehavioralBiometricsAnalyzer report
+ * - ml: alert flags and risk level of the MLFraudDetector analysis
+ *
+ * A persona run several times (e.g. one run per account) is caught when any
+ * run is caught.
+ */
+class DetectionCoverage {
+    constructor() {
+        this.cells = new Map();
+    }
+
+    /**
+     * Add a detector's verdict on one session of a persona
+     * @param {string} persona - Persona name
+     * @param {string} detector - One of DETECTORS
+     * @param {object} verdict - { caught, score, evidence } (see the *Verdict functions)
+     */
+    record(persona, detector, verdict) {
+        if (!DETECTORS.includes(detector)) {
+            throw new Error(`Unknown detector: ${detector}`);
+        }
+        if (!this.cells.has(persona)) {
+            this.cells.set(persona, {});
+        }
+
+        const row = this.cells.get(persona);
+        const previous = row[detector];
+        row[detector] = previous ? {
+            caught: previous.caught || verdict.caught,
+            score: Math.max(previous.score, verdict.score),
+            evidence: unique([...previous.evidence, ...verdict.evidence])
+        } : { ...verdict, evidence: unique(verdict.evidence) };
+    }
+
+    /**
+     * Caught or not, per persona and detector (null where never measured)
+     * @returns {object} - { persona: { timing, biometrics, ml } }
+     */
+    matrix() {
+        const matrix = {};
+        this.cells.forEach((row, persona) => {
+            matrix[persona] = {};
+            DETECTORS.forEach(detector => {
+                matrix[persona][detector] = row[detector] ? row[detector].caught : null;
+            });
+        });
+        return matrix;
+    }
+
+    /**
+     * Personas no detector caught
+     * @param {string[]} controls - Personas expected to pass, e.g. ['human']
+     */
+    gaps(controls = []) {
+        return Object.entries(this.matrix())
+            .filter(([persona, row]) => !controls.includes(persona) && !DETECTORS.some(detector => row[detector]))
+            .map(([persona]) => persona);
+    }
+
+    /**
+     * Full verdicts, for attaching to a report
+     */
+    toJSON() {
+        const report = {};
+        this.cells.forEach((row, persona) => {
+            report[persona] = row;
+        });
+        return report;
+    }
+
+    /**
+     * The matrix as a fixed-width text table
+     */
+    toTable() {
+        const personas = [...this.cells.keys()];
+        const width = Math.max('persona'.length, ...personas.map(persona => persona.length));
+        const cell = value => (value === null ? '-' : value ? 'CAUGHT' : 'missed').padEnd(12);
+        const matrix = this.matrix();
+
+        return [
+            `${'persona'.padEnd(width)}  ${DETECTORS.map(detector => detector.padEnd(12)).join('')}`.trimEnd(),
+            ...personas.map(persona => `${persona.padEnd(width)}  ${DETECTORS.map(detector => cell(matrix[persona][detector])).join('')}`.trimEnd())
+        ].join('\n');
+    }
+}
+
+/**
+ * PerformanceUtil's view of a session
+ * @param {object} performance - PerformanceUtil (suspiciousPatterns, calculateTimingRiskScore)
+ */
+function timingVerdict(performance, threshold = TIMING_RISK_THRESHOLD) {
+    const score = performance.calculateTimingRiskScore();
+    return {
+        caught: score >= threshold,
+        score,
+        evidence: unique(performance.suspiciousPatterns.map(pattern => pattern.type))
+    };
+}
+
+/**
+ * BehavioralBiometricsAnalyzer's view of a session
+ * @param {object|null} report - Biometric report from endSession
+ */
+function biometricVerdict(report) {
+    const anomalies = report ? report.anomalies : [];
+    const automation = anomalies.filter(anomaly => AUTOMATION_ANOMALIES.includes(anomaly.type));
+    return {
+        caught: automation.length > 0,
+        score: automation.length,
+        evidence: unique(anomalies.map(anomaly => anomaly.type))
+    };
+}
+
+/**
+ * MLFraudDetector's view of a session
+ * @param {object} analysis - Result of analyzeUserBehavior
+ */
+function mlVerdict(analysis) {
+    const flags = analysis.flags || [];
+    return {
+        caught: flags.length > 0 || ML_CAUGHT_LEVELS.includes(analysis.riskLevel),
+        score: analysis.confidenceScore || 0,
+        evidence: unique([...flags, ...(analysis.fraudIndicators || [])])
+    };
+}
+
+function unique(values) {
+    return [...new Set(values)];
+}
+
+module.exports = DetectionCoverage;
+module.exports.DETECTORS = DETECTORS;
+module.exports.TIMING_RISK_THRESHOLD = TIMING_RISK_THRESHOLD;
+module.exports.AUTOMATION_ANOMALIES = AUTOMATION_ANOMALIES;
+module.exports.timingVerdict = timingVerdict;
+module.exports.biometricVerdict = biometricVerdict;
+module.exports.mlVerdict = mlVerdict;
@@ -0,0 +1,263 @@
+const path = require('path');
+const fs = require('fs');
+const { toMillis } = require('./feature-extractor');
+
+const DEFAULT_SWEEP = Array.from({ length: 21 }, (_, i) => Math.round(i * 5) / 100);
+
+/**
+ * 📏 Offline Detector Evaluation Harness
+ *
+ * Replays a labelled scenario corpus through one or more fraud detectors and
+ * measures how well their scores separate fraudulent from legitimate users.
+ *
+ * Corpus format (JSONL, one scenario per line):
+ *   { "id": "...", "label": 1 | 0, "profile": "...", "scenario": "...", "actions": [...] }
+ * `label` is 1 for fraud, `actions` follow the schema in feature-extractor.js.
+ *
+ * Features:
+ * - Confusion matrix, precision, recall, F1 and accuracy at a fixed threshold
+ * - Rank-based ROC-AUC
+ * - Threshold sweeps to pick operating points
+ * - JSON report output
+ */
+class DetectorEvaluator {
+    constructor(options = {}) {
+        this.outputDir = options.outputDir || path.join(process.cwd(), 'test-results', 'evaluation');
+        this.thresholds = options.thresholds || DEFAULT_SWEEP;
+        this.detectors = [];
+    }
+
+    /**
+     * Register a detector under evaluation
+     * @param {string} name - Report name of the detector
+     * @param {Function} score - async (scenario) => fraud score in [0, 1]
+     * @param {object} options - { threshold } operating point for the confusion matrix
+     */
+    addDetector(name, score, options = {}) {
+        this.detectors.push({ name, score, threshold: options.threshold ?? 0.5 });
+        return this;
+    }
+
+    /**
+     * 🔁 Replay the corpus through every registered detector
+     * @param {object[]} corpus - Labelled scenarios
+     * @returns {object} - Evaluation report
+     */
+    async evaluate(corpus) {
+        const report = {
+            generatedAt: new Date().toISOString(),
+            corpus: {
+                size: corpus.length,
+                positives: corpus.filter(scenario => scenario.label === 1).length,
+                negatives: corpus.filter(scenario => scenario.label === 0).length
+            },
+            detectors: []
+        };
+
+        for (const detector of this.detectors) {
+            const results = [];
+            const errors = [];
+
+            for (const scenario of corpus) {
+                try {
+                    const score = await detector.score(scenario);
+                    results.push({ id: scenario.id, label: scenario.label, score: clamp(score) });
+                } catch (error) {
+                    errors.push({ id: scenario.id, error: error.message });
+                }
+            }
+
+            report.detectors.push({
+                detector: detector.name,
+                ...summarizeScores(results, detector.threshold, this.thresholds),
+                errors,
+                results
+            });
+        }
+
+        return report;
+    }
+
+    /**
+     * 💾 Write a report as JSON
+     * @returns {string} - Path of the written file
+     */
+    save(report, fileName = 'evaluation-report.json') {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+        const filePath = path.join(this.outputDir, fileName);
+        fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+        return filePath;
+    }
+}
+
+/**
+ * Read a labelled JSONL corpus
+ */
+function loadCorpus(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map((line, index) => {
+            const scenario = JSON.parse(line);
+            if (scenario.label !== 0 && scenario.label !== 1) {
+                throw new Error(`Scenario on line ${index + 1} has no 0/1 label`);
+            }
+            return scenario;
+        });
+}
+
+/**
+ * Metrics for scored samples at one threshold plus a threshold sweep
+ * @param {object[]} samples - [{ label, score }]
+ */
+function summarizeScores(samples, threshold = 0.5, thresholds = DEFAULT_SWEEP) {
+    const sweep = thresholdSweep(samples, thresholds);
+    const best = sweep.reduce((top, point) => (point.f1 > top.f1 ? point : top), sweep[0]);
+    const matrix = confusionMatrix(samples, threshold);
+
+    return {
+        threshold,
+        confusionMatrix: matrix,
+        ...classificationMetrics(matrix),
+        rocAuc: rocAuc(samples),
+        bestThreshold: best ? best.threshold : null,
+        thresholdSweep: sweep
+    };
+}
+
+/**
+ * Counts of true/false positives/negatives; score >= threshold means fraud
+ */
+function confusionMatrix(samples, threshold) {
+    const matrix = { tp: 0, fp: 0, tn: 0, fn: 0 };
+
+    samples.forEach(({ label, score }) => {
+        const predicted = score >= threshold;
+        if (predicted && label === 1) matrix.tp++;
+        else if (predicted) matrix.fp++;
+        else if (label === 1) matrix.fn++;
+        else matrix.tn++;
+    });
+
+    return matrix;
+}
+
+function classificationMetrics({ tp, fp, tn, fn }) {
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+    const total = tp + fp + tn + fn;
+
+    return {
+        precision,
+        recall,
+        f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+        accuracy: total > 0 ? (tp + tn) / total : 0,
+        falsePositiveRate: fp + tn > 0 ? fp / (fp + tn) : 0
+    };
+}
+
+/**
+ * Area under the ROC curve via the Mann-Whitney rank statistic.
+ * Tied scores get their average rank, so a constant detector scores 0.5.
+ * @returns {number|null} - null when only one class is present
+ */
+function rocAuc(samples) {
+    const positives = samples.filter(sample => sample.label === 1).length;
+    const negatives = samples.length - positives;
+    if (positives === 0 || negatives === 0) return null;
+
+    const sorted = samples.slice().sort((a, b) => a.score - b.score);
+    let positiveRankSum = 0;
+
+    for (let i = 0; i < sorted.length;) {
+        let j = i;
+        while (j < sorted.length && sorted[j].score === sorted[i].score) j++;
+
+        // Ranks are 1-based; ties i..j-1 share the average rank
+        const averageRank = (i + 1 + j) / 2;
+        for (let k = i; k < j; k++) {
+            if (sorted[k].label === 1) positiveRankSum += averageRank;
+        }
+        i = j;
+    }
+
+    return (positiveRankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+function thresholdSweep(samples, thresholds = DEFAULT_SWEEP) {
+    return thresholds.map(threshold => ({
+        threshold,
+        ...classificationMetrics(confusionMatrix(samples, threshold))
+    }));
+}
+
+/**
+ * Scorer replaying a scenario through MLFraudDetector.analyzeUserBehavior
+ */
+function mlDetectorScorer(detector) {
+    return async scenario => {
+        const analysis = await detector.analyzeUserBehavior(scenario.actions, scenario.id);
+        if (analysis.error) {
+            throw new Error(analysis.error);
+        }
+        return analysis.confidenceScore;
+    };
+}
+
+/**
+ * Scorer streaming a scenario through a fresh RealTimeFraudMonitor.
+ * Timestamps are shifted to end "now" so the monitor's sliding window keeps
+ * them; the scenario score is the highest real-time risk it reached.
+ * @param {Function} createMonitor - () => RealTimeFraudMonitor with autoStart disabled
+ */
+function realTimeMonitorScorer(createMonitor) {
+    return async scenario => {
+        const monitor = createMonitor();
+        const lastTimestamp = Math.max(...scenario.actions.map(action => toMillis(action.timestamp)));
+        const offset = Date.now() - lastTimestamp;
+        let maxRisk = 0;
+
+        scenario.actions
+            .map(action => ({ ...action, userId: scenario.id, timestamp: toMillis(action.timestamp) + offset }))
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(event => {
+                monitor.processIncomingEvent(event);
+                const risk = monitor.riskScores.get(scenario.id);
+                if (risk) maxRisk = Math.max(maxRisk, risk.score);
+            });
+
+        return maxRisk;
+    };
+}
+
+/**
+ * Bets of a scenario in the pattern format of UserUtil.generateBettingPattern
+ */
+function toBettingPattern(scenario) {
+    return scenario.actions
+        .filter(action => action.type === 'bet_placed')
+        .map(action => ({
+            eventName: action.eventId,
+            stake: action.amount,
+            odds: action.odds,
+            timestamp: new Date(toMillis(action.timestamp)).toISOString()
+        }));
+}
+
+function clamp(score) {
+    const value = Number(score);
+    if (!Number.isFinite(value)) {
+        throw new Error(`Detector returned a non-numeric score: ${score}`);
+    }
+    return Math.max(0, Math.min(1, value));
+}
+
+module.exports = DetectorEvaluator;
+module.exports.loadCorpus = loadCorpus;
+module.exports.summarizeScores = summarizeScores;
+module.exports.confusionMatrix = confusionMatrix;
+module.exports.rocAuc = rocAuc;
+module.exports.thresholdSweep = thresholdSweep;
+module.exports.mlDetectorScorer = mlDetectorScorer;
+module.exports.realTimeMonitorScorer = realTimeMonitorScorer;
+module.exports.toBettingPattern = toBettingPattern;
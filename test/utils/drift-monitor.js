@@ -0,0 +1,194 @@
+const MAX_SNAPSHOT_SAMPLE = 1000;
+const PSI_EPSILON = 1e-4;
+
+// Two-sample KS coefficient for alpha = 0.05
+const KS_ALPHA_COEFFICIENT = 1.358;
+
+/**
+ * 📉 Feature Drift & Population Stability Monitor
+ *
+ * Compares live feature vectors with the training snapshot of a model and
+ * reports, per feature, the Population Stability Index (PSI) and the
+ * two-sample Kolmogorov-Smirnov statistic.
+ *
+ * Features:
+ * - Serializable training snapshots (quantile bins + value sample)
+ * - Rolling window of live vectors
+ * - Per-feature PSI / KS with a configurable drift budget
+ *
+ * PSI rule of thumb: < 0.1 stable, 0.1-0.2 moderate shift, > 0.2 significant.
+ */
+class DriftMonitor {
+    constructor(snapshot, config = {}) {
+        if (!snapshot || !Array.isArray(snapshot.features)) {
+            throw new Error('Drift monitor requires a training snapshot');
+        }
+
+        this.snapshot = snapshot;
+        this.config = {
+            windowSize: config.windowSize || 500,
+            minSamples: config.minSamples || 50,
+            psiThreshold: config.psiThreshold || 0.2,
+            // Budget: how many features may drift before the model is flagged
+            maxDriftedFeatures: config.maxDriftedFeatures ?? 2,
+            ...config
+        };
+
+        this.window = [];
+    }
+
+    /**
+     * 📸 Build a training snapshot from the vectors a model was trained on
+     * @param {number[][]} vectors - Training vectors
+     * @param {string[]} featureNames - Name of each dimension
+     * @param {number} bins - Number of quantile bins per feature
+     */
+    static createSnapshot(vectors, featureNames, bins = 10) {
+        if (!vectors.length) {
+            throw new Error('Cannot snapshot an empty training set');
+        }
+
+        return {
+            createdAt: new Date().toISOString(),
+            sampleCount: vectors.length,
+            featureNames,
+            features: featureNames.map((name, i) => {
+                const values = vectors.map(vector => vector[i]).sort((a, b) => a - b);
+                const edges = quantileEdges(values, bins);
+
+                return {
+                    name,
+                    edges,
+                    expected: binProportions(values, edges),
+                    sample: downsample(values, MAX_SNAPSHOT_SAMPLE)
+                };
+            })
+        };
+    }
+
+    /**
+     * Add a live vector to the rolling window
+     */
+    observe(vector) {
+        if (vector.length !== this.snapshot.features.length) {
+            throw new Error(`Expected a vector with ${this.snapshot.features.length} dimensions`);
+        }
+
+        this.window.push(vector);
+        if (this.window.length > this.config.windowSize) {
+            this.window.shift();
+        }
+    }
+
+    hasEnoughSamples() {
+        return this.window.length >= this.config.minSamples;
+    }
+
+    /**
+     * 🔎 Compare the live window with the training snapshot
+     * @returns {object} - Drift report
+     */
+    check() {
+        const liveCount = this.window.length;
+        const referenceCount = this.snapshot.sampleCount;
+
+        const features = this.snapshot.features.map((reference, i) => {
+            const live = this.window.map(vector => vector[i]).sort((a, b) => a - b);
+            const psi = populationStabilityIndex(reference.expected, binProportions(live, reference.edges));
+            const ks = ksStatistic(reference.sample, live);
+            const ksCritical = KS_ALPHA_COEFFICIENT *
+                Math.sqrt((reference.sample.length + liveCount) / (reference.sample.length * liveCount));
+
+            return {
+                feature: reference.name,
+                psi,
+                ks,
+                ksCritical,
+                drifted: psi > this.config.psiThreshold || ks > ksCritical
+            };
+        });
+
+        const driftedFeatures = features.filter(feature => feature.drifted).map(feature => feature.feature);
+
+        return {
+            generatedAt: new Date().toISOString(),
+            referenceSamples: referenceCount,
+            liveSamples: liveCount,
+            psiThreshold: this.config.psiThreshold,
+            maxDriftedFeatures: this.config.maxDriftedFeatures,
+            driftedFeatures,
+            budgetExceeded: liveCount >= this.config.minSamples &&
+                driftedFeatures.length > this.config.maxDriftedFeatures,
+            features
+        };
+    }
+
+    reset() {
+        this.window = [];
+    }
+}
+
+/**
+ * Distinct interior quantiles of sorted values, used as bin edges
+ */
+function quantileEdges(sortedValues, bins) {
+    const edges = [];
+    for (let i = 1; i < bins; i++) {
+        const value = sortedValues[Math.floor((i / bins) * (sortedValues.length - 1))];
+        if (edges.length === 0 || value > edges[edges.length - 1]) {
+            edges.push(value);
+        }
+    }
+    return edges;
+}
+
+/**
+ * Share of values per bin; bin k holds values in [edges[k-1], edges[k])
+ */
+function binProportions(values, edges) {
+    const counts = new Array(edges.length + 1).fill(0);
+    values.forEach(value => {
+        let bin = 0;
+        while (bin < edges.length && value >= edges[bin]) bin++;
+        counts[bin]++;
+    });
+    return counts.map(count => (values.length > 0 ? count / values.length : 0));
+}
+
+function populationStabilityIndex(expected, actual) {
+    return expected.reduce((sum, expectedShare, i) => {
+        const e = Math.max(expectedShare, PSI_EPSILON);
+        const a = Math.max(actual[i], PSI_EPSILON);
+        return sum + (a - e) * Math.log(a / e);
+    }, 0);
+}
+
+/**
+ * Largest gap between the empirical CDFs of two sorted samples
+ */
+function ksStatistic(sortedA, sortedB) {
+    if (sortedA.length === 0 || sortedB.length === 0) return 0;
+
+    let i = 0;
+    let j = 0;
+    let maxGap = 0;
+
+    while (i < sortedA.length && j < sortedB.length) {
+        const value = Math.min(sortedA[i], sortedB[j]);
+        while (i < sortedA.length && sortedA[i] === value) i++;
+        while (j < sortedB.length && sortedB[j] === value) j++;
+        maxGap = Math.max(maxGap, Math.abs(i / sortedA.length - j / sortedB.length));
+    }
+
+    return maxGap;
+}
+
+function downsample(sortedValues, limit) {
+    if (sortedValues.length <= limit) return sortedValues;
+    return Array.from({ length: limit }, (_, i) =>
+        sortedValues[Math.floor((i / (limit - 1)) * (sortedValues.length - 1))]);
+}
+
+module.exports = DriftMonitor;
+module.exports.populationStabilityIndex = populationStabilityIndex;
+module.exports.ksStatistic = ksStatistic;
@@ -0,0 +1,714 @@
+const crypto = require('crypto');
+
+/**
+ * 📊 Behavioral Feature Extraction Layer
+ *
+ * Turns a raw stream of user actions into the behavioral feature object
+ * consumed by MLFraudDetector. Every extractor is a pure function of the
+ * action stream, so the same stream always yields the same features.
+ *
+ * User-action schema (one object per action, any order):
+ *
+ * | type              | fields                                                        |
+ * |-------------------|---------------------------------------------------------------|
+ * | `bet_placed`      | amount (alias stake), odds, eventId, market, selection,       |
+ * |                   | outcome ('won' / 'lost' / 'void'), payout, closingOdds,       |
+ * |                   | promotion (id of the boost/offer the bet used),               |
+ * |                   | correlationGroup (links selections that settle together)      |
+ * | `login`           | ipAddress, deviceId, userAgent, location, success, vpn, proxy |
+ * | `logout`          | –                                                             |
+ * | `deposit`         | amount, method, instrumentId (card/wallet token)              |
+ * | `withdrawal`      | amount, method, instrumentId                                  |
+ * | `location_change` | location                                                      |
+ * | `mouse_move`      | x, y                                                          |
+ * | `click`           | x, y, pressure, duration                                      |
+ * | `key_down`        | key                                                           |
+ * | `key_up`          | key                                                           |
+ * | `scroll`          | deltaY                                                        |
+ *
+ * Every action carries a `timestamp` (epoch milliseconds or ISO string).
+ * A `location` is `{ latitude, longitude, country }`.
+ */
+
+// High-volume input telemetry that should not count as a deliberate action
+const TELEMETRY_TYPES = ['mouse_move', 'key_down', 'key_up', 'scroll'];
+
+// Gap that separates two sessions / two movement strokes / two bursts (ms)
+const SESSION_GAP = 30 * 60 * 1000;
+const STROKE_GAP = 200;
+const BURST_GAP = 2000;
+
+// Two location changes closer than this are considered rapid (ms)
+const RAPID_LOCATION_WINDOW = 5 * 60 * 1000;
+const MAX_TRAVEL_SPEED_KMH = 1000;
+
+const STAKE_BANDS = [
+    { name: 'micro', max: 10 },
+    { name: 'low', max: 100 },
+    { name: 'medium', max: 500 },
+    { name: 'high', max: 5000 },
+    { name: 'very_high', max: Infinity }
+];
+
+// Band of a stake that is not a number
+const UNKNOWN_STAKE_BAND = 'unknown';
+
+class BehaviorFeatureExtractor {
+    /**
+     * Session length in ms between the first and the last action
+     */
+    calculateSessionDuration(userActions) {
+        const timestamps = sortedActions(userActions).map(action => toMillis(action.timestamp));
+        if (timestamps.length < 2) return 0;
+        return timestamps[timestamps.length - 1] - timestamps[0];
+    }
+
+    /**
+     * Deliberate actions per minute (input telemetry excluded)
+     */
+    calculateActionFrequency(userActions) {
+        const actions = interactionActions(userActions);
+        if (actions.length < 2) return 0;
+
+        const span = toMillis(actions[actions.length - 1].timestamp) - toMillis(actions[0].timestamp);
+        return span > 0 ? (actions.length / span) * 60000 : 0;
+    }
+
+    /**
+     * Stake consistency, cadence and typical stake band of placed bets
+     */
+    analyzeBettingPatterns(userActions) {
+        const bets = actionsOfType(userActions, 'bet_placed');
+        const stakes = stakesOf(bets);
+        const intervals = intervalsOf(bets);
+        const variability = coefficientOfVariation(stakes);
+
+        return {
+            count: bets.length,
+            averageStake: mean(stakes),
+            variability,
+            consistency: stakes.length > 1 ? 1 / (1 + variability) : 0,
+            averageInterval: mean(intervals),
+            betsPerHour: this.ratePerHour(bets),
+            distinctMarkets: new Set(bets.map(bet => bet.market).filter(Boolean)).size,
+            mode: modeOf(stakes.map(stakeBandOf))
+        };
+    }
+
+    /**
+     * Pointer velocity and how straight the movement strokes are
+     */
+    analyzeMouseMovements(userActions) {
+        const points = actionsOfType(userActions, 'mouse_move');
+        const strokes = splitByGap(points, STROKE_GAP).filter(stroke => stroke.length >= 3);
+
+        const velocities = [];
+        for (let i = 1; i < points.length; i++) {
+            const time = toMillis(points[i].timestamp) - toMillis(points[i - 1].timestamp);
+            if (time > 0 && time <= STROKE_GAP) {
+                velocities.push(distance(points[i - 1], points[i]) / time);
+            }
+        }
+
+        const straightness = strokes.map(straightnessOf);
+        const straightLines = straightness.length > 0
+            ? straightness.filter(value => value > 0.98).length / straightness.length
+            : 0;
+        const velocityVariation = coefficientOfVariation(velocities);
+
+        let style = 'none';
+        if (strokes.length > 0) {
+            if (straightLines > 0.8) style = 'linear';
+            else if (velocityVariation > 1.5) style = 'erratic';
+            else style = 'smooth';
+        }
+
+        return {
+            pointCount: points.length,
+            strokeCount: strokes.length,
+            velocity: mean(velocities),
+            velocityVariation,
+            straightness: mean(straightness),
+            straightLines,
+            style
+        };
+    }
+
+    /**
+     * Keystroke dwell/flight timings and correction behaviour
+     */
+    analyzeTypingPatterns(userActions) {
+        const { dwellTimes, flightTimes, keyDowns } = keystrokeTimings(userActions);
+        const flightVariation = coefficientOfVariation(flightTimes);
+        const backspaces = keyDowns.filter(action => action.key === 'Backspace').length;
+
+        return {
+            keyCount: keyDowns.length,
+            averageDwell: mean(dwellTimes),
+            dwellVariability: coefficientOfVariation(dwellTimes),
+            averageFlight: mean(flightTimes),
+            flightVariability: flightVariation,
+            rhythm: flightTimes.length > 1 ? 1 / (1 + flightVariation) : 0,
+            keysPerMinute: this.ratePerMinute(keyDowns),
+            backspaceRatio: keyDowns.length > 0 ? backspaces / keyDowns.length : 0
+        };
+    }
+
+    /**
+     * Click cadence, press duration and positional repetition
+     */
+    analyzeClickPatterns(userActions) {
+        const clicks = actionsOfType(userActions, 'click');
+        const intervals = intervalsOf(clicks);
+        const positions = clicks.map(click => `${click.x},${click.y}`);
+        const repeated = positions.length - new Set(positions).size;
+
+        return {
+            count: clicks.length,
+            averageInterval: mean(intervals),
+            intervalVariability: coefficientOfVariation(intervals),
+            averageDuration: mean(clicks.map(click => click.duration).filter(isNumber)),
+            repeatedPositionRatio: clicks.length > 0 ? repeated / clicks.length : 0
+        };
+    }
+
+    /**
+     * Scroll distance, reversals and uniformity of scroll steps
+     */
+    analyzeScrollBehavior(userActions) {
+        const scrolls = actionsOfType(userActions, 'scroll');
+        const deltas = scrolls.map(scroll => scroll.deltaY || 0);
+
+        let directionChanges = 0;
+        for (let i = 1; i < deltas.length; i++) {
+            if (Math.sign(deltas[i]) !== 0 && Math.sign(deltas[i]) !== Math.sign(deltas[i - 1])) {
+                directionChanges++;
+            }
+        }
+
+        const magnitudes = deltas.map(Math.abs);
+        return {
+            count: scrolls.length,
+            totalDistance: magnitudes.reduce((sum, value) => sum + value, 0),
+            averageDelta: mean(magnitudes),
+            directionChanges,
+            uniformity: magnitudes.length > 1 ? 1 / (1 + coefficientOfVariation(magnitudes)) : 0
+        };
+    }
+
+    /**
+     * Deposit/withdrawal volumes, methods and structuring signals
+     */
+    analyzeTransactionPatterns(userActions) {
+        const deposits = actionsOfType(userActions, 'deposit');
+        const withdrawals = actionsOfType(userActions, 'withdrawal');
+        const transactions = deposits.concat(withdrawals);
+        const amounts = transactions.map(transaction => transaction.amount || 0);
+
+        const totalDeposited = deposits.reduce((sum, deposit) => sum + (deposit.amount || 0), 0);
+        const totalWithdrawn = withdrawals.reduce((sum, withdrawal) => sum + (withdrawal.amount || 0), 0);
+
+        return {
+            depositCount: deposits.length,
+            withdrawalCount: withdrawals.length,
+            totalDeposited,
+            totalWithdrawn,
+            withdrawalRatio: totalDeposited > 0 ? totalWithdrawn / totalDeposited : 0,
+            roundNumbers: amounts.length > 0
+                ? amounts.filter(amount => amount > 0 && amount % 100 === 0).length / amounts.length
+                : 0,
+            methodCount: new Set(transactions.map(transaction => transaction.method).filter(Boolean)).size
+        };
+    }
+
+    /**
+     * Distribution of bet stakes, including the share of outliers
+     */
+    analyzeBettingAmounts(userActions) {
+        const stakes = stakesOf(actionsOfType(userActions, 'bet_placed'));
+        const middle = median(stakes);
+        const deviations = stakes.map(stake => Math.abs(stake - middle));
+        const mad = median(deviations);
+
+        // Robust outlier rule: more than 3 scaled MADs from the median
+        const outlierCount = mad > 0
+            ? deviations.filter(deviation => deviation / (1.4826 * mad) > 3).length
+            : 0;
+
+        return {
+            mean: mean(stakes),
+            median: middle,
+            stdDev: standardDeviation(stakes),
+            max: stakes.length > 0 ? Math.max(...stakes) : 0,
+            outliers: stakes.length > 0 ? outlierCount / stakes.length : 0
+        };
+    }
+
+    /**
+     * Results of settled bets
+     */
+    analyzeWinLossPatterns(userActions) {
+        const settled = actionsOfType(userActions, 'bet_placed')
+            .filter(bet => (bet.outcome === 'won' || bet.outcome === 'lost') && hasStake(bet));
+
+        let staked = 0;
+        let returned = 0;
+        let streak = 0;
+        let longestWinStreak = 0;
+
+        settled.forEach(bet => {
+            const stake = stakeOf(bet);
+            staked += stake;
+
+            if (bet.outcome === 'won') {
+                returned += isNumber(bet.payout) ? bet.payout : stake * (bet.odds || 1);
+                streak++;
+                longestWinStreak = Math.max(longestWinStreak, streak);
+            } else {
+                streak = 0;
+            }
+        });
+
+        const wins = settled.filter(bet => bet.outcome === 'won').length;
+        const winRate = settled.length > 0 ? wins / settled.length : 0;
+        // Win rate the odds implied; a persistent excess means an edge, not luck
+        const impliedWinRate = mean(settled.filter(bet => isNumber(bet.odds) && bet.odds > 1).map(bet => 1 / bet.odds));
+
+        return {
+            settledBets: settled.length,
+            winRate,
+            impliedWinRate,
+            winRateExcess: impliedWinRate > 0 ? winRate - impliedWinRate : 0,
+            netProfit: returned - staked,
+            roi: staked > 0 ? (returned - staked) / staked : 0,
+            longestWinStreak
+        };
+    }
+
+    /**
+     * Arbitrage and matched-betting signals from stakes, odds and markets
+     *
+     * - Calculated stakes: arbitrage calculators size the stakes on the
+     *   covered selections so each would return the same amount, producing
+     *   odd amounts (43.27) and equal stake × odds within a hedged group
+     * - Closing-line value: odds taken vs. the market's closing odds; sharp
+     *   and arbitrage bettors beat the close consistently
+     * - Promotions: matched bettors only bet where a boost or offer applies
+     * - Hedging: several selections in one event market (or correlationGroup).
+     *   A group is a guaranteed return when every covered selection would pay
+     *   back at least the group's total stake (assumes the covered
+     *   selections are the outcomes that matter, as on two-way markets)
+     */
+    analyzeArbitrageSignals(userActions) {
+        const bets = actionsOfType(userActions, 'bet_placed').filter(bet => isNumber(bet.odds) && bet.odds > 1 && hasStake(bet));
+        const stakes = bets.map(stakeOf);
+
+        const closing = bets.filter(bet => isNumber(bet.closingOdds) && bet.closingOdds > 1);
+        const clv = closing.map(bet => bet.odds / bet.closingOdds - 1);
+
+        const groups = new Map();
+        bets.forEach(bet => {
+            const key = bet.correlationGroup || (bet.eventId ? `${bet.eventId}:${bet.market || ''}` : null);
+            if (!key) return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(bet);
+        });
+
+        const hedged = [...groups.values()].filter(group =>
+            new Set(group.map(bet => bet.selection)).size > 1);
+        const guaranteed = hedged.filter(group => {
+            const totalStake = group.reduce((sum, bet) => sum + stakeOf(bet), 0);
+            const payoutBySelection = new Map();
+            group.forEach(bet => payoutBySelection.set(
+                bet.selection,
+                (payoutBySelection.get(bet.selection) || 0) + stakeOf(bet) * bet.odds
+            ));
+            return [...payoutBySelection.values()].every(payout => payout >= totalStake);
+        });
+
+        const payoutConsistency = hedged.map(group =>
+            1 / (1 + coefficientOfVariation(group.map(bet => stakeOf(bet) * bet.odds))));
+        const promoBets = bets.filter(bet => Boolean(bet.promotion)).length;
+
+        return {
+            pricedBets: bets.length,
+            targetPayoutConsistency: mean(payoutConsistency),
+            unroundStakeRatio: bets.length > 0 ? stakes.filter(isUnroundStake).length / bets.length : 0,
+            averageClosingLineValue: mean(clv),
+            positiveClvRatio: clv.length > 0 ? clv.filter(value => value > 0).length / clv.length : 0,
+            promoBetRatio: bets.length > 0 ? promoBets / bets.length : 0,
+            promoOnly: bets.length >= 3 && promoBets === bets.length,
+            hedgedGroupRatio: groups.size > 0 ? hedged.length / groups.size : 0,
+            guaranteedReturnGroups: guaranteed.length
+        };
+    }
+
+    /**
+     * Stable identifier of the primary device plus device switching
+     */
+    extractDeviceFingerprint(userActions) {
+        const devices = actionsOfType(userActions, 'login')
+            .map(login => login.deviceId || login.userAgent)
+            .filter(Boolean);
+
+        let switches = 0;
+        for (let i = 1; i < devices.length; i++) {
+            if (devices[i] !== devices[i - 1]) switches++;
+        }
+
+        const primary = modeOf(devices);
+        return {
+            id: primary
+                ? crypto.createHash('sha256').update(String(primary)).digest('hex').substring(0, 16)
+                : null,
+            distinctDevices: new Set(devices).size,
+            deviceSwitches: switches
+        };
+    }
+
+    /**
+     * Identifiers that can link one account to another: IPs, devices,
+     * payment instruments and the markets bet on
+     */
+    extractNetworkEntities(userActions) {
+        const actions = sortedActions(userActions);
+        const unique = values => [...new Set(values.filter(value => value !== undefined && value !== null && value !== ''))];
+
+        return {
+            ips: unique(actions.map(action => action.ipAddress)),
+            devices: unique(actions.filter(action => action.type === 'login')
+                .map(login => login.deviceId || login.userAgent)),
+            instruments: unique(actions.filter(action => action.type === 'deposit' || action.type === 'withdrawal')
+                .map(transaction => transaction.instrumentId)),
+            bets: actions.filter(action => action.type === 'bet_placed' && action.eventId && action.selection !== undefined && hasStake(action))
+                .map(bet => ({
+                    eventId: bet.eventId,
+                    market: bet.market,
+                    selection: bet.selection,
+                    timestamp: bet.timestamp,
+                    amount: stakeOf(bet),
+                    odds: bet.odds
+                }))
+        };
+    }
+
+    /**
+     * IP churn, anonymisation and failed logins
+     */
+    extractNetworkIndicators(userActions) {
+        const logins = actionsOfType(userActions, 'login');
+        const ips = logins.map(login => login.ipAddress).filter(Boolean);
+
+        let ipChanges = 0;
+        for (let i = 1; i < ips.length; i++) {
+            if (ips[i] !== ips[i - 1]) ipChanges++;
+        }
+
+        return {
+            distinctIPs: new Set(ips).size,
+            ipChanges,
+            vpnDetected: logins.some(login => login.vpn === true || login.proxy === true),
+            failedLogins: logins.filter(login => login.success === false).length
+        };
+    }
+
+    /**
+     * Location churn, including changes no traveller could make
+     */
+    analyzeLocationPatterns(userActions) {
+        const located = sortedActions(userActions).filter(action =>
+            action.location && isNumber(action.location.latitude) && isNumber(action.location.longitude)
+        );
+
+        let rapidChanges = 0;
+        let maxSpeedKmh = 0;
+        for (let i = 1; i < located.length; i++) {
+            const km = haversineKm(located[i - 1].location, located[i].location);
+            if (km === 0) continue;
+
+            const elapsed = toMillis(located[i].timestamp) - toMillis(located[i - 1].timestamp);
+            const speed = elapsed > 0 ? km / (elapsed / 3600000) : Infinity;
+            maxSpeedKmh = Math.max(maxSpeedKmh, speed);
+
+            if (elapsed < RAPID_LOCATION_WINDOW || speed > MAX_TRAVEL_SPEED_KMH) {
+                rapidChanges++;
+            }
+        }
+
+        return {
+            distinctLocations: new Set(located.map(action =>
+                `${action.location.latitude.toFixed(2)},${action.location.longitude.toFixed(2)}`
+            )).size,
+            distinctCountries: new Set(located.map(action => action.location.country).filter(Boolean)).size,
+            rapidChanges,
+            maxSpeedKmh: Number.isFinite(maxSpeedKmh) ? maxSpeedKmh : MAX_TRAVEL_SPEED_KMH * 10
+        };
+    }
+
+    /**
+     * Hour-of-day activity profile (UTC)
+     */
+    analyzeTimePatterns(userActions) {
+        const actions = interactionActions(userActions);
+        const histogram = new Array(24).fill(0);
+        actions.forEach(action => {
+            histogram[new Date(toMillis(action.timestamp)).getUTCHours()]++;
+        });
+
+        const total = actions.length;
+        const peakCount = Math.max(...histogram);
+        const peaks = total > 0
+            ? histogram.map((count, hour) => ({ count, hour }))
+                .filter(entry => entry.count === peakCount)
+                .map(entry => entry.hour)
+            : [];
+
+        // 1 = all activity in one hour, 0 = spread evenly across the day
+        let entropy = 0;
+        histogram.forEach(count => {
+            if (count > 0) {
+                const p = count / total;
+                entropy -= p * Math.log(p);
+            }
+        });
+
+        return {
+            hourHistogram: histogram,
+            peaks,
+            nightActivityRatio: total > 0 ? histogram.slice(0, 6).reduce((sum, c) => sum + c, 0) / total : 0,
+            consistentTiming: total > 0 ? 1 - entropy / Math.log(24) : 0
+        };
+    }
+
+    /**
+     * Sessions (split on long idle gaps) and the gaps between them
+     */
+    analyzeSessionIntervals(userActions) {
+        const sessions = splitByGap(sortedActions(userActions), SESSION_GAP);
+        const lengths = sessions.map(session =>
+            toMillis(session[session.length - 1].timestamp) - toMillis(session[0].timestamp)
+        );
+
+        const gaps = [];
+        for (let i = 1; i < sessions.length; i++) {
+            const previous = sessions[i - 1];
+            gaps.push(toMillis(sessions[i][0].timestamp) - toMillis(previous[previous.length - 1].timestamp));
+        }
+
+        return {
+            sessionCount: sessions.length,
+            averageSessionLength: mean(lengths),
+            averageGap: mean(gaps),
+            minGap: gaps.length > 0 ? Math.min(...gaps) : 0
+        };
+    }
+
+    /**
+     * Bursts of deliberate actions fired in quick succession
+     */
+    analyzeActivityClusters(userActions) {
+        const clusters = splitByGap(interactionActions(userActions), BURST_GAP);
+        const sizes = clusters.map(cluster => cluster.length);
+        const total = sizes.reduce((sum, size) => sum + size, 0);
+        const inBursts = sizes.filter(size => size >= 3).reduce((sum, size) => sum + size, 0);
+
+        return {
+            clusterCount: clusters.length,
+            averageClusterSize: mean(sizes),
+            maxClusterSize: sizes.length > 0 ? Math.max(...sizes) : 0,
+            burstRatio: total > 0 ? inBursts / total : 0
+        };
+    }
+
+    /**
+     * Dwell (key held) and flight (release → next press) times in ms
+     */
+    getKeystrokeTimings(userActions) {
+        const { dwellTimes, flightTimes } = keystrokeTimings(userActions);
+        return { dwellTimes, flightTimes };
+    }
+
+    /**
+     * Intervals between consecutive deliberate actions in ms
+     */
+    getActionIntervals(userActions) {
+        return intervalsOf(interactionActions(userActions));
+    }
+
+    ratePerHour(actions) {
+        return this.ratePerMinute(actions) * 60;
+    }
+
+    ratePerMinute(actions) {
+        if (actions.length < 2) return 0;
+        const span = toMillis(actions[actions.length - 1].timestamp) - toMillis(actions[0].timestamp);
+        return span > 0 ? (actions.length / span) * 60000 : 0;
+    }
+}
+
+/**
+ * Helper functions
+ */
+function toMillis(timestamp) {
+    if (typeof timestamp === 'number') return timestamp;
+    if (timestamp instanceof Date) return timestamp.getTime();
+    const parsed = Date.parse(timestamp);
+    return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !Number.isNaN(value);
+}
+
+function sortedActions(userActions) {
+    return (userActions || [])
+        .filter(action => action && action.timestamp !== undefined)
+        .slice()
+        .sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+}
+
+function actionsOfType(userActions, type) {
+    return sortedActions(userActions).filter(action => action.type === type);
+}
+
+function interactionActions(userActions) {
+    return sortedActions(userActions).filter(action => !TELEMETRY_TYPES.includes(action.type));
+}
+
+/**
+ * Stake of a bet as a number; NaN when it is not one (see hasStake)
+ */
+function stakeOf(bet) {
+    return Number(bet.amount !== undefined ? bet.amount : (bet.stake || 0));
+}
+
+function hasStake(bet) {
+    return Number.isFinite(stakeOf(bet));
+}
+
+// Stakes of the bets that have one
+function stakesOf(bets) {
+    return bets.map(stakeOf).filter(Number.isFinite);
+}
+
+// Stakes a person would pick: whole multiples of 5
+function isUnroundStake(stake) {
+    return stake > 0 && Math.round(stake * 100) % 500 !== 0;
+}
+
+function stakeBandOf(stake) {
+    const band = STAKE_BANDS.find(candidate => stake <= candidate.max);
+    return band ? band.name : UNKNOWN_STAKE_BAND;
+}
+
+function intervalsOf(actions) {
+    const intervals = [];
+    for (let i = 1; i < actions.length; i++) {
+        intervals.push(toMillis(actions[i].timestamp) - toMillis(actions[i - 1].timestamp));
+    }
+    return intervals;
+}
+
+function splitByGap(actions, gap) {
+    const groups = [];
+    actions.forEach((action, i) => {
+        if (i === 0 || toMillis(action.timestamp) - toMillis(actions[i - 1].timestamp) > gap) {
+            groups.push([]);
+        }
+        groups[groups.length - 1].push(action);
+    });
+    return groups;
+}
+
+function keystrokeTimings(userActions) {
+    const keyEvents = sortedActions(userActions).filter(action =>
+        action.type === 'key_down' || action.type === 'key_up'
+    );
+
+    const pressed = new Map();
+    const dwellTimes = [];
+    const flightTimes = [];
+    const keyDowns = [];
+    let lastRelease = null;
+
+    keyEvents.forEach(event => {
+        const time = toMillis(event.timestamp);
+        if (event.type === 'key_down') {
+            keyDowns.push(event);
+            pressed.set(event.key, time);
+            if (lastRelease !== null) flightTimes.push(time - lastRelease);
+        } else if (pressed.has(event.key)) {
+            dwellTimes.push(time - pressed.get(event.key));
+            pressed.delete(event.key);
+            lastRelease = time;
+        }
+    });
+
+    return { dwellTimes, flightTimes, keyDowns };
+}
+
+function distance(a, b) {
+    return Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+}
+
+function straightnessOf(stroke) {
+    let pathLength = 0;
+    for (let i = 1; i < stroke.length; i++) {
+        pathLength += distance(stroke[i - 1], stroke[i]);
+    }
+    return pathLength > 0 ? distance(stroke[0], stroke[stroke.length - 1]) / pathLength : 0;
+}
+
+function haversineKm(from, to) {
+    const toRad = degrees => degrees * (Math.PI / 180);
+    const dLat = toRad(to.latitude - from.latitude);
+    const dLon = toRad(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) *
+              Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function standardDeviation(values) {
+    if (values.length < 2) return 0;
+    const avg = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - avg, 2), 0) / values.length);
+}
+
+function coefficientOfVariation(values) {
+    const avg = mean(values);
+    return avg !== 0 ? standardDeviation(values) / Math.abs(avg) : 0;
+}
+
+function modeOf(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+    let mode = null;
+    let best = 0;
+    for (const [value, count] of counts) {
+        if (count > best) {
+            mode = value;
+            best = count;
+        }
+    }
+    return mode;
+}
+
+module.exports = BehaviorFeatureExtractor;
+module.exports.toMillis = toMillis;
+module.exports.mean = mean;
+module.exports.median = median;
+module.exports.standardDeviation = standardDeviation;
+module.exports.coefficientOfVariation = coefficientOfVariation;
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+
+/**
+ * 📐 Versioned Feature-Vector Schema
+ *
+ * Pins the order, names, types, defaults and scaling of every dimension
+ * produced by MLFraudDetector.featuresToVector. Models are stamped with the
+ * schema version and fingerprint they were trained against, and a model is
+ * only loaded when its stamp matches the active schema.
+ *
+ * Bump FEATURE_SCHEMA_VERSION whenever a feature is added, removed,
+ * reordered, re-scaled or extracted differently. Both the version and the
+ * fingerprint must match: the fingerprint changes automatically, so a
+ * forgotten bump still prevents a stale model from being loaded, and a bump
+ * rejects models trained on a feature's old meaning.
+ *
+ * Types:   number | count | ratio | boolean
+ * Scalers: identity | log1p (sign-preserving) | clip01
+ */
+const FEATURE_SCHEMA_VERSION = '1.1.0';
+
+const FEATURE_DEFINITIONS = [
+    { name: 'sessionDuration', type: 'number', default: 0, scaler: 'log1p' },
+    { name: 'actionFrequency', type: 'number', default: 0, scaler: 'log1p' },
+    { name: 'bettingPatterns.count', type: 'count', default: 0, scaler: 'log1p' },
+    { name: 'bettingPatterns.averageStake', type: 'number', default: 0, scaler: 'log1p' },
+    { name: 'bettingPatterns.variability', type: 'number', default: 0, scaler: 'identity' },
+    { name: 'bettingPatterns.consistency', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'bettingPatterns.betsPerHour', type: 'number', default: 0, scaler: 'log1p' },
+    { name: 'mouseMovements.velocity', type: 'number', default: 0, scaler: 'log1p' },
+    { name: 'mouseMovements.straightLines', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'typingPatterns.averageDwell', type: 'number', default: 0, scaler: 'log1p' },
+    { name: 'typingPatterns.dwellVariability', type: 'number', default: 0, scaler: 'identity' },
+    { name: 'typingPatterns.rhythm', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'clickPatterns.repeatedPositionRatio', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'scrollBehavior.uniformity', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'transactionPatterns.roundNumbers', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'transactionPatterns.withdrawalRatio', type: 'number', default: 0, scaler: 'identity' },
+    { name: 'bettingAmountDistribution.outliers', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'winLossPatterns.winRate', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'winLossPatterns.roi', type: 'number', default: 0, scaler: 'identity' },
+    { name: 'winLossPatterns.winRateExcess', type: 'number', default: 0, scaler: 'identity' },
+    { name: 'arbitrageSignals.targetPayoutConsistency', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'arbitrageSignals.unroundStakeRatio', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'arbitrageSignals.averageClosingLineValue', type: 'number', default: 0, scaler: 'identity' },
+    { name: 'arbitrageSignals.positiveClvRatio', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'arbitrageSignals.promoBetRatio', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'arbitrageSignals.hedgedGroupRatio', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'arbitrageSignals.guaranteedReturnGroups', type: 'count', default: 0, scaler: 'log1p' },
+    { name: 'deviceFingerprint.distinctDevices', type: 'count', default: 0, scaler: 'log1p' },
+    { name: 'networkIndicators.ipChanges', type: 'count', default: 0, scaler: 'log1p' },
+    { name: 'networkIndicators.vpnDetected', type: 'boolean', default: 0, scaler: 'identity' },
+    { name: 'networkIndicators.failedLogins', type: 'count', default: 0, scaler: 'log1p' },
+    { name: 'locationPatterns.rapidChanges', type: 'count', default: 0, scaler: 'log1p' },
+    { name: 'timeOfDayPatterns.nightActivityRatio', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'timeOfDayPatterns.consistentTiming', type: 'ratio', default: 0, scaler: 'clip01' },
+    { name: 'sessionIntervals.sessionCount', type: 'count', default: 0, scaler: 'log1p' },
+    { name: 'activityClusters.burstRatio', type: 'ratio', default: 0, scaler: 'clip01' }
+];
+
+const SCALERS = {
+    identity: value => value,
+    log1p: value => Math.sign(value) * Math.log1p(Math.abs(value)),
+    clip01: value => Math.max(0, Math.min(1, value))
+};
+
+// Inverse transforms used to report vector values in feature units
+const INVERSE_SCALERS = {
+    identity: value => value,
+    // toPrecision trims the float noise of expm1(log1p(x))
+    log1p: value => Number((Math.sign(value) * Math.expm1(Math.abs(value))).toPrecision(12)),
+    clip01: value => value
+};
+
+/**
+ * Raised when a model was trained against a different feature schema
+ */
+class FeatureSchemaError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'FeatureSchemaError';
+        this.details = details;
+    }
+}
+
+class FeatureSchema {
+    constructor(version = FEATURE_SCHEMA_VERSION, definitions = FEATURE_DEFINITIONS) {
+        definitions.forEach(definition => {
+            if (!SCALERS[definition.scaler]) {
+                throw new Error(`Unknown scaler '${definition.scaler}' for feature ${definition.name}`);
+            }
+        });
+
+        this.version = version;
+        this.definitions = definitions;
+        this.fingerprint = crypto.createHash('sha256')
+            .update(JSON.stringify(definitions.map(d => [d.name, d.type, d.default, d.scaler])))
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    get dimensions() {
+        return this.definitions.length;
+    }
+
+    get featureNames() {
+        return this.definitions.map(definition => definition.name);
+    }
+
+    /**
+     * Flatten a nested feature object into a scaled numerical vector
+     * @param {object} features - Output of MLFraudDetector.extractBehavioralFeatures
+     * @returns {number[]} - One value per schema dimension, in schema order
+     */
+    vectorize(features = {}) {
+        return this.definitions.map(definition => {
+            let value = readPath(features, definition.name);
+
+            if (definition.type === 'boolean') {
+                value = value === undefined || value === null ? definition.default : (value ? 1 : 0);
+            } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                value = definition.default;
+            }
+
+            return SCALERS[definition.scaler](value);
+        });
+    }
+
+    /**
+     * Map a vector back to feature units (clipped values stay clipped)
+     * @param {number[]} vector - Output of vectorize()
+     */
+    unscale(vector) {
+        return this.definitions.map((definition, i) => INVERSE_SCALERS[definition.scaler](vector[i]));
+    }
+
+    /**
+     * Stamp stored alongside every saved model
+     */
+    stamp() {
+        return {
+            schemaVersion: this.version,
+            schemaFingerprint: this.fingerprint,
+            featureNames: this.featureNames
+        };
+    }
+
+    /**
+     * Throw unless the model stamp was produced by this exact schema
+     * @param {object} modelStamp - Stamp read from a saved model
+     */
+    assertCompatible(modelStamp) {
+        if (!modelStamp || !modelStamp.schemaFingerprint) {
+            throw new FeatureSchemaError(
+                `Model has no feature schema stamp; expected schema ${this.version}`,
+                { expected: this.stamp() }
+            );
+        }
+
+        // A bumped version means a feature changed meaning, even where its definition did not
+        if (modelStamp.schemaVersion !== this.version || modelStamp.schemaFingerprint !== this.fingerprint) {
+            throw new FeatureSchemaError(
+                `Model was trained with feature schema ${modelStamp.schemaVersion} ` +
+                `(${modelStamp.schemaFingerprint}) but the active schema is ${this.version} (${this.fingerprint})`,
+                { expected: this.stamp(), actual: modelStamp }
+            );
+        }
+    }
+
+    isCompatible(modelStamp) {
+        try {
+            this.assertCompatible(modelStamp);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+function readPath(object, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) =>
+        value !== undefined && value !== null ? value[key] : undefined, object);
+}
+
+module.exports = {
+    FEATURE_SCHEMA_VERSION,
+    FEATURE_DEFINITIONS,
+    FeatureSchema,
+    FeatureSchemaError,
+    defaultFeatureSchema: new FeatureSchema()
+};
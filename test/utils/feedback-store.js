@@ -0,0 +1,115 @@
+const path = require('path');
+const fs = require('fs');
+
+const VERDICTS = {
+    CONFIRMED_FRAUD: 'confirmed_fraud',
+    FALSE_POSITIVE: 'false_positive',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * 📝 Local Analyst Feedback Store
+ *
+ * Append-only JSONL log of fraud analyses and the verdicts analysts record
+ * against them. The latest verdict per analysis wins, so a decision can be
+ * revised by recording a new one.
+ *
+ * Layout:
+ *   <rootDir>/analyses.jsonl   analysisId, userId, features, component scores
+ *   <rootDir>/verdicts.jsonl   analysisId, verdict, analyst, notes
+ */
+class FeedbackStore {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.analysesFile = path.join(rootDir, 'analyses.jsonl');
+        this.verdictsFile = path.join(rootDir, 'verdicts.jsonl');
+    }
+
+    /**
+     * Keep what is needed to retrain from an analysis later
+     */
+    recordAnalysis(analysis, features) {
+        this.append(this.analysesFile, {
+            analysisId: analysis.analysisId,
+            userId: analysis.userId,
+            timestamp: analysis.timestamp,
+            modelId: analysis.modelId || null,
+            confidenceScore: analysis.confidenceScore,
+            riskLevel: analysis.riskLevel,
+            detailedScores: analysis.detailedScores,
+            features
+        });
+    }
+
+    /**
+     * ⚖️ Record an analyst verdict for an analysis
+     * @param {string} analysisId - ID returned with the analysis
+     * @param {string} verdict - confirmed_fraud | false_positive | unknown
+     * @param {object} details - { analyst, notes }
+     */
+    recordVerdict(analysisId, verdict, details = {}) {
+        if (!Object.values(VERDICTS).includes(verdict)) {
+            throw new Error(`Unknown verdict '${verdict}'; expected one of ${Object.values(VERDICTS).join(', ')}`);
+        }
+        if (!this.getAnalysis(analysisId)) {
+            throw new Error(`No recorded analysis with ID ${analysisId}`);
+        }
+
+        const entry = {
+            analysisId,
+            verdict,
+            analyst: details.analyst || null,
+            notes: details.notes || null,
+            recordedAt: new Date().toISOString()
+        };
+        this.append(this.verdictsFile, entry);
+        return entry;
+    }
+
+    getAnalysis(analysisId) {
+        return this.read(this.analysesFile).find(entry => entry.analysisId === analysisId) || null;
+    }
+
+    /**
+     * Latest verdict per analysis ID
+     */
+    getVerdicts() {
+        const verdicts = new Map();
+        this.read(this.verdictsFile).forEach(entry => verdicts.set(entry.analysisId, entry));
+        return verdicts;
+    }
+
+    /**
+     * Analyses with a decisive verdict, labelled 1 (fraud) or 0 (legitimate)
+     */
+    getLabelledHistory() {
+        const verdicts = this.getVerdicts();
+
+        return this.read(this.analysesFile)
+            .filter(analysis => {
+                const verdict = verdicts.get(analysis.analysisId);
+                return verdict && verdict.verdict !== VERDICTS.UNKNOWN;
+            })
+            .map(analysis => ({
+                ...analysis,
+                verdict: verdicts.get(analysis.analysisId).verdict,
+                label: verdicts.get(analysis.analysisId).verdict === VERDICTS.CONFIRMED_FRAUD ? 1 : 0
+            }));
+    }
+
+    append(filePath, entry) {
+        fs.mkdirSync(this.rootDir, { recursive: true });
+        fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    }
+
+    read(filePath) {
+        if (!fs.existsSync(filePath)) return [];
+        return fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+}
+
+module.exports = FeedbackStore;
+module.exports.VERDICTS = VERDICTS;
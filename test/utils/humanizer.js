@@ -0,0 +1,339 @@
+// WebDriver key codes
+const SHIFT = '\uE008';
+const BACKSPACE = '\uE003';
+
+// Neighbouring keys a finger slips onto
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+/**
+ * A typical adult on a phone or a mouse; user profiles override what they need
+ */
+const DEFAULT_MOTOR_MODEL = {
+    seed: 1, // fixes the person's habits (which digraphs are quick), not the session's noise
+    dwell: 95, // ms, median key hold
+    dwellSpread: 0.25, // log-normal sigma
+    flight: 150, // ms, median key-down to next key-down
+    flightSpread: 0.45,
+    habitStrength: 0.3, // how far a digraph habit moves its median (log scale)
+    typoRate: 0.02, // slips onto a neighbouring key, noticed and corrected
+    correctionDelay: 280, // ms to notice a typo
+    thinkTime: 1400, // ms, median pause before acting on the page
+    thinkSpread: 0.5,
+    tapHold: 95, // ms, median finger or button hold
+    tapJitter: 4, // px, sd of landing off the target centre
+    reachDuration: 450, // ms, median mouse reach
+    overshoot: 0.06, // share of a mouse reach overshot before correcting
+    swipeDuration: 280, // ms, median swipe
+    swipeBow: 14, // px, typical curve of a swipe or reach off the straight line
+    swipeArc: 0.15, // share of a long swipe's length the thumb arcs off the straight line
+    tremor: 0.6, // px, sd of hand tremor on each sample
+    sampleInterval: 12 // ms, mean pointer sample interval
+};
+
+/**
+ * 🖐️ Human-like Input Synthesiser
+ *
+ * Plays text, taps, clicks and swipes as W3C action sequences shaped by a
+ * motor model instead of the instant, straight-line input of the driver:
+ * - typing: per-key dwell and flight drawn from log-normal distributions
+ *   around the person's medians, with stable per-digraph habits, key
+ *   rollover, Shift for capitals and the odd corrected typo
+ * - taps and clicks: land off-centre, hold for a human time; mouse clicks
+ *   reach along a bowed minimum-jerk path, overshoot and correct
+ * - swipes: a cubic Bezier bowed off the straight line, minimum-jerk speed
+ *   profile, hand tremor and uneven sampling
+ *
+ * Habits come from the model's seed so one person types alike across
+ * sessions; the noise comes from the session seed (random unless given),
+ * so no two sessions replay each other.
+ */
+class Humanizer {
+    constructor(motorModel = {}, options = {}) {
+        this.model = { ...DEFAULT_MOTOR_MODEL, ...motorModel };
+        this.random = seededRandom(options.seed !== undefined ? options.seed : Math.floor(Math.random() * 2147483647));
+        this.pointer = { x: 0, y: 0 }; // mouse position carried between clicks
+    }
+
+    /**
+     * Key input source typing text
+     * @returns {object} - performActions input source
+     */
+    typingActions(text, id = 'keyboard') {
+        const strokes = [];
+        let time = 0;
+        let previous = null;
+
+        const press = (key, at) => {
+            const hold = this.logNormal(this.model.dwell * this.habitOf(`hold:${key}`), this.model.dwellSpread);
+            strokes.push({ key, down: at, up: at + hold });
+            return hold;
+        };
+
+        [...String(text)].forEach(char => {
+            if (previous !== null) {
+                time += this.logNormal(this.model.flight * this.habitOf(`flight:${previous}${char}`), this.model.flightSpread);
+            }
+
+            const slip = this.random() < this.model.typoRate ? neighbourOf(char, this.random) : null;
+            if (slip) {
+                const hold = press(slip, time);
+                time += Math.max(hold, this.logNormal(this.model.correctionDelay, 0.3));
+                press(BACKSPACE, time);
+                time += this.logNormal(this.model.flight, this.model.flightSpread);
+            }
+
+            if (isCapital(char)) {
+                // Shift goes down a little before the letter and comes up after it
+                const lead = this.logNormal(this.model.flight / 2, 0.3);
+                const hold = press(char, time + lead);
+                strokes.push({ key: SHIFT, down: time, up: time + lead + hold + this.logNormal(30, 0.4) });
+                time += lead;
+            } else {
+                press(char, time);
+            }
+            previous = char;
+        });
+
+        return { type: 'key', id, actions: keyActionsOf(strokes) };
+    }
+
+    /**
+     * Touch tap somewhere on an element
+     * @param {object} rect - Element rect { x, y, width, height }
+     */
+    tapActions(rect, id = 'finger1') {
+        const target = this.landingPoint(rect);
+        const hold = this.logNormal(this.model.tapHold, 0.2);
+        const drift = { x: target.x + this.gaussian() * 0.8, y: target.y + this.gaussian() * 0.8 };
+
+        return {
+            type: 'pointer',
+            id,
+            parameters: { pointerType: 'touch' },
+            actions: [
+                { type: 'pointerMove', duration: 0, x: Math.round(target.x), y: Math.round(target.y) },
+                { type: 'pointerDown', button: 0 },
+                { type: 'pointerMove', duration: Math.round(hold), x: Math.round(drift.x), y: Math.round(drift.y) },
+                { type: 'pointerUp', button: 0 }
+            ]
+        };
+    }
+
+    /**
+     * Mouse reach from the last position onto an element, overshooting and
+     * correcting, then a click
+     */
+    clickActions(rect, id = 'mouse') {
+        const target = this.landingPoint(rect);
+        const from = { ...this.pointer };
+        const overshoot = this.model.overshoot * (1 + this.gaussian() * 0.3);
+        const past = {
+            x: target.x + (target.x - from.x) * overshoot,
+            y: target.y + (target.y - from.y) * overshoot
+        };
+
+        const reach = this.logNormal(this.model.reachDuration, 0.2);
+        const actions = [
+            ...this.pathActions(from, past, reach, this.model.swipeBow * (1 + this.gaussian() * 0.4), minimumJerk),
+            { type: 'pause', duration: Math.round(this.logNormal(120, 0.4)) },
+            ...this.pathActions(past, target, this.logNormal(reach * 0.35, 0.2), this.gaussian() * 2, minimumJerk),
+            { type: 'pause', duration: Math.round(this.logNormal(150, 0.4)) },
+            { type: 'pointerDown', button: 0 },
+            { type: 'pause', duration: Math.round(this.logNormal(this.model.tapHold, 0.2)) },
+            { type: 'pointerUp', button: 0 }
+        ];
+        this.pointer = target;
+
+        return { type: 'pointer', id, parameters: { pointerType: 'mouse' }, actions };
+    }
+
+    /**
+     * Touch swipe between two points: in motion as it lands and lifts, like a
+     * flick, and never quite from or to the same pixel twice
+     */
+    swipeActions(from, to, id = 'finger1') {
+        const duration = this.logNormal(this.model.swipeDuration, 0.15);
+        // The thumb pivots on the hand, so the longer the swipe the wider its arc
+        const arc = Math.max(this.model.swipeBow, Math.hypot(to.x - from.x, to.y - from.y) * this.model.swipeArc);
+        const bow = arc * (1 + this.gaussian() * 0.25) * (this.random() < 0.5 ? -1 : 1);
+        const start = {
+            x: from.x + this.gaussian() * this.model.tapJitter,
+            y: from.y + this.gaussian() * this.model.tapJitter
+        };
+        const end = {
+            x: to.x + this.gaussian() * this.model.tapJitter * 3,
+            y: to.y + this.gaussian() * this.model.tapJitter * 3
+        };
+
+        return {
+            type: 'pointer',
+            id,
+            parameters: { pointerType: 'touch' },
+            actions: [
+                { type: 'pointerMove', duration: 0, x: Math.round(start.x), y: Math.round(start.y) },
+                { type: 'pointerDown', button: 0 },
+                ...this.pathActions(start, end, duration, bow, flickProgress),
+                { type: 'pointerUp', button: 0 }
+            ]
+        };
+    }
+
+    /**
+     * Pause before acting, as a person reads and decides
+     * @returns {number} - ms
+     */
+    thinkTime() {
+        return Math.round(this.logNormal(this.model.thinkTime, this.model.thinkSpread));
+    }
+
+    /**
+     * pointerMove actions along a cubic Bezier bowed off the straight line,
+     * sampled at uneven intervals with tremor
+     * @param {Function} profile - Share of the path covered by share of the time
+     */
+    pathActions(from, to, duration, bow, profile) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        const normal = { x: -dy / length, y: dx / length };
+        const controls = [
+            { x: from.x + dx / 3 + normal.x * bow * 1.3, y: from.y + dy / 3 + normal.y * bow * 1.3 },
+            { x: from.x + dx * 2 / 3 + normal.x * bow * 1.3, y: from.y + dy * 2 / 3 + normal.y * bow * 1.3 }
+        ];
+
+        const times = [];
+        for (let time = 0; time < duration;) {
+            time = Math.min(duration, time + Math.max(1, this.model.sampleInterval * (0.6 + this.random() * 0.8)));
+            times.push(time);
+        }
+
+        const actions = [];
+        let elapsed = 0;
+        times.forEach((time, i) => {
+            const point = bezierPoint(from, controls[0], controls[1], to, profile(time / duration));
+            const last = i === times.length - 1;
+            const step = Math.round(time) - Math.round(elapsed);
+            if (step <= 0 && !last) return;
+
+            actions.push({
+                type: 'pointerMove',
+                duration: Math.max(0, step),
+                x: Math.round(last ? to.x : point.x + this.gaussian() * this.model.tremor),
+                y: Math.round(last ? to.y : point.y + this.gaussian() * this.model.tremor)
+            });
+            elapsed = time;
+        });
+        return actions;
+    }
+
+    /**
+     * Where a finger or cursor lands: off the centre, but on the element
+     */
+    landingPoint(rect) {
+        const clamp = (value, half) => Math.max(-half * 0.4, Math.min(half * 0.4, value));
+        return {
+            x: rect.x + rect.width / 2 + clamp(this.gaussian() * this.model.tapJitter, rect.width / 2),
+            y: rect.y + rect.height / 2 + clamp(this.gaussian() * this.model.tapJitter, rect.height / 2)
+        };
+    }
+
+    /**
+     * Stable multiplier of the person's median for one key or digraph
+     */
+    habitOf(label) {
+        let hash = this.model.seed * 31;
+        for (const char of label) {
+            hash = (hash * 33 + char.charCodeAt(0)) % 100003;
+        }
+        return Math.exp(Math.sin(hash) * this.model.habitStrength);
+    }
+
+    logNormal(median, sigma) {
+        return median * Math.exp(this.gaussian() * sigma);
+    }
+
+    gaussian() {
+        // Box-Muller
+        const u = Math.max(this.random(), 1e-12);
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+/**
+ * W3C key actions for possibly overlapping key strokes: key events in time
+ * order with pauses for the gaps between them
+ */
+function keyActionsOf(strokes) {
+    const events = strokes
+        .flatMap(stroke => [
+            { time: stroke.down, type: 'keyDown', value: stroke.key },
+            { time: stroke.up, type: 'keyUp', value: stroke.key }
+        ])
+        .sort((a, b) => a.time - b.time || (a.type === 'keyUp' ? -1 : 1));
+
+    const actions = [];
+    let time = 0;
+    events.forEach(event => {
+        const gap = Math.round(event.time) - Math.round(time);
+        if (gap > 0) actions.push({ type: 'pause', duration: gap });
+        actions.push({ type: event.type, value: event.value });
+        time = event.time;
+    });
+    return actions;
+}
+
+function neighbourOf(char, random) {
+    const lower = char.toLowerCase();
+    const row = KEYBOARD_ROWS.find(keys => keys.includes(lower));
+    if (!row) return null;
+
+    const index = row.indexOf(lower);
+    const neighbours = [row[index - 1], row[index + 1]].filter(Boolean);
+    return neighbours[Math.floor(random() * neighbours.length)];
+}
+
+function isCapital(char) {
+    return char !== char.toLowerCase() && char === char.toUpperCase();
+}
+
+/**
+ * Share of a reach covered by share t of its time: slow start and end,
+ * fastest in the middle
+ */
+function minimumJerk(t) {
+    return 10 * Math.pow(t, 3) - 15 * Math.pow(t, 4) + 6 * Math.pow(t, 5);
+}
+
+/**
+ * A slice of a minimum-jerk reach: already moving at the start and still
+ * moving at the end, fastest in between
+ */
+function flickProgress(t) {
+    return (minimumJerk(0.15 + 0.7 * t) - minimumJerk(0.15)) / (minimumJerk(0.85) - minimumJerk(0.15));
+}
+
+function bezierPoint(p0, p1, p2, p3, t) {
+    const u = 1 - t;
+    return {
+        x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+        y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y
+    };
+}
+
+/**
+ * Mulberry32: small, fast and good enough for input noise
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = Humanizer;
+module.exports.DEFAULT_MOTOR_MODEL = DEFAULT_MOTOR_MODEL;
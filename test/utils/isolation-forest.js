@@ -0,0 +1,241 @@
+const path = require('path');
+const fs = require('fs');
+
+const EULER_GAMMA = 0.5772156649;
+
+/**
+ * 🌲 Isolation Forest anomaly detector
+ *
+ * Pure-JavaScript implementation of the Isolation Forest algorithm
+ * (Liu, Ting & Zhou, 2008). Anomalies are isolated in fewer random
+ * partitions than normal points, so a short average path length across
+ * the ensemble translates into a high anomaly score.
+ *
+ * Features:
+ * - Deterministic training through a seeded random generator
+ * - In-process scoring in the [0, 1] range (0.5 ≈ no distinct anomaly)
+ * - JSON persistence for saving/loading trained forests
+ */
+class IsolationForest {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            numTrees: config.numTrees || 100,
+            sampleSize: config.sampleSize || 256,
+            seed: config.seed ?? 42
+        };
+
+        this.trees = [];
+        this.dimensions = 0;
+        this.effectiveSampleSize = 0;
+        this.trainedAt = null;
+
+        // Free-form description of the training context (feature schema, dataset, ...)
+        this.metadata = {};
+    }
+
+    /**
+     * Train the forest on a set of numerical feature vectors
+     * @param {number[][]} vectors - Training vectors of identical length
+     * @returns {IsolationForest} - The trained forest
+     */
+    fit(vectors) {
+        if (!Array.isArray(vectors) || vectors.length === 0) {
+            throw new Error('Isolation forest requires at least one training vector');
+        }
+
+        const dimensions = vectors[0].length;
+        if (vectors.some(vector => !Array.isArray(vector) || vector.length !== dimensions)) {
+            throw new Error(`All training vectors must have ${dimensions} dimensions`);
+        }
+
+        const random = createRandom(this.config.seed);
+        const sampleSize = Math.min(this.config.sampleSize, vectors.length);
+        const heightLimit = Math.ceil(Math.log2(Math.max(sampleSize, 2)));
+
+        this.trees = [];
+        for (let i = 0; i < this.config.numTrees; i++) {
+            const sample = this.subsample(vectors, sampleSize, random);
+            this.trees.push(this.buildTree(sample, 0, heightLimit, random));
+        }
+
+        this.dimensions = dimensions;
+        this.effectiveSampleSize = sampleSize;
+        this.trainedAt = new Date().toISOString();
+
+        return this;
+    }
+
+    /**
+     * Whether the forest has been trained
+     */
+    isTrained() {
+        return this.trees.length > 0;
+    }
+
+    /**
+     * 🎯 Anomaly score for a single vector
+     * @param {number[]} vector - Feature vector
+     * @returns {number} - Score in [0, 1]; values near 1 are anomalous
+     */
+    score(vector) {
+        if (!this.isTrained()) {
+            throw new Error('Isolation forest has not been trained');
+        }
+        if (!Array.isArray(vector) || vector.length !== this.dimensions) {
+            throw new Error(`Expected a vector with ${this.dimensions} dimensions`);
+        }
+
+        const totalPathLength = this.trees.reduce((sum, tree) => sum + this.pathLength(vector, tree, 0), 0);
+        const averagePathLength = totalPathLength / this.trees.length;
+        const normalizer = averagePathLengthOf(this.effectiveSampleSize);
+
+        if (normalizer === 0) return 0.5;
+        return Math.pow(2, -averagePathLength / normalizer);
+    }
+
+    /**
+     * Score several vectors at once
+     */
+    scoreMany(vectors) {
+        return vectors.map(vector => this.score(vector));
+    }
+
+    /**
+     * Serialize the forest to a plain object
+     */
+    toJSON() {
+        return {
+            type: 'isolation_forest',
+            formatVersion: 1,
+            config: this.config,
+            dimensions: this.dimensions,
+            effectiveSampleSize: this.effectiveSampleSize,
+            trainedAt: this.trainedAt,
+            metadata: this.metadata,
+            trees: this.trees
+        };
+    }
+
+    /**
+     * 💾 Save the trained forest as JSON
+     * @param {string} filePath - Destination file
+     */
+    save(filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(this.toJSON()));
+        return filePath;
+    }
+
+    /**
+     * Restore a forest from its serialized form
+     */
+    static fromJSON(data) {
+        if (!data || data.type !== 'isolation_forest') {
+            throw new Error('Serialized model is not an isolation forest');
+        }
+
+        const forest = new IsolationForest(data.config);
+        forest.trees = data.trees || [];
+        forest.dimensions = data.dimensions;
+        forest.effectiveSampleSize = data.effectiveSampleSize;
+        forest.trainedAt = data.trainedAt;
+        forest.metadata = data.metadata || {};
+
+        return forest;
+    }
+
+    /**
+     * 📂 Load a forest previously written with save()
+     * @param {string} filePath - Source file
+     */
+    static load(filePath) {
+        return IsolationForest.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    /**
+     * Helper methods
+     */
+    subsample(vectors, sampleSize, random) {
+        if (sampleSize >= vectors.length) return vectors.slice();
+
+        // Partial Fisher-Yates shuffle over indices
+        const indices = vectors.map((_, i) => i);
+        for (let i = 0; i < sampleSize; i++) {
+            const j = i + Math.floor(random() * (indices.length - i));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+
+        return indices.slice(0, sampleSize).map(i => vectors[i]);
+    }
+
+    buildTree(sample, depth, heightLimit, random) {
+        if (depth >= heightLimit || sample.length <= 1) {
+            return { size: sample.length };
+        }
+
+        // Only split on features that still vary within this partition
+        const candidates = [];
+        for (let feature = 0; feature < sample[0].length; feature++) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (const vector of sample) {
+                if (vector[feature] < min) min = vector[feature];
+                if (vector[feature] > max) max = vector[feature];
+            }
+            if (max > min) candidates.push({ feature, min, max });
+        }
+
+        if (candidates.length === 0) {
+            return { size: sample.length };
+        }
+
+        const { feature, min, max } = candidates[Math.floor(random() * candidates.length)];
+        const threshold = min + random() * (max - min);
+
+        const left = sample.filter(vector => vector[feature] < threshold);
+        const right = sample.filter(vector => vector[feature] >= threshold);
+
+        return {
+            feature,
+            threshold,
+            left: this.buildTree(left, depth + 1, heightLimit, random),
+            right: this.buildTree(right, depth + 1, heightLimit, random)
+        };
+    }
+
+    pathLength(vector, node, depth) {
+        if (node.size !== undefined) {
+            return depth + averagePathLengthOf(node.size);
+        }
+
+        const next = vector[node.feature] < node.threshold ? node.left : node.right;
+        return this.pathLength(vector, next, depth + 1);
+    }
+}
+
+/**
+ * Average path length of an unsuccessful BST search over n points
+ */
+function averagePathLengthOf(n) {
+    if (n > 2) return 2 * (Math.log(n - 1) + EULER_GAMMA) - (2 * (n - 1)) / n;
+    if (n === 2) return 1;
+    return 0;
+}
+
+/**
+ * Seeded mulberry32 generator so trained forests are reproducible
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = IsolationForest;
+module.exports.createRandom = createRandom;
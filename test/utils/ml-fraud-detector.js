@@ -1,6 +1,43 @@
-const { spawn } = require('child_process');
+const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const IsolationForest = require('./isolation-forest');
+const BehaviorFeatureExtractor = require('./feature-extractor');
+const { mean, coefficientOfVariation } = require('./feature-extractor');
+const { defaultFeatureSchema } = require('./feature-schema');
+const ModelRegistry = require('./model-registry');
+const DriftMonitor = require('./drift-monitor');
+const ScoreCalibrator = require('./score-calibrator');
+const { learnCompositeWeights, brierScore } = require('./score-calibrator');
+const FeedbackStore = require('./feedback-store');
+const { rocAuc } = require('./detector-evaluation');
+const PythonWorkerPool = require('./python-bridge');
+const CollusionGraph = require('./collusion-graph');
+
+// Default weighting of the analysis components in the composite score
+const DEFAULT_COMPOSITE_WEIGHTS = {
+    anomaly: 0.35,
+    network: 0.30,
+    biometric: 0.20,
+    temporal: 0.15
+};
+
+// Default composite score bands, overridable per environment
+const DEFAULT_RISK_THRESHOLDS = {
+    low: 0.3,
+    medium: 0.6,
+    high: 0.8,
+    critical: 0.9
+};
+
+// Composite component -> key in analysis.detailedScores
+const DETAILED_SCORE_KEYS = {
+    anomaly: 'anomalyDetection',
+    network: 'networkAnalysis',
+    biometric: 'biometricAnalysis',
+    temporal: 'temporalAnalysis'
+};
 
 /**
  * 🤖 Advanced ML-Based Fraud Detection System
@@ -9,31 +46,57 @@ const fs = require('fs');
  * fraudulent behavior patterns in betting applications.
  * 
  * Features:
- * - Behavioral pattern analysis
+ * - Per-user behavior baselines
  * - Real-time anomaly detection  
  * - Network fraud analysis
  * - Biometric behavior tracking
  * - Risk scoring algorithms
+ * - Feature drift monitoring ('drift' events)
  */
-class MLFraudDetector {
-    constructor() {
-        this.modelPath = path.join(__dirname, '../models/');
+class MLFraudDetector extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        
+        this.modelPath = config.modelPath || path.join(__dirname, '../models/');
         this.trainingData = [];
         this.behaviorProfiles = new Map();
-        this.networkGraph = new Map();
-        this.riskThresholds = {
-            low: 0.3,
-            medium: 0.6,
-            high: 0.8,
-            critical: 0.9
-        };
+        this.networkGraph = new CollusionGraph(config.network);
+        this.riskThresholds = { ...DEFAULT_RISK_THRESHOLDS, ...config.riskThresholds };
+        
+        // Per-environment weights; learned calibration weights fill in the
+        // components the configuration leaves out
+        this.configuredWeights = { ...config.compositeWeights };
+        this.compositeWeights = { ...DEFAULT_COMPOSITE_WEIGHTS, ...this.configuredWeights };
+        this.calibrator = null;
+        this.calibrationPath = path.join(this.modelPath, 'calibration.json');
         
         // Initialize models
+        this.modelRegistry = new ModelRegistry(this.modelPath);
         this.isolationForest = null;
-        this.neuralNetwork = null;
+        this.challengerForest = null;
         this.clusteringModel = null;
         
-        this.initializeModels();
+        // Long-lived Python workers for the script-backed models
+        this.pythonBridge = new PythonWorkerPool(config.python);
+        
+        // Feature extraction over the documented user-action schema
+        this.featureExtractor = new BehaviorFeatureExtractor();
+        this.featureSchema = defaultFeatureSchema;
+        this.maxTrainingSamples = 5000;
+        this.maxExplanations = config.maxExplanations || 5;
+        
+        // Analyses and analyst verdicts used for retraining. Analyses are only
+        // logged when asked for (batch scoring, feedback flows): every logged
+        // analysis keeps its full feature set on disk
+        this.feedbackStore = new FeedbackStore(path.join(this.modelPath, 'feedback'));
+        this.recordAnalyses = config.recordAnalyses === true;
+        
+        // Drift monitoring against the champion's training snapshot
+        this.driftConfig = { checkInterval: 50, ...config.drift };
+        this.driftMonitor = null;
+        this.driftObservations = 0;
+        
+        this.modelsReady = this.initializeModels();
     }
 
     /**
@@ -45,9 +108,12 @@ class MLFraudDetector {
             await this.loadModels();
             console.log('🤖 ML Fraud Detection models initialized');
         } catch (error) {
+            console.log(`⚠️ ${error.message}`);
             console.log('⚠️ Creating new ML models...');
             await this.createNewModels();
         }
+        
+        this.loadCalibration();
     }
 
     /**
@@ -61,40 +127,52 @@ class MLFraudDetector {
             // Extract behavioral features
             const features = this.extractBehavioralFeatures(userActions);
             
+            // Snapshot the baseline before this session is folded into the profile
+            const baseline = this.getBaselineVector(userId);
+            
             // Perform multiple analysis techniques
+            const modelOutputs = {};
             const anomalyScore = await this.detectAnomalies(features);
-            const behaviorScore = await this.analyzeBehaviorPatterns(features, userId);
-            const networkScore = await this.analyzeNetworkConnections(userId, features);
+            const networkScore = await this.analyzeNetworkConnections(userId, features, userActions, modelOutputs);
             const biometricScore = await this.analyzeBiometricBehavior(userActions);
             const temporalScore = await this.analyzeTemporalPatterns(userActions);
+            this.updateBehaviorProfile(userId, features);
             
             // Calculate composite fraud score
-            const compositeScore = this.calculateCompositeScore({
+            const componentScores = {
                 anomaly: anomalyScore,
-                behavior: behaviorScore,
                 network: networkScore,
                 biometric: biometricScore,
                 temporal: temporalScore
-            });
+            };
+            const rawScore = this.calculateCompositeScore(componentScores);
+            const compositeScore = this.calibrateScore(rawScore);
+            const explanation = this.explainScore(features, baseline);
             
             // Generate detailed analysis
             const analysis = {
+                analysisId: crypto.randomUUID(),
                 userId: userId,
+                modelId: this.isolationForest?.metadata?.modelId || null,
                 timestamp: new Date().toISOString(),
                 processingTime: Date.now() - startTime,
                 riskLevel: this.getRiskLevel(compositeScore),
                 confidenceScore: compositeScore,
+                rawScore: rawScore,
+                calibration: this.calibrator ? this.calibrator.method : 'uncalibrated',
                 fraudIndicators: this.identifyFraudIndicators(features, compositeScore),
                 behaviorProfile: this.generateBehaviorProfile(features),
-                recommendations: this.generateRecommendations(compositeScore),
+                recommendations: this.generateRecommendations(compositeScore, explanation),
                 detailedScores: {
                     anomalyDetection: anomalyScore,
-                    behaviorAnalysis: behaviorScore,
                     networkAnalysis: networkScore,
                     biometricAnalysis: biometricScore,
                     temporalAnalysis: temporalScore
                 },
-                flags: this.generateAlertFlags(compositeScore, features)
+                explanation: explanation,
+                modelOutputs: modelOutputs,
+                flags: this.generateAlertFlags(compositeScore, features),
+                shadowScores: this.shadowScore(features, componentScores, userId)
             };
             
             // Update learning models with new data
@@ -112,32 +190,35 @@ class MLFraudDetector {
      * 📊 Extract behavioral features from user actions
      */
     extractBehavioralFeatures(userActions) {
+        const extractor = this.featureExtractor;
+        
         const features = {
             // Basic behavioral metrics
-            sessionDuration: this.calculateSessionDuration(userActions),
-            actionFrequency: this.calculateActionFrequency(userActions),
-            bettingPatterns: this.analyzeBettingPatterns(userActions),
+            sessionDuration: extractor.calculateSessionDuration(userActions),
+            actionFrequency: extractor.calculateActionFrequency(userActions),
+            bettingPatterns: extractor.analyzeBettingPatterns(userActions),
             
             // Advanced behavioral analysis
-            mouseMovements: this.analyzeMouseMovements(userActions),
-            typingPatterns: this.analyzeTypingPatterns(userActions),
-            clickPatterns: this.analyzeClickPatterns(userActions),
-            scrollBehavior: this.analyzeScrollBehavior(userActions),
+            mouseMovements: extractor.analyzeMouseMovements(userActions),
+            typingPatterns: extractor.analyzeTypingPatterns(userActions),
+            clickPatterns: extractor.analyzeClickPatterns(userActions),
+            scrollBehavior: extractor.analyzeScrollBehavior(userActions),
             
             // Financial behavior
-            transactionPatterns: this.analyzeTransactionPatterns(userActions),
-            bettingAmountDistribution: this.analyzeBettingAmounts(userActions),
-            winLossPatterns: this.analyzeWinLossPatterns(userActions),
+            transactionPatterns: extractor.analyzeTransactionPatterns(userActions),
+            bettingAmountDistribution: extractor.analyzeBettingAmounts(userActions),
+            winLossPatterns: extractor.analyzeWinLossPatterns(userActions),
+            arbitrageSignals: extractor.analyzeArbitrageSignals(userActions),
             
             // Technical indicators
-            deviceFingerprint: this.extractDeviceFingerprint(userActions),
-            networkIndicators: this.extractNetworkIndicators(userActions),
-            locationPatterns: this.analyzeLocationPatterns(userActions),
+            deviceFingerprint: extractor.extractDeviceFingerprint(userActions),
+            networkIndicators: extractor.extractNetworkIndicators(userActions),
+            locationPatterns: extractor.analyzeLocationPatterns(userActions),
             
             // Temporal patterns
-            timeOfDayPatterns: this.analyzeTimePatterns(userActions),
-            sessionIntervals: this.analyzeSessionIntervals(userActions),
-            activityClusters: this.analyzeActivityClusters(userActions)
+            timeOfDayPatterns: extractor.analyzeTimePatterns(userActions),
+            sessionIntervals: extractor.analyzeSessionIntervals(userActions),
+            activityClusters: extractor.analyzeActivityClusters(userActions)
         };
 
         return features;
@@ -148,14 +229,16 @@ class MLFraudDetector {
      */
     async detectAnomalies(features) {
         try {
-            // Convert features to numerical array
-            const featureVector = this.featuresToVector(features);
+            await this.modelsReady;
             
-            // Use Python isolation forest implementation
-            const anomalyScore = await this.runPythonScript('isolation_forest.py', {
-                features: featureVector,
-                model_path: path.join(this.modelPath, 'isolation_forest.pkl')
-            });
+            // An untrained forest has no notion of "normal" yet
+            if (!this.isolationForest || !this.isolationForest.isTrained()) {
+                return 0.5;
+            }
+            
+            // Convert features to numerical array and score in-process
+            const featureVector = this.featuresToVector(features);
+            const anomalyScore = this.isolationForest.score(featureVector);
             
             return Math.max(0, Math.min(1, anomalyScore));
         } catch (error) {
@@ -165,61 +248,297 @@ class MLFraudDetector {
     }
 
     /**
-     * 🧠 Analyze behavior patterns using neural networks
+     * 🌲 Train an isolation forest on feature objects or feature vectors and
+     * register it. The first model becomes champion, later ones challengers,
+     * except that a model replaces a champion trained on another feature schema.
+     * @param {Array} samples - Feature objects or vectors
+     * @param {object} options - Forest config plus { role, metrics, evaluationSamples }
+     *                           where evaluationSamples are labelled { features, label }
      */
-    async analyzeBehaviorPatterns(features, userId) {
-        try {
-            // Get user's historical behavior profile
-            const historicalProfile = this.behaviorProfiles.get(userId) || this.getDefaultProfile();
-            
-            // Calculate deviations from normal behavior
-            const deviations = this.calculateBehaviorDeviations(features, historicalProfile);
+    async trainIsolationForest(samples = this.trainingData, options = {}) {
+        const { role, metrics = {}, evaluationSamples = [], ...forestConfig } = options;
+        await this.modelsReady;
+        
+        const vectors = samples.map(sample => 
+            Array.isArray(sample) ? sample : this.featuresToVector(sample)
+        );
+        
+        const forest = new IsolationForest(forestConfig).fit(vectors);
+        forest.metadata = {
+            ...this.featureSchema.stamp(),
+            // Population baseline for explaining scores of users without history
+            baselineVector: this.featureSchema.featureNames.map((_, i) => mean(vectors.map(vector => vector[i])))
+        };
+        
+        const trainingScores = forest.scoreMany(vectors).sort((a, b) => a - b);
+        const evaluationMetrics = {};
+        if (evaluationSamples.length > 0) {
+            evaluationMetrics.evaluationSamples = evaluationSamples.length;
+            evaluationMetrics.rocAuc = rocAuc(evaluationSamples.map(sample => ({
+                label: sample.label,
+                score: forest.score(this.featuresToVector(sample.features))
+            })));
+        }
+        const entry = this.modelRegistry.register(forest, {
+            ...this.featureSchema.stamp(),
+            datasetHash: ModelRegistry.hashDataset(vectors),
+            datasetSize: vectors.length,
+            metrics: {
+                meanTrainingScore: mean(trainingScores),
+                p95TrainingScore: trainingScores[Math.floor(0.95 * (trainingScores.length - 1))],
+                ...evaluationMetrics,
+                ...metrics
+            }
+        }, {
+            role: role === 'champion' || this.replacesChampion(role) ? 'champion' : 'challenger',
+            artifacts: {
+                'training-snapshot': DriftMonitor.createSnapshot(vectors, this.featureSchema.featureNames)
+            }
+        });
+        
+        forest.metadata.modelId = entry.id;
+        if (entry.status === 'champion') {
+            this.isolationForest = forest;
+            this.attachDriftMonitor(entry.id);
+        } else {
+            this.challengerForest = forest;
+        }
+        console.log(`🌲 Isolation forest ${entry.id} trained on ${vectors.length} samples (${entry.status})`);
+        
+        return forest;
+    }
+
+    /**
+     * Whether a new model takes over as champion whatever role was asked
+     * for: the first model when no role is given, and any model once the
+     * champion was trained on another feature schema and cannot score
+     */
+    replacesChampion(role) {
+        const champion = this.modelRegistry.getChampion();
+        return champion ? !this.featureSchema.isCompatible(champion) : !role;
+    }
+
+    /**
+     * ⚖️ Record an analyst verdict against a past analysis
+     * @param {string} analysisId - analysis.analysisId
+     * @param {string} verdict - confirmed_fraud | false_positive | unknown
+     * @param {object} details - { analyst, notes }
+     */
+    recordVerdict(analysisId, verdict, details = {}) {
+        return this.feedbackStore.recordVerdict(analysisId, verdict, details);
+    }
+
+    /**
+     * 🔄 Rebuild the isolation forest from analyst-labelled history and
+     * register it as a challenger. The forest learns "normal" from analyses
+     * judged legitimate; all labelled analyses are used to measure ROC-AUC.
+     * @param {object} options - { minSamples, calibrate, ...forest config }
+     */
+    async retrainFromFeedback(options = {}) {
+        const { minSamples = 20, calibrate = false, ...forestConfig } = options;
+        await this.modelsReady;
+        
+        const history = this.feedbackStore.getLabelledHistory();
+        if (history.length < minSamples) {
+            throw new Error(`Retraining needs ${minSamples} labelled analyses, only ${history.length} recorded`);
+        }
+        
+        const legitimate = history.filter(entry => entry.label === 0);
+        if (legitimate.length === 0) {
+            throw new Error('Retraining needs at least one analysis marked as false_positive');
+        }
+        
+        const evaluationSamples = history.map(entry => ({ features: entry.features, label: entry.label }));
+        const metrics = { fraudSamples: history.length - legitimate.length, legitimateSamples: legitimate.length };
+        if (this.isolationForest && this.isolationForest.isTrained()) {
+            metrics.championRocAuc = rocAuc(evaluationSamples.map(sample => ({
+                label: sample.label,
+                score: this.isolationForest.score(this.featuresToVector(sample.features))
+            })));
+        }
+        
+        const forest = await this.trainIsolationForest(legitimate.map(entry => entry.features), {
+            ...forestConfig,
+            role: 'challenger',
+            metrics,
+            evaluationSamples
+        });
+        
+        const calibration = calibrate ? this.fitCalibration(history) : null;
+        
+        return {
+            modelId: forest.metadata.modelId,
+            metrics: this.modelRegistry.get(forest.metadata.modelId).metrics,
+            calibration
+        };
+    }
+
+    /**
+     * 🏆 Promote the challenger to champion in the registry and in memory.
+     * A challenger trained on another feature schema is refused.
+     */
+    async promoteChallenger() {
+        await this.modelsReady;
+        
+        const challenger = this.modelRegistry.getChallenger();
+        if (challenger) {
+            this.featureSchema.assertCompatible(challenger);
+        }
+        const entry = this.modelRegistry.promote();
+        this.isolationForest = this.challengerForest || this.loadRegisteredModel(entry.id);
+        this.challengerForest = null;
+        this.attachDriftMonitor(entry.id);
+        console.log(`🏆 Model ${entry.id} promoted to champion`);
+        
+        return entry;
+    }
+
+    /**
+     * 📉 Track live features against the champion's training snapshot and
+     * emit 'drift' (with the written report) when the drift budget is exceeded
+     * @returns {object|null} - Drift report when a check ran
+     */
+    monitorDrift(features) {
+        if (!this.driftMonitor) return null;
+        
+        this.driftMonitor.observe(this.featuresToVector(features));
+        this.driftObservations++;
+        
+        if (!this.driftMonitor.hasEnoughSamples() || 
+            this.driftObservations % this.driftConfig.checkInterval !== 0) {
+            return null;
+        }
+        
+        const report = this.driftMonitor.check();
+        report.modelId = this.isolationForest.metadata.modelId;
+        
+        if (report.budgetExceeded) {
+            const reportDir = path.join(this.modelPath, 'drift-reports');
+            fs.mkdirSync(reportDir, { recursive: true });
+            report.reportPath = path.join(reportDir, `${report.modelId}-${Date.now()}.json`);
+            fs.writeFileSync(report.reportPath, JSON.stringify(report, null, 2));
             
-            // Use neural network for pattern recognition
-            const patternScore = await this.runPythonScript('neural_network.py', {
-                current_features: this.featuresToVector(features),
-                historical_profile: historicalProfile,
-                deviations: deviations
-            });
+            console.log(`📉 Feature drift on ${report.driftedFeatures.length} features: ${report.driftedFeatures.join(', ')}`);
+            this.emit('drift', report);
+        }
+        
+        return report;
+    }
+
+    attachDriftMonitor(modelId) {
+        const snapshot = this.modelRegistry.loadArtifact(modelId, 'training-snapshot');
+        this.driftMonitor = snapshot ? new DriftMonitor(snapshot, this.driftConfig) : null;
+        this.driftObservations = 0;
+    }
+
+    /**
+     * 👥 Score the same features with the challenger so both detectors
+     * can be compared before switching. Returns null without a challenger.
+     */
+    shadowScore(features, componentScores, userId = null) {
+        if (!this.challengerForest || !this.isolationForest || !this.isolationForest.isTrained()) {
+            return null;
+        }
+        
+        try {
+            const challengerAnomaly = this.challengerForest.score(this.featuresToVector(features));
+            const championScore = this.calibrateScore(this.calculateCompositeScore(componentScores));
+            const challengerScore = this.calibrateScore(
+                this.calculateCompositeScore({ ...componentScores, anomaly: challengerAnomaly })
+            );
             
-            // Update behavior profile
-            this.updateBehaviorProfile(userId, features);
+            const comparison = {
+                userId: userId,
+                championId: this.isolationForest.metadata.modelId,
+                challengerId: this.challengerForest.metadata.modelId,
+                championAnomaly: componentScores.anomaly,
+                challengerAnomaly: challengerAnomaly,
+                championScore: championScore,
+                challengerScore: challengerScore,
+                championRiskLevel: this.getRiskLevel(championScore),
+                challengerRiskLevel: this.getRiskLevel(challengerScore)
+            };
             
-            return Math.max(0, Math.min(1, patternScore));
+            this.modelRegistry.recordShadowScore(comparison);
+            return comparison;
         } catch (error) {
-            console.error('Behavior pattern analysis error:', error);
-            return 0.3;
+            console.error('Shadow scoring error:', error);
+            return null;
         }
     }
 
     /**
      * 🕸️ Network fraud analysis - detect coordinated attacks
+     * 
+     * Links the user to others in the collusion graph and scores the
+     * community they belong to; details go to modelOutputs.network.
      */
-    async analyzeNetworkConnections(userId, features) {
+    async analyzeNetworkConnections(userId, features, userActions = [], modelOutputs = {}) {
         try {
             if (!userId) return 0.2;
             
+            // Fold this session in first so its own links count
+            this.updateNetworkGraph(userId, userActions);
+            
             // Analyze network connections and user relationships
             const networkMetrics = {
-                ipSimilarity: this.calculateIPSimilarity(userId, features),
-                deviceSimilarity: this.calculateDeviceSimilarity(userId, features),
-                behaviorSimilarity: this.calculateBehaviorSimilarity(userId, features),
-                temporalCorrelation: this.calculateTemporalCorrelation(userId, features)
+                ipSimilarity: this.calculateIPSimilarity(userId),
+                deviceSimilarity: this.calculateDeviceSimilarity(userId),
+                paymentSimilarity: this.calculatePaymentSimilarity(userId),
+                behaviorSimilarity: this.calculateBehaviorSimilarity(userId),
+                opposingBets: this.networkGraph.betOverlap(userId, 'opposing_bet')
             };
             
             // Detect coordinated betting rings
-            const coordinationScore = await this.detectCoordination(userId, networkMetrics);
+            const coordination = this.detectCoordination(userId, networkMetrics);
+            modelOutputs.network = coordination;
             
-            // Update network graph
-            this.updateNetworkGraph(userId, features);
-            
-            return Math.max(0, Math.min(1, coordinationScore));
+            return Math.max(0, Math.min(1, coordination.score));
         } catch (error) {
             console.error('Network analysis error:', error);
             return 0.2;
         }
     }
 
+    updateNetworkGraph(userId, userActions) {
+        this.networkGraph.addUserActivity(userId, this.featureExtractor.extractNetworkEntities(userActions));
+    }
+
+    calculateIPSimilarity(userId) {
+        return this.networkGraph.entityOverlap(userId, 'ip');
+    }
+
+    calculateDeviceSimilarity(userId) {
+        return this.networkGraph.entityOverlap(userId, 'device');
+    }
+
+    calculatePaymentSimilarity(userId) {
+        return this.networkGraph.entityOverlap(userId, 'instrument');
+    }
+
+    /**
+     * Share of the user's bets mirrored by another account in the same window
+     */
+    calculateBehaviorSimilarity(userId) {
+        return this.networkGraph.betOverlap(userId, 'identical_bet');
+    }
+
+    /**
+     * Community coordination score; a user without strong links scores by
+     * their strongest weak link
+     */
+    detectCoordination(userId, networkMetrics) {
+        const community = this.networkGraph.getCommunity(userId);
+        const strongestLinks = this.networkGraph.getNeighbors(userId).slice(0, 3);
+        
+        return {
+            score: community ? community.coordinationScore : (strongestLinks[0]?.weight || 0),
+            metrics: networkMetrics,
+            community: community,
+            strongestLinks: strongestLinks
+        };
+    }
+
     /**
      * 👆 Biometric behavior analysis - mouse movements, typing patterns
      */
@@ -272,21 +591,13 @@ class MLFraudDetector {
     /**
      * 🧮 Calculate composite fraud score
      */
-    calculateCompositeScore(scores) {
+    calculateCompositeScore(scores, weights = this.compositeWeights) {
         // Weighted combination of different analysis methods
-        const weights = {
-            anomaly: 0.25,
-            behavior: 0.30,
-            network: 0.20,
-            biometric: 0.15,
-            temporal: 0.10
-        };
-        
         let compositeScore = 0;
         let totalWeight = 0;
         
         for (const [type, score] of Object.entries(scores)) {
-            if (score !== null && score !== undefined && !isNaN(score)) {
+            if (weights[type] !== undefined && score !== null && score !== undefined && !isNaN(score)) {
                 compositeScore += score * weights[type];
                 totalWeight += weights[type];
             }
@@ -295,6 +606,141 @@ class MLFraudDetector {
         return totalWeight > 0 ? compositeScore / totalWeight : 0.5;
     }
 
+    /**
+     * 🧾 Rank the features that drove the score away from the baseline
+     * 
+     * With a trained forest each feature is reset to its baseline value and
+     * the drop in anomaly score is its contribution (positive = raised risk).
+     * Without one, contributions are plain deviations from the baseline.
+     */
+    explainScore(features, baseline) {
+        const vector = this.featuresToVector(features);
+        const names = this.featureSchema.featureNames;
+        const forest = this.isolationForest;
+        const useModel = Boolean(forest && forest.isTrained());
+        const fullScore = useModel ? forest.score(vector) : null;
+        
+        const values = this.featureSchema.unscale(vector);
+        const baselineValues = this.featureSchema.unscale(baseline.vector);
+        
+        const contributions = vector.map((value, i) => {
+            let contribution = value - baseline.vector[i];
+            if (useModel) {
+                const occluded = vector.slice();
+                occluded[i] = baseline.vector[i];
+                contribution = fullScore - forest.score(occluded);
+            }
+            
+            return {
+                feature: names[i],
+                reasonCode: toReasonCode(names[i], value >= baseline.vector[i] ? 'HIGH' : 'LOW'),
+                value: values[i],
+                baselineValue: baselineValues[i],
+                contribution: contribution
+            };
+        });
+        
+        return {
+            method: useModel ? 'baseline_occlusion' : 'baseline_deviation',
+            baseline: baseline.source,
+            contributions: contributions
+                .filter(item => item.contribution !== 0)
+                .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+                .slice(0, this.maxExplanations)
+        };
+    }
+
+    /**
+     * Baseline vector for a user: their own history, the model's training
+     * population, or the schema defaults, in that order
+     */
+    getBaselineVector(userId) {
+        const profile = userId ? this.behaviorProfiles.get(userId) : null;
+        if (profile && profile.vector) {
+            return { source: 'user_profile', vector: profile.vector.slice() };
+        }
+        
+        const populationBaseline = this.isolationForest?.metadata?.baselineVector;
+        if (populationBaseline && populationBaseline.length === this.featureSchema.dimensions) {
+            return { source: 'population', vector: populationBaseline.slice() };
+        }
+        
+        return { source: 'schema_default', vector: this.featuresToVector({}) };
+    }
+
+    /**
+     * Fraud probability for a raw composite score (raw score if uncalibrated)
+     */
+    calibrateScore(rawScore) {
+        const score = this.calibrator ? this.calibrator.calibrate(rawScore) : rawScore;
+        return Math.max(0, Math.min(1, score));
+    }
+
+    /**
+     * 🎚️ Fit score calibration on labelled outcomes and persist it
+     * @param {object[]} outcomes - Past analyses (or { componentScores }) with a 0/1 `label`
+     * @param {object} options - { method: 'platt' | 'isotonic', learnWeights: boolean }
+     * @returns {object} - Saved calibration summary
+     */
+    fitCalibration(outcomes, options = {}) {
+        const method = options.method || 'platt';
+        const rows = outcomes.map(outcome => outcome.componentScores || Object.fromEntries(
+            Object.entries(DETAILED_SCORE_KEYS).map(([component, key]) => [component, outcome.detailedScores?.[key]])
+        ));
+        const labels = outcomes.map(outcome => outcome.label);
+        
+        const weights = options.learnWeights
+            ? learnCompositeWeights(rows, labels, Object.keys(DEFAULT_COMPOSITE_WEIGHTS))
+            : this.compositeWeights;
+        const rawScores = rows.map(row => this.calculateCompositeScore(row, weights));
+        const calibrator = ScoreCalibrator.fit(rawScores, labels, method);
+        
+        const calibration = {
+            ...calibrator.toJSON(),
+            compositeWeights: weights,
+            weightsLearned: Boolean(options.learnWeights),
+            fittedAt: new Date().toISOString(),
+            sampleCount: outcomes.length,
+            brierScore: {
+                raw: brierScore(rawScores, labels),
+                calibrated: brierScore(rawScores.map(score => calibrator.calibrate(score)), labels)
+            }
+        };
+        
+        fs.mkdirSync(this.modelPath, { recursive: true });
+        fs.writeFileSync(this.calibrationPath, JSON.stringify(calibration, null, 2));
+        
+        this.calibrator = calibrator;
+        this.compositeWeights = weights;
+        console.log(`🎚️ ${method} calibration fitted on ${outcomes.length} outcomes`);
+        
+        return calibration;
+    }
+
+    /**
+     * Load a saved calibration. Its weights stand in for the defaults, but
+     * explicitly configured weights win; the calibrator is then left out
+     * because it is only valid for the weights it was fitted with
+     */
+    loadCalibration() {
+        if (!fs.existsSync(this.calibrationPath)) return;
+        
+        try {
+            const calibration = JSON.parse(fs.readFileSync(this.calibrationPath, 'utf8'));
+            const savedWeights = calibration.compositeWeights || this.compositeWeights;
+            const weights = { ...savedWeights, ...this.configuredWeights };
+            this.compositeWeights = weights;
+            
+            if (Object.keys(weights).some(component => weights[component] !== savedWeights[component])) {
+                console.log('⚠️ Configured composite weights differ from the calibrated ones; calibration not applied');
+                return;
+            }
+            this.calibrator = ScoreCalibrator.fromJSON(calibration);
+        } catch (error) {
+            console.log(`⚠️ Ignoring unreadable calibration: ${error.message}`);
+        }
+    }
+
     /**
      * 🚨 Identify specific fraud indicators
      */
@@ -303,7 +749,7 @@ class MLFraudDetector {
         
         // Behavioral indicators
         if (features.actionFrequency > 10) indicators.push('rapid_actions');
-        if (features.bettingPatterns.variability < 0.1) indicators.push('uniform_betting');
+        if (features.bettingPatterns.count >= 3 && features.bettingPatterns.variability < 0.1) indicators.push('uniform_betting');
         if (features.mouseMovements.straightLines > 0.8) indicators.push('bot_like_movement');
         
         // Network indicators  
@@ -313,9 +759,14 @@ class MLFraudDetector {
         // Financial indicators
         if (features.transactionPatterns.roundNumbers > 0.7) indicators.push('structured_amounts');
         if (features.bettingAmountDistribution.outliers > 0.3) indicators.push('unusual_amounts');
+        if (features.arbitrageSignals.guaranteedReturnGroups > 0 ||
+            (features.arbitrageSignals.positiveClvRatio > 0.8 && features.arbitrageSignals.unroundStakeRatio > 0.5)) {
+            indicators.push('arbitrage_betting');
+        }
+        if (features.arbitrageSignals.promoOnly) indicators.push('promotion_only_betting');
         
         // Temporal indicators
-        if (features.timeOfDayPatterns.consistentTiming < 0.2) indicators.push('irregular_timing');
+        if (features.timeOfDayPatterns.peaks.length > 0 && features.timeOfDayPatterns.consistentTiming < 0.2) indicators.push('irregular_timing');
         
         return indicators;
     }
@@ -338,7 +789,7 @@ class MLFraudDetector {
     /**
      * 💡 Generate recommendations based on fraud score
      */
-    generateRecommendations(score) {
+    generateRecommendations(score, explanation = null) {
         const recommendations = [];
         
         if (score > this.riskThresholds.critical) {
@@ -358,77 +809,158 @@ class MLFraudDetector {
             recommendations.push('NORMAL_PROCESSING');
         }
         
+        // Point reviewers at the features that pushed the score up
+        if (explanation && score > this.riskThresholds.low) {
+            explanation.contributions
+                .filter(contribution => contribution.contribution > 0)
+                .slice(0, 3)
+                .forEach(contribution => recommendations.push(`REVIEW_${contribution.reasonCode}`));
+        }
+        
         return recommendations;
     }
 
     /**
-     * 🐍 Run Python ML scripts for complex computations
+     * 🐍 Run a Python ML script in the worker pool
+     * @param {string} scriptName - Script in test/ml-scripts exposing predict(payload)
+     * @param {object} data - JSON-serializable payload
+     * @param {object} options - { timeout, signal }
+     * @returns {Promise<object>} - The script's full result, e.g. { score, attributions, modelVersion }
+     * @throws {PythonBridgeError} - TIMEOUT, CANCELLED, SCRIPT_ERROR, WORKER_CRASHED, ...
      */
-    async runPythonScript(scriptName, data) {
-        return new Promise((resolve, reject) => {
-            const pythonPath = process.env.PYTHON_PATH || 'python3';
-            const scriptPath = path.join(__dirname, '../ml-scripts/', scriptName);
-            
-            const python = spawn(pythonPath, [scriptPath]);
-            
-            let output = '';
-            let error = '';
-            
-            python.stdout.on('data', (data) => {
-                output += data.toString();
-            });
-            
-            python.stderr.on('data', (data) => {
-                error += data.toString();
-            });
-            
-            python.on('close', (code) => {
-                if (code === 0) {
-                    try {
-                        const result = JSON.parse(output);
-                        resolve(result.score || 0.5);
-                    } catch (e) {
-                        resolve(parseFloat(output) || 0.5);
-                    }
-                } else {
-                    console.error(`Python script error: ${error}`);
-                    resolve(0.5); // Default neutral score
-                }
-            });
-            
-            // Send input data to Python script
-            python.stdin.write(JSON.stringify(data));
-            python.stdin.end();
-        });
+    async runPythonScript(scriptName, data, options = {}) {
+        return this.pythonBridge.call(scriptName, data, options);
+    }
+
+    /**
+     * Stop the Python workers
+     */
+    async close() {
+        await this.pythonBridge.close();
     }
 
     /**
      * 🔄 Real-time fraud monitoring
+     * 
+     * Every interval the users with new actions in the source are analyzed
+     * over their recent window; high and critical results are reported
+     * through the callbacks and a 'fraudAlert' event.
+     * 
+     * Backpressure: ticks never overlap (a tick that finds the previous one
+     * still running is skipped), each tick analyzes at most maxUsersPerTick
+     * users (longest waiting first, the rest stay queued in the source), and
+     * the source is paused once more than highWaterMark actions are waiting
+     * and resumed below lowWaterMark.
+     * 
+     * @param {ActionSource} source - See test/utils/action-sources.js
+     * @param {object|function} options - { interval, maxUsersPerTick, highWaterMark,
+     *     lowWaterMark, onAlert, onHigh, onCritical }; a function is used as onAlert
+     * @returns {Promise<object>} - Handle with stop() and getStats()
      */
-    async startRealTimeMonitoring(callback) {
-        setInterval(async () => {
-            try {
-                const activeUsers = await this.getActiveUsers();
+    async startRealTimeMonitoring(source, options = {}) {
+        if (!source || typeof source.getActiveUsers !== 'function') {
+            throw new Error('startRealTimeMonitoring needs an action source (see test/utils/action-sources.js)');
+        }
+        
+        const settings = {
+            interval: 30000,
+            maxUsersPerTick: 50,
+            highWaterMark: 5000,
+            ...(typeof options === 'function' ? { onAlert: options } : options)
+        };
+        settings.lowWaterMark = settings.lowWaterMark ?? Math.floor(settings.highWaterMark / 2);
+        
+        const stats = { ticks: 0, skippedTicks: 0, analyzed: 0, alerts: 0, errors: 0, pauses: 0 };
+        let inFlight = null;
+        let stopped = false;
+        
+        const applyBackpressure = () => {
+            const pending = source.pendingCount();
+            if (!source.paused && pending > settings.highWaterMark) {
+                source.pause();
+                stats.pauses++;
+            } else if (source.paused && pending <= settings.lowWaterMark) {
+                source.resume();
+            }
+        };
+        
+        const report = (userId, analysis) => {
+            const alert = {
+                alert: 'FRAUD_DETECTED',
+                severity: analysis.riskLevel,
+                user: userId,
+                analysis: analysis,
+                timestamp: new Date().toISOString()
+            };
+            
+            stats.alerts++;
+            this.emit('fraudAlert', alert);
+            if (settings.onAlert) settings.onAlert(alert);
+            if (analysis.riskLevel === 'high' && settings.onHigh) settings.onHigh(alert);
+            if (analysis.riskLevel === 'critical' && settings.onCritical) settings.onCritical(alert);
+        };
+        
+        const tick = async () => {
+            stats.ticks++;
+            applyBackpressure();
+            
+            const activeUsers = source.getActiveUsers().slice(0, settings.maxUsersPerTick);
+            
+            for (const user of activeUsers) {
+                if (stopped) break;
                 
-                for (const user of activeUsers) {
-                    const recentActions = await this.getRecentUserActions(user.id);
-                    if (recentActions.length > 0) {
-                        const analysis = await this.analyzeUserBehavior(recentActions, user.id);
-                        
-                        if (analysis.riskLevel === 'high' || analysis.riskLevel === 'critical') {
-                            callback({
-                                alert: 'FRAUD_DETECTED',
-                                user: user.id,
-                                analysis: analysis,
-                                timestamp: new Date().toISOString()
-                            });
-                        }
+                try {
+                    const recentActions = source.getRecentUserActions(user.id);
+                    if (recentActions.length === 0) continue;
+                    
+                    const analysis = await this.analyzeUserBehavior(recentActions, user.id);
+                    stats.analyzed++;
+                    
+                    if (analysis.riskLevel === 'high' || analysis.riskLevel === 'critical') {
+                        report(user.id, analysis);
                     }
+                } catch (error) {
+                    stats.errors++;
+                    console.error('Real-time monitoring error:', error);
                 }
-            } catch (error) {
-                console.error('Real-time monitoring error:', error);
             }
-        }, 30000); // Check every 30 seconds
+            
+            applyBackpressure();
+        };
+        
+        const runTick = () => {
+            if (inFlight) {
+                stats.skippedTicks++;
+                return inFlight;
+            }
+            inFlight = tick().finally(() => {
+                inFlight = null;
+            });
+            return inFlight;
+        };
+        
+        await source.start();
+        const timer = setInterval(runTick, settings.interval);
+        console.log(`🔄 Real-time monitoring started (every ${settings.interval}ms)`);
+        
+        return {
+            // Run a tick now (or wait for the running one); useful in specs
+            flush: runTick,
+            getStats: () => ({
+                ...stats,
+                pendingActions: source.pendingCount(),
+                paused: source.paused,
+                running: !stopped
+            }),
+            stop: async () => {
+                if (stopped) return;
+                stopped = true;
+                clearInterval(timer);
+                if (inFlight) await inFlight;
+                await source.stop();
+                console.log('🛑 Real-time monitoring stopped');
+            }
+        };
     }
 
     // Additional utility methods...
@@ -442,15 +974,8 @@ class MLFraudDetector {
     }
 
     featuresToVector(features) {
-        // Convert feature object to numerical vector for ML algorithms
-        return [
-            features.sessionDuration || 0,
-            features.actionFrequency || 0,
-            features.bettingPatterns?.consistency || 0,
-            features.mouseMovements?.velocity || 0,
-            features.typingPatterns?.rhythm || 0,
-            // ... add more features
-        ];
+        // Dimension order, defaults and scaling are pinned by the feature schema
+        return this.featureSchema.vectorize(features);
     }
 
     calculateMouseVelocity(userActions) {
@@ -471,16 +996,281 @@ class MLFraudDetector {
         return totalVelocity / (mouseEvents.length - 1);
     }
 
-    // Initialize with pre-built models or create new ones
+    calculateMouseAcceleration(userActions) {
+        const mouseEvents = userActions.filter(action => action.type === 'mouse_move');
+        if (mouseEvents.length < 3) return 0;
+        
+        let totalAcceleration = 0;
+        let previousVelocity = null;
+        let samples = 0;
+        for (let i = 1; i < mouseEvents.length; i++) {
+            const prev = mouseEvents[i-1];
+            const curr = mouseEvents[i];
+            const time = (curr.timestamp - prev.timestamp) || 1;
+            const velocity = Math.sqrt(
+                Math.pow(curr.x - prev.x, 2) + Math.pow(curr.y - prev.y, 2)
+            ) / time;
+            
+            if (previousVelocity !== null) {
+                totalAcceleration += Math.abs(velocity - previousVelocity) / time;
+                samples++;
+            }
+            previousVelocity = velocity;
+        }
+        
+        return samples > 0 ? totalAcceleration / samples : 0;
+    }
+
+    analyzeClickPressure(userActions) {
+        const pressures = userActions
+            .filter(action => action.type === 'click' && typeof action.pressure === 'number')
+            .map(action => action.pressure);
+        
+        return {
+            samples: pressures.length,
+            average: mean(pressures),
+            variability: coefficientOfVariation(pressures)
+        };
+    }
+
+    analyzeTypingRhythm(userActions) {
+        return this.featureExtractor.analyzeTypingPatterns(userActions).rhythm;
+    }
+
+    analyzeDwellTime(userActions) {
+        const { dwellTimes } = this.featureExtractor.getKeystrokeTimings(userActions);
+        return { samples: dwellTimes.length, average: mean(dwellTimes), variability: coefficientOfVariation(dwellTimes) };
+    }
+
+    analyzeFlightTime(userActions) {
+        const { flightTimes } = this.featureExtractor.getKeystrokeTimings(userActions);
+        return { samples: flightTimes.length, average: mean(flightTimes), variability: coefficientOfVariation(flightTimes) };
+    }
+
+    /**
+     * Score machine-like regularity in the biometric signals
+     */
+    detectBotBehavior(biometrics) {
+        let score = 0;
+        
+        // Humans cannot hold or release keys with metronome precision
+        if (biometrics.dwellTime.samples >= 5 && biometrics.dwellTime.variability < 0.1) score += 0.35;
+        if (biometrics.flightTime.samples >= 5 && biometrics.flightTime.variability < 0.1) score += 0.25;
+        
+        // 5 px/ms is far beyond a hand-driven pointer
+        if (biometrics.mouseVelocity > 5) score += 0.2;
+        
+        // Identical pressure on every click means synthetic input
+        if (biometrics.clickPressure.samples >= 3 && biometrics.clickPressure.variability === 0) score += 0.2;
+        
+        return Math.min(1, score);
+    }
+
+    /**
+     * Score physically implausible timings
+     */
+    detectHumanInconsistencies(biometrics) {
+        let score = 0;
+        
+        if (biometrics.dwellTime.samples > 0 && biometrics.dwellTime.average < 15) score += 0.4;
+        if (biometrics.flightTime.samples > 0 && biometrics.flightTime.average < 10) score += 0.3;
+        if (biometrics.mouseAcceleration > 1) score += 0.3;
+        
+        return Math.min(1, score);
+    }
+
+    analyzeSessionTiming(userActions) {
+        return this.featureExtractor.analyzeTimePatterns(userActions);
+    }
+
+    analyzeActionIntervals(userActions) {
+        const intervals = this.featureExtractor.getActionIntervals(userActions);
+        return {
+            count: intervals.length,
+            average: mean(intervals),
+            min: intervals.length > 0 ? Math.min(...intervals) : 0,
+            variability: coefficientOfVariation(intervals)
+        };
+    }
+
+    analyzePeakActivity(userActions) {
+        return this.featureExtractor.analyzeActivityClusters(userActions);
+    }
+
+    analyzeRhythmConsistency(userActions) {
+        const intervals = this.featureExtractor.getActionIntervals(userActions);
+        return intervals.length > 1 ? 1 / (1 + coefficientOfVariation(intervals)) : 0;
+    }
+
+    calculateTemporalAnomalyScore(temporalFeatures) {
+        const { sessionTiming, actionIntervals, peakActivity, rhythmConsistency } = temporalFeatures;
+        let score = sessionTiming.nightActivityRatio * 0.3;
+        
+        // Evenly spaced actions are a scheduler, not a person
+        if (actionIntervals.count >= 4 && rhythmConsistency > 0.85) score += 0.35;
+        if (actionIntervals.count > 0 && actionIntervals.min < 1000) score += 0.2;
+        
+        score += peakActivity.burstRatio * 0.15;
+        return score;
+    }
+
+    getDefaultProfile() {
+        return {
+            sampleCount: 0,
+            vector: null,
+            metrics: {
+                actionFrequency: 0,
+                sessionDuration: 0,
+                averageStake: 0,
+                betsPerHour: 0
+            }
+        };
+    }
+
+    /**
+     * Fold the session into the user's running-average profile
+     */
+    updateBehaviorProfile(userId, features) {
+        if (!userId) return;
+        
+        const profile = this.behaviorProfiles.get(userId) || this.getDefaultProfile();
+        const current = this.getProfileMetrics(features);
+        const count = profile.sampleCount;
+        
+        for (const [metric, value] of Object.entries(current)) {
+            profile.metrics[metric] = (profile.metrics[metric] * count + value) / (count + 1);
+        }
+        
+        const vector = this.featuresToVector(features);
+        profile.vector = profile.vector
+            ? profile.vector.map((value, i) => (value * count + vector[i]) / (count + 1))
+            : vector;
+        profile.sampleCount = count + 1;
+        
+        this.behaviorProfiles.set(userId, profile);
+    }
+
+    getProfileMetrics(features) {
+        return {
+            actionFrequency: features.actionFrequency || 0,
+            sessionDuration: features.sessionDuration || 0,
+            averageStake: features.bettingPatterns?.averageStake || 0,
+            betsPerHour: features.bettingPatterns?.betsPerHour || 0
+        };
+    }
+
+    classifyRiskLevel(features) {
+        const indicatorCount = this.identifyFraudIndicators(features).length;
+        if (indicatorCount >= 3) return 'high';
+        if (indicatorCount >= 1) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Alert flags named after the suspicious patterns they represent
+     */
+    generateAlertFlags(score, features) {
+        const flags = [];
+        
+        if (score >= this.riskThresholds.critical) flags.push('critical_risk');
+        else if (score >= this.riskThresholds.high) flags.push('high_risk');
+        
+        if (features.locationPatterns.rapidChanges > 0) flags.push('rapid_location_changes');
+        if (features.bettingAmountDistribution.outliers > 0.3) flags.push('unusual_betting_amounts');
+        if (features.mouseMovements.straightLines > 0.8 || features.clickPatterns.repeatedPositionRatio > 0.8) {
+            flags.push('bot_like_behavior');
+        }
+        if (features.networkIndicators.vpnDetected) flags.push('anonymized_network');
+        if (features.deviceFingerprint.distinctDevices > 2) flags.push('multiple_devices');
+        if (features.arbitrageSignals.hedgedGroupRatio > 0) flags.push('hedged_selections');
+        if (features.arbitrageSignals.promoOnly) flags.push('bonus_abuse');
+        
+        return flags;
+    }
+
+    /**
+     * Keep a bounded window of recent feature sets, log the analysis for
+     * analyst feedback and feed the drift monitor
+     */
+    async updateModelsWithNewData(features, analysis) {
+        this.trainingData.push(features);
+        
+        if (this.trainingData.length > this.maxTrainingSamples) {
+            this.trainingData.splice(0, this.trainingData.length - this.maxTrainingSamples);
+        }
+        
+        if (this.recordAnalyses) {
+            this.feedbackStore.recordAnalysis(analysis, features);
+        }
+        
+        this.monitorDrift(features);
+    }
+
+    generateErrorResponse(error) {
+        return {
+            userId: null,
+            timestamp: new Date().toISOString(),
+            riskLevel: 'unknown',
+            confidenceScore: null,
+            fraudIndicators: [],
+            recommendations: ['MANUAL_REVIEW'],
+            detailedScores: {},
+            flags: ['analysis_error'],
+            error: error.message
+        };
+    }
+
+    // Initialize with registered models or create new ones
     async loadModels() {
-        // Implementation for loading pre-trained models
         console.log('Loading pre-trained ML models...');
+        
+        const champion = this.modelRegistry.getChampion();
+        if (!champion) {
+            throw new Error(`No champion model registered in ${this.modelPath}`);
+        }
+        
+        // Refuse models trained against a different feature layout
+        this.featureSchema.assertCompatible(champion);
+        this.isolationForest = this.loadRegisteredModel(champion.id);
+        this.attachDriftMonitor(champion.id);
+        
+        // A stale challenger is skipped rather than blocking the champion
+        const challenger = this.modelRegistry.getChallenger();
+        this.challengerForest = null;
+        if (challenger && this.featureSchema.isCompatible(challenger)) {
+            this.challengerForest = this.loadRegisteredModel(challenger.id);
+        } else if (challenger) {
+            console.log(`⚠️ Challenger ${challenger.id} uses another feature schema; shadow scoring disabled`);
+        }
+    }
+
+    loadRegisteredModel(id) {
+        const model = this.modelRegistry.loadModel(id);
+        model.metadata.modelId = id;
+        return model;
     }
 
     async createNewModels() {
-        // Implementation for creating new models
         console.log('Creating new ML models...');
+        
+        // Untrained until trainIsolationForest() is called
+        this.isolationForest = new IsolationForest();
+        this.challengerForest = null;
+        this.driftMonitor = null;
     }
 }
 
-module.exports = MLFraudDetector;
\ No newline at end of file
+/**
+ * 'bettingPatterns.averageStake' + 'HIGH' -> 'BETTING_PATTERNS_AVERAGE_STAKE_HIGH'
+ */
+function toReasonCode(featureName, direction) {
+    const code = featureName
+        .replace(/\./g, '_')
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .toUpperCase();
+    return `${code}_${direction}`;
+}
+
+module.exports = MLFraudDetector;
+module.exports.DEFAULT_COMPOSITE_WEIGHTS = DEFAULT_COMPOSITE_WEIGHTS;
+module.exports.DEFAULT_RISK_THRESHOLDS = DEFAULT_RISK_THRESHOLDS;
@@ -0,0 +1,242 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const IsolationForest = require('./isolation-forest');
+
+// Model classes the registry knows how to restore, keyed by serialized type
+const MODEL_TYPES = {
+    isolation_forest: IsolationForest
+};
+
+/**
+ * 🗂️ On-disk ML Model Registry
+ *
+ * Stores trained fraud models with their metadata and tracks which model is
+ * the production "champion" and which one is the "challenger" being
+ * evaluated against it.
+ *
+ * Layout:
+ *   <rootDir>/registry.json          champion/challenger pointers + metadata
+ *   <rootDir>/<modelId>/model.json   serialized model
+ *   <rootDir>/<modelId>/*.json       artifacts (e.g. training snapshot)
+ *   <rootDir>/shadow-scores.jsonl    champion vs challenger score log
+ */
+class ModelRegistry {
+    constructor(rootDir = path.join(__dirname, '../models/')) {
+        this.rootDir = rootDir;
+        this.registryFile = path.join(rootDir, 'registry.json');
+        this.shadowLogFile = path.join(rootDir, 'shadow-scores.jsonl');
+    }
+
+    /**
+     * Register a trained model
+     * @param {object} model - Model exposing toJSON() with a `type` field
+     * @param {object} metadata - Training metadata (datasetHash, metrics, schema stamp...)
+     * @param {object} options - { role: 'challenger' | 'champion', artifacts: { name: object } }
+     * @returns {object} - Stored metadata including the generated model id
+     */
+    register(model, metadata = {}, options = {}) {
+        const role = options.role || 'challenger';
+        const serialized = model.toJSON();
+        const registry = this.read();
+
+        const id = `${serialized.type}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+        const entry = {
+            id,
+            type: serialized.type,
+            trainedAt: serialized.trainedAt || new Date().toISOString(),
+            registeredAt: new Date().toISOString(),
+            status: 'candidate',
+            metrics: {},
+            ...metadata
+        };
+
+        const modelDir = path.join(this.rootDir, id);
+        fs.mkdirSync(modelDir, { recursive: true });
+        fs.writeFileSync(path.join(modelDir, 'model.json'), JSON.stringify(serialized));
+        Object.entries(options.artifacts || {}).forEach(([name, artifact]) => {
+            fs.writeFileSync(path.join(modelDir, `${name}.json`), JSON.stringify(artifact));
+        });
+
+        registry.models[id] = entry;
+        this.write(registry);
+
+        if (role === 'champion') {
+            this.promote(id);
+        } else {
+            this.setChallenger(id);
+        }
+
+        return this.get(id);
+    }
+
+    /**
+     * Metadata of a single model
+     */
+    get(id) {
+        return this.read().models[id] || null;
+    }
+
+    /**
+     * Metadata of all registered models, newest first
+     */
+    list() {
+        return Object.values(this.read().models)
+            .sort((a, b) => b.registeredAt.localeCompare(a.registeredAt));
+    }
+
+    getChampion() {
+        const registry = this.read();
+        return registry.champion ? registry.models[registry.champion] : null;
+    }
+
+    getChallenger() {
+        const registry = this.read();
+        return registry.challenger ? registry.models[registry.challenger] : null;
+    }
+
+    /**
+     * Restore a registered model instance
+     */
+    loadModel(id) {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error(`Model ${id} is not registered`);
+        }
+
+        const ModelClass = MODEL_TYPES[entry.type];
+        if (!ModelClass) {
+            throw new Error(`Unsupported model type: ${entry.type}`);
+        }
+
+        const data = JSON.parse(fs.readFileSync(path.join(this.rootDir, id, 'model.json'), 'utf8'));
+        return ModelClass.fromJSON(data);
+    }
+
+    /**
+     * Read an artifact stored with a model; null when it was never written
+     */
+    loadArtifact(id, name) {
+        const artifactPath = path.join(this.rootDir, id, `${name}.json`);
+        if (!fs.existsSync(artifactPath)) return null;
+        return JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+    }
+
+    /**
+     * Mark a model as challenger, replacing any previous challenger
+     */
+    setChallenger(id) {
+        const registry = this.read();
+        if (!registry.models[id]) {
+            throw new Error(`Model ${id} is not registered`);
+        }
+
+        if (registry.challenger && registry.challenger !== id && registry.models[registry.challenger]) {
+            registry.models[registry.challenger].status = 'candidate';
+        }
+
+        registry.challenger = id;
+        registry.models[id].status = 'challenger';
+        this.write(registry);
+    }
+
+    /**
+     * 🏆 Promote a model (the challenger by default) to champion
+     * @returns {object} - Metadata of the new champion
+     */
+    promote(id = null) {
+        const registry = this.read();
+        const targetId = id || registry.challenger;
+
+        if (!targetId || !registry.models[targetId]) {
+            throw new Error('No challenger model available to promote');
+        }
+
+        if (registry.champion && registry.models[registry.champion]) {
+            registry.models[registry.champion].status = 'retired';
+            registry.models[registry.champion].retiredAt = new Date().toISOString();
+        }
+
+        registry.champion = targetId;
+        registry.models[targetId].status = 'champion';
+        registry.models[targetId].promotedAt = new Date().toISOString();
+
+        if (registry.challenger === targetId) {
+            registry.challenger = null;
+        }
+
+        this.write(registry);
+        return registry.models[targetId];
+    }
+
+    /**
+     * Append a champion/challenger comparison to the shadow log
+     */
+    recordShadowScore(entry) {
+        fs.mkdirSync(this.rootDir, { recursive: true });
+        fs.appendFileSync(this.shadowLogFile, JSON.stringify({
+            timestamp: new Date().toISOString(),
+            ...entry
+        }) + '\n');
+    }
+
+    /**
+     * 📊 Summarise how the challenger compares with the champion
+     * @param {string} challengerId - Restrict the summary to one challenger
+     */
+    getShadowSummary(challengerId = null) {
+        if (!fs.existsSync(this.shadowLogFile)) {
+            return { comparisons: 0 };
+        }
+
+        const entries = fs.readFileSync(this.shadowLogFile, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line))
+            .filter(entry => !challengerId || entry.challengerId === challengerId);
+
+        if (entries.length === 0) {
+            return { comparisons: 0 };
+        }
+
+        const deltas = entries.map(entry => entry.challengerScore - entry.championScore);
+        return {
+            comparisons: entries.length,
+            meanChampionScore: average(entries.map(entry => entry.championScore)),
+            meanChallengerScore: average(entries.map(entry => entry.challengerScore)),
+            meanAbsoluteDelta: average(deltas.map(Math.abs)),
+            riskLevelAgreement: entries.filter(entry =>
+                entry.championRiskLevel === entry.challengerRiskLevel
+            ).length / entries.length
+        };
+    }
+
+    /**
+     * Stable hash of a training dataset
+     */
+    static hashDataset(vectors) {
+        return crypto.createHash('sha256').update(JSON.stringify(vectors)).digest('hex');
+    }
+
+    read() {
+        if (!fs.existsSync(this.registryFile)) {
+            return { champion: null, challenger: null, models: {} };
+        }
+        return JSON.parse(fs.readFileSync(this.registryFile, 'utf8'));
+    }
+
+    write(registry) {
+        fs.mkdirSync(this.rootDir, { recursive: true });
+
+        // Write-then-rename so a crash never leaves a half-written registry
+        const tempFile = `${this.registryFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(registry, null, 2));
+        fs.renameSync(tempFile, this.registryFile);
+    }
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+module.exports = ModelRegistry;
@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const geoip = require('geoip-lite');
+const ProxyVPNDetector = require('./proxy-vpn-detector');
 
 /**
  * 🕸️ Advanced Network Fraud Analysis System
@@ -26,6 +27,7 @@ class NetworkFraudAnalyzer {
             coordinationTimeWindow: config.coordinationTimeWindow || 300000, // 5 minutes
             minClusterSize: config.minClusterSize || 3,
             vpnDetectionEnabled: config.vpnDetectionEnabled || true,
+            ipDatasetPath: config.ipDatasetPath || null, // defaults to test/data/ip-intelligence
             ...config
         };
         
@@ -39,7 +41,7 @@ class NetworkFraudAnalyzer {
         // Analysis components
         this.geoAnalyzer = new GeolocationAnalyzer();
         this.deviceTracker = new DeviceFingerprintTracker();
-        this.proxyDetector = new ProxyVPNDetector();
+        this.proxyDetector = new ProxyVPNDetector({ datasetPath: this.config.ipDatasetPath });
         this.coordinationDetector = new CoordinationDetector();
         
         // Network relationship graph
@@ -663,8 +665,11 @@ class NetworkFraudAnalyzer {
     }
 
     async initializeProxyDetection() {
-        // Initialize proxy/VPN detection services
+        // Load hosting, VPN, Tor and ASN datasets for proxy/VPN detection
         console.log('🔍 Initializing proxy detection...');
+        const { entries, updatedAt } = this.proxyDetector.getDatasetInfo();
+        console.log(`🌐 IP datasets: ${entries.hosting} hosting ranges, ${entries.vpn} VPN ranges, ` +
+            `${entries.tor} Tor exits, ${entries.asnPrefixes} ASN prefixes (updated ${updatedAt || 'never'})`);
     }
 
     async initializeDeviceFingerprinting() {
@@ -777,37 +782,6 @@ class DeviceFingerprintTracker {
     // Device fingerprinting implementation
 }
 
-class ProxyVPNDetector {
-    async checkProxy(ipAddress) {
-        // Simplified proxy detection
-        // In production, would use external services
-        return Math.random() > 0.9;
-    }
-
-    async checkVPN(ipAddress) {
-        // Simplified VPN detection
-        return Math.random() > 0.95;
-    }
-
-    async checkTor(ipAddress) {
-        // Simplified Tor detection
-        return Math.random() > 0.99;
-    }
-
-    async checkDataCenter(ipAddress) {
-        // Data center IP detection
-        return Math.random() > 0.9;
-    }
-
-    async identifyProxyType(ipAddress) {
-        return 'unknown';
-    }
-
-    async getExitNodeInfo(ipAddress) {
-        return null;
-    }
-}
-
 class CoordinationDetector {
     // Coordination pattern detection implementation
 }
@@ -16,6 +16,9 @@ class PerformanceUtil {
         this.interactionTimings = {};
         this.suspiciousPatterns = [];
         
+        // Source of interaction times, replaced by specs that run on a virtual clock
+        this.now = () => Date.now();
+        
         // Load thresholds from environment
         this.thresholds = {
             // Minimum time expected between interactions (ms)
@@ -45,13 +48,21 @@ class PerformanceUtil {
         }
     }
     
+    /**
+     * Read interaction times from a clock other than the system's
+     * @param {Function} now - Returns the current time in ms
+     */
+    useClock(now = () => Date.now()) {
+        this.now = now;
+    }
+    
     /**
      * Start timing an interaction
      * @param {string} interactionName - Name of the interaction to time
      */
     startTiming(interactionName) {
         this.interactionTimings[interactionName] = {
-            start: Date.now(),
+            start: this.now(),
             end: null,
             duration: null
         };
@@ -72,7 +83,7 @@ class PerformanceUtil {
             return null;
         }
         
-        const endTime = Date.now();
+        const endTime = this.now();
         const timing = this.interactionTimings[interactionName];
         
         timing.end = endTime;
@@ -84,7 +95,7 @@ class PerformanceUtil {
             start: timing.start,
             end: timing.end,
             duration: timing.duration,
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(endTime).toISOString(),
             ...metadata
         };
         
@@ -112,7 +123,7 @@ class PerformanceUtil {
      * @param {Object} details - Details about the interaction
      */
     recordInteraction(interactionType, details = {}) {
-        const timestamp = Date.now();
+        const timestamp = this.now();
         
         const interaction = {
             type: interactionType,
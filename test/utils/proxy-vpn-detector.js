@@ -0,0 +1,431 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Dataset files, by the dataset they hold
+const DATASET_FILES = {
+    hosting: 'hosting-ranges.txt', // CIDR [provider]
+    vpn: 'vpn-ranges.txt', // CIDR [provider]
+    tor: 'tor-exit-nodes.txt', // IP per line, or the Tor exit-addresses format
+    asnPrefixes: 'asn-prefixes.tsv', // CIDR ASN [organisation]
+    asnCategories: 'asn-categories.tsv' // ASN category (hosting, vpn, isp, ...)
+};
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Proxy types, most anonymous first
+const RELAY_TYPES = ['tor', 'vpn', 'datacenter'];
+
+// Lines of the Tor exit-addresses format that carry no address
+const TOR_METADATA = ['ExitNode', 'Published', 'LastStatus'];
+
+/**
+ * 🌳 Binary prefix trie over IPv4 and IPv6 addresses
+ *
+ * One bit per level, so a lookup walks at most 32 (IPv4) or 128 (IPv6)
+ * nodes whatever the number of prefixes, and returns the longest prefix
+ * containing the address.
+ */
+class IPPrefixTrie {
+    constructor() {
+        this.roots = { 4: createNode(), 6: createNode() };
+        this.size = 0;
+    }
+
+    /**
+     * Store a value under a prefix, replacing any value already there
+     * @param {string} cidr - e.g. 198.51.100.0/24, 2001:db8::/32, or a bare address
+     * @param {*} value - Returned by lookups inside the prefix
+     */
+    insert(cidr, value) {
+        const prefix = parseCIDR(cidr);
+        if (!prefix) {
+            throw new Error(`Invalid CIDR: ${cidr}`);
+        }
+
+        let node = this.roots[prefix.version];
+        for (let bit = 0; bit < prefix.length; bit++) {
+            const branch = bitAt(prefix.bytes, bit);
+            node.children[branch] = node.children[branch] || createNode();
+            node = node.children[branch];
+        }
+
+        if (!node.match) this.size++;
+        node.match = { prefix: prefix.text, value };
+    }
+
+    /**
+     * Longest prefix containing an address
+     * @returns {object|null} - { prefix, value }, or null when none does
+     */
+    lookup(ipAddress) {
+        const address = parseAddress(ipAddress);
+        if (!address) return null;
+
+        let node = this.roots[address.version];
+        let match = node.match;
+        const bits = address.bytes.length * 8;
+        for (let bit = 0; bit < bits && node; bit++) {
+            node = node.children[bitAt(address.bytes, bit)];
+            if (node && node.match) match = node.match;
+        }
+        return match;
+    }
+
+    has(ipAddress) {
+        return this.lookup(ipAddress) !== null;
+    }
+}
+
+/**
+ * 🛡️ Proxy, VPN, Tor and data centre detection from local datasets
+ *
+ * Looks addresses up in hosting provider ranges, known VPN ranges, the Tor
+ * exit list and an ASN table whose ASNs are categorised (e.g. hosting, vpn),
+ * all loaded from files in datasetPath (see DATASET_FILES). A missing file
+ * is an empty dataset; a malformed line fails the load. Refresh the files
+ * with updateDatasets (npm run ip:update -- <dir>) and call reload().
+ */
+class ProxyVPNDetector {
+    constructor(config = {}) {
+        this.datasetPath = config.datasetPath || path.join(__dirname, '../data/ip-intelligence/');
+        this.datasets = null;
+    }
+
+    /**
+     * Load the dataset files, once
+     */
+    load() {
+        if (!this.datasets) {
+            this.datasets = loadDatasets(this.datasetPath);
+        }
+        return this.datasets;
+    }
+
+    /**
+     * Load the dataset files again, e.g. after an update
+     */
+    reload() {
+        this.datasets = null;
+        return this.load();
+    }
+
+    /**
+     * Everything the datasets say about an address
+     * @returns {object|null} - { tor, vpn, hosting, asn } with the matching
+     *                          entries, or null for an unparseable address
+     */
+    lookup(ipAddress) {
+        const address = parseAddress(ipAddress);
+        if (!address) return null;
+
+        const { hosting, vpn, tor, asnPrefixes, asnCategories } = this.load();
+        const asnMatch = asnPrefixes.lookup(address.text);
+        const asn = asnMatch ? {
+            ...asnMatch.value,
+            prefix: asnMatch.prefix,
+            category: asnCategories.get(asnMatch.value.asn) || null
+        } : null;
+
+        return {
+            ipAddress: address.text,
+            tor: tor.has(address.text),
+            vpn: entryOf(vpn.lookup(address.text)),
+            hosting: entryOf(hosting.lookup(address.text)),
+            asn
+        };
+    }
+
+    /**
+     * Traffic relayed through anything but the user's own connection
+     */
+    async checkProxy(ipAddress) {
+        return RELAY_TYPES.includes(await this.identifyProxyType(ipAddress));
+    }
+
+    async checkVPN(ipAddress) {
+        const result = this.lookup(ipAddress);
+        return Boolean(result && (result.vpn || (result.asn && result.asn.category === 'vpn')));
+    }
+
+    async checkTor(ipAddress) {
+        const result = this.lookup(ipAddress);
+        return Boolean(result && result.tor);
+    }
+
+    async checkDataCenter(ipAddress) {
+        const result = this.lookup(ipAddress);
+        return Boolean(result && (result.hosting || (result.asn && result.asn.category === 'hosting')));
+    }
+
+    /**
+     * @returns {string} - tor, vpn or datacenter (the most anonymous that
+     *                     applies), none, or unknown for an unparseable address
+     */
+    async identifyProxyType(ipAddress) {
+        if (!parseAddress(ipAddress)) return 'unknown';
+        if (await this.checkTor(ipAddress)) return 'tor';
+        if (await this.checkVPN(ipAddress)) return 'vpn';
+        if (await this.checkDataCenter(ipAddress)) return 'datacenter';
+        return 'none';
+    }
+
+    /**
+     * Who operates the relay an address belongs to
+     * @returns {object|null} - { network, provider, prefix, asn }, or null when not a relay
+     */
+    async getExitNodeInfo(ipAddress) {
+        const type = await this.identifyProxyType(ipAddress);
+        if (!RELAY_TYPES.includes(type)) return null;
+
+        const { vpn, hosting, asn } = this.lookup(ipAddress);
+        const range = type === 'vpn' ? vpn : type === 'datacenter' ? hosting : null;
+        return {
+            network: type,
+            provider: range ? range.name : asn ? asn.organisation : null,
+            prefix: range ? range.prefix : asn ? asn.prefix : null,
+            asn: asn ? asn.asn : null
+        };
+    }
+
+    /**
+     * Entry counts per dataset and when the files were last updated
+     */
+    getDatasetInfo() {
+        const datasets = this.load();
+        return {
+            datasetPath: this.datasetPath,
+            updatedAt: datasets.manifest ? datasets.manifest.updatedAt : null,
+            entries: datasets.entries
+        };
+    }
+}
+
+/**
+ * Replace dataset files with the ones found in a directory. Every file is
+ * parsed before any is written, so a bad file leaves the datasets as they
+ * were; files the directory does not have are kept
+ * @param {string} sourceDir - Directory holding some of DATASET_FILES
+ * @param {string} datasetPath - Dataset directory to update
+ * @returns {object} - The new manifest: updatedAt, and per file its entry count, sha256 and updatedAt
+ */
+function updateDatasets(sourceDir, datasetPath) {
+    const updates = Object.entries(DATASET_FILES)
+        .filter(([, file]) => fs.existsSync(path.join(sourceDir, file)))
+        .map(([dataset, file]) => {
+            const content = fs.readFileSync(path.join(sourceDir, file), 'utf8');
+            return { dataset, file, content, entries: PARSERS[dataset](content, file).length };
+        });
+
+    if (updates.length === 0) {
+        throw new Error(`No dataset files in ${sourceDir}; expected some of ${Object.values(DATASET_FILES).join(', ')}`);
+    }
+
+    fs.mkdirSync(datasetPath, { recursive: true });
+    const previous = readManifest(datasetPath);
+    const updatedAt = new Date().toISOString();
+    const manifest = { updatedAt, files: { ...(previous ? previous.files : {}) } };
+
+    updates.forEach(({ file, content, entries }) => {
+        const tempFile = path.join(datasetPath, `${file}.tmp`);
+        fs.writeFileSync(tempFile, content);
+        fs.renameSync(tempFile, path.join(datasetPath, file));
+        manifest.files[file] = {
+            entries,
+            sha256: crypto.createHash('sha256').update(content).digest('hex'),
+            updatedAt
+        };
+    });
+
+    fs.writeFileSync(path.join(datasetPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    return manifest;
+}
+
+function loadDatasets(datasetPath) {
+    const read = dataset => {
+        const file = path.join(datasetPath, DATASET_FILES[dataset]);
+        return fs.existsSync(file) ? PARSERS[dataset](fs.readFileSync(file, 'utf8'), DATASET_FILES[dataset]) : [];
+    };
+    const trieOf = entries => {
+        const trie = new IPPrefixTrie();
+        entries.forEach(({ cidr, ...value }) => trie.insert(cidr, value));
+        return trie;
+    };
+
+    const lists = {};
+    const entries = {};
+    Object.keys(DATASET_FILES).forEach(dataset => {
+        lists[dataset] = read(dataset);
+        entries[dataset] = lists[dataset].length;
+    });
+
+    return {
+        hosting: trieOf(lists.hosting),
+        vpn: trieOf(lists.vpn),
+        tor: trieOf(lists.tor),
+        asnPrefixes: trieOf(lists.asnPrefixes),
+        asnCategories: new Map(lists.asnCategories.map(({ asn, category }) => [asn, category])),
+        entries,
+        manifest: readManifest(datasetPath)
+    };
+}
+
+function readManifest(datasetPath) {
+    const file = path.join(datasetPath, MANIFEST_FILE);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Parsers by dataset: text in, entries out, throwing on a malformed line.
+ * Blank lines and # comments are skipped
+ */
+const PARSERS = {
+    hosting: (content, file) => parseLines(content, file, ([cidr, ...name]) => rangeEntry(cidr, name)),
+    vpn: (content, file) => parseLines(content, file, ([cidr, ...name]) => rangeEntry(cidr, name)),
+    tor: (content, file) => parseLines(content, file, fields => {
+        if (TOR_METADATA.includes(fields[0])) return null;
+        const address = fields[0] === 'ExitAddress' ? fields[1] : fields[0];
+        return parseAddress(address) ? { cidr: address } : `invalid address '${address}'`;
+    }),
+    asnPrefixes: (content, file) => parseLines(content, file, ([cidr, asn, ...organisation]) => {
+        if (!parseCIDR(cidr)) return `invalid CIDR '${cidr}'`;
+        if (parseASN(asn) === null) return `invalid ASN '${asn}'`;
+        return { cidr, asn: parseASN(asn), organisation: organisation.join(' ') || null };
+    }),
+    asnCategories: (content, file) => parseLines(content, file, ([asn, category]) => {
+        if (parseASN(asn) === null) return `invalid ASN '${asn}'`;
+        if (!category) return `no category for ${asn}`;
+        return { asn: parseASN(asn), category: category.toLowerCase() };
+    })
+};
+
+/**
+ * Parse each meaningful line into an entry; a line parser returns the entry,
+ * null to skip the line, or a string describing what is wrong with it
+ */
+function parseLines(content, file, parseLine) {
+    const entries = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+        const text = line.replace(/#.*/, '').trim();
+        if (!text) return;
+
+        const entry = parseLine(text.split(/\s+/));
+        if (typeof entry === 'string') {
+            throw new Error(`${file}:${index + 1}: ${entry}`);
+        }
+        if (entry) entries.push(entry);
+    });
+    return entries;
+}
+
+function rangeEntry(cidr, name) {
+    return parseCIDR(cidr) ? { cidr, name: name.join(' ') || null } : `invalid CIDR '${cidr}'`;
+}
+
+function entryOf(match) {
+    return match ? { prefix: match.prefix, ...match.value } : null;
+}
+
+/**
+ * AS16509, as16509 or 16509
+ * @returns {number|null}
+ */
+function parseASN(text) {
+    const match = /^(?:AS)?(\d{1,10})$/i.exec(text || '');
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * @returns {object|null} - { version, bytes, length, text }, length being the prefix length
+ */
+function parseCIDR(cidr) {
+    const [address, length, ...rest] = String(cidr).trim().split('/');
+    const bytes = parseIP(address);
+    if (!bytes || rest.length > 0) return null;
+
+    if (length !== undefined && !/^\d{1,3}$/.test(length)) return null;
+    const bits = bytes.length * 8;
+    const prefixLength = length === undefined ? bits : Number(length);
+    if (prefixLength > bits) return null;
+
+    return { version: bytes.length === 4 ? 4 : 6, bytes, length: prefixLength, text: `${address}/${prefixLength}` };
+}
+
+/**
+ * An address to look up. IPv4-mapped IPv6 addresses (::ffff:198.51.100.7),
+ * as dual-stack servers report IPv4 clients, are looked up as IPv4
+ */
+function parseAddress(ipAddress) {
+    if (typeof ipAddress !== 'string') return null;
+    const text = ipAddress.trim();
+    const bytes = parseIP(text);
+    if (!bytes) return null;
+
+    const mapped = bytes.length === 16 && bytes.slice(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+    if (mapped) {
+        const ipv4 = bytes.slice(12);
+        return { version: 4, bytes: ipv4, text: ipv4.join('.') };
+    }
+    return { version: bytes.length === 4 ? 4 : 6, bytes, text };
+}
+
+/**
+ * Dotted IPv4 or IPv6 (with ::, an embedded IPv4 tail or a %zone) as bytes
+ * @returns {number[]|null} - 4 or 16 bytes
+ */
+function parseIP(text) {
+    if (!text) return null;
+    if (text.includes('.') && !text.includes(':')) return parseIPv4(text);
+
+    const address = text.replace(/%.*$/, '');
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+
+    const groupsOf = half => {
+        if (!half) return [];
+        const parts = half.split(':');
+        const groups = [];
+        for (let i = 0; i < parts.length; i++) {
+            if (i === parts.length - 1 && parts[i].includes('.')) {
+                const ipv4 = parseIPv4(parts[i]);
+                if (!ipv4) return null;
+                groups.push((ipv4[0] << 8) | ipv4[1], (ipv4[2] << 8) | ipv4[3]);
+            } else if (/^[0-9a-f]{1,4}$/i.test(parts[i])) {
+                groups.push(parseInt(parts[i], 16));
+            } else {
+                return null;
+            }
+        }
+        return groups;
+    };
+
+    const head = groupsOf(halves[0]);
+    const tail = halves.length === 2 ? groupsOf(halves[1]) : [];
+    if (!head || !tail) return null;
+
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = [...head, ...new Array(missing).fill(0), ...tail];
+    return groups.flatMap(group => [group >> 8, group & 0xff]);
+}
+
+function parseIPv4(text) {
+    const parts = text.split('.');
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+    return parts.map(Number);
+}
+
+function bitAt(bytes, bit) {
+    return (bytes[bit >> 3] >> (7 - (bit & 7))) & 1;
+}
+
+function createNode() {
+    return { children: [null, null], match: null };
+}
+
+module.exports = ProxyVPNDetector;
+module.exports.IPPrefixTrie = IPPrefixTrie;
+module.exports.DATASET_FILES = DATASET_FILES;
+module.exports.updateDatasets = updateDatasets;
+module.exports.parseAddress = parseAddress;
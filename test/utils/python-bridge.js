@@ -0,0 +1,297 @@
+const EventEmitter = require('events');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+const ERROR_CODES = {
+    TIMEOUT: 'TIMEOUT',
+    CANCELLED: 'CANCELLED',
+    WORKER_CRASHED: 'WORKER_CRASHED',
+    SPAWN_FAILED: 'SPAWN_FAILED',
+    SCRIPT_NOT_FOUND: 'SCRIPT_NOT_FOUND',
+    SCRIPT_ERROR: 'SCRIPT_ERROR',
+    INVALID_RESPONSE: 'INVALID_RESPONSE',
+    POOL_CLOSED: 'POOL_CLOSED'
+};
+
+const MAX_STDERR_TAIL = 4000;
+
+/**
+ * Structured failure of a Python model call
+ */
+class PythonBridgeError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'PythonBridgeError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * 🐍 Python Model Worker Pool
+ *
+ * Keeps long-lived `ml-scripts/worker.py` processes and talks to them with
+ * line-delimited JSON, so model scripts are imported once instead of on
+ * every call.
+ *
+ * Protocol (one JSON object per line):
+ *   → { "id": "7", "script": "model.py", "payload": {...} }
+ *   ← { "id": "7", "ok": true, "result": { "score": 0.42, ... } }
+ *   ← { "id": "7", "ok": false, "error": { "code": "SCRIPT_ERROR", "message": "...", "traceback": "..." } }
+ *
+ * Each worker runs one request at a time. A timed-out or cancelled request
+ * kills its worker (the only way to stop running Python code); a fresh
+ * worker is spawned for the next request.
+ */
+class PythonWorkerPool extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            pythonPath: config.pythonPath || process.env.PYTHON_PATH || 'python3',
+            workerScript: config.workerScript || path.join(__dirname, '../ml-scripts/worker.py'),
+            scriptDir: config.scriptDir || path.join(__dirname, '../ml-scripts'),
+            size: config.size || 2,
+            timeout: config.timeout || 10000,
+            ...config
+        };
+
+        this.workers = [];
+        this.queue = [];
+        this.nextRequestId = 1;
+        this.closed = false;
+    }
+
+    /**
+     * Run a model script in a worker
+     * @param {string} script - Script file name inside scriptDir
+     * @param {object} payload - JSON-serializable input
+     * @param {object} options - { timeout, signal (AbortSignal) }
+     * @returns {Promise<object>} - The script's result object
+     */
+    call(script, payload, options = {}) {
+        if (this.closed) {
+            return Promise.reject(new PythonBridgeError(ERROR_CODES.POOL_CLOSED, 'Python worker pool is closed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = {
+                id: String(this.nextRequestId++),
+                script,
+                payload,
+                timeout: options.timeout || this.config.timeout,
+                signal: options.signal || null,
+                resolve,
+                reject
+            };
+
+            if (request.signal) {
+                if (request.signal.aborted) {
+                    reject(this.cancelledError(request));
+                    return;
+                }
+                request.onAbort = () => this.cancel(request);
+                request.signal.addEventListener('abort', request.onAbort, { once: true });
+            }
+
+            this.queue.push(request);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Stop all workers and fail queued requests
+     */
+    async close() {
+        this.closed = true;
+
+        this.queue.splice(0).forEach(request =>
+            this.settle(request, new PythonBridgeError(ERROR_CODES.POOL_CLOSED, 'Python worker pool is closed')));
+
+        this.workers.forEach(worker => {
+            if (worker.current) {
+                this.settle(worker.current, new PythonBridgeError(ERROR_CODES.POOL_CLOSED, 'Python worker pool is closed'));
+            }
+            worker.retired = true;
+            worker.process.kill();
+        });
+        this.workers = [];
+    }
+
+    getStats() {
+        return {
+            workers: this.workers.length,
+            busy: this.workers.filter(worker => worker.current).length,
+            queued: this.queue.length
+        };
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            let worker = this.workers.find(candidate => !candidate.current);
+            if (!worker && this.workers.length < this.config.size) {
+                worker = this.spawnWorker();
+            }
+            if (!worker) return;
+
+            const request = this.queue.shift();
+            worker.current = request;
+            request.worker = worker;
+            request.timer = setTimeout(() => this.expire(request), request.timeout);
+
+            worker.process.stdin.write(JSON.stringify({
+                id: request.id,
+                script: request.script,
+                payload: request.payload
+            }) + '\n');
+        }
+    }
+
+    spawnWorker() {
+        const child = spawn(this.config.pythonPath, ['-u', this.config.workerScript, this.config.scriptDir], {
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        const worker = { process: child, current: null, stderr: '', retired: false };
+
+        // Idle workers must not keep the Node process alive
+        child.unref();
+        [child.stdin, child.stdout, child.stderr].forEach(stream => stream.unref && stream.unref());
+
+        readline.createInterface({ input: child.stdout }).on('line', line => this.handleLine(worker, line));
+
+        child.stderr.on('data', data => {
+            worker.stderr = (worker.stderr + data.toString()).slice(-MAX_STDERR_TAIL);
+        });
+
+        child.stdin.on('error', () => {
+            // Reported through the 'exit' / 'error' handlers below
+        });
+
+        child.on('error', error => {
+            this.retire(worker, new PythonBridgeError(
+                ERROR_CODES.SPAWN_FAILED,
+                `Could not start Python worker (${this.config.pythonPath}): ${error.message}`
+            ));
+        });
+
+        child.on('exit', (code, signal) => {
+            this.retire(worker, new PythonBridgeError(
+                ERROR_CODES.WORKER_CRASHED,
+                `Python worker exited with ${signal || `code ${code}`}`,
+                { exitCode: code, signal, stderr: worker.stderr }
+            ));
+        });
+
+        this.workers.push(worker);
+        this.emit('workerSpawned', { pid: child.pid });
+        return worker;
+    }
+
+    handleLine(worker, line) {
+        const request = worker.current;
+        let message;
+
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            if (request) {
+                this.settle(request, new PythonBridgeError(
+                    ERROR_CODES.INVALID_RESPONSE,
+                    'Python worker wrote a line that is not JSON',
+                    { line: line.slice(0, 200) }
+                ));
+                this.killWorker(worker);
+            }
+            return;
+        }
+
+        // Late answers for requests that already timed out are dropped
+        if (!request || message.id !== request.id) return;
+
+        worker.current = null;
+        if (message.ok) {
+            this.settle(request, null, message.result);
+        } else {
+            const error = message.error || {};
+            this.settle(request, new PythonBridgeError(
+                error.code || ERROR_CODES.SCRIPT_ERROR,
+                error.message || `${request.script} failed`,
+                { script: request.script, traceback: error.traceback }
+            ));
+        }
+        this.dispatch();
+    }
+
+    expire(request) {
+        this.settle(request, new PythonBridgeError(
+            ERROR_CODES.TIMEOUT,
+            `${request.script} did not answer within ${request.timeout}ms`,
+            { script: request.script, timeout: request.timeout }
+        ));
+        this.killWorker(request.worker);
+    }
+
+    cancel(request) {
+        const queuedAt = this.queue.indexOf(request);
+        if (queuedAt !== -1) {
+            this.queue.splice(queuedAt, 1);
+            this.settle(request, this.cancelledError(request));
+            return;
+        }
+
+        if (request.worker && request.worker.current === request) {
+            this.settle(request, this.cancelledError(request));
+            this.killWorker(request.worker);
+        }
+    }
+
+    cancelledError(request) {
+        return new PythonBridgeError(ERROR_CODES.CANCELLED, `${request.script} was cancelled`, { script: request.script });
+    }
+
+    killWorker(worker) {
+        if (!worker || worker.retired) return;
+        worker.retired = true;
+        worker.current = null;
+        this.workers = this.workers.filter(candidate => candidate !== worker);
+        worker.process.kill('SIGKILL');
+        this.dispatch();
+    }
+
+    retire(worker, error) {
+        if (worker.current) {
+            this.settle(worker.current, error);
+            worker.current = null;
+        }
+        if (!worker.retired) {
+            worker.retired = true;
+            this.workers = this.workers.filter(candidate => candidate !== worker);
+            this.emit('workerExited', { pid: worker.process.pid, error });
+        }
+
+        // A pool that cannot start Python fails the queue instead of respawning forever
+        if (error.code === ERROR_CODES.SPAWN_FAILED) {
+            this.queue.splice(0).forEach(request => this.settle(request, error));
+            return;
+        }
+        if (!this.closed) this.dispatch();
+    }
+
+    settle(request, error, result) {
+        if (request.settled) return;
+        request.settled = true;
+
+        clearTimeout(request.timer);
+        if (request.signal && request.onAbort) {
+            request.signal.removeEventListener('abort', request.onAbort);
+        }
+
+        if (error) request.reject(error);
+        else request.resolve(result);
+    }
+}
+
+module.exports = PythonWorkerPool;
+module.exports.PythonBridgeError = PythonBridgeError;
+module.exports.ERROR_CODES = ERROR_CODES;
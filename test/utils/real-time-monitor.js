@@ -25,6 +25,7 @@ class RealTimeFraudMonitor extends EventEmitter {
             maxEventsPerWindow: config.maxEventsPerWindow || 1000,
             streamUrl: config.streamUrl || 'ws://localhost:8080/fraud-stream',
             alertWebhook: config.alertWebhook || null,
+            autoStart: config.autoStart !== false,
             ...config
         };
         
@@ -50,8 +51,10 @@ class RealTimeFraudMonitor extends EventEmitter {
             ['behavior', this.calculateBehaviorRisk.bind(this)]
         ]);
         
-        // Initialize monitoring system
-        this.initializeMonitoring();
+        // Initialize monitoring system (disabled for offline replays)
+        if (this.config.autoStart) {
+            this.initializeMonitoring();
+        }
     }
 
     /**
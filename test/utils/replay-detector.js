@@ -0,0 +1,247 @@
+const { coefficientOfVariation } = require('./feature-extractor');
+
+/**
+ * 🔁 Trajectory Replay and Synthetic Input Detector
+ *
+ * Bots that replay a recorded human trace pass every template check: the
+ * movement really is human. This detector fingerprints pointer
+ * trajectories (mouse strokes, touch tracks) and remembers them across
+ * sessions, so a recording played back later - verbatim, shifted onto
+ * another button or with a little added jitter - is recognised whichever
+ * user it is played back as. People never repeat a movement that exactly.
+ *
+ * A fingerprint is the trajectory's position relative to its start point
+ * at even fractions of its duration, so it captures the path and the speed
+ * profile along it, and survives playback shifted in time or space or
+ * slightly sped up. Two trajectories match when their durations are within
+ * durationTolerance and their resampled positions within positionTolerance
+ * px on average. Fingerprints are bucketed by rounded displacement so only
+ * nearby candidates are compared.
+ *
+ * Synthetic input is flagged by regularities human input lacks: perfectly
+ * linear interpolation and constant sampling intervals. Integer-only
+ * coordinates are reported alongside, but are not damning by themselves
+ * since many browsers report whole-pixel mouse positions.
+ */
+class ReplayDetector {
+    constructor(config = {}) {
+        this.config = {
+            resamplePoints: 16,
+            minPoints: 6,
+            minPathLength: 40, // px; short movements coincide by chance
+            positionTolerance: 2, // px, mean over the resampled points
+            durationTolerance: 0.1,
+            bucketSize: 24, // px of displacement
+            maxFingerprints: 20000,
+            minReplayedTrajectories: 2,
+            minReplayRatio: 0.3,
+            linearTolerance: 1, // px off the straight line
+            linearStepVariation: 0.05,
+            minLinearRatio: 0.5,
+            samplingVariation: 0.02,
+            minSamplingIntervals: 20,
+            ...config
+        };
+
+        this.buckets = new Map();
+        this.fingerprints = [];
+    }
+
+    get size() {
+        return this.fingerprints.length;
+    }
+
+    /**
+     * Check a session's trajectories for replays and synthetic input, then
+     * remember them so later sessions are checked against this one
+     * @param {Array<Array<{x, y, time}>>} trajectories
+     * @param {object} source - { userId, sessionId, modality }
+     */
+    analyzeSession(trajectories, source) {
+        const replay = this.findReplays(trajectories, source);
+        const synthetic = this.detectSyntheticInput(trajectories);
+        this.record(trajectories, source);
+        return { replay, synthetic };
+    }
+
+    /**
+     * Trajectories matching fingerprints recorded in other sessions
+     * @returns {{trajectories: number, matched: number, ratio: number, isReplay: boolean, crossUser: boolean, sources: object[]}}
+     */
+    findReplays(trajectories, source = {}) {
+        const fingerprints = trajectories.map(points => this.fingerprint(points)).filter(Boolean);
+        const sources = new Map();
+        let matched = 0;
+
+        fingerprints.forEach(fingerprint => {
+            const match = this.candidatesFor(fingerprint).find(candidate =>
+                candidate.source.sessionId !== source.sessionId &&
+                candidate.source.modality === source.modality &&
+                this.matches(fingerprint, candidate)
+            );
+            if (!match) return;
+
+            matched++;
+            const key = `${match.source.userId}|${match.source.sessionId}`;
+            if (!sources.has(key)) sources.set(key, { userId: match.source.userId, sessionId: match.source.sessionId, matches: 0 });
+            sources.get(key).matches++;
+        });
+
+        const ratio = fingerprints.length > 0 ? matched / fingerprints.length : 0;
+        const sourceList = [...sources.values()].sort((a, b) => b.matches - a.matches);
+        return {
+            trajectories: fingerprints.length,
+            matched,
+            ratio,
+            isReplay: matched >= this.config.minReplayedTrajectories && ratio >= this.config.minReplayRatio,
+            crossUser: sourceList.some(item => item.userId !== source.userId),
+            sources: sourceList
+        };
+    }
+
+    record(trajectories, source = {}) {
+        trajectories.forEach(points => {
+            const fingerprint = this.fingerprint(points);
+            if (!fingerprint) return;
+
+            fingerprint.source = { userId: source.userId, sessionId: source.sessionId, modality: source.modality };
+            const key = this.bucketKey(fingerprint.dx, fingerprint.dy);
+            if (!this.buckets.has(key)) this.buckets.set(key, []);
+            this.buckets.get(key).push(fingerprint);
+            this.fingerprints.push({ key, fingerprint });
+        });
+
+        while (this.fingerprints.length > this.config.maxFingerprints) {
+            const { key, fingerprint } = this.fingerprints.shift();
+            const bucket = this.buckets.get(key).filter(item => item !== fingerprint);
+            if (bucket.length > 0) this.buckets.set(key, bucket);
+            else this.buckets.delete(key);
+        }
+    }
+
+    /**
+     * Regularities of machine-generated pointer input
+     * @returns {{indicators: string[], isSynthetic: boolean, linearRatio: number, samplingVariation: number|null, integerRatio: number}}
+     */
+    detectSyntheticInput(trajectories) {
+        const usable = trajectories.filter(points => points.length >= this.config.minPoints);
+        const indicators = [];
+
+        const eligible = usable.filter(points => pathLengthOf(points) >= this.config.minPathLength);
+        const linear = eligible.filter(points => this.isLinearInterpolation(points)).length;
+        const linearRatio = eligible.length > 0 ? linear / eligible.length : 0;
+        if (eligible.length >= 2 && linearRatio >= this.config.minLinearRatio) {
+            indicators.push('linear_interpolation');
+        }
+
+        const intervals = usable.flatMap(points => points.slice(1)
+            .map((point, i) => point.time - points[i].time)
+            .filter(dt => dt > 0));
+        const samplingVariation = intervals.length >= this.config.minSamplingIntervals ? coefficientOfVariation(intervals) : null;
+        if (samplingVariation !== null && samplingVariation <= this.config.samplingVariation) {
+            indicators.push('constant_sampling');
+        }
+
+        const points = usable.flat();
+        const integerRatio = points.length > 0
+            ? points.filter(point => Number.isInteger(point.x) && Number.isInteger(point.y)).length / points.length
+            : 0;
+        if (points.length > 0 && integerRatio === 1) {
+            indicators.push('integer_coordinates');
+        }
+
+        return {
+            indicators,
+            isSynthetic: indicators.includes('linear_interpolation') || indicators.includes('constant_sampling'),
+            linearRatio,
+            samplingVariation,
+            integerRatio
+        };
+    }
+
+    /**
+     * Every point on the straight line from start to end, evenly spaced
+     */
+    isLinearInterpolation(points) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        const offLine = Math.max(...points.map(point => perpendicularDistance(point, first, last)));
+
+        const steps = points.slice(1).map((point, i) => distance(points[i], point)).filter(step => step > 0);
+        return offLine <= this.config.linearTolerance && steps.length > 1 && coefficientOfVariation(steps) <= this.config.linearStepVariation;
+    }
+
+    /**
+     * Positions relative to the start at even fractions of the duration
+     * (null for trajectories too short to be telling)
+     */
+    fingerprint(points) {
+        if (points.length < this.config.minPoints || pathLengthOf(points) < this.config.minPathLength) return null;
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const duration = last.time - first.time;
+        if (duration <= 0) return null;
+
+        const count = this.config.resamplePoints;
+        const shape = [];
+        let segment = 1;
+        for (let k = 0; k < count; k++) {
+            const time = first.time + duration * k / (count - 1);
+            while (segment < points.length - 1 && points[segment].time < time) segment++;
+
+            const from = points[segment - 1];
+            const to = points[segment];
+            const share = to.time > from.time ? (time - from.time) / (to.time - from.time) : 0;
+            shape.push([from.x + (to.x - from.x) * share - first.x, from.y + (to.y - from.y) * share - first.y]);
+        }
+
+        return { dx: last.x - first.x, dy: last.y - first.y, duration, shape };
+    }
+
+    matches(fingerprint, candidate) {
+        const longer = Math.max(fingerprint.duration, candidate.duration);
+        if (Math.abs(fingerprint.duration - candidate.duration) / longer > this.config.durationTolerance) return false;
+
+        const positionError = fingerprint.shape.reduce((sum, [x, y], k) =>
+            sum + Math.sqrt(Math.pow(x - candidate.shape[k][0], 2) + Math.pow(y - candidate.shape[k][1], 2)), 0);
+        return positionError / fingerprint.shape.length <= this.config.positionTolerance;
+    }
+
+    /**
+     * Fingerprints in the same or a neighbouring displacement bucket
+     */
+    candidatesFor(fingerprint) {
+        const size = this.config.bucketSize;
+        const column = Math.round(fingerprint.dx / size);
+        const row = Math.round(fingerprint.dy / size);
+
+        const candidates = [];
+        for (let i = -1; i <= 1; i++) {
+            for (let j = -1; j <= 1; j++) {
+                candidates.push(...(this.buckets.get(`${column + i}:${row + j}`) || []));
+            }
+        }
+        return candidates;
+    }
+
+    bucketKey(dx, dy) {
+        return `${Math.round(dx / this.config.bucketSize)}:${Math.round(dy / this.config.bucketSize)}`;
+    }
+}
+
+function distance(a, b) {
+    return Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+}
+
+function perpendicularDistance(point, start, end) {
+    const length = distance(start, end);
+    if (length === 0) return distance(point, start);
+    return Math.abs((end.x - start.x) * (start.y - point.y) - (start.x - point.x) * (end.y - start.y)) / length;
+}
+
+function pathLengthOf(points) {
+    return points.slice(1).reduce((sum, point, i) => sum + distance(points[i], point), 0);
+}
+
+module.exports = ReplayDetector;
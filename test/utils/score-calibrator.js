@@ -0,0 +1,211 @@
+/**
+ * 🎚️ Fraud Score Calibration
+ *
+ * Maps raw composite scores to fraud probabilities fitted on labelled
+ * outcomes, and learns composite weights from the component scores.
+ *
+ * Methods:
+ * - identity: raw score passed through (no labelled data yet)
+ * - platt:    logistic fit p = 1 / (1 + exp(A * score + B)) with Platt's
+ *             smoothed targets so small samples do not produce 0/1
+ * - isotonic: monotone step fit (pool-adjacent-violators), interpolated
+ *             linearly between block centres
+ */
+class ScoreCalibrator {
+    constructor(method = 'identity', params = {}) {
+        if (!['identity', 'platt', 'isotonic'].includes(method)) {
+            throw new Error(`Unknown calibration method: ${method}`);
+        }
+
+        this.method = method;
+        this.params = params;
+    }
+
+    /**
+     * Fit a calibrator on raw scores and 0/1 fraud labels
+     * @param {number[]} scores - Raw composite scores
+     * @param {number[]} labels - 1 for confirmed fraud, 0 for legitimate
+     * @param {string} method - 'platt' | 'isotonic'
+     */
+    static fit(scores, labels, method = 'platt') {
+        if (scores.length !== labels.length || scores.length === 0) {
+            throw new Error('Calibration needs one label per score');
+        }
+        if (!labels.includes(1) || !labels.includes(0)) {
+            throw new Error('Calibration needs both fraud and legitimate outcomes');
+        }
+
+        if (method === 'platt') return new ScoreCalibrator('platt', fitPlatt(scores, labels));
+        if (method === 'isotonic') return new ScoreCalibrator('isotonic', fitIsotonic(scores, labels));
+        throw new Error(`Unknown calibration method: ${method}`);
+    }
+
+    /**
+     * Fraud probability for a raw score
+     */
+    calibrate(score) {
+        if (this.method === 'platt') {
+            return 1 / (1 + Math.exp(this.params.a * score + this.params.b));
+        }
+
+        if (this.method === 'isotonic') {
+            const { points } = this.params;
+            if (score <= points[0].score) return points[0].probability;
+
+            for (let i = 1; i < points.length; i++) {
+                if (score <= points[i].score) {
+                    const left = points[i - 1];
+                    const right = points[i];
+                    const t = (score - left.score) / (right.score - left.score);
+                    return left.probability + t * (right.probability - left.probability);
+                }
+            }
+            return points[points.length - 1].probability;
+        }
+
+        return score;
+    }
+
+    toJSON() {
+        return { method: this.method, params: this.params };
+    }
+
+    static fromJSON(data) {
+        return new ScoreCalibrator(data.method, data.params);
+    }
+}
+
+/**
+ * Newton's method on the regularised log-loss (Platt, 1999; Lin et al., 2007)
+ */
+function fitPlatt(scores, labels) {
+    const positives = labels.filter(label => label === 1).length;
+    const negatives = labels.length - positives;
+    const targets = labels.map(label =>
+        (label === 1 ? (positives + 1) / (positives + 2) : 1 / (negatives + 2)));
+
+    let a = 0;
+    let b = Math.log((negatives + 1) / (positives + 1));
+
+    for (let iteration = 0; iteration < 100; iteration++) {
+        let gradientA = 0;
+        let gradientB = 0;
+        let hessianAA = 1e-12;
+        let hessianAB = 0;
+        let hessianBB = 1e-12;
+
+        scores.forEach((score, i) => {
+            const p = 1 / (1 + Math.exp(a * score + b));
+            const weight = p * (1 - p);
+            // d(logloss)/dA with p = sigmoid(-(A s + B))
+            gradientA += (targets[i] - p) * score;
+            gradientB += targets[i] - p;
+            hessianAA += weight * score * score;
+            hessianAB += weight * score;
+            hessianBB += weight;
+        });
+
+        const determinant = hessianAA * hessianBB - hessianAB * hessianAB;
+        if (Math.abs(determinant) < 1e-12) break;
+
+        const stepA = (hessianBB * gradientA - hessianAB * gradientB) / determinant;
+        const stepB = (hessianAA * gradientB - hessianAB * gradientA) / determinant;
+        a -= stepA;
+        b -= stepB;
+
+        if (Math.abs(stepA) < 1e-9 && Math.abs(stepB) < 1e-9) break;
+    }
+
+    return { a, b };
+}
+
+/**
+ * Pool-adjacent-violators over scores sorted ascending
+ */
+function fitIsotonic(scores, labels) {
+    const pairs = scores
+        .map((score, i) => ({ score, label: labels[i] }))
+        .sort((x, y) => x.score - y.score);
+
+    const blocks = [];
+    pairs.forEach(({ score, label }) => {
+        blocks.push({ scoreSum: score, labelSum: label, count: 1 });
+
+        // Merge while the previous block predicts a higher fraud rate
+        while (blocks.length > 1) {
+            const last = blocks[blocks.length - 1];
+            const previous = blocks[blocks.length - 2];
+            if (previous.labelSum / previous.count <= last.labelSum / last.count) break;
+
+            previous.scoreSum += last.scoreSum;
+            previous.labelSum += last.labelSum;
+            previous.count += last.count;
+            blocks.pop();
+        }
+    });
+
+    return {
+        points: blocks.map(block => ({
+            score: block.scoreSum / block.count,
+            probability: block.labelSum / block.count
+        }))
+    };
+}
+
+/**
+ * 🏋️ Learn non-negative composite weights by logistic regression
+ * @param {object[]} rows - Component scores, e.g. { anomaly, behavior, ... }
+ * @param {number[]} labels - 0/1 fraud labels
+ * @param {string[]} components - Component names to weight
+ * @returns {object} - Weights per component summing to 1
+ */
+function learnCompositeWeights(rows, labels, components, options = {}) {
+    const iterations = options.iterations || 2000;
+    const learningRate = options.learningRate || 0.5;
+    const l2 = options.l2 ?? 0.01;
+
+    const weights = components.map(() => 0);
+    let bias = 0;
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const gradients = components.map(() => 0);
+        let biasGradient = 0;
+
+        rows.forEach((row, i) => {
+            const z = bias + components.reduce((sum, component, k) => sum + weights[k] * (row[component] ?? 0.5), 0);
+            const error = 1 / (1 + Math.exp(-z)) - labels[i];
+            components.forEach((component, k) => {
+                gradients[k] += error * (row[component] ?? 0.5);
+            });
+            biasGradient += error;
+        });
+
+        components.forEach((_, k) => {
+            weights[k] -= learningRate * (gradients[k] / rows.length + l2 * weights[k]);
+        });
+        bias -= learningRate * biasGradient / rows.length;
+    }
+
+    // Components that push scores away from fraud get no weight
+    const clipped = weights.map(weight => Math.max(0, weight));
+    const total = clipped.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) {
+        throw new Error('No component score separates fraud from legitimate outcomes');
+    }
+
+    return components.reduce((result, component, k) => {
+        result[component] = clipped[k] / total;
+        return result;
+    }, {});
+}
+
+/**
+ * Mean squared error between probabilities and 0/1 outcomes
+ */
+function brierScore(probabilities, labels) {
+    return probabilities.reduce((sum, p, i) => sum + (p - labels[i]) ** 2, 0) / probabilities.length;
+}
+
+module.exports = ScoreCalibrator;
+module.exports.learnCompositeWeights = learnCompositeWeights;
+module.exports.brierScore = brierScore;
@@ -6,6 +6,7 @@ const path = require('path');
 const allure = require('@wdio/allure-reporter').default;
 const fs = require('fs');
 const retry = require('retry');
+const { biometricCapture, summaryOf } = require('./test/utils/biometric-capture');
 
 exports.config = {
     // Runner and framework configurations
@@ -29,7 +30,7 @@ exports.config = {
         ],
         visual: [
             './test/specs/visual-baseline.spec.js'
-        ]
+        ],
     },
     exclude: [],
     maxInstances: 1,
@@ -109,6 +110,9 @@ exports.config = {
         chai.use(chaiAsPromised);
         global.expect = chai.expect;
         
+        // Turn every click, keystroke and gesture into biometric events for the logged-in user
+        biometricCapture.install(browser);
+        
         // Add custom commands for retry logic
         browser.addCommand('retryClick', async function (selector, options = {}) {
             const maxRetries = options.retries || 3;
@@ -211,7 +215,7 @@ exports.config = {
         allure.addStory(test.title);
     },
     
-    afterTest: function (test, context, { error, result, duration, passed, retries }) {
+    afterTest: async function (test, context, { error, result, duration, passed, retries }) {
         // Take screenshot on test failure and add to Allure report
         if (!passed) {
             const timestamp = new Date().toISOString().replace(/[^0-9]/g, '');
@@ -239,6 +243,12 @@ exports.config = {
                 console.error('Failed to take screenshot:', err);
             });
         }
+        
+        // Close the test's biometric session so its analysis lands on this test in the report
+        const biometricReport = await biometricCapture.end();
+        if (biometricReport) {
+            allure.addAttachment('Biometric analysis', JSON.stringify(summaryOf(biometricReport), null, 2), 'application/json');
+        }
     },
     
     afterSuite: function (suite) {